@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Upgrade a tenant's Google Sheet to the current lead sheet layout (see
+ * src/config/sheetSchema.js): rename old headers, add missing columns and merge the
+ * old Leads tab into the lead tab.
+ *
+ *   npm run sheets:migrate -- [--tenant <id>] [--dry-run]
+ */
+require('dotenv').config();
+
+const googleSheetsService = require('../src/services/googleSheetsService');
+
+function parseArgs(args) {
+  const tenantIndex = args.indexOf('--tenant');
+  return {
+    tenantId: tenantIndex === -1 ? undefined : args[tenantIndex + 1],
+    dryRun: args.includes('--dry-run')
+  };
+}
+
+async function main() {
+  const report = await googleSheetsService.migrateSheet(parseArgs(process.argv.slice(2)));
+  console.log(JSON.stringify(report, null, 2));
+  if (report.dryRun) {
+    console.log('Dry run: nothing was written. Run again without --dry-run to apply.');
+  }
+}
+
+main().catch(error => {
+  console.error(`Sheet migration failed: ${error.message}`);
+  process.exit(1);
+});
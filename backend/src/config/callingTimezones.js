@@ -0,0 +1,82 @@
+// Timezones used to work out a called party's local time from their number.
+// Area codes that span two zones are listed under the zone most of their numbers are in.
+
+const NANP_AREA_CODES = {
+  'America/New_York': [
+    // New England, New York, New Jersey, Pennsylvania
+    201, 203, 207, 212, 215, 223, 267, 272, 315, 332, 339, 347, 351, 363, 401, 412, 413, 445, 475, 484,
+    508, 516, 518, 551, 570, 582, 585, 603, 607, 609, 610, 617, 631, 640, 646, 680, 716, 717, 718, 724,
+    732, 774, 781, 802, 814, 835, 838, 845, 848, 856, 857, 860, 862, 878, 908, 914, 917, 929, 934, 959,
+    973, 978,
+    // Mid-Atlantic and the South East
+    202, 227, 229, 239, 240, 252, 276, 301, 302, 304, 305, 321, 336, 352, 386, 404, 407, 410, 423, 434,
+    443, 470, 472, 478, 502, 540, 561, 571, 606, 645, 656, 667, 678, 681, 689, 703, 704, 706, 727, 743,
+    754, 757, 762, 770, 771, 772, 786, 803, 804, 813, 826, 828, 839, 843, 854, 859, 863, 864, 865, 904,
+    910, 912, 919, 941, 943, 948, 954, 980, 984,
+    // Ohio, Michigan, Indiana
+    216, 220, 231, 234, 248, 260, 269, 283, 313, 317, 326, 330, 380, 419, 436, 440, 463, 513, 517, 567,
+    574, 586, 614, 616, 734, 740, 765, 810, 812, 906, 930, 937, 947, 989,
+    // Ontario and Quebec
+    226, 249, 263, 289, 343, 354, 365, 367, 382, 416, 418, 437, 438, 450, 468, 514, 519, 548, 579, 581,
+    613, 647, 683, 705, 742, 753, 819, 873, 905
+  ],
+  'America/Chicago': [
+    205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 274, 281, 309, 312, 314, 316,
+    318, 319, 320, 325, 327, 331, 334, 337, 346, 353, 361, 364, 402, 405, 409, 414, 417, 430, 432, 447,
+    448, 464, 469, 479, 501, 504, 507, 512, 515, 531, 534, 539, 557, 563, 572, 573, 580, 601, 605, 608,
+    612, 615, 618, 620, 629, 630, 636, 641, 651, 659, 660, 662, 682, 701, 708, 712, 713, 715, 726, 730,
+    731, 737, 763, 769, 773, 779, 785, 806, 815, 816, 817, 830, 832, 847, 850, 870, 872, 901, 903, 913,
+    918, 920, 931, 936, 938, 940, 945, 952, 956, 972, 975, 979, 985,
+    // Manitoba
+    204, 431
+  ],
+  'America/Regina': [306, 639],
+  'America/Denver': [
+    208, 303, 307, 385, 406, 435, 505, 575, 719, 720, 801, 915, 970, 983, 986,
+    // Alberta
+    368, 403, 587, 780, 825
+  ],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Los_Angeles': [
+    206, 209, 213, 253, 279, 310, 323, 341, 350, 360, 369, 408, 415, 424, 425, 442, 458, 503, 509, 510,
+    530, 541, 559, 562, 564, 619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747, 760, 775, 805,
+    818, 820, 831, 840, 858, 909, 916, 925, 949, 951, 971,
+    // British Columbia
+    236, 250, 604, 672, 778
+  ],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Halifax': [428, 506, 782, 902],
+  'America/St_Johns': [709],
+  'America/Puerto_Rico': [787, 939]
+};
+
+// Non-NANP country calling codes, matched longest prefix first
+const COUNTRY_CODES = {
+  '44': 'Europe/London',
+  '353': 'Europe/Dublin',
+  '33': 'Europe/Paris',
+  '49': 'Europe/Berlin',
+  '34': 'Europe/Madrid',
+  '39': 'Europe/Rome',
+  '31': 'Europe/Amsterdam',
+  '52': 'America/Mexico_City',
+  '61': 'Australia/Sydney',
+  '64': 'Pacific/Auckland',
+  '65': 'Asia/Singapore',
+  '91': 'Asia/Kolkata',
+  '971': 'Asia/Dubai',
+  '27': 'Africa/Johannesburg'
+};
+
+const AREA_CODE_TIMEZONES = {};
+for (const [timezone, areaCodes] of Object.entries(NANP_AREA_CODES)) {
+  for (const areaCode of areaCodes) {
+    AREA_CODE_TIMEZONES[String(areaCode)] = timezone;
+  }
+}
+
+module.exports = {
+  AREA_CODE_TIMEZONES,
+  COUNTRY_CODES
+};
@@ -1,9 +1,8 @@
-// Database configuration for future expansion
-// Currently using Google Sheets as primary storage
+// Database configuration for the persistent stores (src/stores)
+// Google Sheets remains the primary storage for customer data
 
 const config = {
   development: {
-    // For future PostgreSQL integration
     database: process.env.DATABASE_URL || 'postgresql://localhost:5432/ai_calling_dev',
     dialect: 'postgres',
     logging: console.log,
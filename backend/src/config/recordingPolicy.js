@@ -0,0 +1,88 @@
+// Call recording rules by region. Regions are ISO country codes, or US-<state> for
+// US states that need every party's consent. Other North American numbers resolve to
+// CA (Canadian area codes) or US.
+//
+// Modes:
+//   silent   - record without an announcement
+//   announce - tell the customer the call is recorded, then record
+//   consent  - announce and ask; recording is stopped if the customer declines
+//   none     - never record
+
+const MODES = ['silent', 'announce', 'consent', 'none'];
+
+// Area codes of the all-party-consent states
+const CONSENT_STATE_AREA_CODES = {
+  CA: [209, 213, 279, 310, 323, 341, 350, 369, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650,
+    657, 661, 669, 707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951],
+  CT: [203, 475, 860, 959],
+  DE: [302],
+  FL: [239, 305, 321, 324, 352, 386, 407, 448, 561, 645, 656, 689, 727, 728, 754, 772, 786, 813, 850, 863,
+    904, 941, 954],
+  IL: [217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 861, 872],
+  MD: [227, 240, 301, 410, 443, 667],
+  MA: [339, 351, 413, 508, 617, 774, 781, 857, 978],
+  MI: [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989],
+  MT: [406],
+  NH: [603],
+  NV: [702, 725, 775],
+  PA: [215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878],
+  WA: [206, 253, 360, 425, 509, 564]
+};
+
+const CANADA_AREA_CODES = [
+  204, 226, 236, 249, 250, 263, 289, 306, 343, 354, 365, 367, 368, 382, 403, 416, 418, 428, 431, 437,
+  438, 450, 468, 474, 506, 514, 519, 548, 579, 581, 584, 587, 604, 613, 639, 647, 672, 683, 705, 709,
+  742, 753, 778, 780, 782, 807, 819, 825, 867, 873, 879, 902, 905
+];
+
+// Non-NANP country calling codes, matched longest prefix first
+const COUNTRY_CALLING_CODES = {
+  '44': 'GB',
+  '353': 'IE',
+  '33': 'FR',
+  '49': 'DE',
+  '34': 'ES',
+  '39': 'IT',
+  '31': 'NL',
+  '52': 'MX',
+  '61': 'AU',
+  '64': 'NZ',
+  '65': 'SG',
+  '91': 'IN',
+  '971': 'AE',
+  '27': 'ZA'
+};
+
+// Defaults, overridable per region with RECORDING_POLICY. Regions not listed here
+// (or in the override) use RECORDING_DEFAULT_MODE.
+const DEFAULT_POLICIES = {
+  US: 'silent',
+  CA: 'silent',
+  ...Object.fromEntries(Object.keys(CONSENT_STATE_AREA_CODES).map(state => [`US-${state}`, 'consent'])),
+  GB: 'announce',
+  IE: 'announce',
+  FR: 'announce',
+  ES: 'announce',
+  IT: 'announce',
+  NL: 'announce',
+  AU: 'announce',
+  NZ: 'announce',
+  DE: 'consent'
+};
+
+const AREA_CODE_REGIONS = {};
+for (const [state, areaCodes] of Object.entries(CONSENT_STATE_AREA_CODES)) {
+  for (const areaCode of areaCodes) {
+    AREA_CODE_REGIONS[String(areaCode)] = `US-${state}`;
+  }
+}
+for (const areaCode of CANADA_AREA_CODES) {
+  AREA_CODE_REGIONS[String(areaCode)] = 'CA';
+}
+
+module.exports = {
+  MODES,
+  AREA_CODE_REGIONS,
+  COUNTRY_CALLING_CODES,
+  DEFAULT_POLICIES
+};
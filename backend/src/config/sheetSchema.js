@@ -0,0 +1,173 @@
+// The lead sheet: one tab with a header row and one row per lead. Columns are found by
+// their header, so they can be in any order, and every read and write goes through the
+// field names below rather than column letters.
+//
+// The tab and headers can be changed with SHEET_TAB and SHEET_COLUMNS
+// ("carModel:Vehicle,phone:Mobile"), or per tenant with `sheet: { tab, columns }`.
+
+const DEFAULT_TAB = 'Customers';
+
+// Field -> header, in the order a new sheet is laid out. Aliases are headers older
+// layouts used for the same field and are still recognised.
+const FIELDS = [
+  { field: 'id', header: 'ID', aliases: ['Customer ID'] },
+  { field: 'name', header: 'Name', aliases: ['Customer Name'] },
+  { field: 'phone', header: 'Phone', aliases: ['Customer Phone Number', 'Phone Number'] },
+  { field: 'email', header: 'Email', aliases: ['Customer Email'] },
+  { field: 'carModel', header: 'Car Model', aliases: ['Car Model Enquired About'] },
+  { field: 'status', header: 'Status', aliases: [] },
+  { field: 'enquiryDate', header: 'Enquiry Date', aliases: [] },
+  { field: 'lastCallDate', header: 'Last Call Date', aliases: [] },
+  { field: 'callResult', header: 'Call Result', aliases: [] },
+  { field: 'appointmentDate', header: 'Appointment Date', aliases: ['Appointment Date & Time'] },
+  { field: 'notes', header: 'Notes', aliases: [] },
+  { field: 'callDuration', header: 'Call Duration', aliases: [] },
+  { field: 'sentiment', header: 'Sentiment', aliases: [] },
+  { field: 'recordingUrl', header: 'Recording URL', aliases: [] },
+  { field: 'recordingDuration', header: 'Recording Duration', aliases: [] },
+  { field: 'interested', header: 'Interested', aliases: ['Interested? (Yes/No)'] },
+  { field: 'interestedInSimilar', header: 'Interested in Similar Cars', aliases: ['Interested in Similar Cars? (Yes/No)'] },
+  { field: 'callAttempts', header: 'Call Attempts', aliases: [] },
+  { field: 'nextCallDate', header: 'Next Call Date', aliases: [] }
+];
+
+// A row can't be used without these
+const REQUIRED_FIELDS = ['id', 'name', 'phone'];
+
+// The old conversation tab, written by column letter. Scripts may still use these
+// letters as `sheet` keys; the migration merges the tab into the lead tab.
+const LEGACY_LEADS_TAB = 'Leads';
+const LEGACY_LEADS_COLUMNS = {
+  A: 'phone',
+  B: 'name',
+  C: 'carModel',
+  D: 'interested',
+  E: 'appointmentDate',
+  F: 'interestedInSimilar',
+  G: 'email'
+};
+
+const FIELD_NAMES = FIELDS.map(definition => definition.field);
+
+/**
+ * Header text reduced to letters and digits, e.g. "Car Model" -> "carmodel"
+ */
+function normalizeHeader(header) {
+  return String(header || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * "carModel:Vehicle,phone:Mobile" -> { carModel: 'Vehicle', phone: 'Mobile' }
+ */
+function parseColumns(value) {
+  const columns = {};
+  for (const pair of String(value || '').split(',')) {
+    const [field, ...header] = pair.split(':');
+    if (field && field.trim() && header.length > 0) {
+      columns[field.trim()] = header.join(':').trim();
+    }
+  }
+  return columns;
+}
+
+/**
+ * Problems with a `sheet: { tab, columns }` override
+ */
+function validateOverrides(sheet) {
+  const errors = [];
+  if (!sheet) {
+    return errors;
+  }
+  if (sheet.tab !== undefined && (typeof sheet.tab !== 'string' || !sheet.tab.trim())) {
+    errors.push('sheet.tab must be a tab name');
+  }
+  for (const field of Object.keys(sheet.columns || {})) {
+    if (!FIELD_NAMES.includes(field)) {
+      errors.push(`sheet.columns has unknown field "${field}"`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * The schema in use: the defaults, then SHEET_TAB / SHEET_COLUMNS, then the tenant's
+ * overrides. A renamed column still recognises its default header.
+ */
+function resolveSchema(overrides = {}) {
+  const columns = { ...parseColumns(process.env.SHEET_COLUMNS), ...(overrides && overrides.columns) };
+
+  return {
+    tab: (overrides && overrides.tab) || process.env.SHEET_TAB || DEFAULT_TAB,
+    fields: FIELDS.map(definition => {
+      const header = columns[definition.field] || definition.header;
+      const aliases = [definition.header, ...definition.aliases].filter(alias => alias !== header);
+      return { ...definition, header, aliases };
+    })
+  };
+}
+
+/**
+ * Match a header row against the schema. Returns { headers, columns, extra } where
+ * columns maps field -> column index and extra maps the normalised header of every
+ * other non-empty column -> index.
+ */
+function mapHeaders(headers, schema) {
+  const columns = {};
+  const extra = {};
+
+  (headers || []).forEach((header, index) => {
+    const key = normalizeHeader(header);
+    if (!key) {
+      return;
+    }
+    const definition = schema.fields.find(({ header: name, aliases }) =>
+      [name, ...aliases].some(candidate => normalizeHeader(candidate) === key)
+    );
+    if (definition && columns[definition.field] === undefined) {
+      columns[definition.field] = index;
+    } else if (!definition) {
+      extra[key] = index;
+    }
+  });
+
+  return { headers: headers || [], columns, extra };
+}
+
+/**
+ * The field a write key refers to: a field name, or a legacy Leads column letter
+ */
+function fieldFor(key) {
+  if (FIELD_NAMES.includes(key)) {
+    return key;
+  }
+  return LEGACY_LEADS_COLUMNS[String(key).toUpperCase()] || null;
+}
+
+/**
+ * 0 -> A, 25 -> Z, 26 -> AA
+ */
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+module.exports = {
+  DEFAULT_TAB,
+  FIELDS,
+  FIELD_NAMES,
+  REQUIRED_FIELDS,
+  LEGACY_LEADS_TAB,
+  LEGACY_LEADS_COLUMNS,
+  columnLetter,
+  fieldFor,
+  mapHeaders,
+  normalizeHeader,
+  parseColumns,
+  resolveSchema,
+  validateOverrides
+};
@@ -0,0 +1,15 @@
+// Fixed lines the bot speaks outside of a script. They never change from call to
+// call, so they are rendered into the TTS cache on startup.
+
+const FALLBACK_PROMPTS = {
+  // The conversation could not be found for a reply
+  conversationLost: "Thank you for your interest. We'll follow up with you soon. Goodbye!",
+  // Processing the customer's reply failed
+  processingError: "Thank you for your interest. We'll be in touch soon. Goodbye!",
+  // The customer said nothing after the bot's reply
+  noReply: "Thank you for your time. We'll follow up with you. Goodbye!"
+};
+
+module.exports = {
+  FALLBACK_PROMPTS
+};
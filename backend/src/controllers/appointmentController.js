@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../utils/logger');
+const { catchAsync, AppError } = require('../utils/errorHandler');
+const schedulingService = require('../services/schedulingService');
+const tenantService = require('../services/tenantService');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * An appointment the request may see, or null (other tenants' look like missing ones)
+ */
+async function findAppointment(req, appointmentId) {
+  const appointment = await schedulingService.getAppointment(appointmentId);
+  return appointment && tenantService.canAccess(tenantService.scopeFor(req), appointment) ? appointment : null;
+}
+
+/**
+ * List appointments (filters: status, customerId, phone, vehicle, from, to)
+ */
+router.get('/', catchAsync(async (req, res) => {
+  const { from, to } = req.query;
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    throw new AppError('from and to must be valid dates', 400);
+  }
+
+  const appointments = await schedulingService.listAppointments({ ...req.query, tenantId: tenantService.scopeFor(req) });
+
+  res.json({
+    success: true,
+    data: {
+      appointments,
+      count: appointments.length
+    }
+  });
+}));
+
+/**
+ * Free slots for a day, e.g. /availability?date=2026-10-27&vehicle=Model%20Y
+ */
+router.get('/availability', catchAsync(async (req, res) => {
+  const { date, vehicle } = req.query;
+
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new AppError('date is required in YYYY-MM-DD format', 400);
+  }
+
+  const tenant = tenantService.forRequest(req);
+  const slots = await schedulingService.getFreeSlots(date, { vehicle, tenantId: tenant.id });
+
+  res.json({
+    success: true,
+    data: {
+      date,
+      vehicle: vehicle || null,
+      timezone: tenant.timezone,
+      slots
+    }
+  });
+}));
+
+/**
+ * Subscribable calendar feed for the sales team. Calendar apps can't send
+ * headers, so the feed is protected by a token in the query string.
+ */
+router.get('/feed/:dealershipId.ics', catchAsync(async (req, res) => {
+  const expected = process.env.CALENDAR_FEED_TOKEN;
+
+  if (!expected) {
+    throw new AppError('Calendar feed is not enabled', 404);
+  }
+
+  const token = Buffer.from(String(req.query.token || ''));
+  const valid = token.length === Buffer.byteLength(expected) &&
+    crypto.timingSafeEqual(token, Buffer.from(expected));
+
+  if (!valid) {
+    throw new AppError('Invalid calendar feed token', 403);
+  }
+  if (!tenantService.get(req.params.dealershipId)) {
+    throw new AppError('Dealership not found', 404);
+  }
+
+  const feed = await schedulingService.buildFeed(req.params.dealershipId);
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${req.params.dealershipId}-appointments.ics"`);
+  res.send(feed);
+}));
+
+/**
+ * Download a single appointment as an .ics invite
+ */
+router.get('/:appointmentId.ics', catchAsync(async (req, res) => {
+  const appointment = await findAppointment(req, req.params.appointmentId);
+
+  if (!appointment) {
+    throw new AppError('Appointment not found', 404);
+  }
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="appointment-${appointment.id}.ics"`);
+  res.send(schedulingService.buildInvite(appointment));
+}));
+
+router.get('/:appointmentId', catchAsync(async (req, res) => {
+  const appointment = await findAppointment(req, req.params.appointmentId);
+
+  if (!appointment) {
+    throw new AppError('Appointment not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { appointment }
+  });
+}));
+
+/**
+ * Book a slot. Responds 409 with the nearest alternatives when it is taken.
+ */
+router.post('/', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
+  const { start, customer, vehicle, notes } = req.body;
+
+  if (!start || isNaN(Date.parse(start))) {
+    throw new AppError('start must be an ISO date-time', 400);
+  }
+
+  const result = await schedulingService.reserve({
+    tenantId: tenantService.forRequest(req).id,
+    start,
+    customer: customer || {},
+    vehicle: vehicle || null,
+    notes: notes || null,
+    source: 'api'
+  });
+
+  if (!result.booked) {
+    return res.status(409).json({
+      success: false,
+      message: result.message,
+      data: {
+        reason: result.reason,
+        alternatives: result.alternatives
+      }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Appointment booked',
+    data: { appointment: result.appointment }
+  });
+}));
+
+router.post('/:appointmentId/cancel', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
+  const { appointmentId } = req.params;
+  const appointment = await findAppointment(req, appointmentId) &&
+    await schedulingService.cancel(appointmentId, req.body.reason || null);
+
+  if (!appointment) {
+    throw new AppError('Appointment not found', 404);
+  }
+
+  logger.info('Appointment cancelled via API', { appointmentId });
+
+  res.json({
+    success: true,
+    message: 'Appointment cancelled',
+    data: { appointment }
+  });
+}));
+
+module.exports = router;
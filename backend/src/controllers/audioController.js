@@ -3,9 +3,14 @@ const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
 const { catchAsync, AppError } = require('../utils/errorHandler');
+const auth = require('../middleware/auth');
+const ttsCacheService = require('../services/ttsCacheService');
 
 const router = express.Router();
 
+// Cached media stream audio is raw 8 kHz mu-law
+const CONTENT_TYPES = { '.mp3': 'audio/mpeg', '.ulaw': 'audio/basic' };
+
 /**
  * Serve audio files generated by ElevenLabs
  */
@@ -17,7 +22,7 @@ router.get('/:filename', catchAsync(async (req, res) => {
     throw new AppError('Invalid filename', 400);
   }
 
-  const audioDir = path.join(__dirname, '../../temp/audio');
+  const audioDir = ttsCacheService.audioDir;
   const filepath = path.join(audioDir, filename);
 
   logger.info('Audio file requested', { filename, filepath });
@@ -34,7 +39,7 @@ router.get('/:filename', catchAsync(async (req, res) => {
 
     // Set appropriate headers
     res.set({
-      'Content-Type': 'audio/mpeg',
+      'Content-Type': CONTENT_TYPES[path.extname(filename)] || 'application/octet-stream',
       'Content-Length': fileSize,
       'Accept-Ranges': 'bytes',
       'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
@@ -83,7 +88,7 @@ router.get('/:filename', catchAsync(async (req, res) => {
  * List available audio files (for debugging)
  */
 router.get('/', catchAsync(async (req, res) => {
-  const audioDir = path.join(__dirname, '../../temp/audio');
+  const audioDir = ttsCacheService.audioDir;
   
   if (!fs.existsSync(audioDir)) {
     return res.json({ files: [] });
@@ -118,53 +123,24 @@ router.get('/', catchAsync(async (req, res) => {
 }));
 
 /**
- * Delete old audio files
+ * Evict least recently used audio until the cache is under maxMb (default TTS_CACHE_MAX_MB).
+ * Admins only, at /api/audio/cleanup: the router is also mounted at /audio without auth.
  */
-router.delete('/cleanup', catchAsync(async (req, res) => {
-  const audioDir = path.join(__dirname, '../../temp/audio');
-  const maxAgeHours = parseInt(req.query.maxAge) || 24;
-  
-  if (!fs.existsSync(audioDir)) {
-    return res.json({ message: 'Audio directory does not exist', deleted: 0 });
-  }
-
-  try {
-    const files = fs.readdirSync(audioDir);
-    const maxAge = maxAgeHours * 60 * 60 * 1000; // Convert to milliseconds
-    const now = Date.now();
-    let deletedCount = 0;
-    let deletedSize = 0;
-
-    files.forEach(filename => {
-      const filepath = path.join(audioDir, filename);
-      const stats = fs.statSync(filepath);
-      
-      if (now - stats.mtime.getTime() > maxAge) {
-        deletedSize += stats.size;
-        fs.unlinkSync(filepath);
-        deletedCount++;
-      }
-    });
+router.delete('/cleanup', auth.authorize('admin'), catchAsync(async (req, res) => {
+  const maxBytes = req.query.maxMb !== undefined
+    ? Math.max(parseFloat(req.query.maxMb) || 0, 0) * 1024 * 1024
+    : ttsCacheService.maxBytes;
 
-    logger.info('Audio cleanup completed', {
-      deletedCount,
-      deletedSize,
-      maxAgeHours
-    });
+  const { deleted, deletedBytes } = ttsCacheService.evict(null, maxBytes);
 
-    res.json({
-      message: 'Cleanup completed',
-      deleted: deletedCount,
-      deletedSize,
-      maxAgeHours
-    });
+  logger.info('Audio cleanup completed', { deleted, deletedBytes, maxBytes });
 
-  } catch (error) {
-    logger.error('Failed to cleanup audio files', {
-      error: error.message
-    });
-    throw new AppError('Failed to cleanup audio files', 500);
-  }
+  res.json({
+    message: 'Cleanup completed',
+    deleted,
+    deletedSize: deletedBytes,
+    cache: ttsCacheService.getStats()
+  });
 }));
 
 module.exports = router;
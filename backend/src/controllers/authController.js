@@ -0,0 +1,103 @@
+const express = require('express');
+const { catchAsync, AppError } = require('../utils/errorHandler');
+const authService = require('../services/authService');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Admins that belong to a tenant can only manage that tenant's users and keys,
+ * and everything they create belongs to it
+ */
+function tenantFor(req) {
+  const own = req.user.tenantId;
+  if (own && req.body && req.body.tenantId && req.body.tenantId !== own) {
+    throw new AppError('You can only create users and API keys for your own tenant', 403);
+  }
+  return own || (req.body && req.body.tenantId) || null;
+}
+
+/**
+ * Exchange email + password for a JWT
+ */
+router.post('/login', catchAsync(async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    throw new AppError('email and password are required', 400);
+  }
+
+  const session = await authService.login(email, password);
+
+  res.json({
+    success: true,
+    data: session
+  });
+}));
+
+/**
+ * Who am I (works for users and API keys)
+ */
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    data: { user: req.user }
+  });
+});
+
+router.get('/users', auth.authorize('admin'), catchAsync(async (req, res) => {
+  const users = await authService.listUsers({ tenantId: req.user.tenantId });
+
+  res.json({
+    success: true,
+    data: { users, count: users.length }
+  });
+}));
+
+router.post('/users', auth.authorize('admin'), catchAsync(async (req, res) => {
+  const user = await authService.createUser({ ...req.body, tenantId: tenantFor(req) });
+
+  res.status(201).json({
+    success: true,
+    message: 'User created',
+    data: { user }
+  });
+}));
+
+router.get('/api-keys', auth.authorize('admin'), catchAsync(async (req, res) => {
+  const apiKeys = await authService.listApiKeys({ tenantId: req.user.tenantId });
+
+  res.json({
+    success: true,
+    data: { apiKeys, count: apiKeys.length }
+  });
+}));
+
+/**
+ * Create an API key; the key itself is only shown in this response
+ */
+router.post('/api-keys', auth.authorize('admin'), catchAsync(async (req, res) => {
+  const { key, apiKey } = await authService.createApiKey({ ...req.body, tenantId: tenantFor(req) });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Store it now - it cannot be shown again.',
+    data: { key, apiKey }
+  });
+}));
+
+router.delete('/api-keys/:apiKeyId', auth.authorize('admin'), catchAsync(async (req, res) => {
+  const apiKey = await authService.revokeApiKey(req.params.apiKeyId, { tenantId: req.user.tenantId });
+
+  if (!apiKey) {
+    throw new AppError('API key not found', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'API key revoked',
+    data: { apiKey }
+  });
+}));
+
+module.exports = router;
@@ -4,27 +4,59 @@ const { catchAsync, AppError } = require('../utils/errorHandler');
 const twilioService = require('../services/twilioService');
 const conversationService = require('../services/conversationService');
 const googleSheetsService = require('../services/googleSheetsService');
+const scriptService = require('../services/scriptService');
+const callHistoryService = require('../services/callHistoryService');
+const dialQueueService = require('../services/dialQueueService');
+const retryService = require('../services/retryService');
+const tenantService = require('../services/tenantService');
+const auth = require('../middleware/auth');
+const phoneUtil = require('../utils/phone');
 
 const router = express.Router();
 
+/**
+ * Other tenants' calls look like calls that don't exist
+ */
+async function assertCallAccess(req, callSid) {
+  const scope = tenantService.scopeFor(req);
+  if (!scope) {
+    return;
+  }
+
+  const call = await callHistoryService.getCall(callSid);
+  if (!call || !tenantService.canAccess(scope, call)) {
+    throw new AppError('Call not found', 404);
+  }
+}
+
+/**
+ * Turn away numbers we could never dial before anything is queued or placed
+ */
+function assertDialable(phoneNumber, tenant) {
+  if (!phoneUtil.isValidPhone(phoneNumber, tenant.country)) {
+    throw new AppError(`Invalid phone number: ${phoneNumber || '(none)'}`, 400);
+  }
+}
+
 /**
  * Initiate a new call
  */
-router.post('/initiate', catchAsync(async (req, res) => {
+router.post('/initiate', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
   const { customerId, phoneNumber } = req.body;
 
   if (!customerId && !phoneNumber) {
     throw new AppError('Either customerId or phoneNumber is required', 400);
   }
 
-  callLogger.info('Call initiation requested', { customerId, phoneNumber });
+  const tenant = tenantService.forRequest(req);
+  callLogger.info('Call initiation requested', { customerId, phoneNumber, tenantId: tenant.id });
 
   try {
     let customerData;
 
     if (customerId) {
-      // Get customer data from sheets
-      const customers = await googleSheetsService.getCustomerData();
+      // Get customer data from the tenant's sheet
+      const customers = await googleSheetsService.getCustomerData(null, { tenantId: tenant.id });
       customerData = customers.find(c => c.id === customerId || c.customerId === customerId);
       
       if (!customerData) {
@@ -35,16 +67,19 @@ router.post('/initiate', catchAsync(async (req, res) => {
       customerData = {
         id: `TEMP_${Date.now()}`,
         name: 'Customer',
-        phone: phoneNumber,
+        phone: phoneUtil.toE164(phoneNumber, tenant.country) || phoneNumber,
         carModel: 'vehicle',
-        dealershipName: 'Premier Auto'
+        dealershipName: tenant.name
       };
     }
 
+    assertDialable(customerData.phone, tenant);
+
     // Initiate the call
     const callResult = await twilioService.initiateCall(
       customerData.phone,
-      customerData
+      customerData,
+      { source: 'api', tenantId: tenant.id }
     );
 
     res.json({
@@ -73,9 +108,10 @@ router.post('/initiate', catchAsync(async (req, res) => {
  */
 router.get('/status/:callSid', catchAsync(async (req, res) => {
   const { callSid } = req.params;
+  await assertCallAccess(req, callSid);
 
   const callDetails = await twilioService.getCallDetails(callSid);
-  const conversation = conversationService.getConversation(callSid);
+  const conversation = await conversationService.getConversation(callSid);
 
   res.json({
     success: true,
@@ -84,6 +120,7 @@ router.get('/status/:callSid', catchAsync(async (req, res) => {
       conversation: conversation ? {
         id: conversation.id,
         currentStep: conversation.currentStep,
+        script: conversation.script,
         turnCount: conversation.turnCount,
         startTime: conversation.startTime,
         context: conversation.context
@@ -95,11 +132,12 @@ router.get('/status/:callSid', catchAsync(async (req, res) => {
 /**
  * End a call
  */
-router.post('/end/:callSid', catchAsync(async (req, res) => {
+router.post('/end/:callSid', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
   const { callSid } = req.params;
+  await assertCallAccess(req, callSid);
 
   await twilioService.endCall(callSid);
-  conversationService.cleanupConversation(callSid);
+  await conversationService.cleanupConversation(callSid);
 
   res.json({
     success: true,
@@ -113,9 +151,9 @@ router.post('/end/:callSid', catchAsync(async (req, res) => {
 router.get('/conversation/:callSid', catchAsync(async (req, res) => {
   const { callSid } = req.params;
   
-  const conversation = conversationService.getConversation(callSid);
+  const conversation = await conversationService.getConversation(callSid);
   
-  if (!conversation) {
+  if (!conversation || !tenantService.canAccess(tenantService.scopeFor(req), conversation)) {
     throw new AppError('Conversation not found', 404);
   }
 
@@ -125,6 +163,7 @@ router.get('/conversation/:callSid', catchAsync(async (req, res) => {
       conversationId: conversation.id,
       customerData: conversation.customerData,
       currentStep: conversation.currentStep,
+      script: conversation.script,
       history: conversation.history,
       context: conversation.context,
       startTime: conversation.startTime,
@@ -134,91 +173,148 @@ router.get('/conversation/:callSid', catchAsync(async (req, res) => {
 }));
 
 /**
- * Bulk initiate calls for multiple customers
+ * Queue calls for multiple customers. Returns 202 straight away; the dial queue
+ * places the calls in the background within its concurrency and rate limits.
  */
-router.post('/bulk-initiate', catchAsync(async (req, res) => {
-  const { customerIds, delay = 5000 } = req.body;
+router.post('/bulk-initiate', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
+  const { customerIds, campaign, scriptId } = req.body;
 
   if (!customerIds || !Array.isArray(customerIds)) {
     throw new AppError('customerIds array is required', 400);
   }
 
-  callLogger.info('Bulk call initiation requested', { 
-    count: customerIds.length,
-    delay 
+  const tenant = tenantService.forRequest(req);
+  callLogger.info('Bulk call initiation requested', { count: customerIds.length, tenantId: tenant.id });
+
+  const customers = await googleSheetsService.getCustomerData(null, { tenantId: tenant.id });
+  const found = [];
+  const notFound = [];
+  const invalid = [];
+
+  for (const customerId of customerIds) {
+    const customerData = customers.find(c => c.id === customerId || c.customerId === customerId);
+    if (!customerData) {
+      notFound.push({ customerId, success: false, error: 'Customer not found' });
+    } else if (!phoneUtil.isValidPhone(customerData.phone, tenant.country)) {
+      invalid.push({ customerId, success: false, error: `Invalid phone number: ${customerData.phone || '(none)'}` });
+    } else {
+      found.push({ ...customerData, id: customerData.id || customerId });
+    }
+  }
+
+  const { batchId, results: queued } = await dialQueueService.enqueueBatch(found, {
+    tenantId: tenant.id,
+    campaign,
+    scriptId,
+    source: 'bulk'
   });
 
-  const results = [];
-  const customers = await googleSheetsService.getCustomerData();
+  const results = [
+    ...queued.map(result => ({ ...result, success: true })),
+    ...notFound,
+    ...invalid
+  ];
 
-  for (let i = 0; i < customerIds.length; i++) {
-    const customerId = customerIds[i];
-    
-    try {
-      const customerData = customers.find(c => c.id === customerId || c.customerId === customerId);
-      
-      if (!customerData) {
-        results.push({
-          customerId,
-          success: false,
-          error: 'Customer not found'
-        });
-        continue;
+  res.status(202).json({
+    success: true,
+    message: `${queued.length} calls queued, ${notFound.length} customers not found, ${invalid.length} with invalid numbers.`,
+    data: {
+      batchId,
+      results,
+      summary: {
+        total: customerIds.length,
+        queued: queued.filter(result => !result.duplicate).length,
+        duplicates: queued.filter(result => result.duplicate).length,
+        failed: notFound.length + invalid.length
       }
+    }
+  });
+}));
 
-      const callResult = await twilioService.initiateCall(
-        customerData.phone,
-        customerData
-      );
+/**
+ * Progress of a bulk-initiate batch
+ */
+router.get('/batches/:batchId', catchAsync(async (req, res) => {
+  const batch = await dialQueueService.getBatch(req.params.batchId, { tenantId: tenantService.scopeFor(req) });
 
-      results.push({
-        customerId,
-        success: true,
-        callSid: callResult.callSid,
-        status: callResult.status
-      });
+  if (!batch) {
+    throw new AppError('Batch not found', 404);
+  }
 
-      // Add delay between calls to avoid rate limiting
-      if (i < customerIds.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+  res.json({
+    success: true,
+    data: batch
+  });
+}));
 
-    } catch (error) {
-      callLogger.error('Failed to initiate bulk call', {
-        error: error.message,
-        customerId
-      });
-      
-      results.push({
-        customerId,
-        success: false,
-        error: error.message
-      });
-    }
+/**
+ * Cancel the batch's calls that haven't been dialled yet
+ */
+router.post('/batches/:batchId/cancel', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
+  const batch = await dialQueueService.cancelBatch(req.params.batchId, { tenantId: tenantService.scopeFor(req) });
+
+  if (!batch) {
+    throw new AppError('Batch not found', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Queued calls cancelled',
+    data: batch
+  });
+}));
+
+/**
+ * A single dial job
+ */
+router.get('/jobs/:jobId', catchAsync(async (req, res) => {
+  const job = await dialQueueService.getJob(req.params.jobId);
+
+  if (!job || !tenantService.canAccess(tenantService.scopeFor(req), job)) {
+    throw new AppError('Dial job not found', 404);
   }
 
-  const successCount = results.filter(r => r.success).length;
-  const failureCount = results.length - successCount;
+  res.json({
+    success: true,
+    data: { job }
+  });
+}));
+
+/**
+ * Unanswered-attempt counts and scheduled retries per customer (filter: status)
+ */
+router.get('/attempts', catchAsync(async (req, res) => {
+  const attempts = await retryService.listAttempts({ ...req.query, tenantId: tenantService.scopeFor(req) });
 
   res.json({
     success: true,
-    message: `Bulk call initiation completed. ${successCount} successful, ${failureCount} failed.`,
     data: {
-      results,
-      summary: {
-        total: results.length,
-        successful: successCount,
-        failed: failureCount
-      }
+      attempts,
+      count: attempts.length,
+      policy: retryService.policy
     }
   });
 }));
 
+router.get('/attempts/:customerId', catchAsync(async (req, res) => {
+  const tenant = tenantService.forRequest(req);
+  const attempts = await retryService.getAttempts(dialQueueService.customerKey({ id: req.params.customerId }, tenant.id));
+
+  if (!attempts) {
+    throw new AppError('No call attempts recorded for this customer', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { attempts }
+  });
+}));
+
 /**
  * Get customers ready for calling
  */
 router.get('/customers/ready', catchAsync(async (req, res) => {
-  const customers = await googleSheetsService.getCustomersForCalling();
+  const customers = await googleSheetsService.getCustomersForCalling({ tenantId: tenantService.forRequest(req).id });
 
   res.json({
     success: true,
@@ -234,8 +330,8 @@ router.get('/customers/ready', catchAsync(async (req, res) => {
  */
 router.get('/statistics', catchAsync(async (req, res) => {
   const [sheetStats, conversationStats] = await Promise.all([
-    googleSheetsService.getCallStatistics(),
-    conversationService.getConversationStats()
+    googleSheetsService.getCallStatistics({ tenantId: tenantService.forRequest(req).id }),
+    conversationService.getConversationStats({ tenantId: tenantService.scopeFor(req) })
   ]);
 
   res.json({
@@ -251,24 +347,28 @@ router.get('/statistics', catchAsync(async (req, res) => {
 /**
  * Test call functionality
  */
-router.post('/test', catchAsync(async (req, res) => {
+router.post('/test', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
   const { phoneNumber } = req.body;
 
   if (!phoneNumber) {
     throw new AppError('phoneNumber is required for test call', 400);
   }
 
+  const tenant = tenantService.forRequest(req);
+  assertDialable(phoneNumber, tenant);
+
   const testCustomerData = {
     id: 'TEST_' + Date.now(),
     name: 'Test Customer',
-    phone: phoneNumber,
+    phone: phoneUtil.toE164(phoneNumber, tenant.country),
     carModel: 'Test Vehicle',
-    dealershipName: 'Premier Auto'
+    dealershipName: tenant.name
   };
 
   const callResult = await twilioService.initiateCall(
-    phoneNumber,
-    testCustomerData
+    testCustomerData.phone,
+    testCustomerData,
+    { source: 'test', tenantId: tenant.id }
   );
 
   res.json({
@@ -277,7 +377,7 @@ router.post('/test', catchAsync(async (req, res) => {
     data: {
       callSid: callResult.callSid,
       status: callResult.status,
-      phoneNumber
+      phoneNumber: testCustomerData.phone
     }
   });
 }));
@@ -286,7 +386,7 @@ router.post('/test', catchAsync(async (req, res) => {
  * Get active calls
  */
 router.get('/active', catchAsync(async (req, res) => {
-  const conversationStats = conversationService.getConversationStats();
+  const conversationStats = await conversationService.getConversationStats({ tenantId: tenantService.scopeFor(req) });
 
   res.json({
     success: true,
@@ -301,7 +401,7 @@ router.get('/active', catchAsync(async (req, res) => {
 /**
  * Manual conversation step override (for testing/debugging)
  */
-router.post('/conversation/:callSid/step', catchAsync(async (req, res) => {
+router.post('/conversation/:callSid/step', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
   const { callSid } = req.params;
   const { step, customerInput } = req.body;
 
@@ -309,14 +409,20 @@ router.post('/conversation/:callSid/step', catchAsync(async (req, res) => {
     throw new AppError('step is required', 400);
   }
 
-  const conversation = conversationService.getConversation(callSid);
+  const conversation = await conversationService.getConversation(callSid);
   
-  if (!conversation) {
+  if (!conversation || !tenantService.canAccess(tenantService.scopeFor(req), conversation)) {
     throw new AppError('Conversation not found', 404);
   }
 
+  const script = scriptService.getScript(conversation.script.id, conversation.script.version);
+  if (!script || !script.nodes[step]) {
+    throw new AppError(`Unknown step "${step}" for script ${conversation.script.id}@${conversation.script.version}`, 400);
+  }
+
   // Update conversation step
   conversation.currentStep = step;
+  await conversationService.saveConversation(conversation);
 
   if (customerInput) {
     const result = await conversationService.processCustomerInput(
@@ -328,7 +434,7 @@ router.post('/conversation/:callSid/step', catchAsync(async (req, res) => {
       success: true,
       message: 'Conversation step updated and processed',
       data: {
-        currentStep: conversation.currentStep,
+        currentStep: result.nextStep,
         response: result.response,
         nextStep: result.nextStep
       }
@@ -344,4 +450,73 @@ router.post('/conversation/:callSid/step', catchAsync(async (req, res) => {
   }
 }));
 
+/**
+ * List recorded calls with optional filters
+ * (customerId, phone, campaign, outcome, status, scriptId, from, to, limit, offset)
+ */
+router.get('/', catchAsync(async (req, res) => {
+  const { from, to } = req.query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      throw new AppError(`Invalid ${name} date: ${value}`, 400);
+    }
+  }
+
+  const result = await callHistoryService.listCalls({ ...req.query, tenantId: tenantService.scopeFor(req) });
+
+  res.json({
+    success: true,
+    data: {
+      calls: result.calls,
+      count: result.calls.length,
+      total: result.total,
+      limit: result.limit,
+      offset: result.offset
+    }
+  });
+}));
+
+/**
+ * Get a recorded call
+ */
+router.get('/:callSid', catchAsync(async (req, res) => {
+  const { callSid } = req.params;
+
+  const call = await callHistoryService.getCall(callSid);
+
+  if (!call || !tenantService.canAccess(tenantService.scopeFor(req), call)) {
+    throw new AppError('Call not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { call }
+  });
+}));
+
+/**
+ * Get the full transcript of a recorded call
+ */
+router.get('/:callSid/transcript', catchAsync(async (req, res) => {
+  const { callSid } = req.params;
+
+  const call = await callHistoryService.getCall(callSid);
+
+  if (!call || !tenantService.canAccess(tenantService.scopeFor(req), call)) {
+    throw new AppError('Call not found', 404);
+  }
+
+  const turns = await callHistoryService.getTranscript(callSid);
+
+  res.json({
+    success: true,
+    data: {
+      call,
+      turns,
+      turnCount: turns.length
+    }
+  });
+}));
+
 module.exports = router;
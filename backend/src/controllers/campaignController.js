@@ -0,0 +1,112 @@
+const express = require('express');
+const { catchAsync, AppError } = require('../utils/errorHandler');
+const campaignService = require('../services/campaignService');
+const tenantService = require('../services/tenantService');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * A campaign the request may see; other tenants' campaigns are 404s
+ */
+async function findCampaign(req, campaignId) {
+  const campaign = await campaignService.getCampaign(campaignId);
+
+  if (!campaign || !tenantService.canAccess(tenantService.scopeFor(req), campaign)) {
+    throw new AppError('Campaign not found', 404);
+  }
+  return campaign;
+}
+
+/**
+ * List campaigns with their progress counters (filter: status)
+ */
+router.get('/', catchAsync(async (req, res) => {
+  const campaigns = await campaignService.listCampaigns({ ...req.query, tenantId: tenantService.scopeFor(req) });
+  const withProgress = await Promise.all(campaigns.map(async campaign => ({
+    ...campaign,
+    progress: await campaignService.getProgress(campaign.id)
+  })));
+
+  res.json({
+    success: true,
+    data: {
+      campaigns: withProgress,
+      count: withProgress.length
+    }
+  });
+}));
+
+/**
+ * Create a campaign (starts in draft)
+ */
+router.post('/', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
+  const campaign = await campaignService.createCampaign({
+    ...req.body,
+    tenantId: tenantService.forRequest(req).id,
+    createdBy: req.user ? req.user.id : null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Campaign created',
+    data: { campaign }
+  });
+}));
+
+router.get('/:campaignId', catchAsync(async (req, res) => {
+  const campaign = await findCampaign(req, req.params.campaignId);
+
+  res.json({
+    success: true,
+    data: {
+      campaign,
+      progress: await campaignService.getProgress(campaign.id)
+    }
+  });
+}));
+
+/**
+ * Leads in a campaign with their attempts (filter: status)
+ */
+router.get('/:campaignId/leads', catchAsync(async (req, res) => {
+  const campaign = await findCampaign(req, req.params.campaignId);
+
+  const leads = await campaignService.listLeads(campaign.id, req.query);
+
+  res.json({
+    success: true,
+    data: {
+      leads,
+      count: leads.length
+    }
+  });
+}));
+
+/**
+ * start, pause, resume and cancel
+ */
+const ACTIONS = {
+  start: 'startCampaign',
+  pause: 'pauseCampaign',
+  resume: 'resumeCampaign',
+  cancel: 'cancelCampaign'
+};
+
+for (const [action, method] of Object.entries(ACTIONS)) {
+  router.post(`/:campaignId/${action}`, auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
+    await findCampaign(req, req.params.campaignId);
+    const campaign = await campaignService[method](req.params.campaignId);
+
+    res.json({
+      success: true,
+      message: `Campaign ${campaign.status}`,
+      data: {
+        campaign,
+        progress: await campaignService.getProgress(campaign.id)
+      }
+    });
+  }));
+}
+
+module.exports = router;
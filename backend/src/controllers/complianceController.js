@@ -0,0 +1,173 @@
+const express = require('express');
+const multer = require('multer');
+const { catchAsync, AppError } = require('../utils/errorHandler');
+const complianceService = require('../services/complianceService');
+const tenantService = require('../services/tenantService');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.(csv|txt)$/i.test(file.originalname) || ['text/csv', 'text/plain'].includes(file.mimetype);
+    cb(isCsv ? null : new AppError('DNC imports must be a CSV file', 400), isCsv);
+  }
+});
+
+/**
+ * Single CSV upload in the "file" field; multer errors become 400s
+ */
+const uploadCsv = (req, res, next) => {
+  upload.single('file')(req, res, error => {
+    if (error instanceof multer.MulterError) {
+      return next(new AppError(`Upload failed: ${error.message}`, 400));
+    }
+    next(error);
+  });
+};
+
+/**
+ * A tenant's DNC entries and audit log are its own, though every tenant's entries
+ * suppress dials for all of them
+ */
+async function findDncEntry(req, phoneNumber) {
+  const entry = await complianceService.getDncEntry(phoneNumber, { country: tenantService.forRequest(req).country });
+  const scope = tenantService.scopeFor(req);
+  return entry && (!scope || entry.tenantId === scope) ? entry : null;
+}
+
+/**
+ * List the do-not-call list (filter: source)
+ */
+router.get('/dnc', catchAsync(async (req, res) => {
+  const entries = await complianceService.listDnc({ ...req.query, tenantId: tenantService.scopeFor(req) });
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      count: entries.length
+    }
+  });
+}));
+
+/**
+ * Add a number to the do-not-call list
+ */
+router.post('/dnc', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
+  const { phoneNumber, reason, customerId } = req.body;
+
+  if (!phoneNumber) {
+    throw new AppError('phoneNumber is required', 400);
+  }
+
+  const tenant = tenantService.forRequest(req);
+  const { entry, added } = await complianceService.addToDnc(phoneNumber, {
+    reason,
+    customerId,
+    source: 'internal',
+    addedBy: req.user ? req.user.id : null,
+    tenantId: tenant.id,
+    country: tenant.country
+  });
+
+  res.status(added ? 201 : 200).json({
+    success: true,
+    message: added ? 'Number added to do-not-call list' : 'Number was already on the do-not-call list',
+    data: { entry }
+  });
+}));
+
+/**
+ * Import an external do-not-call list from a CSV upload
+ */
+router.post('/dnc/import', auth.authorize('campaign_manager'), uploadCsv, catchAsync(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('A CSV file is required in the "file" field', 400);
+  }
+
+  const tenant = tenantService.forRequest(req);
+  const summary = await complianceService.importDncCsv(req.file.buffer.toString('utf8'), {
+    source: req.body.source || 'import',
+    reason: req.body.reason,
+    addedBy: req.user ? req.user.id : null,
+    tenantId: tenant.id,
+    country: tenant.country
+  });
+
+  res.json({
+    success: true,
+    message: `Imported ${summary.added} numbers`,
+    data: summary
+  });
+}));
+
+router.get('/dnc/:phoneNumber', catchAsync(async (req, res) => {
+  const entry = await findDncEntry(req, req.params.phoneNumber);
+
+  if (!entry) {
+    throw new AppError('Number is not on the do-not-call list', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { entry }
+  });
+}));
+
+router.delete('/dnc/:phoneNumber', auth.authorize('admin'), catchAsync(async (req, res) => {
+  const removed = await findDncEntry(req, req.params.phoneNumber) &&
+    await complianceService.removeFromDnc(req.params.phoneNumber, {
+      country: tenantService.forRequest(req).country,
+      removedBy: req.user ? req.user.id : null
+    });
+
+  if (!removed) {
+    throw new AppError('Number is not on the do-not-call list', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Number removed from do-not-call list'
+  });
+}));
+
+/**
+ * Would a call to this number be allowed right now? Nothing is logged.
+ */
+router.get('/check', catchAsync(async (req, res) => {
+  const { phoneNumber } = req.query;
+
+  if (!phoneNumber) {
+    throw new AppError('phoneNumber is required', 400);
+  }
+
+  res.json({
+    success: true,
+    data: await complianceService.checkDial(phoneNumber, { country: tenantService.forRequest(req).country })
+  });
+}));
+
+/**
+ * Blocked dials, newest first (filters: reason, phoneNumber, customerId, limit)
+ */
+router.get('/audit', catchAsync(async (req, res) => {
+  const entries = await complianceService.listAudit({
+    ...req.query,
+    phone: req.query.phoneNumber,
+    country: tenantService.forRequest(req).country,
+    tenantId: tenantService.scopeFor(req)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      count: entries.length
+    }
+  });
+}));
+
+module.exports = router;
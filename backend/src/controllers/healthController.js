@@ -6,6 +6,8 @@ const emailService = require('../services/emailService');
 const conversationService = require('../services/conversationService');
 const deepgramService = require('../services/deepgramService');
 const elevenlabsService = require('../services/elevenlabsService');
+const ttsCacheService = require('../services/ttsCacheService');
+const tenantService = require('../services/tenantService');
 
 const router = express.Router();
 
@@ -113,7 +115,7 @@ router.get('/detailed', catchAsync(async (req, res) => {
 
   // Check conversation service
   try {
-    const stats = conversationService.getConversationStats();
+    const stats = await conversationService.getConversationStats();
     healthChecks.services.conversations = {
       status: 'healthy',
       message: 'Service operational',
@@ -206,8 +208,11 @@ router.get('/metrics', catchAsync(async (req, res) => {
       nodeVersion: process.version
     },
     application: {
-      activeConversations: conversationService.getActiveConversationsCount(),
-      conversationStats: conversationService.getConversationStats()
+      activeConversations: await conversationService.getActiveConversationsCount(),
+      conversationStats: await conversationService.getConversationStats(),
+      speech: elevenlabsService.getStreamingStats(),
+      ttsCache: ttsCacheService.getStats(),
+      sheets: googleSheetsService.getStats()
     },
     timestamp: new Date().toISOString()
   };
@@ -253,6 +258,10 @@ router.get('/config', (req, res) => {
       },
       deepgram: {
         configured: !!process.env.DEEPGRAM_API_KEY
+      },
+      tenants: {
+        count: tenantService.list().length,
+        tenantsFile: process.env.TENANTS_FILE ? '***configured***' : 'not configured'
       }
     },
     features: {
@@ -0,0 +1,73 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { catchAsync, AppError } = require('../utils/errorHandler');
+const scriptService = require('../services/scriptService');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * List loaded conversation scripts and their versions
+ */
+router.get('/', (req, res) => {
+  const scripts = scriptService.listScripts();
+
+  res.json({
+    success: true,
+    data: {
+      scripts,
+      defaultScriptId: scriptService.defaultScriptId,
+      count: scripts.length
+    }
+  });
+});
+
+/**
+ * Get a script definition (latest version unless ?version= is given)
+ */
+router.get('/:scriptId', (req, res) => {
+  const { scriptId } = req.params;
+  const { version } = req.query;
+
+  const script = scriptService.getScript(scriptId, version);
+
+  if (!script) {
+    throw new AppError(`Script ${scriptId}${version ? `@${version}` : ''} not found`, 404);
+  }
+
+  res.json({
+    success: true,
+    data: { script }
+  });
+});
+
+/**
+ * Validate a script definition without registering it
+ */
+router.post('/validate', auth.authorize('campaign_manager'), (req, res) => {
+  const errors = scriptService.validateScript(req.body);
+
+  res.json({
+    success: true,
+    data: {
+      valid: errors.length === 0,
+      errors
+    }
+  });
+});
+
+/**
+ * Reload scripts from disk (picks up new versions without a restart)
+ */
+router.post('/reload', auth.authorize('admin'), catchAsync(async (req, res) => {
+  scriptService.loadScripts();
+  logger.info('Conversation scripts reloaded via API');
+
+  res.json({
+    success: true,
+    message: 'Scripts reloaded',
+    data: { scripts: scriptService.listScripts() }
+  });
+}));
+
+module.exports = router;
@@ -2,14 +2,23 @@ const express = require('express');
 const { sheetsLogger } = require('../utils/logger');
 const { catchAsync, AppError } = require('../utils/errorHandler');
 const googleSheetsService = require('../services/googleSheetsService');
+const tenantService = require('../services/tenantService');
+const auth = require('../middleware/auth');
 
 const router = express.Router();
 
+/**
+ * Every route works on the sheet of the tenant the request is for
+ */
+function sheetOptions(req) {
+  return { tenantId: tenantService.forRequest(req).id };
+}
+
 /**
  * Get all customer data
  */
 router.get('/customers', catchAsync(async (req, res) => {
-  const customers = await googleSheetsService.getCustomerData();
+  const customers = await googleSheetsService.getCustomerData(null, sheetOptions(req));
 
   res.json({
     success: true,
@@ -24,7 +33,7 @@ router.get('/customers', catchAsync(async (req, res) => {
  * Get customers ready for calling
  */
 router.get('/customers/ready', catchAsync(async (req, res) => {
-  const customers = await googleSheetsService.getCustomersForCalling();
+  const customers = await googleSheetsService.getCustomersForCalling(sheetOptions(req));
 
   res.json({
     success: true,
@@ -41,7 +50,7 @@ router.get('/customers/ready', catchAsync(async (req, res) => {
 router.get('/customers/:customerId', catchAsync(async (req, res) => {
   const { customerId } = req.params;
   
-  const customers = await googleSheetsService.getCustomerData();
+  const customers = await googleSheetsService.getCustomerData(null, sheetOptions(req));
   const customer = customers.find(c => c.id === customerId || c.customerId === customerId);
 
   if (!customer) {
@@ -57,7 +66,7 @@ router.get('/customers/:customerId', catchAsync(async (req, res) => {
 /**
  * Add new customer
  */
-router.post('/customers', catchAsync(async (req, res) => {
+router.post('/customers', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
   const customerData = req.body;
 
   // Validate required fields
@@ -65,7 +74,7 @@ router.post('/customers', catchAsync(async (req, res) => {
     throw new AppError('Name and phone are required fields', 400);
   }
 
-  const result = await googleSheetsService.addCustomer(customerData);
+  const result = await googleSheetsService.addCustomer(customerData, sheetOptions(req));
 
   res.status(201).json({
     success: true,
@@ -77,7 +86,7 @@ router.post('/customers', catchAsync(async (req, res) => {
 /**
  * Update customer record
  */
-router.put('/customers/:customerId', catchAsync(async (req, res) => {
+router.put('/customers/:customerId', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
   const { customerId } = req.params;
   const updateData = req.body;
 
@@ -85,7 +94,7 @@ router.put('/customers/:customerId', catchAsync(async (req, res) => {
     throw new AppError('Update data is required', 400);
   }
 
-  const result = await googleSheetsService.updateCustomerRecord(customerId, updateData);
+  const result = await googleSheetsService.updateCustomerRecord(customerId, updateData, { ...sheetOptions(req), wait: true });
 
   res.json({
     success: true,
@@ -98,7 +107,7 @@ router.put('/customers/:customerId', catchAsync(async (req, res) => {
  * Get call statistics
  */
 router.get('/statistics', catchAsync(async (req, res) => {
-  const stats = await googleSheetsService.getCallStatistics();
+  const stats = await googleSheetsService.getCallStatistics(sheetOptions(req));
 
   res.json({
     success: true,
@@ -110,7 +119,7 @@ router.get('/statistics', catchAsync(async (req, res) => {
  * Validate sheet structure
  */
 router.get('/validate', catchAsync(async (req, res) => {
-  const validation = await googleSheetsService.validateSheetStructure();
+  const validation = await googleSheetsService.validateSheetStructure(sheetOptions(req));
 
   res.json({
     success: true,
@@ -121,36 +130,35 @@ router.get('/validate', catchAsync(async (req, res) => {
 /**
  * Bulk update customers
  */
-router.put('/customers/bulk', catchAsync(async (req, res) => {
+router.put('/customers/bulk', auth.authorize('campaign_manager'), catchAsync(async (req, res) => {
   const { updates } = req.body;
 
   if (!updates || !Array.isArray(updates)) {
     throw new AppError('Updates array is required', 400);
   }
 
-  const results = [];
+  // Sent together so the queued writes go out as one batch
+  const results = await Promise.all(updates.map(async update => {
+    if (!update.customerId || !update.data) {
+      return {
+        customerId: update.customerId || 'unknown',
+        success: false,
+        error: 'customerId and data are required'
+      };
+    }
 
-  for (const update of updates) {
     try {
-      if (!update.customerId || !update.data) {
-        results.push({
-          customerId: update.customerId || 'unknown',
-          success: false,
-          error: 'customerId and data are required'
-        });
-        continue;
-      }
-
       const result = await googleSheetsService.updateCustomerRecord(
         update.customerId,
-        update.data
+        update.data,
+        { ...sheetOptions(req), wait: true }
       );
 
-      results.push({
+      return {
         customerId: update.customerId,
         success: true,
         updatedFields: result.updatedFields
-      });
+      };
 
     } catch (error) {
       sheetsLogger.error('Bulk update failed for customer', {
@@ -158,13 +166,13 @@ router.put('/customers/bulk', catchAsync(async (req, res) => {
         error: error.message
       });
 
-      results.push({
+      return {
         customerId: update.customerId,
         success: false,
         error: error.message
-      });
+      };
     }
-  }
+  }));
 
   const successCount = results.filter(r => r.success).length;
   const failureCount = results.length - successCount;
@@ -190,7 +198,7 @@ router.get('/customers/search/:query', catchAsync(async (req, res) => {
   const { query } = req.params;
   const { field = 'all' } = req.query;
 
-  const customers = await googleSheetsService.getCustomerData();
+  const customers = await googleSheetsService.getCustomerData(null, sheetOptions(req));
   const lowerQuery = query.toLowerCase();
 
   let filteredCustomers;
@@ -224,7 +232,7 @@ router.get('/customers/search/:query', catchAsync(async (req, res) => {
 router.get('/customers/status/:status', catchAsync(async (req, res) => {
   const { status } = req.params;
   
-  const customers = await googleSheetsService.getCustomerData();
+  const customers = await googleSheetsService.getCustomerData(null, sheetOptions(req));
   const filteredCustomers = customers.filter(customer => 
     customer.status && customer.status.toLowerCase() === status.toLowerCase()
   );
@@ -243,7 +251,7 @@ router.get('/customers/status/:status', catchAsync(async (req, res) => {
  * Get customers called today
  */
 router.get('/customers/called-today', catchAsync(async (req, res) => {
-  const customers = await googleSheetsService.getCustomerData();
+  const customers = await googleSheetsService.getCustomerData(null, sheetOptions(req));
   const today = new Date().toISOString().split('T')[0];
   
   const calledToday = customers.filter(customer => 
@@ -265,7 +273,7 @@ router.get('/customers/called-today', catchAsync(async (req, res) => {
  */
 router.get('/export', catchAsync(async (req, res) => {
   const { format = 'json' } = req.query;
-  const customers = await googleSheetsService.getCustomerData();
+  const customers = await googleSheetsService.getCustomerData(null, sheetOptions(req));
 
   if (format === 'csv') {
     // Convert to CSV
@@ -299,8 +307,8 @@ router.get('/export', catchAsync(async (req, res) => {
  */
 router.get('/test', catchAsync(async (req, res) => {
   try {
-    const validation = await googleSheetsService.validateSheetStructure();
-    const customers = await googleSheetsService.getCustomerData();
+    const validation = await googleSheetsService.validateSheetStructure(sheetOptions(req));
+    const customers = await googleSheetsService.getCustomerData(null, sheetOptions(req));
 
     res.json({
       success: true,
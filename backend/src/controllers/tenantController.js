@@ -0,0 +1,40 @@
+const express = require('express');
+const { catchAsync, AppError } = require('../utils/errorHandler');
+const tenantService = require('../services/tenantService');
+
+const router = express.Router();
+
+/**
+ * Dealerships served by this deployment (a tenant's own users only see theirs)
+ */
+router.get('/', catchAsync(async (req, res) => {
+  const own = req.user && req.user.tenantId;
+  const tenants = tenantService.list()
+    .filter(tenant => !own || tenant.id === own)
+    .map(tenant => tenantService.toPublic(tenant));
+
+  res.json({
+    success: true,
+    data: {
+      tenants,
+      defaultTenantId: tenantService.defaultTenantId,
+      count: tenants.length
+    }
+  });
+}));
+
+router.get('/:tenantId', catchAsync(async (req, res) => {
+  const own = req.user && req.user.tenantId;
+  const tenant = tenantService.get(req.params.tenantId);
+
+  if (!tenant || (own && tenant.id !== own)) {
+    throw new AppError('Tenant not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { tenant: tenantService.toPublic(tenant) }
+  });
+}));
+
+module.exports = router;
@@ -3,9 +3,13 @@ const { catchAsync, AppError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const elevenlabsService = require('../services/elevenlabsService');
 const deepgramService = require('../services/deepgramService');
+const auth = require('../middleware/auth');
 
 const router = express.Router();
 
+// Test endpoints spend provider credits, so they are admin-only
+router.use(auth.authorize('admin'));
+
 /**
  * Test ElevenLabs service
  */
@@ -1,11 +1,22 @@
 const express = require('express');
 const twilio = require('twilio');
 const logger = require('../utils/logger');
+const { twilioLogger } = logger;
 const { catchAsync } = require('../utils/errorHandler');
 const conversationService = require('../services/conversationService');
 const googleSheetsService = require('../services/googleSheetsService');
+const callHistoryService = require('../services/callHistoryService');
+const retryService = require('../services/retryService');
+const recordingService = require('../services/recordingService');
+const voicemailService = require('../services/voicemailService');
+const mediaStreamService = require('../services/mediaStreamService');
+const twilioService = require('../services/twilioService');
 const elevenlabsService = require('../services/elevenlabsService');
 const deepgramService = require('../services/deepgramService');
+const scriptService = require('../services/scriptService');
+const tenantService = require('../services/tenantService');
+const inboundService = require('../services/inboundService');
+const { FALLBACK_PROMPTS } = require('../config/speechPrompts');
 
 const router = express.Router();
 const VoiceResponse = twilio.twiml.VoiceResponse;
@@ -15,16 +26,16 @@ const useElevenLabs = process.env.USE_ELEVENLABS === 'true';
 const useDeepgram = process.env.USE_DEEPGRAM === 'true';
 
 /**
- * Helper function to add speech to TwiML using ElevenLabs ONLY
+ * Helper function to add speech to TwiML using ElevenLabs ONLY, in the tenant's voice when given
  */
-async function addSpeechToTwiML(twiml, text, baseUrl, callSid) {
+async function addSpeechToTwiML(twiml, text, baseUrl, callSid, voiceId = null) {
   // Check if ElevenLabs is enabled and working
   const elevenlabsHealth = await elevenlabsService.healthCheck();
 
   if (useElevenLabs && elevenlabsHealth.status === 'healthy') {
     try {
       logger.info('Generating ElevenLabs audio', { callSid, textLength: text.length });
-      const audioResult = await elevenlabsService.generateSpeechForTwilio(text, baseUrl);
+      const audioResult = await elevenlabsService.generateSpeechForTwilio(text, baseUrl, { voiceId });
 
       if (audioResult && audioResult.audioUrl) {
         twiml.play(audioResult.audioUrl);
@@ -58,11 +69,67 @@ async function addSpeechToTwiML(twiml, text, baseUrl, callSid) {
   return false;
 }
 
+/**
+ * The bot's name for a tenant: its own persona, else the campaign script's
+ */
+function personaFor(tenant, campaign) {
+  if (tenant.botName) {
+    return tenant.botName;
+  }
+  try {
+    const script = scriptService.getScriptForCampaign(campaign);
+    return (script && script.defaults && script.defaults.botName) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * ElevenLabs voice for the tenant a conversation or call record belongs to
+ */
+function voiceFor(record) {
+  const tenant = tenantService.get(tenantService.tenantIdOf(record));
+  return tenant ? tenant.voiceId : null;
+}
+
+/**
+ * The lead an outbound call is for: by the customerId we dialled with, else by the
+ * number we called
+ */
+async function findOutboundCustomer(tenant, customerId, phoneNumber) {
+  const options = { tenantId: tenant.id };
+
+  return (customerId && await googleSheetsService.findCustomer({ id: customerId }, options)) ||
+    await googleSheetsService.findCustomer({ phone: phoneNumber }, options);
+}
+
+/**
+ * An answering machine picked up and its greeting has finished: leave the voicemail
+ * prepared when the call was placed, then hang up. Faxes just get the hang up.
+ */
+async function leaveVoicemail(req, res) {
+  const { CallSid, AnsweredBy } = req.body;
+  const call = await callHistoryService.getCall(CallSid);
+  const voicemail = AnsweredBy === 'fax' ? null : call && call.voicemail;
+
+  twilioLogger.info('Call answered by machine', {
+    callSid: CallSid,
+    answeredBy: AnsweredBy,
+    leavingMessage: Boolean(voicemail)
+  });
+
+  // The retry scheduler reads the outcome when the call completes
+  await callHistoryService.updateCall(CallSid, { answeredBy: AnsweredBy, outcome: 'voicemail' });
+
+  res.type('text/xml');
+  res.send(voicemailService.buildTwiml(voicemail).toString());
+}
+
 /**
  * Handle incoming voice calls (initial webhook)
  */
 router.post('/voice', catchAsync(async (req, res) => {
-  const { CallSid, From, To } = req.body;
+  const { CallSid, From, To, Direction } = req.body;
 
   logger.info('Voice webhook received', {
     callSid: CallSid,
@@ -74,6 +141,10 @@ router.post('/voice', catchAsync(async (req, res) => {
     query: req.query
   });
 
+  if (voicemailService.isMachine(req.body.AnsweredBy)) {
+    return leaveVoicemail(req, res);
+  }
+
   try {
     // Create TwiML response
     const twiml = new VoiceResponse();
@@ -81,27 +152,48 @@ router.post('/voice', catchAsync(async (req, res) => {
     // Get base URL for audio files
     const baseUrl = process.env.BASE_URL || `https://${req.get('host')}`;
 
-    // Initial greeting message
-    const greetingMessage = 'Hello! This is Sarah from Premier Auto. Thank you for your interest in our vehicles.';
+    // The dealership this call is for: named on outbound webhooks, else the one that
+    // owns the number that was called (inbound) or that we called from (outbound)
+    const inbound = Direction === 'inbound';
+    const tenant = tenantService.resolve({
+      tenantId: req.query.tenant,
+      campaign: req.query.campaign,
+      phoneNumbers: [inbound ? To : From]
+    });
+    const botName = personaFor(tenant, req.query.campaign);
 
-    // Add greeting using helper function
-    await addSpeechToTwiML(twiml, greetingMessage, baseUrl, CallSid);
+    let customerData = null;
+    let caller = null;
 
-    // Pause for a moment
-    twiml.pause({ length: 1 });
+    if (inbound) {
+      // Someone calling us: recognise returning leads and pick up where we left off.
+      // The inbound script's greeting already says who we are.
+      caller = await inboundService.identifyCaller(From, tenant, { callSid: CallSid });
+      customerData = caller.customer || {
+        id: `TEMP_${Date.now()}`,
+        name: null,
+        phone: caller.phone || From,
+        carModel: null,
+        tenantId: tenant.id,
+        dealershipName: tenant.name
+      };
+    } else {
+      // Initial greeting message
+      const greetingMessage = botName
+        ? `Hello! This is ${botName} from ${tenant.name}. Thank you for your interest in our vehicles.`
+        : `Hello from ${tenant.name}! Thank you for your interest in our vehicles.`;
 
-    // Try to get customer data and start conversation
-    let customerData = null;
-    try {
-      // Try to find customer by phone number
-      const customers = await googleSheetsService.getCustomerData();
-      customerData = customers.find(c =>
-        c.phone === From ||
-        c.phone === From.replace('+1', '') ||
-        c.phone === '+1' + From.replace('+', '')
-      );
-    } catch (error) {
-      logger.warn('Could not fetch customer data', { error: error.message });
+      // Add greeting using helper function
+      await addSpeechToTwiML(twiml, greetingMessage, baseUrl, CallSid, tenant.voiceId);
+
+      // Pause for a moment
+      twiml.pause({ length: 1 });
+
+      try {
+        customerData = await findOutboundCustomer(tenant, req.query.customerId, To);
+      } catch (error) {
+        logger.warn('Could not fetch customer data', { error: error.message });
+      }
     }
 
     // Use default customer data if not found
@@ -111,48 +203,86 @@ router.post('/voice', catchAsync(async (req, res) => {
         name: 'Valued Customer',
         phone: From,
         carModel: 'one of our vehicles',
-        dealershipName: 'Premier Auto',
+        tenantId: tenant.id,
+        dealershipName: tenant.name,
         enquiryDate: new Date().toISOString().split('T')[0]
       };
     }
 
+    // Recording policy chosen when the call was placed
+    const call = await callHistoryService.getCall(CallSid);
+    const recording = call ? call.recording : null;
+
     // Start conversation with new script-based service
     let conversationResponse;
     try {
-      conversationResponse = await conversationService.generateInitialGreeting(CallSid, customerData);
+      conversationResponse = await conversationService.generateInitialGreeting(CallSid, customerData, {
+        campaign: req.query.campaign,
+        scriptId: req.query.script || (inbound ? inboundService.scriptId : undefined),
+        entry: caller ? caller.situation : undefined,
+        context: caller ? caller.context : undefined,
+        tenantId: tenant.id,
+        direction: inbound ? 'inbound' : 'outbound',
+        recording
+      });
+
+      if (caller) {
+        await callHistoryService.updateCall(CallSid, {
+          inbound: {
+            situation: caller.situation,
+            previousCallSid: caller.lastCall ? caller.lastCall.callSid : null,
+            appointmentId: caller.appointment ? caller.appointment.id : null
+          }
+        });
+      }
     } catch (error) {
       logger.warn('Could not generate AI response, using fallback', { error: error.message });
       conversationResponse = {
-        response: `Hi ${customerData.name}, this is Sarah from Premier Auto. You recently enquired about the ${customerData.carModel}. Is now a good time to talk?`,
-        nextStep: 'greeting_response',
+        response: inbound
+          ? `Thanks for calling ${tenant.name}${botName ? `, this is ${botName}` : ''}. How can I help you today?`
+          : `Hi ${customerData.name}, this is ${botName ? `${botName} from ` : ''}${tenant.name}. You recently enquired about the ${customerData.carModel}. Is now a good time to talk?`,
+        nextStep: 'greeting',
         shouldContinue: true
       };
+      // Without a conversation there is no consent step, so at least disclose the recording
+      if (recording && ['announce', 'consent'].includes(recording.mode)) {
+        conversationResponse.response = `${recordingService.messages.announcement} ${conversationResponse.response}`;
+      }
     }
 
-    // Add the AI response using helper function
-    await addSpeechToTwiML(twiml, conversationResponse.response, baseUrl, CallSid);
+    if (mediaStreamService.isAvailable()) {
+      // Real-time turns over a media stream; if the stream drops, /resume picks up with Gather.
+      // The greeting is played over the stream too, so the caller can talk over it.
+      const connect = twiml.connect();
+      const stream = connect.stream({ url: mediaStreamService.getStreamUrl(baseUrl) });
+      stream.parameter({ name: 'greeting', value: conversationResponse.response });
+      twiml.redirect({ method: 'POST' }, '/webhook/twilio/resume');
+    } else {
+      // Gather speech input
+      const gather = twiml.gather({
+        input: 'speech',
+        timeout: 10,
+        speechTimeout: 'auto',
+        action: '/webhook/twilio/gather',
+        method: 'POST'
+      });
 
-    // Gather speech input
-    const gather = twiml.gather({
-      input: 'speech',
-      timeout: 10,
-      speechTimeout: 'auto',
-      action: '/webhook/twilio/gather',
-      method: 'POST'
-    });
+      // Played inside the Gather so the customer can interrupt it
+      await addSpeechToTwiML(gather, conversationResponse.response, baseUrl, CallSid, tenant.voiceId);
 
-    gather.say({
-      voice: 'alice',
-      language: 'en-US'
-    }, 'Please let me know if you are still interested.');
+      gather.say({
+        voice: 'alice',
+        language: 'en-US'
+      }, inbound ? 'Go ahead, I am listening.' : 'Please let me know if you are still interested.');
 
-    // Fallback if no input
-    twiml.say({
-      voice: 'alice',
-      language: 'en-US'
-    }, 'I did not hear a response. Thank you for your time. Goodbye.');
+      // Fallback if no input
+      twiml.say({
+        voice: 'alice',
+        language: 'en-US'
+      }, 'I did not hear a response. Thank you for your time. Goodbye.');
 
-    twiml.hangup();
+      twiml.hangup();
+    }
 
     // Set response headers and send
     res.type('text/xml');
@@ -173,11 +303,15 @@ router.post('/voice', catchAsync(async (req, res) => {
 
     // Fallback TwiML - always works
     const fallbackTwiml = new VoiceResponse();
+    const tenant = tenantService.resolve({
+      tenantId: req.query.tenant,
+      phoneNumbers: [Direction === 'inbound' ? To : From]
+    });
 
     fallbackTwiml.say({
       voice: 'alice',
       language: 'en-US'
-    }, 'Hello! Thank you for calling Premier Auto. We are experiencing technical difficulties. Please call back later. Goodbye.');
+    }, `Hello! Thank you for calling ${tenant.name}. We are experiencing technical difficulties. Please call back later. Goodbye.`);
 
     fallbackTwiml.hangup();
 
@@ -206,7 +340,7 @@ router.post('/gather', catchAsync(async (req, res) => {
   try {
     let conversation;
     try {
-      conversation = conversationService.getConversation(CallSid);
+      conversation = await conversationService.getConversation(CallSid);
     } catch (error) {
       logger.warn('Could not get conversation, creating fallback', { error: error.message });
     }
@@ -215,7 +349,7 @@ router.post('/gather', catchAsync(async (req, res) => {
       logger.warn('Conversation not found for gather, ending call', { callSid: CallSid });
 
       const twiml = new VoiceResponse();
-      const endMessage = "Thank you for your interest. We'll follow up with you soon. Goodbye!";
+      const endMessage = FALLBACK_PROMPTS.conversationLost;
 
       // Use ElevenLabs for goodbye message if enabled
       if (useElevenLabs) {
@@ -274,17 +408,19 @@ router.post('/gather', catchAsync(async (req, res) => {
     // Process customer input
     let result;
     try {
-      result = await conversationService.processCustomerInput(CallSid, SpeechResult);
+      result = await conversationService.processCustomerInput(CallSid, SpeechResult, {
+        confidence: Confidence
+      });
     } catch (error) {
       logger.error('Error processing customer input', { error: error.message });
 
       const twiml = new VoiceResponse();
-      const errorMessage = "Thank you for your interest. We'll be in touch soon. Goodbye!";
+      const errorMessage = FALLBACK_PROMPTS.processingError;
 
       // Use ElevenLabs for error message if enabled
       if (useElevenLabs) {
         try {
-          const audioResult = await elevenlabsService.generateSpeechForTwilio(errorMessage, baseUrl);
+          const audioResult = await elevenlabsService.generateSpeechForTwilio(errorMessage, baseUrl, { voiceId: voiceFor(conversation) });
           if (audioResult && audioResult.audioUrl) {
             twiml.play(audioResult.audioUrl);
           } else {
@@ -303,12 +439,24 @@ router.post('/gather', catchAsync(async (req, res) => {
       return res.send(twiml.toString());
     }
 
+    // The customer declined to be recorded
+    if (result.stopRecording) {
+      try {
+        await twilioService.stopRecording(CallSid);
+        await recordingService.updateRecording(CallSid, { stoppedAt: new Date().toISOString() });
+      } catch (error) {
+        twilioLogger.error('Could not stop recording after consent was declined', {
+          error: error.message,
+          callSid: CallSid
+        });
+      }
+    }
+
     const twiml = new VoiceResponse();
 
     if (result.shouldContinue) {
-      // Continue conversation - add response and gather input
-      await addSpeechToTwiML(twiml, result.response, baseUrl, CallSid);
-
+      // Continue conversation - gather input, with the response played inside the
+      // Gather so the customer can interrupt it
       const gather = twiml.gather({
         input: 'speech',
         timeout: 10,
@@ -316,14 +464,15 @@ router.post('/gather', catchAsync(async (req, res) => {
         action: '/webhook/twilio/gather',
         method: 'POST'
       });
+      await addSpeechToTwiML(gather, result.response, baseUrl, CallSid, voiceFor(conversation));
 
       // Fallback if no response
-      const fallbackMessage = "Thank you for your time. We'll follow up with you. Goodbye!";
-      await addSpeechToTwiML(twiml, fallbackMessage, baseUrl, CallSid);
+      const fallbackMessage = FALLBACK_PROMPTS.noReply;
+      await addSpeechToTwiML(twiml, fallbackMessage, baseUrl, CallSid, voiceFor(conversation));
       twiml.hangup();
     } else {
       // End conversation
-      await addSpeechToTwiML(twiml, result.response, baseUrl, CallSid);
+      await addSpeechToTwiML(twiml, result.response, baseUrl, CallSid, voiceFor(conversation));
       twiml.hangup();
     }
 
@@ -350,6 +499,36 @@ router.post('/gather', catchAsync(async (req, res) => {
   }
 }));
 
+/**
+ * Continue a call over Gather after its media stream ended unexpectedly
+ */
+router.post('/resume', catchAsync(async (req, res) => {
+  const { CallSid } = req.body;
+  const conversation = await conversationService.getConversation(CallSid);
+
+  twilioLogger.warn('Media stream ended, resuming call with Gather', {
+    callSid: CallSid,
+    hasConversation: Boolean(conversation)
+  });
+
+  const twiml = new VoiceResponse();
+  if (conversation) {
+    const gather = twiml.gather({
+      input: 'speech',
+      timeout: 10,
+      speechTimeout: 'auto',
+      action: '/webhook/twilio/gather',
+      method: 'POST'
+    });
+    gather.say({ voice: 'alice', language: 'en-US' }, 'Sorry, I lost you for a moment. Could you say that again?');
+  }
+  twiml.say({ voice: 'alice', language: 'en-US' }, "Thank you for your time. We'll follow up with you soon. Goodbye!");
+  twiml.hangup();
+
+  res.type('text/xml');
+  res.send(twiml.toString());
+}));
+
 /**
  * Handle call status updates
  */
@@ -367,52 +546,60 @@ router.post('/status', catchAsync(async (req, res) => {
   try {
     // Handle different call statuses
     switch (CallStatus) {
-      case 'completed':
-        // Clean up conversation
+      case 'completed': {
+        // Read the conversation before it is cleaned up
+        let conversation;
         try {
-          conversationService.cleanupConversation(CallSid);
+          conversation = await conversationService.getConversation(CallSid);
         } catch (error) {
-          twilioLogger.warn('Error cleaning up conversation', { error: error.message });
+          twilioLogger.warn('Could not get conversation for status update', { error: error.message });
         }
 
-        // Update call duration in sheets if conversation exists
-        let conversation;
+        await callHistoryService.recordStatus(CallSid, CallStatus, {
+          duration: CallDuration,
+          finalStep: conversation?.currentStep
+        });
+        await retryService.handleCallOutcome(CallSid, CallStatus);
+
         try {
-          conversation = conversationService.getConversation(CallSid);
+          await conversationService.cleanupConversation(CallSid);
         } catch (error) {
-          twilioLogger.warn('Could not get conversation for status update', { error: error.message });
+          twilioLogger.warn('Error cleaning up conversation', { error: error.message });
         }
+
+        // Update call duration in sheets if conversation exists
         if (conversation && CallDuration) {
           await googleSheetsService.updateCustomerRecord(
             conversation.customerData.id,
-            { callDuration: CallDuration }
+            { callDuration: CallDuration },
+            { tenantId: tenantService.tenantIdOf(conversation) }
           );
         }
         break;
+      }
 
       case 'failed':
       case 'busy':
       case 'no-answer':
-        // Update customer record with failed call status
         twilioLogger.warn('Call failed', {
           callSid: CallSid,
           status: CallStatus,
-          from: From
+          to: To
         });
-        
-        // Try to find customer and update status
+
+        // Count the attempt and schedule a retry (or give up) per the retry policy
         try {
-          const customers = await googleSheetsService.getCustomerData();
-          const customer = customers.find(c => c.phone === From);
-          if (customer) {
-            await googleSheetsService.updateCustomerRecord(customer.id, {
-              lastCallDate: new Date().toISOString().split('T')[0],
-              callResult: CallStatus,
-              status: 'call_failed'
-            });
-          }
+          const call = await callHistoryService.getCall(CallSid);
+          const tenantId = tenantService.tenantIdOf(call);
+          const customer = await googleSheetsService.findCustomer({ phone: To }, { tenantId }) ||
+            await googleSheetsService.findCustomer({ phone: From }, { tenantId });
+          await callHistoryService.recordStatus(CallSid, CallStatus, {
+            duration: CallDuration,
+            customer
+          });
+          await retryService.handleCallOutcome(CallSid, CallStatus, { customer });
         } catch (updateError) {
-          twilioLogger.error('Failed to update customer record for failed call', {
+          twilioLogger.error('Failed to handle failed call', {
             error: updateError.message,
             callSid: CallSid
           });
@@ -421,7 +608,11 @@ router.post('/status', catchAsync(async (req, res) => {
 
       case 'answered':
         twilioLogger.info('Call answered', { callSid: CallSid });
+        await callHistoryService.recordStatus(CallSid, 'in-progress');
         break;
+
+      default:
+        await callHistoryService.recordStatus(CallSid, CallStatus);
     }
 
     res.status(200).send('OK');
@@ -450,15 +641,18 @@ router.post('/recording', catchAsync(async (req, res) => {
   });
 
   try {
+    await callHistoryService.attachRecording(CallSid, RecordingUrl, RecordingDuration);
+
     // Store recording information
-    const conversation = conversationService.getConversation(CallSid);
+    const conversation = await conversationService.getConversation(CallSid);
     if (conversation) {
       await googleSheetsService.updateCustomerRecord(
         conversation.customerData.id,
         {
           recordingUrl: RecordingUrl,
           recordingDuration: RecordingDuration
-        }
+        },
+        { tenantId: tenantService.tenantIdOf(conversation) }
       );
     }
 
@@ -475,7 +669,7 @@ router.post('/recording', catchAsync(async (req, res) => {
 }));
 
 /**
- * Handle machine detection
+ * Handle machine detection (asynchronous AMD callbacks)
  */
 router.post('/machine', catchAsync(async (req, res) => {
   const { CallSid, AnsweredBy } = req.body;
@@ -485,37 +679,29 @@ router.post('/machine', catchAsync(async (req, res) => {
     answeredBy: AnsweredBy
   });
 
-  if (AnsweredBy === 'machine_start' || AnsweredBy === 'machine_end_beep') {
-    // Leave voicemail message
-    const twiml = new VoiceResponse();
-    twiml.say({
-      voice: 'alice',
-      language: 'en-US'
-    }, "Hi, this is Sarah from Premier Auto. We're following up on your recent car inquiry. Please call us back at your convenience. Thank you!");
-    twiml.hangup();
+  if (voicemailService.isMachine(AnsweredBy)) {
+    return leaveVoicemail(req, res);
+  }
 
-    res.type('text/xml');
-    res.send(twiml.toString());
-  } else {
-    // Continue with normal flow - redirect to voice webhook
-    const twiml = new VoiceResponse();
-    twiml.redirect(`${process.env.BASE_URL}/webhook/twilio/voice`);
+  // Continue with normal flow - redirect to voice webhook, keeping the call's tenant
+  const call = await callHistoryService.getCall(CallSid);
+  const twiml = new VoiceResponse();
+  twiml.redirect(`${process.env.BASE_URL}/webhook/twilio/voice?tenant=${encodeURIComponent(tenantService.tenantIdOf(call))}`);
 
-    res.type('text/xml');
-    res.send(twiml.toString());
-  }
+  res.type('text/xml');
+  res.send(twiml.toString());
 }));
 
 /**
  * Test endpoint for Twilio webhook
  */
-router.get('/test', (req, res) => {
+router.get('/test', catchAsync(async (req, res) => {
   res.json({
     message: 'Twilio webhook endpoint is working',
     timestamp: new Date().toISOString(),
-    activeConversations: conversationService.getActiveConversationsCount()
+    activeConversations: await conversationService.getActiveConversationsCount()
   });
-});
+}));
 
 /**
  * Test TwiML generation
@@ -0,0 +1,80 @@
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const authService = require('../services/authService');
+
+/**
+ * Authentication (API key or JWT) and role checks for the management API
+ */
+class AuthMiddleware {
+  /**
+   * Accepts "Authorization: Bearer <jwt | api key>" or "X-API-Key: <key>".
+   * options.except: paths (relative to the mount point) that stay public
+   */
+  authenticate(options = {}) {
+    const except = options.except || [];
+
+    return async (req, res, next) => {
+      if (except.some(pattern => (pattern instanceof RegExp ? pattern.test(req.path) : req.path === pattern))) {
+        return next();
+      }
+
+      try {
+        const header = req.get('Authorization') || '';
+        const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        const apiKey = req.get('X-API-Key') || bearer;
+
+        if (!apiKey) {
+          throw new AppError('Authentication required', 401);
+        }
+
+        // JWTs are three base64url segments; anything else is treated as an API key
+        const principal = bearer && bearer.split('.').length === 3
+          ? authService.verifyToken(bearer)
+          : await authService.verifyApiKey(apiKey);
+
+        if (!principal) {
+          throw new AppError('Invalid API key', 401);
+        }
+
+        req.user = principal;
+        next();
+      } catch (error) {
+        if (error.statusCode === 401) {
+          logger.warn('Rejected API request', {
+            reason: error.message,
+            url: req.originalUrl,
+            method: req.method,
+            ip: req.ip
+          });
+        }
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Require at least the given role (agent < campaign_manager < admin)
+   */
+  authorize(requiredRole) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return next(new AppError('Authentication required', 401));
+      }
+
+      if (!authService.hasRole(req.user.role, requiredRole)) {
+        logger.warn('Forbidden API request', {
+          userId: req.user.id,
+          role: req.user.role,
+          requiredRole,
+          url: req.originalUrl,
+          method: req.method
+        });
+        return next(new AppError(`This action requires the ${requiredRole} role`, 403));
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = new AuthMiddleware();
@@ -0,0 +1,114 @@
+const twilio = require('twilio');
+const { twilioLogger } = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * Verifies the X-Twilio-Signature header so only Twilio can drive the webhooks
+ */
+class TwilioSignatureMiddleware {
+  /**
+   * Validation can only be skipped in an explicit test mode:
+   * NODE_ENV=test and TWILIO_SKIP_SIGNATURE_VALIDATION=true
+   */
+  isBypassed() {
+    if (process.env.TWILIO_SKIP_SIGNATURE_VALIDATION !== 'true') {
+      return false;
+    }
+
+    if (process.env.NODE_ENV !== 'test') {
+      twilioLogger.error('TWILIO_SKIP_SIGNATURE_VALIDATION is ignored outside NODE_ENV=test');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * The public URL Twilio requested. Behind the Render proxy the app sees an internal
+   * host, so BASE_URL is preferred; otherwise the forwarded protocol and host are used.
+   */
+  getPublicUrl(req) {
+    const baseUrl = process.env.BASE_URL
+      ? process.env.BASE_URL.replace(/\/+$/, '')
+      : `${req.protocol}://${req.get('host')}`;
+
+    return `${baseUrl}${req.originalUrl}`;
+  }
+
+  isValid(req) {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const signature = req.get('X-Twilio-Signature');
+
+    if (!authToken) {
+      twilioLogger.error('TWILIO_AUTH_TOKEN is not configured, rejecting webhook');
+      return false;
+    }
+    if (!signature) {
+      return false;
+    }
+
+    const url = this.getPublicUrl(req);
+
+    // JSON webhooks sign the URL (which carries bodySHA256) and hash the raw body
+    if (req.query.bodySHA256 && req.rawBody) {
+      return twilio.validateRequestWithBody(authToken, signature, url, req.rawBody.toString('utf8'));
+    }
+
+    // Form-encoded webhooks sign the URL plus the sorted POST parameters; GETs sign only the URL
+    const params = req.method === 'POST' && req.is('application/x-www-form-urlencoded') ? req.body : {};
+    return twilio.validateRequest(authToken, signature, url, params);
+  }
+
+  /**
+   * verifyClient for the media stream WebSocket server. Twilio signs the wss:// URL
+   * of the stream with no parameters.
+   */
+  verifyUpgrade() {
+    return ({ req }) => {
+      if (this.isBypassed()) {
+        return true;
+      }
+
+      const authToken = process.env.TWILIO_AUTH_TOKEN;
+      const signature = req.headers['x-twilio-signature'];
+      const baseUrl = process.env.BASE_URL
+        ? process.env.BASE_URL.replace(/\/+$/, '')
+        : `https://${req.headers.host}`;
+      const url = `${baseUrl.replace(/^http/, 'ws')}${req.url}`;
+
+      if (authToken && signature && twilio.validateRequest(authToken, signature, url, {})) {
+        return true;
+      }
+
+      twilioLogger.warn('Rejected media stream with invalid Twilio signature', {
+        url,
+        hasSignature: Boolean(signature)
+      });
+      return false;
+    };
+  }
+
+  validate() {
+    return (req, res, next) => {
+      if (this.isBypassed()) {
+        return next();
+      }
+
+      if (this.isValid(req)) {
+        return next();
+      }
+
+      twilioLogger.warn('Rejected webhook with invalid Twilio signature', {
+        url: this.getPublicUrl(req),
+        method: req.method,
+        ip: req.ip,
+        callSid: req.body && req.body.CallSid,
+        hasSignature: Boolean(req.get('X-Twilio-Signature'))
+      });
+
+      next(new AppError('Invalid Twilio signature', 403));
+    };
+  }
+}
+
+module.exports = new TwilioSignatureMiddleware();
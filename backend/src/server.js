@@ -14,7 +14,19 @@ const sheetsRoutes = require('./controllers/sheetsController');
 const healthRoutes = require('./controllers/healthController');
 const audioRoutes = require('./controllers/audioController');
 const testRoutes = require('./controllers/testController');
+const scriptRoutes = require('./controllers/scriptController');
+const appointmentRoutes = require('./controllers/appointmentController');
+const authRoutes = require('./controllers/authController');
+const campaignRoutes = require('./controllers/campaignController');
+const complianceRoutes = require('./controllers/complianceController');
+const tenantRoutes = require('./controllers/tenantController');
 const realTimeResponse = require('./middleware/realTimeResponse');
+const twilioSignature = require('./middleware/twilioSignature');
+const auth = require('./middleware/auth');
+const campaignService = require('./services/campaignService');
+const dialQueueService = require('./services/dialQueueService');
+const mediaStreamService = require('./services/mediaStreamService');
+const googleSheetsService = require('./services/googleSheetsService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -77,16 +89,35 @@ if (process.env.NODE_ENV !== 'test') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Twilio signs JSON webhook bodies by hash, so keep the raw bytes for validation
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
 app.use('/health', healthRoutes);
-app.use('/webhook/twilio', realTimeResponse.handleRealTimeResponse(), twilioRoutes);
+app.use('/webhook/twilio', twilioSignature.validate(), realTimeResponse.handleRealTimeResponse(), twilioRoutes);
+// Everything under /api needs an API key or JWT, except login and the calendar
+// feed (which is secured by its own token so calendar apps can subscribe)
+app.use('/api', auth.authenticate({ except: ['/auth/login', /^\/appointments\/feed\//] }));
+app.use('/api/auth', authRoutes);
 app.use('/api/calls', callRoutes);
 app.use('/api/sheets', sheetsRoutes);
+// Audio is fetched by Twilio without credentials; /api/audio adds the admin-only cleanup
 app.use('/audio', audioRoutes);
+app.use('/api/audio', audioRoutes);
 app.use('/api/test', testRoutes);
+app.use('/api/scripts', scriptRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/compliance', complianceRoutes);
+app.use('/api/tenants', tenantRoutes);
 
 // Root endpoint
 app.get('/', (_, res) => {
@@ -97,9 +128,15 @@ app.get('/', (_, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       health: '/health',
+      auth: '/api/auth',
       twilio_webhook: '/webhook/twilio',
       calls: '/api/calls',
-      sheets: '/api/sheets'
+      sheets: '/api/sheets',
+      scripts: '/api/scripts',
+      appointments: '/api/appointments',
+      campaigns: '/api/campaigns',
+      compliance: '/api/compliance',
+      tenants: '/api/tenants'
     }
   });
 });
@@ -116,24 +153,49 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+// Graceful shutdown: send any sheet writes still queued before exiting
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down gracefully`);
+  campaignService.stopRunner();
+  dialQueueService.stopWorker();
+  mediaStreamService.closeAll();
+
+  try {
+    await googleSheetsService.flush();
+  } catch (error) {
+    logger.error('Failed to flush queued sheet writes', { error: error.message });
+  }
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
   process.exit(0);
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start server
 const server = app.listen(PORT, () => {
   logger.info(`🚀 AI Cold-Calling System started on port ${PORT}`);
   logger.info(`📱 Environment: ${process.env.NODE_ENV}`);
   logger.info(`🔗 Base URL: ${process.env.BASE_URL || `http://localhost:${PORT}`}`);
+
+  if (process.env.DIAL_QUEUE_ENABLED !== 'false') {
+    dialQueueService.startWorker().catch(error => {
+      logger.error('Failed to start dial queue worker', { error: error.message });
+    });
+  }
+  if (process.env.CAMPAIGN_RUNNER_ENABLED !== 'false') {
+    campaignService.startRunner();
+  }
+  if (process.env.TTS_PREWARM !== 'false') {
+    campaignService.prewarmSpeech({ mediaStreams: mediaStreamService.enabled }).catch(error => {
+      logger.error('Failed to prewarm TTS cache', { error: error.message });
+    });
+  }
 });
 
+// Twilio Media Streams connect over WebSocket on the same port
+mediaStreamService.attach(server, twilioSignature.verifyUpgrade());
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error('Unhandled Promise Rejection:', err);
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { createStore, durableDriver } = require('../stores');
+const tenantService = require('./tenantService');
+
+// Higher roles can do everything lower roles can
+const ROLES = ['agent', 'campaign_manager', 'admin'];
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Users (JWT login for people) and API keys (for n8n and other machine clients).
+ * Either can belong to one tenant (tenantId) and then only sees that tenant's data;
+ * without one they are platform-wide.
+ */
+class AuthService {
+  constructor() {
+    const driver = durableDriver('Users and API keys', 'AUTH_STORE');
+    this.users = createStore('users', { driver });
+    this.apiKeys = createStore('api_keys', { driver });
+    this.roles = ROLES;
+    this.tokenExpiresIn = process.env.JWT_EXPIRES_IN || '8h';
+  }
+
+  hasRole(role, requiredRole) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+  }
+
+  /**
+   * Keys configured in the environment. API_KEY is the legacy all-access key.
+   */
+  getEnvironmentKeys() {
+    return [
+      { key: process.env.API_KEY, id: 'env:API_KEY', name: 'API_KEY', role: 'admin' },
+      { key: process.env.N8N_API_KEY, id: 'env:N8N_API_KEY', name: 'n8n', role: process.env.N8N_API_KEY_ROLE || 'campaign_manager' }
+    ].filter(entry => entry.key);
+  }
+
+  /**
+   * Resolve an API key to a principal, or null
+   */
+  async verifyApiKey(key) {
+    if (!key) {
+      return null;
+    }
+
+    const envKey = this.getEnvironmentKeys().find(entry => safeEqual(entry.key, key));
+    if (envKey) {
+      return { id: envKey.id, name: envKey.name, role: envKey.role, tenantId: null, type: 'api_key' };
+    }
+
+    const record = await this.apiKeys.get(hashApiKey(key));
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    record.lastUsedAt = new Date().toISOString();
+    await this.apiKeys.set(record.keyHash, record);
+
+    return { id: record.id, name: record.name, role: record.role, tenantId: record.tenantId || null, type: 'api_key' };
+  }
+
+  /**
+   * Verify a JWT issued by login(). Throws AppError 401 when invalid or expired.
+   */
+  verifyToken(token) {
+    const secret = this.getJwtSecret();
+
+    try {
+      const payload = jwt.verify(token, secret);
+      return { id: payload.sub, email: payload.email, name: payload.name, role: payload.role, tenantId: payload.tenantId || null, type: 'user' };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError('Your token has expired! Please log in again.', 401);
+      }
+      throw new AppError('Invalid token. Please log in again!', 401);
+    }
+  }
+
+  /**
+   * Check credentials and issue a JWT
+   */
+  async login(email, password) {
+    const user = await this.findUserByEmail(email);
+
+    const valid = user
+      ? user.passwordHash
+        ? await bcrypt.compare(String(password), user.passwordHash)
+        : safeEqual(password, user.password)
+      : false;
+
+    if (!valid || user.disabled) {
+      logger.warn('Failed login attempt', { email });
+      throw new AppError('Incorrect email or password', 401);
+    }
+
+    const token = jwt.sign(
+      { sub: user.id, email: user.email, name: user.name, role: user.role, tenantId: user.tenantId || null },
+      this.getJwtSecret(),
+      { expiresIn: this.tokenExpiresIn }
+    );
+
+    logger.info('User logged in', { userId: user.id, role: user.role });
+
+    return { token, expiresIn: this.tokenExpiresIn, user: this.toPublicUser(user) };
+  }
+
+  /**
+   * The bootstrap admin from ADMIN_EMAIL / ADMIN_PASSWORD always exists so the
+   * first real users can be created
+   */
+  async findUserByEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!normalized) {
+      return null;
+    }
+
+    if (process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD &&
+        normalized === process.env.ADMIN_EMAIL.trim().toLowerCase()) {
+      return {
+        id: 'env:ADMIN',
+        email: normalized,
+        name: 'Administrator',
+        role: 'admin',
+        password: process.env.ADMIN_PASSWORD
+      };
+    }
+
+    return this.users.get(normalized);
+  }
+
+  async createUser({ email, password, name, role, tenantId }) {
+    const normalized = String(email || '').trim().toLowerCase();
+
+    if (!normalized || !password) {
+      throw new AppError('email and password are required', 400);
+    }
+    if (String(password).length < 10) {
+      throw new AppError('password must be at least 10 characters', 400);
+    }
+    if (!ROLES.includes(role)) {
+      throw new AppError(`role must be one of: ${ROLES.join(', ')}`, 400);
+    }
+    this.assertTenant(tenantId);
+    if (await this.findUserByEmail(normalized)) {
+      throw new AppError('A user with that email already exists', 409);
+    }
+
+    const user = {
+      id: uuidv4(),
+      email: normalized,
+      name: name || null,
+      role,
+      tenantId: tenantId || null,
+      passwordHash: await bcrypt.hash(String(password), 10),
+      disabled: false,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.users.set(normalized, user);
+    logger.info('User created', { userId: user.id, role, tenantId: user.tenantId });
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * filters.tenantId limits the list to that tenant's own users
+   */
+  async listUsers(filters = {}) {
+    return (await this.users.list())
+      .filter(user => !filters.tenantId || user.tenantId === filters.tenantId)
+      .map(user => this.toPublicUser(user));
+  }
+
+  /**
+   * Create an API key. The plain key is only returned here; only its hash is stored.
+   */
+  async createApiKey({ name, role, tenantId }) {
+    if (!name) {
+      throw new AppError('name is required', 400);
+    }
+    if (!ROLES.includes(role)) {
+      throw new AppError(`role must be one of: ${ROLES.join(', ')}`, 400);
+    }
+    this.assertTenant(tenantId);
+
+    const key = `ak_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id: uuidv4(),
+      keyHash: hashApiKey(key),
+      prefix: key.slice(0, 7),
+      name,
+      role,
+      tenantId: tenantId || null,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    await this.apiKeys.set(record.keyHash, record);
+    logger.info('API key created', { apiKeyId: record.id, name, role, tenantId: record.tenantId });
+
+    return { key, apiKey: this.toPublicApiKey(record) };
+  }
+
+  async listApiKeys(filters = {}) {
+    return (await this.apiKeys.list())
+      .filter(record => !filters.tenantId || record.tenantId === filters.tenantId)
+      .map(record => this.toPublicApiKey(record));
+  }
+
+  /**
+   * Revoke a key; options.tenantId only allows revoking that tenant's keys
+   */
+  async revokeApiKey(apiKeyId, options = {}) {
+    const record = (await this.apiKeys.list()).find(item => item.id === apiKeyId);
+    if (!record || (options.tenantId && record.tenantId !== options.tenantId)) {
+      return null;
+    }
+
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    await this.apiKeys.set(record.keyHash, record);
+    logger.info('API key revoked', { apiKeyId });
+
+    return this.toPublicApiKey(record);
+  }
+
+  assertTenant(tenantId) {
+    if (tenantId && !tenantService.get(tenantId)) {
+      throw new AppError(`Unknown tenant "${tenantId}"`, 400);
+    }
+  }
+
+  getJwtSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new AppError('JWT_SECRET is not configured', 500);
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  toPublicUser(user) {
+    const { passwordHash, password, ...publicUser } = user;
+    return publicUser;
+  }
+
+  toPublicApiKey(record) {
+    const { keyHash, ...publicRecord } = record;
+    return publicRecord;
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,257 @@
+const logger = require('../utils/logger');
+const { createStore, durableDriver } = require('../stores');
+const tenantService = require('./tenantService');
+const phoneUtil = require('../utils/phone');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'busy', 'no-answer', 'canceled'];
+
+/**
+ * Permanent call log: one record per call plus one record per conversational turn.
+ * Unlike conversation state these records never expire.
+ */
+class CallHistoryService {
+  constructor() {
+    const driver = durableDriver('Call history', 'CALL_HISTORY_STORE');
+    this.calls = createStore('calls', { driver });
+    this.turns = createStore('call_turns', { driver });
+
+    // callSid -> the last queued write to that call (see serialize)
+    this.callQueues = new Map();
+  }
+
+  /**
+   * Run writes to one call record one at a time, so concurrent turns get their own
+   * seq and updates don't overwrite each other
+   */
+  serialize(callSid, task) {
+    const run = (this.callQueues.get(callSid) || Promise.resolve()).then(task);
+    const queued = run.catch(() => {});
+    this.callQueues.set(callSid, queued);
+    queued.then(() => {
+      if (this.callQueues.get(callSid) === queued) {
+        this.callQueues.delete(callSid);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Create or update the record for a call (safe to call from dial time and from the voice webhook)
+   */
+  async startCall(callSid, details = {}) {
+    return this.serialize(callSid, async () => {
+      try {
+        const existing = await this.calls.get(callSid);
+        const customer = details.customer || {};
+
+        const record = {
+          callSid,
+          customerId: customer.id || null,
+          customerName: customer.name || null,
+          phone: customer.phone || null,
+          lineType: null,
+          tenantId: null,
+          campaign: null,
+          script: null,
+          direction: 'outbound',
+          status: 'initiated',
+          startTime: new Date().toISOString(),
+          endTime: null,
+          duration: null,
+          finalStep: null,
+          outcome: null,
+          recordingUrl: null,
+          recordingDuration: null,
+          recording: null,
+          voicemail: null,
+          answeredBy: null,
+          turnCount: 0,
+          ...existing,
+          ...this.compact({
+            tenantId: details.tenantId,
+            campaign: details.campaign,
+            script: details.script,
+            direction: details.direction,
+            lineType: details.lineType,
+            status: details.status,
+            recording: details.recording,
+            voicemail: details.voicemail
+          })
+        };
+
+        await this.calls.set(callSid, record);
+        return record;
+      } catch (error) {
+        logger.error('Failed to record call start', { error: error.message, callSid });
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Append one turn of the conversation to the log
+   */
+  async recordTurn(callSid, turn) {
+    return this.serialize(callSid, async () => {
+      try {
+        const call = await this.calls.get(callSid);
+        const seq = (call?.turnCount || 0) + 1;
+
+        const record = {
+          callSid,
+          seq,
+          speaker: turn.speaker,
+          text: turn.text,
+          step: turn.step || null,
+          confidence: turn.confidence !== undefined && turn.confidence !== null ? Number(turn.confidence) : null,
+          intent: turn.intent || null,
+          latencyMs: turn.latencyMs !== undefined ? turn.latencyMs : null,
+          ttfbMs: null,
+          interrupted: null,
+          timestamp: new Date().toISOString()
+        };
+
+        // Zero-padded so keys sort in turn order in every store
+        await this.turns.set(`${callSid}:${String(seq).padStart(4, '0')}`, record);
+
+        if (call) {
+          call.turnCount = seq;
+          await this.calls.set(callSid, call);
+        }
+
+        return record;
+      } catch (error) {
+        logger.error('Failed to record call turn', { error: error.message, callSid });
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Merge fields into a call record. updates can also be a function of the current
+   * record, for changes that depend on it; it runs in the call's write queue.
+   */
+  async updateCall(callSid, updates) {
+    return this.serialize(callSid, async () => {
+      try {
+        const call = await this.calls.get(callSid);
+        if (!call) {
+          logger.warn('Call record not found for update', { callSid });
+          return null;
+        }
+
+        const changes = typeof updates === 'function' ? updates(call) : updates;
+        const updated = { ...call, ...this.compact(changes) };
+        await this.calls.set(callSid, updated);
+        return updated;
+      } catch (error) {
+        logger.error('Failed to update call record', { error: error.message, callSid });
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Record a Twilio status callback. Terminal statuses close the call.
+   */
+  async recordStatus(callSid, status, details = {}) {
+    if (!TERMINAL_STATUSES.includes(status)) {
+      return this.updateCall(callSid, { status });
+    }
+
+    const call = await this.calls.get(callSid) || await this.startCall(callSid, { customer: details.customer });
+    if (!call) {
+      return null;
+    }
+
+    // Read the outcome when the update runs, after any turn still being recorded
+    return this.updateCall(callSid, current => ({
+      status,
+      endTime: new Date().toISOString(),
+      duration: details.duration !== undefined ? parseInt(details.duration) || 0 : undefined,
+      finalStep: details.finalStep,
+      // A completed call that never reached an end node was cut short
+      outcome: current.outcome || (status === 'completed' ? 'incomplete' : status)
+    }));
+  }
+
+  async attachRecording(callSid, recordingUrl, recordingDuration) {
+    return this.updateCall(callSid, {
+      recordingUrl,
+      recordingDuration: recordingDuration !== undefined ? parseInt(recordingDuration) || 0 : undefined
+    });
+  }
+
+  async getCall(callSid) {
+    return this.calls.get(callSid);
+  }
+
+  /**
+   * Add playback details to the bot's latest turn once its reply is being spoken:
+   * ttfbMs (time to the first audio byte) and interrupted ({ atMs, durationMs, heardText },
+   * how far into the reply the customer cut in)
+   */
+  async updateBotTurn(callSid, changes) {
+    try {
+      const turn = (await this.getTranscript(callSid)).filter(item => item.speaker === 'bot').pop();
+      if (!turn) {
+        return null;
+      }
+
+      const updated = { ...turn, ...changes };
+      await this.turns.set(`${callSid}:${String(turn.seq).padStart(4, '0')}`, updated);
+      return updated;
+    } catch (error) {
+      logger.error('Failed to update bot turn', { error: error.message, callSid });
+      return null;
+    }
+  }
+
+  async getTranscript(callSid) {
+    const turns = await this.turns.list({ prefix: `${callSid}:` });
+    return turns.sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * List calls, newest first, with optional filters. tenantId limits them to one
+   * tenant (calls without one belong to the default tenant). phone matches however
+   * the number is written, in the tenant's country.
+   */
+  async listCalls(filters = {}) {
+    const { tenantId, customerId, phone, direction, campaign, outcome, status, scriptId, from, to } = filters;
+    const limit = Math.min(parseInt(filters.limit) || 50, 500);
+    const offset = parseInt(filters.offset) || 0;
+    const country = tenantService.countryFor(tenantId);
+
+    const calls = (await this.calls.list()).filter(call =>
+      tenantService.canAccess(tenantId, call) &&
+      (!customerId || call.customerId === customerId) &&
+      (!phone || call.phone === phone || phoneUtil.samePhone(call.phone, phone, country)) &&
+      (!direction || (call.direction || 'outbound') === direction) &&
+      (!campaign || call.campaign === campaign) &&
+      (!outcome || call.outcome === outcome) &&
+      (!status || call.status === status) &&
+      (!scriptId || call.script?.id === scriptId) &&
+      (!from || call.startTime >= new Date(from).toISOString()) &&
+      (!to || call.startTime <= new Date(to).toISOString())
+    );
+
+    calls.sort((a, b) => (a.startTime < b.startTime ? 1 : -1));
+
+    return {
+      calls: calls.slice(offset, offset + limit),
+      total: calls.length,
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Drop undefined values so partial updates never blank existing fields
+   */
+  compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+  }
+}
+
+module.exports = new CallHistoryService();
@@ -0,0 +1,572 @@
+const { v4: uuidv4 } = require('uuid');
+const { DateTime, IANAZone } = require('luxon');
+const { callLogger } = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { createStore, durableDriver } = require('../stores');
+const googleSheetsService = require('./googleSheetsService');
+const scriptService = require('./scriptService');
+const dialQueueService = require('./dialQueueService');
+const retryService = require('./retryService');
+const complianceService = require('./complianceService');
+const recordingService = require('./recordingService');
+const elevenlabsService = require('./elevenlabsService');
+const tenantService = require('./tenantService');
+const phoneUtil = require('../utils/phone');
+const { FALLBACK_PROMPTS } = require('../config/speechPrompts');
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Dial job states after which a lead's attempt is over
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Leads with these sheet statuses are never dialled by a campaign
+const EXCLUDED_LEAD_STATUSES = ['completed', 'not_interested', 'do_not_call'];
+
+const DEFAULTS = {
+  leadSource: { sheet: null, filter: {} }, // null: the tenant's lead tab
+  callingWindow: { days: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat'], start: '09:00', end: '20:00' },
+  pacing: { callsPerMinute: 2, maxConcurrent: 1 }
+};
+
+// Campaigns whose calls are still to come, and whose prompts are worth pre-rendering
+const UPCOMING_STATUSES = ['draft', 'scheduled', 'running', 'paused'];
+
+// Allowed status changes for start/pause/resume/cancel
+const TRANSITIONS = {
+  start: ['draft'],
+  pause: ['scheduled', 'running'],
+  resume: ['paused'],
+  cancel: ['draft', 'scheduled', 'running', 'paused']
+};
+
+/**
+ * "09:00" -> 540
+ */
+function parseTime(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1]) > 24 || parseInt(match[2]) > 59) {
+    return null;
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Outbound calling campaigns: a lead list pulled from the sheet, a script, a calling
+ * window, pacing and a retry policy. A background runner feeds leads to the dial queue
+ * independently of any HTTP request and tracks each lead's attempts through its dial jobs.
+ */
+class CampaignService {
+  constructor() {
+    const driver = durableDriver('Campaigns', 'CAMPAIGN_STORE');
+    this.campaigns = createStore('campaigns', { driver });
+    this.leads = createStore('campaign_leads', { driver });
+    this.tickIntervalMs = parseInt(process.env.CAMPAIGN_TICK_MS) || 5000;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Create a campaign in draft for input.tenantId (the default tenant if not given).
+   * It does nothing until started.
+   */
+  async createCampaign(input = {}) {
+    if (input.tenantId && !tenantService.get(input.tenantId)) {
+      throw new AppError(`Invalid campaign: unknown tenant "${input.tenantId}"`, 400);
+    }
+    const tenant = tenantService.get(input.tenantId) || tenantService.getDefault();
+
+    const campaign = {
+      id: uuidv4(),
+      tenantId: tenant.id,
+      name: input.name,
+      scriptId: input.scriptId || scriptService.defaultScriptId,
+      leadSource: {
+        sheet: (input.leadSource && input.leadSource.sheet) || DEFAULTS.leadSource.sheet,
+        filter: (input.leadSource && input.leadSource.filter) || {}
+      },
+      callingWindow: {
+        timezone: tenant.timezone,
+        ...DEFAULTS.callingWindow,
+        ...input.callingWindow
+      },
+      pacing: { ...DEFAULTS.pacing, ...input.pacing },
+      retryPolicy: { ...this.getDefaultRetryPolicy(), ...input.retryPolicy },
+      voicemail: { enabled: true, template: null, ...input.voicemail },
+      startAt: input.startAt || null,
+      status: 'draft',
+      createdBy: input.createdBy || null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      pausedAt: null,
+      completedAt: null,
+      cancelledAt: null,
+      lastDialAt: null
+    };
+
+    this.validateCampaign(campaign);
+    await this.campaigns.set(campaign.id, campaign);
+
+    callLogger.info('Campaign created', { campaignId: campaign.id, tenantId: campaign.tenantId, name: campaign.name, scriptId: campaign.scriptId });
+    return campaign;
+  }
+
+  validateCampaign(campaign) {
+    const errors = [];
+    const { callingWindow, pacing, retryPolicy, voicemail } = campaign;
+
+    if (!campaign.name) {
+      errors.push('name is required');
+    }
+    if (!scriptService.getScript(campaign.scriptId)) {
+      errors.push(`unknown script "${campaign.scriptId}"`);
+    }
+    if (!IANAZone.isValidZone(callingWindow.timezone)) {
+      errors.push(`unknown timezone "${callingWindow.timezone}"`);
+    }
+    if (!Array.isArray(callingWindow.days) || callingWindow.days.length === 0 ||
+        callingWindow.days.some(day => !WEEKDAYS.includes(day))) {
+      errors.push(`callingWindow.days must be a list of ${WEEKDAYS.join(', ')}`);
+    }
+    const start = parseTime(callingWindow.start);
+    const end = parseTime(callingWindow.end);
+    if (start === null || end === null || start >= end) {
+      errors.push('callingWindow.start and end must be HH:MM with start before end');
+    }
+    if (!(pacing.callsPerMinute > 0) || !(Number.isInteger(pacing.maxConcurrent) && pacing.maxConcurrent > 0)) {
+      errors.push('pacing.callsPerMinute must be positive and pacing.maxConcurrent a positive integer');
+    }
+    if (!(Number.isInteger(retryPolicy.maxAttempts) && retryPolicy.maxAttempts > 0) ||
+        !(retryPolicy.baseDelayMinutes >= 0) || !(retryPolicy.backoffMultiplier >= 1) ||
+        !Array.isArray(retryPolicy.retryOn)) {
+      errors.push('retryPolicy needs maxAttempts (>= 1), baseDelayMinutes (>= 0), backoffMultiplier (>= 1) and a retryOn list');
+    }
+    if (typeof voicemail.enabled !== 'boolean' || (voicemail.template !== null && typeof voicemail.template !== 'string')) {
+      errors.push('voicemail.enabled must be a boolean and voicemail.template a string');
+    }
+    if (campaign.startAt && isNaN(new Date(campaign.startAt).getTime())) {
+      errors.push('startAt must be an ISO date-time');
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid campaign: ${errors.join('; ')}`, 400);
+    }
+  }
+
+  async getCampaign(campaignId) {
+    return this.campaigns.get(campaignId);
+  }
+
+  async listCampaigns(filters = {}) {
+    const campaigns = (await this.campaigns.list())
+      .filter(campaign => !filters.status || campaign.status === filters.status)
+      .filter(campaign => tenantService.canAccess(filters.tenantId, campaign));
+
+    return campaigns.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async listLeads(campaignId, filters = {}) {
+    return (await this.leads.list({ prefix: `${campaignId}:` }))
+      .filter(lead => !filters.status || lead.status === filters.status);
+  }
+
+  /**
+   * Progress counters for a campaign
+   */
+  async getProgress(campaignId) {
+    const leads = await this.listLeads(campaignId);
+    const progress = { total: leads.length, pending: 0, dialing: 0, completed: 0, failed: 0, attempts: 0 };
+
+    for (const lead of leads) {
+      progress[lead.status] = (progress[lead.status] || 0) + 1;
+      progress.attempts += lead.attempts;
+    }
+
+    return progress;
+  }
+
+  /**
+   * Load the lead list and start dialling (or wait for startAt)
+   */
+  async startCampaign(campaignId) {
+    const campaign = await this.requireCampaign(campaignId, 'start');
+    const leads = await this.loadLeads(campaign);
+
+    for (const lead of leads) {
+      await this.leads.set(this.leadKey(campaignId, lead.customerId), lead);
+    }
+
+    const scheduled = campaign.startAt && new Date(campaign.startAt).getTime() > Date.now();
+    campaign.status = scheduled ? 'scheduled' : 'running';
+    campaign.startedAt = scheduled ? null : new Date().toISOString();
+    await this.campaigns.set(campaignId, campaign);
+
+    callLogger.info('Campaign started', { campaignId, status: campaign.status, leads: leads.length });
+    return campaign;
+  }
+
+  /**
+   * Stop dialling until resumed. Dials still waiting in the queue (including ones held
+   * until calling hours) are taken back and their leads return to pending without using
+   * an attempt, so the runner queues them again once the campaign is resumed.
+   */
+  async pauseCampaign(campaignId) {
+    const campaign = await this.requireCampaign(campaignId, 'pause');
+    campaign.status = 'paused';
+    campaign.pausedAt = new Date().toISOString();
+    await this.campaigns.set(campaignId, campaign);
+    await dialQueueService.cancelQueued({ campaign: campaignId });
+
+    let released = 0;
+    for (const lead of await this.listLeads(campaignId, { status: 'dialing' })) {
+      const job = await dialQueueService.getJob(lead.lastJobId);
+      if (!job || job.status !== 'cancelled') {
+        continue;
+      }
+
+      lead.status = 'pending';
+      lead.attempts -= 1;
+      lead.calls = lead.calls.filter(item => item.jobId !== job.id);
+      await this.leads.set(this.leadKey(campaignId, lead.customerId), lead);
+      released++;
+    }
+
+    callLogger.info('Campaign paused', { campaignId, released });
+    return campaign;
+  }
+
+  async resumeCampaign(campaignId) {
+    const campaign = await this.requireCampaign(campaignId, 'resume');
+    campaign.status = 'running';
+    campaign.startedAt = campaign.startedAt || new Date().toISOString();
+    campaign.pausedAt = null;
+    await this.campaigns.set(campaignId, campaign);
+
+    callLogger.info('Campaign resumed', { campaignId });
+    return campaign;
+  }
+
+  /**
+   * Stop for good. Calls already in progress finish; queued dials are cancelled.
+   */
+  async cancelCampaign(campaignId) {
+    const campaign = await this.requireCampaign(campaignId, 'cancel');
+    campaign.status = 'cancelled';
+    campaign.cancelledAt = new Date().toISOString();
+    await this.campaigns.set(campaignId, campaign);
+    await dialQueueService.cancelQueued({ campaign: campaignId });
+
+    callLogger.info('Campaign cancelled', { campaignId });
+    return campaign;
+  }
+
+  async requireCampaign(campaignId, action) {
+    const campaign = await this.campaigns.get(campaignId);
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
+    }
+    if (!TRANSITIONS[action].includes(campaign.status)) {
+      throw new AppError(`Cannot ${action} a campaign that is ${campaign.status}`, 409);
+    }
+    return campaign;
+  }
+
+  /**
+   * Read the campaign's sheet tab and keep callable leads matching the filter. Numbers
+   * are deduplicated on their E.164 form; invalid ones and those on the do-not-call
+   * list are left out.
+   */
+  async loadLeads(campaign) {
+    const tenantId = tenantService.tenantIdOf(campaign);
+    const country = tenantService.countryFor(tenantId);
+    const customers = await googleSheetsService.getCustomerData(campaign.leadSource.sheet, { tenantId });
+    const seenPhones = new Set();
+    const leads = [];
+
+    for (const customer of customers) {
+      const parsed = phoneUtil.parsePhone(customer.phone, country);
+      const phone = parsed && parsed.valid ? parsed.e164 : null;
+      const status = (customer.status || '').toLowerCase();
+
+      if (!phone || seenPhones.has(phone) || EXCLUDED_LEAD_STATUSES.includes(status) ||
+          !this.matchesFilter(customer, campaign.leadSource.filter) ||
+          await complianceService.isOnDnc(phone, { country })) {
+        continue;
+      }
+      seenPhones.add(phone);
+
+      const customerId = customer.id || customer.customerId || `row-${customer.rowIndex}`;
+      leads.push({
+        campaignId: campaign.id,
+        customerId,
+        customer: { ...customer, id: customerId, phone },
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: null,
+        lastAttemptAt: null,
+        lastJobId: null,
+        lastCallSid: null,
+        lastOutcome: null,
+        calls: []
+      });
+    }
+
+    return leads;
+  }
+
+  /**
+   * filter: { field: value | [values] }, compared case-insensitively against sheet columns
+   */
+  matchesFilter(customer, filter = {}) {
+    return Object.entries(filter).every(([field, expected]) => {
+      const actual = String(customer[field] || '').trim().toLowerCase();
+      const allowed = (Array.isArray(expected) ? expected : [expected]).map(value => String(value).trim().toLowerCase());
+      return allowed.includes(actual);
+    });
+  }
+
+  /**
+   * Is `now` inside the campaign's calling window?
+   */
+  isWithinCallingWindow(campaign, now = new Date()) {
+    const { timezone, days, start, end } = campaign.callingWindow;
+    const local = DateTime.fromJSDate(now).setZone(timezone);
+    const minutes = local.hour * 60 + local.minute;
+
+    return days.includes(WEEKDAYS[local.weekday - 1]) &&
+      minutes >= parseTime(start) &&
+      minutes < parseTime(end);
+  }
+
+  /**
+   * Lines every call of a campaign can speak regardless of the customer: the script's
+   * static prompts (in the tenant's name and persona), the recording consent questions
+   * and the fallback goodbyes
+   */
+  getStaticPrompts(campaign) {
+    const script = scriptService.getScript(campaign.scriptId);
+    const tenant = tenantService.get(tenantService.tenantIdOf(campaign)) || tenantService.getDefault();
+    const persona = { dealershipName: tenant.name, botName: tenant.botName };
+
+    return [
+      ...(script ? scriptService.getStaticPrompts(script, persona) : []),
+      recordingService.messages.consentPrompt,
+      recordingService.messages.consentReprompt,
+      ...Object.values(FALLBACK_PROMPTS)
+    ];
+  }
+
+  /**
+   * Render the static prompts of upcoming campaigns (and each tenant's default script,
+   * used by one-off calls) into the TTS cache, in each tenant's voice.
+   * options.mediaStreams also renders them in the format media stream calls play.
+   */
+  async prewarmSpeech(options = {}) {
+    const campaigns = (await this.campaigns.list())
+      .filter(campaign => UPCOMING_STATUSES.includes(campaign.status));
+    const oneOffCalls = tenantService.list()
+      .map(tenant => ({ tenantId: tenant.id, scriptId: scriptService.defaultScriptId }));
+
+    // Lines per tenant, so each set is rendered in that tenant's voice
+    const textsByTenant = new Map();
+    for (const campaign of [...oneOffCalls, ...campaigns]) {
+      const tenantId = tenantService.tenantIdOf(campaign);
+      textsByTenant.set(tenantId, [...(textsByTenant.get(tenantId) || []), ...this.getStaticPrompts(campaign)]);
+    }
+
+    const summary = { rendered: 0, cached: 0, failed: 0 };
+    for (const [tenantId, texts] of textsByTenant) {
+      const tenant = tenantService.get(tenantId) || tenantService.getDefault();
+      const result = await elevenlabsService.prewarm(texts, { ...options, voiceId: tenant.voiceId });
+      summary.rendered += result.rendered;
+      summary.cached += result.cached;
+      summary.failed += result.failed;
+    }
+
+    callLogger.info('Campaign prompts prewarmed', { campaigns: campaigns.length, tenants: textsByTenant.size, ...summary });
+    return summary;
+  }
+
+  startRunner() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+    // Don't keep the process alive just for the runner
+    this.timer.unref();
+    callLogger.info('Campaign runner started', { tickIntervalMs: this.tickIntervalMs });
+  }
+
+  stopRunner() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One pass over all active campaigns. Overlapping ticks are skipped.
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      const campaigns = await this.campaigns.list();
+      for (const campaign of campaigns) {
+        try {
+          await this.runCampaign(campaign, now);
+        } catch (error) {
+          callLogger.error('Campaign tick failed', { campaignId: campaign.id, error: error.message });
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async runCampaign(campaign, now) {
+    if (campaign.status === 'scheduled' && new Date(campaign.startAt).getTime() <= now.getTime()) {
+      campaign.status = 'running';
+      campaign.startedAt = now.toISOString();
+      await this.campaigns.set(campaign.id, campaign);
+      callLogger.info('Scheduled campaign is now running', { campaignId: campaign.id });
+    }
+
+    // Outcomes are still collected while paused or cancelled so the counters stay right
+    if (!['running', 'paused', 'cancelled'].includes(campaign.status)) {
+      return;
+    }
+
+    const leads = await this.listLeads(campaign.id);
+    for (const lead of leads.filter(item => item.status === 'dialing')) {
+      await this.refreshLead(campaign, lead, now);
+    }
+
+    if (campaign.status !== 'running') {
+      return;
+    }
+
+    const dialing = leads.filter(lead => lead.status === 'dialing').length;
+    const pending = leads.filter(lead => lead.status === 'pending');
+
+    if (dialing === 0 && pending.length === 0) {
+      campaign.status = 'completed';
+      campaign.completedAt = now.toISOString();
+      await this.campaigns.set(campaign.id, campaign);
+      callLogger.info('Campaign completed', { campaignId: campaign.id, leads: leads.length });
+      return;
+    }
+
+    if (!this.isWithinCallingWindow(campaign, now)) {
+      return;
+    }
+
+    const due = pending
+      .filter(lead => !lead.nextAttemptAt || new Date(lead.nextAttemptAt).getTime() <= now.getTime())
+      .sort((a, b) => a.attempts - b.attempts);
+
+    const budget = Math.min(campaign.pacing.maxConcurrent - dialing, this.getPacingBudget(campaign, now), due.length);
+    for (const lead of due.slice(0, Math.max(budget, 0))) {
+      await this.dialLead(campaign, lead, now);
+    }
+  }
+
+  /**
+   * How many dials callsPerMinute allows since the last one
+   */
+  getPacingBudget(campaign, now) {
+    if (!campaign.lastDialAt) {
+      return campaign.pacing.maxConcurrent;
+    }
+
+    const gapMs = 60000 / campaign.pacing.callsPerMinute;
+    return Math.floor((now.getTime() - new Date(campaign.lastDialAt).getTime()) / gapMs);
+  }
+
+  /**
+   * Hand the lead to the dial queue, which places the call within the global limits
+   */
+  async dialLead(campaign, lead, now) {
+    lead.attempts += 1;
+    lead.lastAttemptAt = now.toISOString();
+    campaign.lastDialAt = now.toISOString();
+    await this.campaigns.set(campaign.id, campaign);
+
+    const { job, duplicate } = await dialQueueService.enqueue({
+      tenantId: tenantService.tenantIdOf(campaign),
+      customer: lead.customer,
+      campaign: campaign.id,
+      scriptId: campaign.scriptId,
+      voicemail: campaign.voicemail,
+      source: 'campaign'
+    });
+
+    lead.status = 'dialing';
+    lead.lastJobId = job.id;
+    lead.calls.push({ jobId: job.id, callSid: null, startedAt: now.toISOString(), outcome: null });
+    await this.leads.set(this.leadKey(campaign.id, lead.customerId), lead);
+
+    callLogger.info('Campaign lead queued for dialling', {
+      campaignId: campaign.id,
+      customerId: lead.customerId,
+      attempt: lead.attempts,
+      jobId: job.id,
+      duplicate
+    });
+  }
+
+  /**
+   * Pick up the result of a lead's current attempt from its dial job
+   */
+  async refreshLead(campaign, lead, now) {
+    const job = await dialQueueService.getJob(lead.lastJobId);
+    if (job && !FINISHED_JOB_STATUSES.includes(job.status)) {
+      return;
+    }
+
+    // A missing job (e.g. an expired store) counts as a failed attempt
+    const outcome = (job && job.outcome) || 'failed';
+    const attempt = lead.calls.find(item => item.jobId === lead.lastJobId);
+    if (attempt) {
+      attempt.callSid = job ? job.callSid : null;
+      attempt.outcome = outcome;
+    }
+    lead.lastCallSid = job ? job.callSid : null;
+
+    this.finishAttempt(campaign, lead, outcome, now);
+    await this.leads.set(this.leadKey(campaign.id, lead.customerId), lead);
+  }
+
+  /**
+   * Retry the lead later or close it, according to the retry policy
+   */
+  finishAttempt(campaign, lead, outcome, now) {
+    const { maxAttempts, retryOn } = campaign.retryPolicy;
+    lead.lastOutcome = outcome;
+
+    if (retryOn.includes(outcome) && lead.attempts < maxAttempts) {
+      lead.status = 'pending';
+      lead.nextAttemptAt = retryService.getNextAttemptAt(lead.attempts, now, { timezone: campaign.callingWindow.timezone, ...campaign.retryPolicy }).toISOString();
+    } else {
+      lead.status = outcome === 'completed' ? 'completed' : 'failed';
+      lead.nextAttemptAt = null;
+    }
+  }
+
+  /**
+   * Campaigns start from the global retry policy (RETRY_* settings)
+   */
+  getDefaultRetryPolicy() {
+    const { maxAttempts, baseDelayMinutes, backoffMultiplier, rotateTimeOfDay, retryOn } = retryService.policy;
+    return { maxAttempts, baseDelayMinutes, backoffMultiplier, rotateTimeOfDay, retryOn };
+  }
+
+  leadKey(campaignId, customerId) {
+    return `${campaignId}:${customerId}`;
+  }
+}
+
+module.exports = new CampaignService();
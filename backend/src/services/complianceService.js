@@ -0,0 +1,365 @@
+const { v4: uuidv4 } = require('uuid');
+const { DateTime } = require('luxon');
+const { callLogger } = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { createStore, durableDriver } = require('../stores');
+const phoneUtil = require('../utils/phone');
+const { AREA_CODE_TIMEZONES, COUNTRY_CODES } = require('../config/callingTimezones');
+const dateTimeService = require('./dateTimeService');
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Header names recognised as the phone column in DNC imports
+const PHONE_HEADERS = ['phone', 'phone_number', 'phonenumber', 'number', 'telephone', 'mobile'];
+
+/**
+ * "08:00-21:00" -> { start: 480, end: 1260 }
+ */
+function parseHours(spec) {
+  const match = String(spec).match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    callLogger.warn('Invalid COMPLIANCE_CALLING_HOURS, using 08:00-21:00', { spec });
+    return { start: 8 * 60, end: 21 * 60 };
+  }
+  return {
+    start: parseInt(match[1]) * 60 + parseInt(match[2]),
+    end: parseInt(match[3]) * 60 + parseInt(match[4])
+  };
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+
+  return cells;
+}
+
+/**
+ * Checks run before every outbound dial: the internal do-not-call list, the
+ * customer's own status and calling hours in the called party's local time
+ * (worked out from the number's area or country code). Blocked dials are
+ * written to an audit log with the reason.
+ */
+class ComplianceService {
+  constructor() {
+    const driver = durableDriver('The do-not-call list', 'COMPLIANCE_STORE');
+    this.dnc = createStore('dnc', { driver });
+    this.audit = createStore('compliance_audit', { driver });
+    this.enabled = process.env.COMPLIANCE_ENABLED !== 'false';
+
+    this.callingHours = parseHours(process.env.COMPLIANCE_CALLING_HOURS || '08:00-21:00');
+    this.callingDays = (process.env.COMPLIANCE_CALLING_DAYS || WEEKDAYS.join(','))
+      .split(',').map(day => day.trim().toLowerCase());
+    // Used when the number's area or country code isn't in the table
+    this.defaultTimezone = process.env.COMPLIANCE_DEFAULT_TIMEZONE || dateTimeService.timezone;
+  }
+
+  /**
+   * Normalise to E.164, reading national formats in `country` (see utils/phone).
+   * Returns null for anything that can't be a phone number.
+   */
+  normalizePhone(phoneNumber, country) {
+    return phoneUtil.toE164(phoneNumber, country);
+  }
+
+  /**
+   * Timezone for a normalised number and what it was derived from
+   */
+  getTimezone(phone) {
+    const digits = phone.slice(1);
+
+    if (digits.startsWith('1') && digits.length === 11) {
+      const areaCode = digits.slice(1, 4);
+      if (AREA_CODE_TIMEZONES[areaCode]) {
+        return { timezone: AREA_CODE_TIMEZONES[areaCode], derivedFrom: 'area_code', code: areaCode };
+      }
+    } else {
+      for (const length of [3, 2, 1]) {
+        const countryCode = digits.slice(0, length);
+        if (COUNTRY_CODES[countryCode]) {
+          return { timezone: COUNTRY_CODES[countryCode], derivedFrom: 'country_code', code: countryCode };
+        }
+      }
+    }
+
+    return { timezone: this.defaultTimezone, derivedFrom: 'default', code: null };
+  }
+
+  /**
+   * Whether the number may be called now. Returns { allowed, phone, lineType, reason, detail, ... }
+   * without recording anything; use assertCanDial before actually dialling.
+   * context.country is the default country for numbers written in national format.
+   */
+  async checkDial(phoneNumber, context = {}) {
+    const now = context.now || new Date();
+    const customer = context.customer || {};
+    const parsed = phoneUtil.parsePhone(phoneNumber, context.country);
+
+    if (!parsed) {
+      return { allowed: false, phone: phoneNumber || null, reason: 'invalid_number', detail: 'Not a valid phone number' };
+    }
+    const phone = parsed.e164;
+    if (!parsed.valid) {
+      return { allowed: false, phone, reason: 'invalid_number', detail: `${phone} is not a number in service` };
+    }
+    if (!this.enabled) {
+      return { allowed: true, phone, lineType: parsed.type };
+    }
+
+    if (String(customer.status || '').toLowerCase() === 'do_not_call') {
+      return { allowed: false, phone, reason: 'do_not_call', detail: 'Customer status is do_not_call' };
+    }
+
+    const entry = await this.dnc.get(phone);
+    if (entry) {
+      return { allowed: false, phone, reason: 'do_not_call', detail: `Number is on the ${entry.source} do-not-call list` };
+    }
+
+    const { timezone, derivedFrom } = this.getTimezone(phone);
+    const local = DateTime.fromJSDate(now).setZone(timezone);
+    const result = { phone, lineType: parsed.type, timezone, timezoneFrom: derivedFrom, localTime: local.toFormat('ccc HH:mm') };
+
+    if (!this.isWithinCallingHours(local)) {
+      return {
+        ...result,
+        allowed: false,
+        reason: 'outside_calling_hours',
+        detail: `It is ${local.toFormat('ccc HH:mm')} for the customer (${timezone})`,
+        nextAllowedAt: this.getNextAllowedTime(local).toUTC().toISO()
+      };
+    }
+
+    return { ...result, allowed: true };
+  }
+
+  /**
+   * Throw a 403 AppError (with the check on error.compliance) if the dial isn't
+   * allowed, logging it to the audit trail. Context: { customer, campaign, source, tenantId, now }.
+   */
+  async assertCanDial(phoneNumber, context = {}) {
+    const check = await this.checkDial(phoneNumber, context);
+    if (check.allowed) {
+      return check;
+    }
+
+    await this.recordBlocked(check, context);
+
+    const error = new AppError(`Call blocked: ${check.detail}`, 403);
+    error.compliance = check;
+    throw error;
+  }
+
+  isWithinCallingHours(local) {
+    const minutes = local.hour * 60 + local.minute;
+    return this.callingDays.includes(WEEKDAYS[local.weekday - 1]) &&
+      minutes >= this.callingHours.start &&
+      minutes < this.callingHours.end;
+  }
+
+  /**
+   * The next time calling hours open, in the same zone as `local`
+   */
+  getNextAllowedTime(local) {
+    for (let offset = 0; offset < 8; offset++) {
+      const day = local.startOf('day').plus({ days: offset });
+      if (!this.callingDays.includes(WEEKDAYS[day.weekday - 1])) {
+        continue;
+      }
+
+      const opens = day.plus({ minutes: this.callingHours.start });
+      if (opens >= local) {
+        return opens;
+      }
+      if (local < day.plus({ minutes: this.callingHours.end })) {
+        return local;
+      }
+    }
+
+    return local.plus({ days: 1 });
+  }
+
+  async recordBlocked(check, context = {}) {
+    const customer = context.customer || {};
+    const entry = {
+      id: uuidv4(),
+      tenantId: context.tenantId || customer.tenantId || null,
+      phone: check.phone,
+      customerId: customer.id || null,
+      customerName: customer.name || null,
+      campaign: context.campaign || customer.campaign || null,
+      source: context.source || null,
+      reason: check.reason,
+      detail: check.detail,
+      lineType: check.lineType || null,
+      timezone: check.timezone || null,
+      localTime: check.localTime || null,
+      nextAllowedAt: check.nextAllowedAt || null,
+      at: (context.now || new Date()).toISOString()
+    };
+
+    await this.audit.set(entry.id, entry);
+    callLogger.warn('Dial blocked by compliance check', {
+      phone: entry.phone,
+      customerId: entry.customerId,
+      reason: entry.reason,
+      detail: entry.detail
+    });
+
+    return entry;
+  }
+
+  /**
+   * Blocked dials, newest first (filters: reason, phone, customerId, tenantId, limit).
+   * filters.country reads a national-format phone.
+   */
+  async listAudit(filters = {}) {
+    const phone = filters.phone ? this.normalizePhone(filters.phone, filters.country) : null;
+    const entries = (await this.audit.list()).filter(entry =>
+      (!filters.reason || entry.reason === filters.reason) &&
+      (!phone || entry.phone === phone) &&
+      (!filters.customerId || entry.customerId === filters.customerId) &&
+      (!filters.tenantId || entry.tenantId === filters.tenantId)
+    );
+
+    entries.sort((a, b) => new Date(b.at) - new Date(a.at));
+    return entries.slice(0, parseInt(filters.limit) || 100);
+  }
+
+  /**
+   * Add a number to the DNC list. Returns { entry, added } - added is false if it was already listed.
+   * The list suppresses dials for every tenant; options.tenantId records whose list it came from.
+   * options.country reads national-format numbers.
+   */
+  async addToDnc(phoneNumber, options = {}) {
+    const phone = this.normalizePhone(phoneNumber, options.country);
+    if (!phone) {
+      throw new AppError(`Invalid phone number: ${phoneNumber}`, 400);
+    }
+
+    const existing = await this.dnc.get(phone);
+    if (existing) {
+      return { entry: existing, added: false };
+    }
+
+    const entry = {
+      phone,
+      tenantId: options.tenantId || null,
+      reason: options.reason || null,
+      source: options.source || 'internal',
+      customerId: options.customerId || null,
+      callSid: options.callSid || null,
+      addedBy: options.addedBy || null,
+      addedAt: new Date().toISOString()
+    };
+
+    await this.dnc.set(phone, entry);
+    callLogger.info('Number added to do-not-call list', { phone, source: entry.source, reason: entry.reason });
+    return { entry, added: true };
+  }
+
+  /**
+   * Take a number off the DNC list. Returns false if it wasn't listed.
+   * options.country reads national-format numbers, as for addToDnc.
+   */
+  async removeFromDnc(phoneNumber, options = {}) {
+    const phone = this.normalizePhone(phoneNumber, options.country);
+    if (!phone || !(await this.dnc.get(phone))) {
+      return false;
+    }
+
+    await this.dnc.delete(phone);
+    callLogger.info('Number removed from do-not-call list', { phone, removedBy: options.removedBy || null });
+    return true;
+  }
+
+  async isOnDnc(phoneNumber, options = {}) {
+    const phone = this.normalizePhone(phoneNumber, options.country);
+    return Boolean(phone && await this.dnc.get(phone));
+  }
+
+  async getDncEntry(phoneNumber, options = {}) {
+    const phone = this.normalizePhone(phoneNumber, options.country);
+    return phone ? this.dnc.get(phone) : null;
+  }
+
+  async listDnc(filters = {}) {
+    return (await this.dnc.list())
+      .filter(entry => !filters.source || entry.source === filters.source)
+      .filter(entry => !filters.tenantId || entry.tenantId === filters.tenantId)
+      .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+  }
+
+  /**
+   * Import an external DNC list from CSV. Uses a column headed phone/number/etc.,
+   * or the first column when there is no header row. Numbers are stored in E.164,
+   * reading national formats in options.country.
+   */
+  async importDncCsv(csv, options = {}) {
+    const lines = String(csv).split(/\r?\n/).filter(line => line.trim() !== '');
+    const summary = { total: 0, added: 0, alreadyListed: 0, invalid: 0, invalidRows: [] };
+    if (lines.length === 0) {
+      return summary;
+    }
+
+    const header = parseCsvLine(lines[0]).map(cell => cell.toLowerCase().replace(/[\s-]/g, '_'));
+    const headerIndex = header.findIndex(cell => PHONE_HEADERS.includes(cell));
+    const hasHeader = headerIndex !== -1 || !this.normalizePhone(header[0]);
+    const column = Math.max(headerIndex, 0);
+    const rows = hasHeader ? lines.slice(1) : lines;
+    const firstRow = hasHeader ? 2 : 1;
+
+    for (const [index, line] of rows.entries()) {
+      const value = parseCsvLine(line)[column];
+      summary.total += 1;
+
+      if (!this.normalizePhone(value, options.country)) {
+        summary.invalid += 1;
+        // Only keep a sample so a bad file doesn't produce a huge response
+        if (summary.invalidRows.length < 20) {
+          summary.invalidRows.push({ row: firstRow + index, value: value || '' });
+        }
+        continue;
+      }
+
+      const { added } = await this.addToDnc(value, {
+        source: options.source || 'import',
+        reason: options.reason || null,
+        addedBy: options.addedBy || null,
+        tenantId: options.tenantId || null,
+        country: options.country
+      });
+      summary[added ? 'added' : 'alreadyListed'] += 1;
+    }
+
+    callLogger.info('Do-not-call list imported', {
+      source: options.source || 'import',
+      total: summary.total,
+      added: summary.added,
+      invalid: summary.invalid
+    });
+
+    return summary;
+  }
+}
+
+module.exports = new ComplianceService();
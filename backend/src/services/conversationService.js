@@ -3,82 +3,151 @@ const logger = require('../utils/logger');
 const openaiService = require('./openaiService');
 const googleSheetsService = require('./googleSheetsService');
 const emailService = require('./emailService');
-
-// Conversation flow steps following the exact script
-const STEPS = {
-  GREETING: 'greeting',
-  GREETING_RESPONSE: 'greeting_response',
-  CONFIRM_INTEREST: 'confirm_interest',
-  INTEREST_RESPONSE: 'interest_response',
-  ARRANGE_APPOINTMENT: 'arrange_appointment',
-  APPOINTMENT_RESPONSE: 'appointment_response',
-  OFFER_SIMILAR: 'offer_similar',
-  SIMILAR_RESPONSE: 'similar_response',
-  COLLECT_EMAIL: 'collect_email',
-  EMAIL_RESPONSE: 'email_response',
-  END_CALL: 'end_call'
-};
+const scriptService = require('./scriptService');
+const intentService = require('./intentService');
+const dateTimeService = require('./dateTimeService');
+const schedulingService = require('./schedulingService');
+const callHistoryService = require('./callHistoryService');
+const complianceService = require('./complianceService');
+const recordingService = require('./recordingService');
+const tenantService = require('./tenantService');
+const { createStore } = require('../stores');
+
+// Said when a customer opts out and the script has no optOut node
+const DEFAULT_OPT_OUT_PROMPT = "Of course. I've taken your number off our call list and you won't hear from us again. Sorry for the interruption, and have a good day.";
 
 class ConversationService {
   constructor() {
-    this.conversations = new Map();
-    this.conversationTimeout = 300000; // 5 minutes
+    // Idle conversations expire from the store; every save refreshes the TTL
+    this.conversationTtlSeconds = parseInt(process.env.CONVERSATION_TTL_SECONDS) || 300;
+    this.store = createStore('conversations', {
+      driver: process.env.CONVERSATION_STORE,
+      ttlSeconds: this.conversationTtlSeconds
+    });
+
+    // Capture types a script transition can use to pull a value out of the customer's reply.
+    // An extractor returns the value, { value, display }, { error } to reject the reply, or null.
+    this.extractors = {
+      email: input => this.extractEmail(input),
+      datetime: (input, conversation) => this.calendarFor(conversation).resolveAppointment(input),
+      appointment: (input, conversation) => this.resolveAppointmentSlot(input, conversation)
+    };
+
+    // Side-effect actions a script transition can trigger.
+    // An action may return { rejected: message } to stop the transition.
+    this.actions = {
+      sendSimilarCarsEmail: conversation => this.sendSimilarCarsEmail(conversation, conversation.data.email),
+      bookAppointment: conversation => this.bookAppointment(conversation),
+      rescheduleAppointment: conversation => this.rescheduleAppointment(conversation),
+      sendAppointmentConfirmation: conversation => this.confirmAppointment(conversation)
+    };
   }
 
   /**
-   * Generate initial greeting (Step 1)
+   * Generate initial greeting from the start node of the campaign's script.
+   * options.recording (the call record's recording details) adds the recording
+   * announcement, or replaces the greeting with the consent question.
+   * options.entry picks one of the script's entry nodes instead of its start node, and
+   * options.context adds prompt variables (e.g. what an inbound caller is calling about).
    */
-  async generateInitialGreeting(callSid, customerData) {
+  async generateInitialGreeting(callSid, customerData, options = {}) {
     try {
+      const script = options.scriptId
+        ? scriptService.getScript(options.scriptId, options.scriptVersion)
+        : scriptService.getScriptForCampaign(options.campaign || customerData.campaign);
+
+      if (!script) {
+        throw new Error(`Script not found: ${options.scriptId}`);
+      }
+
+      const defaults = script.defaults || {};
+      const startStep = scriptService.getStartNode(script, options.entry);
+      const tenant = tenantService.resolve({
+        tenantId: options.tenantId || customerData.tenantId,
+        campaign: options.campaign || customerData.campaign
+      });
       const conversation = {
         id: uuidv4(),
         callSid,
+        tenantId: tenant.id,
         customerData,
-        currentStep: STEPS.GREETING,
+        script: {
+          id: script.id,
+          version: script.version
+        },
+        campaign: options.campaign || customerData.campaign || null,
+        startStep,
+        currentStep: startStep,
         startTime: new Date(),
         lastActivity: new Date(),
         context: {
           customerName: customerData.name,
           carModel: customerData.carModel,
-          dealershipName: customerData.dealershipName || 'Premier Auto',
-          botName: 'Sarah'
+          dealershipName: customerData.dealershipName || tenant.name || defaults.dealershipName,
+          botName: tenant.botName || defaults.botName,
+          ...options.context
         },
         data: {
           interestedInOriginal: null,
           appointmentDateTime: null,
+          appointmentDateTimeDisplay: null,
+          appointmentId: null,
           interestedInSimilar: null,
           email: customerData.email || null
         },
+        recording: options.recording ? {
+          mode: options.recording.mode,
+          consent: options.recording.consent,
+          prompts: 0
+        } : null,
+        turnCount: 0,
         history: []
       };
 
-      this.conversations.set(callSid, conversation);
-
-      // Step 1: Greeting & Personalization (exact script)
-      const greeting = `Hi ${conversation.context.customerName}, this is ${conversation.context.botName} from ${conversation.context.dealershipName}. You recently enquired about the ${conversation.context.carModel}. Is now a good time to talk?`;
+      let greeting = this.renderPrompt(conversation, script.nodes[startStep].prompt);
+      if (conversation.recording && conversation.recording.consent === 'pending') {
+        // The script starts once the customer has answered
+        greeting = recordingService.messages.consentPrompt;
+      } else if (conversation.recording && conversation.recording.mode === 'announce') {
+        greeting = `${recordingService.messages.announcement} ${greeting}`;
+      }
 
       conversation.history.push({
         role: 'assistant',
         content: greeting,
-        step: STEPS.GREETING,
+        step: startStep,
         timestamp: new Date()
       });
 
-      // Set cleanup timeout
-      setTimeout(() => {
-        this.cleanupConversation(callSid);
-      }, this.conversationTimeout);
+      await this.saveConversation(conversation);
+
+      await callHistoryService.startCall(callSid, {
+        tenantId: tenant.id,
+        customer: customerData,
+        campaign: conversation.campaign,
+        script: conversation.script,
+        direction: options.direction,
+        status: 'in-progress'
+      });
+      await callHistoryService.recordTurn(callSid, {
+        speaker: 'bot',
+        text: greeting,
+        step: startStep
+      });
 
       logger.info('Initial greeting generated', {
         callSid,
         customerName: customerData.name,
-        carModel: customerData.carModel
+        carModel: customerData.carModel,
+        scriptId: script.id,
+        scriptVersion: script.version,
+        startStep
       });
 
       return {
         response: greeting,
-        nextStep: STEPS.GREETING_RESPONSE,
-        shouldContinue: true
+        nextStep: startStep,
+        shouldContinue: !script.nodes[startStep].end
       };
 
     } catch (error) {
@@ -91,18 +160,21 @@ class ConversationService {
   }
 
   /**
-   * Process customer input and generate appropriate response
+   * Process customer input against the current script node and generate the response
    */
-  async processCustomerInput(callSid, customerInput) {
+  async processCustomerInput(callSid, customerInput, meta = {}) {
+    const receivedAt = Date.now();
+
     try {
-      const conversation = this.conversations.get(callSid);
-      
+      const conversation = await this.getConversation(callSid);
+
       if (!conversation) {
         throw new Error('Conversation not found');
       }
 
       conversation.lastActivity = new Date();
-      
+      conversation.turnCount = (conversation.turnCount || 0) + 1;
+
       // Add customer input to history
       conversation.history.push({
         role: 'user',
@@ -111,32 +183,34 @@ class ConversationService {
         timestamp: new Date()
       });
 
+      const script = this.getConversationScript(conversation);
+      const node = script.nodes[conversation.currentStep];
+
+      const intent = await intentService.classify(customerInput, {
+        callSid,
+        step: conversation.currentStep,
+        botPrompt: this.getLastBotMessage(conversation)
+      });
+
+      await callHistoryService.recordTurn(callSid, {
+        speaker: 'customer',
+        text: customerInput,
+        step: conversation.currentStep,
+        confidence: meta.confidence,
+        intent
+      });
+
       let response;
 
-      // Process based on current step
-      switch (conversation.currentStep) {
-        case STEPS.GREETING_RESPONSE:
-          response = await this.handleGreetingResponse(conversation, customerInput);
-          break;
-        
-        case STEPS.INTEREST_RESPONSE:
-          response = await this.handleInterestResponse(conversation, customerInput);
-          break;
-        
-        case STEPS.APPOINTMENT_RESPONSE:
-          response = await this.handleAppointmentResponse(conversation, customerInput);
-          break;
-        
-        case STEPS.SIMILAR_RESPONSE:
-          response = await this.handleSimilarResponse(conversation, customerInput);
-          break;
-        
-        case STEPS.EMAIL_RESPONSE:
-          response = await this.handleEmailResponse(conversation, customerInput);
-          break;
-        
-        default:
-          response = await this.handleUnexpectedInput(conversation, customerInput);
+      if (intent.intent === 'do_not_call') {
+        // Opting out ends the call from any step, whatever the script's transitions say
+        response = await this.handleOptOut(conversation, script, customerInput);
+      } else if (conversation.recording && conversation.recording.consent === 'pending') {
+        response = await this.handleRecordingConsent(conversation, script, intent.intent);
+      } else if (!node || node.end) {
+        response = await this.handleUnexpectedInput(conversation, customerInput);
+      } else {
+        response = await this.advance(conversation, script, node, customerInput, intent.intent);
       }
 
       // Add AI response to history
@@ -148,17 +222,35 @@ class ConversationService {
       });
 
       conversation.currentStep = response.nextStep;
+      if (response.outcome) {
+        conversation.outcome = response.outcome;
+      }
+      await this.saveConversation(conversation);
+
+      await callHistoryService.recordTurn(callSid, {
+        speaker: 'bot',
+        text: response.message,
+        step: response.nextStep,
+        latencyMs: Date.now() - receivedAt
+      });
+      await callHistoryService.updateCall(callSid, {
+        finalStep: response.nextStep,
+        outcome: response.outcome
+      });
 
       logger.info('Customer input processed', {
         callSid,
         currentStep: conversation.currentStep,
+        scriptId: conversation.script.id,
+        scriptVersion: conversation.script.version,
         customerInput: customerInput.substring(0, 100)
       });
 
       return {
         response: response.message,
         nextStep: response.nextStep,
-        shouldContinue: response.shouldContinue
+        shouldContinue: response.shouldContinue,
+        stopRecording: Boolean(response.stopRecording)
       };
 
     } catch (error) {
@@ -172,202 +264,263 @@ class ConversationService {
   }
 
   /**
-   * Handle greeting response (Step 1 → Step 2)
+   * Pick the first matching transition of a node, apply its side effects and move on
    */
-  async handleGreetingResponse(conversation, input) {
-    const lowerInput = input.toLowerCase().trim();
+  async advance(conversation, script, node, input, intent) {
+    for (const transition of node.transitions) {
+      const captured = await this.matchTransition(conversation, transition, input, intent);
+      if (!captured) {
+        continue;
+      }
+      // A captured value that can't be used (e.g. a time we're closed) explains itself
+      if (captured.rejected) {
+        return {
+          message: captured.rejected,
+          nextStep: transition.retry || conversation.currentStep,
+          shouldContinue: true
+        };
+      }
+
+      if (transition.capture) {
+        conversation.data[transition.capture.field] = captured.value;
+        if (captured.display) {
+          conversation.data[`${transition.capture.field}Display`] = captured.display;
+        }
+      }
+      Object.assign(conversation.data, transition.set || {});
+
+      const actionResult = await this.runActions(conversation, transition.actions);
+      if (actionResult && actionResult.rejected) {
+        return {
+          message: actionResult.rejected,
+          nextStep: transition.retry || conversation.currentStep,
+          shouldContinue: true
+        };
+      }
+
+      await this.applySheetUpdates(conversation, transition.sheet);
 
-    // Check for positive responses
-    if (this.containsPositive(lowerInput)) {
-      // Customer said yes, proceed to confirm interest (Step 2)
-      conversation.currentStep = STEPS.CONFIRM_INTEREST;
+      const nextNode = script.nodes[transition.next];
       return {
-        message: `I just wanted to check — are you still interested in the ${conversation.context.carModel}?`,
-        nextStep: STEPS.INTEREST_RESPONSE,
-        shouldContinue: true
+        message: this.renderPrompt(conversation, nextNode.prompt),
+        nextStep: transition.next,
+        shouldContinue: !nextNode.end,
+        outcome: nextNode.outcome
       };
     }
 
-    // Check for negative/busy responses
-    if (this.containsNegative(lowerInput) ||
-        lowerInput.includes('busy') ||
-        lowerInput.includes('not now') ||
-        lowerInput.includes('bad time') ||
-        lowerInput.includes('later')) {
-      // Customer is busy, politely reschedule
+    // Nothing matched - answer questions with the AI, otherwise clarify with the node's reprompt
+    if (node.reprompt && intent !== 'question') {
       return {
-        message: `No problem at all! I'll give you a call back at a better time. Have a great day, ${conversation.context.customerName}!`,
-        nextStep: STEPS.END_CALL,
-        shouldContinue: false
+        message: this.renderPrompt(conversation, node.reprompt),
+        nextStep: conversation.currentStep,
+        shouldContinue: true
       };
     }
 
-    // Handle unclear responses - ask for clarification
-    return {
-      message: `I just want to make sure - is this a good time for a quick chat about the ${conversation.context.carModel}?`,
-      nextStep: STEPS.GREETING_RESPONSE,
-      shouldContinue: true
-    };
+    return this.handleUnexpectedInput(conversation, input);
   }
 
   /**
-   * Handle interest response (Step 2 → Step 3 or 4)
+   * Answer to the recording consent question. The script starts once it is settled;
+   * a decline, or no clear answer after a reprompt, means the recording must stop.
    */
-  async handleInterestResponse(conversation, input) {
-    const lowerInput = input.toLowerCase();
-    
-    if (this.containsPositive(lowerInput)) {
-      // Customer is still interested - Update Column D = Yes
-      conversation.data.interestedInOriginal = true;
-      await this.updateGoogleSheet(conversation, 'D', 'Yes');
-      
-      conversation.currentStep = STEPS.ARRANGE_APPOINTMENT;
-      return {
-        message: `Great! Would you like to arrange an appointment to see or test drive the ${conversation.context.carModel}?`,
-        nextStep: STEPS.APPOINTMENT_RESPONSE,
-        shouldContinue: true
-      };
-    } else if (this.containsNegative(lowerInput)) {
-      // Customer not interested in original - Update Column D = No
-      conversation.data.interestedInOriginal = false;
-      await this.updateGoogleSheet(conversation, 'D', 'No');
-      
-      conversation.currentStep = STEPS.OFFER_SIMILAR;
+  async handleRecordingConsent(conversation, script, intent) {
+    const recording = conversation.recording;
+    const startStep = conversation.startStep || script.start;
+    recording.prompts += 1;
+
+    if (!['affirm', 'deny'].includes(intent) && recording.prompts < recordingService.maxConsentPrompts) {
       return {
-        message: `No problem — sometimes the exact model isn't the right fit. Would you be interested in hearing about similar cars we currently have available?`,
-        nextStep: STEPS.SIMILAR_RESPONSE,
+        message: recordingService.messages.consentReprompt,
+        nextStep: startStep,
         shouldContinue: true
       };
-    } else {
-      // Unclear response, clarify
+    }
+
+    recording.consent = intent === 'affirm' ? 'granted' : 'declined';
+    await recordingService.recordConsent(conversation.callSid, recording.consent);
+
+    const startPrompt = this.renderPrompt(conversation, script.nodes[startStep].prompt);
+    if (recording.consent === 'granted') {
       return {
-        message: `Just to confirm - are you still looking for the ${conversation.context.carModel}, or has your situation changed?`,
-        nextStep: STEPS.INTEREST_RESPONSE,
+        message: startPrompt,
+        nextStep: startStep,
         shouldContinue: true
       };
     }
+
+    return {
+      message: `${recordingService.messages.declined} ${startPrompt}`,
+      nextStep: startStep,
+      shouldContinue: true,
+      stopRecording: true
+    };
   }
 
   /**
-   * Handle appointment response (Step 3)
+   * The customer asked not to be called again: add them to the do-not-call list,
+   * mark the lead do_not_call in the sheet and close the call
    */
-  async handleAppointmentResponse(conversation, input) {
-    const lowerInput = input.toLowerCase();
-    
-    if (this.containsPositive(lowerInput)) {
-      // Customer wants appointment
-      const dateTimeMatch = this.extractDateTime(input);
-      if (dateTimeMatch) {
-        // Save appointment - Update Column E
-        conversation.data.appointmentDateTime = dateTimeMatch;
-        await this.updateGoogleSheet(conversation, 'E', dateTimeMatch);
-        
-        return {
-          message: `Perfect! I've scheduled your appointment for ${dateTimeMatch}. We'll send you a confirmation shortly. Thanks ${conversation.context.customerName}!`,
-          nextStep: STEPS.END_CALL,
-          shouldContinue: false
-        };
-      } else {
-        // Ask for specific date/time
-        return {
-          message: `What date and time works best for you?`,
-          nextStep: STEPS.APPOINTMENT_RESPONSE,
-          shouldContinue: true
-        };
+  async handleOptOut(conversation, script, input) {
+    const { callSid, customerData } = conversation;
+    conversation.data.optedOut = true;
+
+    try {
+      await complianceService.addToDnc(customerData.phone, {
+        source: 'opt_out',
+        reason: `Asked during the call: "${input}"`,
+        customerId: customerData.id,
+        callSid,
+        tenantId: tenantService.tenantIdOf(conversation)
+      });
+    } catch (error) {
+      logger.error('Failed to add opted-out customer to do-not-call list', {
+        error: error.message,
+        callSid
+      });
+    }
+
+    // Calls to ad hoc numbers have no sheet row
+    if (customerData.id && !/^(TEMP|TEST)_/.test(String(customerData.id))) {
+      try {
+        await googleSheetsService.updateCustomerRecord(customerData.id, {
+          status: 'do_not_call',
+          callResult: 'do_not_call'
+        }, { tenantId: conversation.tenantId });
+      } catch (error) {
+        logger.error('Failed to mark customer do_not_call in sheet', {
+          error: error.message,
+          callSid
+        });
       }
-    } else if (this.containsNegative(lowerInput)) {
-      // No appointment, offer similar cars
-      conversation.currentStep = STEPS.OFFER_SIMILAR;
-      return {
-        message: `No problem — sometimes the exact model isn't the right fit. Would you be interested in hearing about similar cars we currently have available?`,
-        nextStep: STEPS.SIMILAR_RESPONSE,
-        shouldContinue: true
-      };
-    } else {
-      // Unclear response
-      return {
-        message: `Would you like to schedule a time to come in and see the ${conversation.context.carModel}?`,
-        nextStep: STEPS.APPOINTMENT_RESPONSE,
-        shouldContinue: true
-      };
     }
+
+    logger.info('Customer opted out of calls', {
+      callSid,
+      customerId: customerData.id,
+      step: conversation.currentStep
+    });
+
+    const optOutNode = script.optOut ? script.nodes[script.optOut] : null;
+    return {
+      message: this.renderPrompt(conversation, optOutNode ? optOutNode.prompt : DEFAULT_OPT_OUT_PROMPT),
+      nextStep: optOutNode ? script.optOut : conversation.currentStep,
+      shouldContinue: false,
+      outcome: 'do_not_call'
+    };
   }
 
   /**
-   * Handle similar cars response (Step 4 → Step 5 or End)
+   * Check whether a transition applies. Returns { value, display }, { rejected: message }, or null.
    */
-  async handleSimilarResponse(conversation, input) {
-    const lowerInput = input.toLowerCase();
-    
-    if (this.containsPositive(lowerInput)) {
-      // Customer interested in similar cars - Update Column F = Yes
-      conversation.data.interestedInSimilar = true;
-      await this.updateGoogleSheet(conversation, 'F', 'Yes');
-      
-      conversation.currentStep = STEPS.COLLECT_EMAIL;
-      return {
-        message: `Perfect! What's the best email address to send those similar car options to?`,
-        nextStep: STEPS.EMAIL_RESPONSE,
-        shouldContinue: true
-      };
-    } else if (this.containsNegative(lowerInput)) {
-      // Not interested in similar cars - Update Column F = No
-      conversation.data.interestedInSimilar = false;
-      await this.updateGoogleSheet(conversation, 'F', 'No');
-      
-      return {
-        message: `No problem at all, ${conversation.context.customerName}. Thank you for your time, and feel free to contact us if anything changes. Have a great day!`,
-        nextStep: STEPS.END_CALL,
-        shouldContinue: false
-      };
-    } else {
-      // Unclear response
-      return {
-        message: `Would you like me to send you information about similar vehicles that might interest you?`,
-        nextStep: STEPS.SIMILAR_RESPONSE,
-        shouldContinue: true
-      };
+  async matchTransition(conversation, transition, input, intent) {
+    if (transition.intent) {
+      const intents = Array.isArray(transition.intent) ? transition.intent : [transition.intent];
+      if (!intents.includes(intent)) {
+        return null;
+      }
+    }
+
+    if (Array.isArray(transition.requires) &&
+        transition.requires.some(field => !conversation.data[field])) {
+      return null;
+    }
+
+    if (transition.capture) {
+      const extractor = this.extractors[transition.capture.type];
+      if (!extractor) {
+        logger.warn('Unknown capture type in script', {
+          callSid: conversation.callSid,
+          scriptId: conversation.script.id,
+          type: transition.capture.type
+        });
+        return null;
+      }
+
+      const result = await extractor(input, conversation);
+      if (!result) {
+        return null;
+      }
+      if (result.error) {
+        return { rejected: result.error };
+      }
+      return typeof result === 'object' ? result : { value: result };
     }
+
+    return { value: null };
   }
 
   /**
-   * Handle email response (Step 5 → End)
+   * Write a transition's sheet side effects, e.g. { "interested": "Yes", "appointmentDate": "{appointmentDateTime}" }
    */
-  async handleEmailResponse(conversation, input) {
-    const email = this.extractEmail(input);
-    
-    if (email) {
-      // Save email - Update Column G
-      conversation.data.email = email;
-      await this.updateGoogleSheet(conversation, 'G', email);
-      
-      // Send similar car options email
-      await this.sendSimilarCarsEmail(conversation, email);
-      
-      return {
-        message: `Thanks ${conversation.context.customerName}! I'll send you the details shortly. Have a great day!`,
-        nextStep: STEPS.END_CALL,
-        shouldContinue: false
-      };
-    } else if (conversation.data.email) {
-      // Use existing email
-      await this.sendSimilarCarsEmail(conversation, conversation.data.email);
-      
-      return {
-        message: `I'll send it to your email on file: ${conversation.data.email}. Thanks ${conversation.context.customerName}!`,
-        nextStep: STEPS.END_CALL,
-        shouldContinue: false
-      };
-    } else {
-      // Ask for email again
-      return {
-        message: `Could you please provide your email address so I can send you the similar car options?`,
-        nextStep: STEPS.EMAIL_RESPONSE,
-        shouldContinue: true
-      };
+  async applySheetUpdates(conversation, sheetUpdates) {
+    if (!sheetUpdates) {
+      return;
+    }
+
+    for (const [field, template] of Object.entries(sheetUpdates)) {
+      await this.updateGoogleSheet(conversation, field, this.renderPrompt(conversation, template));
     }
   }
 
+  /**
+   * Run a transition's actions in order; stops at the first one that rejects
+   */
+  async runActions(conversation, actions = []) {
+    for (const actionName of actions) {
+      const action = this.actions[actionName];
+      if (!action) {
+        logger.warn('Unknown action in script', {
+          callSid: conversation.callSid,
+          scriptId: conversation.script.id,
+          action: actionName
+        });
+        continue;
+      }
+      const result = await action(conversation);
+      if (result && result.rejected) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+
+  renderPrompt(conversation, template) {
+    return scriptService.renderTemplate(template, {
+      ...conversation.context,
+      ...conversation.data
+    });
+  }
+
+  /**
+   * The exact script version a conversation started with. If that version is no
+   * longer loaded (e.g. removed in a deploy) the conversation moves to the latest one.
+   */
+  getConversationScript(conversation) {
+    const { id, version } = conversation.script;
+    const pinned = scriptService.getScript(id, version);
+    if (pinned) {
+      return pinned;
+    }
+
+    const latest = scriptService.getScript(id);
+    if (!latest) {
+      throw new Error(`Script ${id} is no longer loaded`);
+    }
+
+    logger.warn('Script version no longer loaded, continuing on the latest', {
+      callSid: conversation.callSid,
+      scriptId: id,
+      version,
+      latestVersion: latest.version,
+      step: conversation.currentStep
+    });
+    conversation.script = { id, version: latest.version };
+    return latest;
+  }
+
   /**
    * Handle unexpected input with AI assistance
    */
@@ -399,60 +552,211 @@ class ConversationService {
     }
   }
 
-  // Helper methods for better response detection
-  containsPositive(input) {
-    const positiveWords = [
-      'yes', 'yeah', 'yep', 'yup', 'sure', 'okay', 'ok', 'alright', 'right',
-      'definitely', 'absolutely', 'certainly', 'of course', 'sounds good',
-      'interested', 'good time', 'perfect', 'great', 'fine', 'works',
-      'i am', 'i would', 'i will', 'let\'s do', 'go ahead'
-    ];
-    return positiveWords.some(word => input.includes(word));
+  getLastBotMessage(conversation) {
+    const last = [...conversation.history].reverse().find(entry => entry.role === 'assistant');
+    return last ? last.content : null;
   }
 
-  containsNegative(input) {
-    const negativeWords = [
-      'no', 'nope', 'not', 'nah', 'never', 'none',
-      'busy', 'later', 'bad time', 'not now', 'not interested',
-      'not really', 'don\'t think', 'can\'t', 'won\'t',
-      'not a good time', 'call back', 'another time'
-    ];
-    return negativeWords.some(word => input.includes(word));
+  /**
+   * Resolve a requested appointment slot and check it is free. When it is taken the
+   * nearest alternatives are offered and remembered so "the first one" or "3pm" can pick one.
+   */
+  async resolveAppointmentSlot(input, conversation) {
+    const calendar = this.calendarFor(conversation);
+    const offered = conversation.data.offeredSlots || [];
+    const chosen = this.matchOfferedSlot(input, offered, calendar);
+    const resolved = chosen
+      ? { value: chosen, display: calendar.formatForSpeech(chosen) }
+      : calendar.resolveAppointment(input);
+
+    if (!resolved || resolved.error) {
+      return resolved;
+    }
+
+    const vehicle = conversation.customerData.carModel;
+    const tenantId = tenantService.tenantIdOf(conversation);
+    const check = await schedulingService.checkAvailability(resolved.value, { vehicle, tenantId });
+    if (check.available) {
+      conversation.data.offeredSlots = [];
+      return resolved;
+    }
+
+    const alternatives = await schedulingService.findAlternatives(resolved.value, { vehicle, tenantId });
+    conversation.data.offeredSlots = alternatives;
+    return { error: this.describeAlternatives(check.message, alternatives, calendar) };
   }
 
-  extractDateTime(input) {
-    // Simple date/time extraction - can be enhanced
-    const dateTimePatterns = [
-      /tomorrow at (\d+(?::\d+)?(?:\s*(?:am|pm))?)/i,
-      /(\w+day) at (\d+(?::\d+)?(?:\s*(?:am|pm))?)/i,
-      /(\d+\/\d+(?:\/\d+)?) at (\d+(?::\d+)?(?:\s*(?:am|pm))?)/i
-    ];
-    
-    for (const pattern of dateTimePatterns) {
-      const match = input.match(pattern);
-      if (match) {
-        return match[0];
-      }
+  /**
+   * Pick one of the previously offered slots from "the second one" or a bare time
+   */
+  matchOfferedSlot(input, offered, calendar = dateTimeService) {
+    if (offered.length === 0) {
+      return null;
+    }
+
+    const lowerInput = input.toLowerCase();
+    const ordinals = ['first', 'second', 'third'];
+    const ordinal = ordinals.findIndex(word => new RegExp(`\\b${word}\\b`).test(lowerInput));
+    if (ordinal !== -1 && offered[ordinal]) {
+      return offered[ordinal];
+    }
+    if (/\b(last|latest)\b/.test(lowerInput)) {
+      return offered[offered.length - 1];
+    }
+
+    const parsed = calendar.parse(input);
+    if (!parsed || !parsed.hasTime) {
+      return null;
+    }
+
+    return offered.find(slot => {
+      const offeredSlot = schedulingService.toDateTime(slot, calendar);
+      const sameTime = offeredSlot.hour === parsed.start.hour && offeredSlot.minute === parsed.start.minute;
+      return sameTime && (!parsed.hasDate || offeredSlot.hasSame(parsed.start, 'day'));
+    }) || null;
+  }
+
+  describeAlternatives(reason, alternatives, calendar = dateTimeService) {
+    if (alternatives.length === 0) {
+      return `${reason} I don't have anything free around then. Is there another day that would suit you?`;
+    }
+
+    const options = alternatives.map(slot => calendar.formatForSpeech(slot));
+    const list = options.length === 1
+      ? options[0]
+      : `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}`;
+
+    return `${reason} The nearest times I have are ${list}. Would one of those work?`;
+  }
+
+  /**
+   * Reserve the confirmed slot; if it was taken in the meantime offer alternatives instead
+   */
+  async bookAppointment(conversation) {
+    const { customerData, data } = conversation;
+
+    const result = await schedulingService.reserve({
+      tenantId: tenantService.tenantIdOf(conversation),
+      start: data.appointmentDateTime,
+      customer: customerData,
+      vehicle: customerData.carModel,
+      callSid: conversation.callSid,
+      source: 'call'
+    });
+
+    if (!result.booked) {
+      data.offeredSlots = result.alternatives;
+      return { rejected: this.describeAlternatives(result.message, result.alternatives, this.calendarFor(conversation)) };
+    }
+
+    data.appointmentId = result.appointment.id;
+
+    if (data.email) {
+      this.queueConfirmation(conversation, result.appointment);
+    }
+    return null;
+  }
+
+  /**
+   * Send the confirmation for the appointment booked on this call once the customer
+   * has given an email address (bookAppointment sends it when one is already on file)
+   */
+  async confirmAppointment(conversation) {
+    const appointment = conversation.data.appointmentId &&
+      await schedulingService.getAppointment(conversation.data.appointmentId);
+    if (appointment) {
+      this.queueConfirmation(conversation, appointment);
     }
-    
     return null;
   }
 
+  /**
+   * Send the confirmation without holding up the call while the email goes out
+   */
+  queueConfirmation(conversation, appointment) {
+    this.sendAppointmentConfirmation(conversation, appointment).catch(error => {
+      logger.error('Failed to send appointment confirmation', {
+        error: error.message,
+        callSid: conversation.callSid,
+        appointmentId: appointment.id
+      });
+    });
+  }
+
+  /**
+   * Book the new slot, then cancel the appointment the caller already had
+   * (context.existingAppointmentId). If the new slot can't be had, the old one stands.
+   */
+  async rescheduleAppointment(conversation) {
+    const result = await this.bookAppointment(conversation);
+    if (result && result.rejected) {
+      return result;
+    }
+
+    const existingId = conversation.context.existingAppointmentId;
+    if (existingId && existingId !== conversation.data.appointmentId) {
+      await schedulingService.cancel(existingId, 'Rescheduled by customer');
+      logger.info('Appointment rescheduled', {
+        callSid: conversation.callSid,
+        from: existingId,
+        to: conversation.data.appointmentId
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Email the customer a confirmation with an .ics invite attached
+   */
+  async sendAppointmentConfirmation(conversation, appointment) {
+    const email = conversation.data.email || conversation.customerData.email;
+    if (!email) {
+      logger.info('No email on file, skipping appointment confirmation', {
+        callSid: conversation.callSid,
+        appointmentId: appointment.id
+      });
+      return;
+    }
+
+    try {
+      const tenantId = tenantService.tenantIdOf(conversation);
+      const calendar = this.calendarFor(conversation);
+      const dealership = schedulingService.getDealership(tenantId);
+      const start = schedulingService.toDateTime(appointment.start, calendar);
+
+      await emailService.sendAppointmentConfirmationEmail(email, conversation.context.customerName, {
+        date: calendar.formatDay(start),
+        time: calendar.formatMinutes(start.hour * 60 + start.minute),
+        carModel: appointment.vehicle || conversation.context.carModel,
+        location: [dealership.name, dealership.address].filter(Boolean).join(', '),
+        rescheduleUrl: schedulingService.getRescheduleUrl(appointment),
+        ics: schedulingService.buildInvite({ ...appointment, email })
+      }, { tenantId });
+    } catch (error) {
+      logger.error('Failed to send appointment confirmation', {
+        error: error.message,
+        callSid: conversation.callSid,
+        appointmentId: appointment.id
+      });
+    }
+  }
+
   extractEmail(input) {
     const emailPattern = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
     const match = input.match(emailPattern);
     return match ? match[0] : null;
   }
 
-  async updateGoogleSheet(conversation, column, value) {
+  async updateGoogleSheet(conversation, field, value) {
     try {
       await googleSheetsService.updateCustomerData(
         conversation.customerData.phone,
-        { [column]: value }
+        { [field]: value },
+        { tenantId: tenantService.tenantIdOf(conversation) }
       );
       logger.info('Google Sheet updated', {
         callSid: conversation.callSid,
-        column,
+        field,
         value
       });
     } catch (error) {
@@ -465,10 +769,8 @@ class ConversationService {
 
   async sendSimilarCarsEmail(conversation, email) {
     try {
-      await emailService.sendSimilarCarsEmail(email, {
-        customerName: conversation.context.customerName,
-        originalCarModel: conversation.context.carModel,
-        dealershipName: conversation.context.dealershipName
+      await emailService.sendSimilarCarsEmail(email, conversation.context.customerName, conversation.context.carModel, {
+        tenantId: tenantService.tenantIdOf(conversation)
       });
       logger.info('Similar cars email sent', {
         callSid: conversation.callSid,
@@ -482,14 +784,58 @@ class ConversationService {
     }
   }
 
-  getConversation(callSid) {
-    return this.conversations.get(callSid);
+  /**
+   * Dates and times are heard and spoken in the dealership's own timezone
+   */
+  calendarFor(conversation) {
+    return schedulingService.getCalendar(tenantService.tenantIdOf(conversation));
+  }
+
+  async getConversation(callSid) {
+    return this.store.get(callSid);
   }
 
-  cleanupConversation(callSid) {
-    this.conversations.delete(callSid);
+  /**
+   * Persist a conversation (also refreshes its idle TTL)
+   */
+  async saveConversation(conversation) {
+    await this.store.set(conversation.callSid, conversation);
+    return conversation;
+  }
+
+  async cleanupConversation(callSid) {
+    await this.store.delete(callSid);
     logger.info('Conversation cleaned up', { callSid });
   }
+
+  async getActiveConversationsCount() {
+    return this.store.count();
+  }
+
+  /**
+   * Aggregate stats over live conversations (filters.tenantId: one tenant's only)
+   */
+  async getConversationStats(filters = {}) {
+    const conversations = tenantService.filterRecords(filters.tenantId, await this.store.list());
+    const byStep = {};
+    const byScript = {};
+    let totalTurns = 0;
+
+    for (const conversation of conversations) {
+      byStep[conversation.currentStep] = (byStep[conversation.currentStep] || 0) + 1;
+      const scriptKey = `${conversation.script.id}@${conversation.script.version}`;
+      byScript[scriptKey] = (byScript[scriptKey] || 0) + 1;
+      totalTurns += conversation.turnCount || 0;
+    }
+
+    return {
+      active: conversations.length,
+      averageTurns: conversations.length > 0 ? totalTurns / conversations.length : 0,
+      byStep,
+      byScript,
+      store: this.store.driver
+    };
+  }
 }
 
 module.exports = new ConversationService();
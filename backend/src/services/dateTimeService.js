@@ -0,0 +1,302 @@
+const chrono = require('chrono-node');
+const { DateTime } = require('luxon');
+const logger = require('../utils/logger');
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const NUMBER_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Used when the customer names a part of the day instead of a time
+const PART_OF_DAY_HOURS = {
+  morning: 10,
+  lunchtime: 12,
+  afternoon: 14,
+  evening: 17
+};
+
+/**
+ * Parse BUSINESS_HOURS, e.g. "mon-fri=09:00-18:00,sat=10:00-16:00".
+ * Returns { 1..7 (luxon weekday): { open: minutes, close: minutes } }; missing days are closed.
+ */
+function parseBusinessHours(spec) {
+  const hours = {};
+
+  for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^([a-z]{3})(?:-([a-z]{3}))?=(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/i);
+    if (!match) {
+      logger.warn('Ignoring invalid BUSINESS_HOURS entry', { entry });
+      continue;
+    }
+
+    const first = WEEKDAYS.indexOf(match[1].toLowerCase());
+    const last = WEEKDAYS.indexOf((match[2] || match[1]).toLowerCase());
+    if (first === -1 || last === -1) {
+      logger.warn('Ignoring invalid BUSINESS_HOURS entry', { entry });
+      continue;
+    }
+
+    for (let day = first; day <= last; day++) {
+      hours[day + 1] = {
+        open: parseInt(match[3]) * 60 + parseInt(match[4]),
+        close: parseInt(match[5]) * 60 + parseInt(match[6])
+      };
+    }
+  }
+
+  return hours;
+}
+
+/**
+ * Dealership calendar: turns spoken dates into ISO timestamps in the dealership's
+ * timezone and checks them against opening hours and holidays.
+ */
+class DateTimeService {
+  constructor() {
+    this.timezone = process.env.DEALERSHIP_TIMEZONE || 'America/New_York';
+    this.businessHours = parseBusinessHours(process.env.BUSINESS_HOURS || 'mon-fri=09:00-18:00,sat=10:00-16:00');
+    this.holidays = (process.env.BUSINESS_HOLIDAYS || '')
+      .split(',')
+      .map(date => date.trim())
+      .filter(Boolean);
+
+    if (!DateTime.local().setZone(this.timezone).isValid) {
+      logger.error('Invalid DEALERSHIP_TIMEZONE, falling back to UTC', { timezone: this.timezone });
+      this.timezone = 'UTC';
+    }
+
+    this.root = this;
+    // timezone -> the same calendar in that timezone (see forTimezone)
+    this.zones = new Map();
+  }
+
+  /**
+   * This calendar (opening hours, holidays) in another timezone, e.g. a tenant's
+   */
+  forTimezone(timezone) {
+    const root = this.root;
+    if (!timezone || timezone === root.timezone) {
+      return root;
+    }
+
+    if (!root.zones.has(timezone)) {
+      const zoned = Object.create(root);
+      zoned.timezone = timezone;
+      root.zones.set(timezone, zoned);
+    }
+    return root.zones.get(timezone);
+  }
+
+  /**
+   * Parse a spoken date/time relative to `now` in the dealership timezone.
+   * Returns { start: DateTime, hasDate, hasTime } or null when no date is mentioned.
+   */
+  parse(text, now = new Date()) {
+    const input = this.normalizeSpeech(text);
+    const reference = DateTime.fromJSDate(now).setZone(this.timezone);
+
+    const results = chrono.parse(input, { instant: now, timezone: reference.offset }, { forwardDate: true });
+    const result = results[0];
+    // "wednesday the 28th at 11am" comes back as separate date and time results
+    const timeResult = results.find(candidate => candidate.start.isCertain('hour'));
+    const ordinalDay = this.findOrdinalDay(input);
+    const partOfDay = Object.keys(PART_OF_DAY_HOURS).find(part => new RegExp(`\\b${part}\\b`).test(input));
+
+    if (!result && !ordinalDay) {
+      return null;
+    }
+
+    const components = result ? result.start : null;
+    let date = components
+      ? reference.set({
+        year: components.get('year'),
+        month: components.get('month'),
+        day: components.get('day')
+      })
+      : reference;
+
+    // chrono ignores a bare "the 14th", so resolve it to the next occurrence of that day
+    if (ordinalDay && !(components && components.isCertain('day'))) {
+      date = reference.set({ day: ordinalDay });
+      if (!date.isValid || date.startOf('day') < reference.startOf('day')) {
+        date = reference.plus({ months: 1 }).set({ day: ordinalDay });
+      }
+    }
+
+    let hour = null;
+    let minute = 0;
+
+    if (timeResult) {
+      hour = timeResult.start.get('hour');
+      minute = timeResult.start.get('minute') || 0;
+
+      // "at 3" on a sales call means the afternoon, not 3am
+      if (!timeResult.start.isCertain('meridiem') && hour >= 1 && hour <= 7) {
+        hour += 12;
+      }
+    } else if (partOfDay) {
+      hour = PART_OF_DAY_HOURS[partOfDay];
+    }
+
+    const start = DateTime.fromObject({
+      year: date.year,
+      month: date.month,
+      day: date.day,
+      hour: hour === null ? 0 : hour,
+      minute
+    }, { zone: this.timezone });
+
+    if (!start.isValid) {
+      return null;
+    }
+
+    const hasDate = Boolean(ordinalDay) ||
+      (components && (components.isCertain('day') || components.isCertain('weekday')));
+
+    return { start, hasDate, hasTime: hour !== null };
+  }
+
+  /**
+   * Resolve a customer's requested slot for a script capture.
+   * Returns { value: ISO, display } for a bookable slot, { error } with a spoken
+   * explanation when the slot can't be booked, or null when no date was given.
+   */
+  resolveAppointment(text, now = new Date()) {
+    const parsed = this.parse(text, now);
+    if (!parsed) {
+      return null;
+    }
+
+    if (!parsed.hasTime) {
+      return { error: `What time on ${this.formatDay(parsed.start)} works best for you?` };
+    }
+
+    const check = this.checkSlot(parsed.start, now);
+    if (!check.valid) {
+      return { error: check.message };
+    }
+
+    return {
+      value: parsed.start.toISO({ suppressMilliseconds: true }),
+      display: this.formatForSpeech(parsed.start)
+    };
+  }
+
+  /**
+   * Check a slot against the clock, holidays and opening hours
+   */
+  checkSlot(slot, now = new Date()) {
+    const start = DateTime.isDateTime(slot) ? slot.setZone(this.timezone) : DateTime.fromISO(slot, { zone: this.timezone });
+
+    if (!start.isValid) {
+      return { valid: false, reason: 'invalid', message: 'Sorry, I didn\'t catch that date. What day and time would suit you?' };
+    }
+
+    if (start.toMillis() <= now.getTime()) {
+      return { valid: false, reason: 'past', message: 'That time has already passed. What other day and time would suit you?' };
+    }
+
+    if (this.holidays.includes(start.toISODate())) {
+      return {
+        valid: false,
+        reason: 'holiday',
+        message: `We're closed on ${this.formatDay(start)}. Would another day work for you?`
+      };
+    }
+
+    const hours = this.getOpeningHours(start);
+    if (!hours) {
+      return {
+        valid: false,
+        reason: 'closed',
+        message: `We're closed on ${WEEKDAY_NAMES[start.weekday - 1]}s. We're open ${this.describeHours()}. What other day suits you?`
+      };
+    }
+
+    const minutes = start.hour * 60 + start.minute;
+    if (minutes < hours.open || minutes >= hours.close) {
+      return {
+        valid: false,
+        reason: 'outside_hours',
+        message: `On ${WEEKDAY_NAMES[start.weekday - 1]}s we're open from ${this.formatMinutes(hours.open)} to ${this.formatMinutes(hours.close)}. What time in that window suits you?`
+      };
+    }
+
+    return { valid: true };
+  }
+
+  getOpeningHours(dateTime) {
+    return this.businessHours[dateTime.weekday] || null;
+  }
+
+  /**
+   * Speakable summary of opening hours, e.g. "Monday to Friday 9am to 6pm, Saturday 10am to 4pm"
+   */
+  describeHours() {
+    const groups = [];
+
+    for (let day = 1; day <= 7; day++) {
+      const hours = this.businessHours[day];
+      if (!hours) continue;
+
+      const previous = groups[groups.length - 1];
+      if (previous && previous.last === day - 1 && previous.open === hours.open && previous.close === hours.close) {
+        previous.last = day;
+      } else {
+        groups.push({ first: day, last: day, ...hours });
+      }
+    }
+
+    return groups.map(group => {
+      const days = group.first === group.last
+        ? WEEKDAY_NAMES[group.first - 1]
+        : `${WEEKDAY_NAMES[group.first - 1]} to ${WEEKDAY_NAMES[group.last - 1]}`;
+      return `${days} ${this.formatMinutes(group.open)} to ${this.formatMinutes(group.close)}`;
+    }).join(', ');
+  }
+
+  /**
+   * e.g. "Tuesday, October 27 at 3pm"
+   */
+  formatForSpeech(slot) {
+    const start = DateTime.isDateTime(slot) ? slot.setZone(this.timezone) : DateTime.fromISO(slot, { zone: this.timezone });
+    return `${this.formatDay(start)} at ${this.formatMinutes(start.hour * 60 + start.minute)}`;
+  }
+
+  formatDay(dateTime) {
+    return dateTime.toFormat('cccc, LLLL d');
+  }
+
+  formatMinutes(totalMinutes) {
+    const hour = Math.floor(totalMinutes / 60);
+    const minute = totalMinutes % 60;
+    const suffix = hour >= 12 ? 'pm' : 'am';
+    const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+    return minute === 0 ? `${displayHour}${suffix}` : `${displayHour}:${String(minute).padStart(2, '0')}${suffix}`;
+  }
+
+  /**
+   * Rewrite spoken phrasing chrono doesn't understand ("half past two", "around 10")
+   */
+  normalizeSpeech(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(new RegExp(`\\b(at|past|to|around|about) (${NUMBER_WORDS.join('|')})\\b`, 'g'),
+        (match, word, number) => `${word} ${NUMBER_WORDS.indexOf(number) + 1}`)
+      .replace(new RegExp(`\\b(${NUMBER_WORDS.join('|')}) o'?clock\\b`, 'g'), (match, number) => `${NUMBER_WORDS.indexOf(number) + 1}`)
+      .replace(/\b(\d{1,2}) o'?clock\b/g, '$1')
+      .replace(/\b(around|about|roughly|approximately)\b/g, 'at')
+      .replace(/\bat at\b/g, 'at')
+      .replace(/\bhalf past (\d{1,2})\b/g, '$1:30')
+      .replace(/\bquarter past (\d{1,2})\b/g, '$1:15')
+      .replace(/\bquarter to (\d{1,2})\b/g, (match, hour) => `${(parseInt(hour) + 10) % 12 + 1}:45`)
+      .replace(/\b(\d{1,2})\s*-?ish\b/g, '$1');
+  }
+
+  findOrdinalDay(text) {
+    const match = text.match(/\b(\d{1,2})(?:st|nd|rd|th)\b/);
+    const day = match ? parseInt(match[1]) : null;
+    return day && day <= 31 ? day : null;
+  }
+}
+
+module.exports = new DateTimeService();
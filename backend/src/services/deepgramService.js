@@ -1,4 +1,4 @@
-const { createClient } = require('@deepgram/sdk');
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
 
@@ -144,9 +144,11 @@ class DeepgramService {
   }
 
   /**
-   * Real-time transcription setup (for future use)
+   * Open a live transcription connection. handlers: { onTranscript, onUtteranceEnd,
+   * onError, onClose }; options are passed to Deepgram (e.g. encoding, sample_rate).
+   * Send audio with connection.send(buffer) and end it with connection.requestClose().
    */
-  async setupRealTimeTranscription(onTranscript, onError) {
+  setupRealTimeTranscription(handlers = {}, options = {}) {
     if (!this.enabled) {
       throw new AppError('Deepgram service not available', 503);
     }
@@ -158,32 +160,45 @@ class DeepgramService {
         smart_format: true,
         interim_results: true,
         endpointing: 300,
-        vad_events: true
+        utterance_end_ms: 1000,
+        vad_events: true,
+        ...options
       });
 
-      connection.on('open', () => {
+      connection.on(LiveTranscriptionEvents.Open, () => {
         logger.info('Real-time transcription connection opened');
       });
 
-      connection.on('transcript', (data) => {
-        const transcript = data.channel.alternatives[0].transcript;
-        if (transcript && transcript.trim() !== '') {
-          onTranscript({
-            transcript,
-            confidence: data.channel.alternatives[0].confidence,
+      connection.on(LiveTranscriptionEvents.Transcript, (data) => {
+        const alternative = data.channel.alternatives[0];
+        if (handlers.onTranscript) {
+          handlers.onTranscript({
+            transcript: alternative.transcript,
+            confidence: alternative.confidence,
             is_final: data.is_final,
             speech_final: data.speech_final
           });
         }
       });
 
-      connection.on('error', (error) => {
-        logger.error('Real-time transcription error', { error });
-        onError(error);
+      connection.on(LiveTranscriptionEvents.UtteranceEnd, () => {
+        if (handlers.onUtteranceEnd) {
+          handlers.onUtteranceEnd();
+        }
       });
 
-      connection.on('close', () => {
+      connection.on(LiveTranscriptionEvents.Error, (error) => {
+        logger.error('Real-time transcription error', { error: error.message || String(error) });
+        if (handlers.onError) {
+          handlers.onError(error);
+        }
+      });
+
+      connection.on(LiveTranscriptionEvents.Close, () => {
         logger.info('Real-time transcription connection closed');
+        if (handlers.onClose) {
+          handlers.onClose();
+        }
       });
 
       return connection;
@@ -0,0 +1,369 @@
+const { v4: uuidv4 } = require('uuid');
+const { callLogger } = require('../utils/logger');
+const { createStore, durableDriver } = require('../stores');
+const twilioService = require('./twilioService');
+const callHistoryService = require('./callHistoryService');
+const tenantService = require('./tenantService');
+
+// Jobs in these states hold the customer: enqueueing them again returns the same job
+const OPEN_STATUSES = ['queued', 'dialing', 'in_progress'];
+
+// Call statuses after which a dialled job is finished
+const FINISHED_CALL_STATUSES = ['completed', 'failed', 'busy', 'no-answer', 'canceled'];
+
+// A call with no final status after this long is closed so it stops holding a concurrency slot
+const STALE_CALL_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Persistent queue of outbound dials. A background worker places the calls while
+ * keeping under the max-concurrent-calls and calls-per-second limits, so callers
+ * (bulk-initiate, campaigns) enqueue and poll instead of dialling inline.
+ *
+ * Job status: queued -> dialing -> in_progress -> completed, or failed if the call
+ * couldn't be placed, or cancelled before dialling. `outcome` holds the call's final status
+ * ("blocked" when the compliance checks refused the dial). Jobs outside the customer's
+ * local calling hours go back to queued until the hours open.
+ */
+class DialQueueService {
+  constructor() {
+    this.jobs = createStore('dial_jobs', { driver: durableDriver('The dial queue', 'DIAL_QUEUE_STORE') });
+    this.limits = {
+      maxConcurrentCalls: parseInt(process.env.DIAL_MAX_CONCURRENT_CALLS) || 5,
+      callsPerSecond: parseFloat(process.env.DIAL_CALLS_PER_SECOND) || 1
+    };
+    this.tickIntervalMs = parseInt(process.env.DIAL_QUEUE_TICK_MS) || 1000;
+    this.timer = null;
+    this.ticking = false;
+    this.tokens = null;
+    this.lastRefillAt = null;
+  }
+
+  /**
+   * Queue one dial. job: { customer, campaign, scriptId, voicemail, batchId, source, notBefore }.
+   * Returns { job, duplicate } - duplicate is true when the customer already had an open job.
+   */
+  async enqueue(request) {
+    const customer = request.customer || {};
+    const tenantId = request.tenantId || tenantService.tenantIdOf(customer);
+    const customerKey = this.customerKey(customer, tenantId);
+
+    const existing = (await this.jobs.list())
+      .find(job => job.customerKey === customerKey && OPEN_STATUSES.includes(job.status));
+    if (existing) {
+      callLogger.info('Dial already queued for customer', { jobId: existing.id, customerId: customer.id });
+      return { job: existing, duplicate: true };
+    }
+
+    const job = {
+      id: uuidv4(),
+      tenantId,
+      batchId: request.batchId || null,
+      customerKey,
+      customerId: customer.id || null,
+      phone: customer.phone,
+      customer,
+      campaign: request.campaign || null,
+      scriptId: request.scriptId || null,
+      voicemail: request.voicemail || null,
+      source: request.source || 'api',
+      status: 'queued',
+      notBefore: request.notBefore || null,
+      callSid: null,
+      outcome: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      dialedAt: null,
+      finishedAt: null
+    };
+
+    await this.jobs.set(job.id, job);
+    return { job, duplicate: false };
+  }
+
+  /**
+   * Queue a list of customers under one batch id
+   */
+  async enqueueBatch(customers, options = {}) {
+    const batchId = uuidv4();
+    const results = [];
+
+    for (const customer of customers) {
+      const { job, duplicate } = await this.enqueue({ ...options, customer, batchId });
+      results.push({ customerId: customer.id, jobId: job.id, status: job.status, duplicate });
+    }
+
+    callLogger.info('Dial batch queued', {
+      batchId,
+      count: results.length,
+      duplicates: results.filter(result => result.duplicate).length
+    });
+
+    return { batchId, results };
+  }
+
+  async getJob(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  async listJobs(filters = {}) {
+    const jobs = (await this.jobs.list()).filter(job =>
+      (!filters.status || job.status === filters.status) &&
+      (!filters.batchId || job.batchId === filters.batchId) &&
+      (!filters.campaign || job.campaign === filters.campaign) &&
+      (!filters.customerId || job.customerId === filters.customerId) &&
+      tenantService.canAccess(filters.tenantId, job)
+    );
+
+    return jobs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * A batch's jobs with counts per status, or null if there is no such batch
+   */
+  async getBatch(batchId, filters = {}) {
+    const jobs = await this.listJobs({ batchId, tenantId: filters.tenantId });
+    if (jobs.length === 0) {
+      return null;
+    }
+
+    const summary = { total: jobs.length, queued: 0, dialing: 0, in_progress: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const job of jobs) {
+      summary[job.status] += 1;
+    }
+
+    return { batchId, summary, jobs };
+  }
+
+  /**
+   * Cancel a batch's jobs that haven't been dialled yet
+   */
+  async cancelBatch(batchId, filters = {}) {
+    // Another tenant's batch looks like no batch at all
+    if (!(await this.getBatch(batchId, filters))) {
+      return null;
+    }
+    await this.cancelQueued({ batchId });
+    return this.getBatch(batchId, filters);
+  }
+
+  /**
+   * Cancel queued jobs matching the filters (batchId, campaign, customerId, tenantId)
+   */
+  async cancelQueued(filters) {
+    const jobs = await this.listJobs({ ...filters, status: 'queued' });
+
+    for (const job of jobs) {
+      await this.markCancelled(job);
+    }
+
+    callLogger.info('Queued dials cancelled', { ...filters, cancelled: jobs.length });
+    return jobs.length;
+  }
+
+  /**
+   * Cancel one job if it hasn't been dialled yet. Returns whether it was cancelled.
+   */
+  async cancelJob(jobId) {
+    const job = await this.jobs.get(jobId);
+    if (!job || job.status !== 'queued') {
+      return false;
+    }
+
+    await this.markCancelled(job);
+    callLogger.info('Queued dial cancelled', { jobId, customerId: job.customerId });
+    return true;
+  }
+
+  async markCancelled(job) {
+    job.status = 'cancelled';
+    job.outcome = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    await this.jobs.set(job.id, job);
+  }
+
+  /**
+   * Jobs left in "dialing" by a crash may or may not have reached Twilio. They are
+   * failed rather than retried so nobody gets called twice.
+   */
+  async recover() {
+    const interrupted = await this.listJobs({ status: 'dialing' });
+
+    for (const job of interrupted) {
+      job.status = 'failed';
+      job.outcome = 'failed';
+      job.error = 'Interrupted while dialling';
+      job.finishedAt = new Date().toISOString();
+      await this.jobs.set(job.id, job);
+    }
+
+    if (interrupted.length > 0) {
+      callLogger.warn('Failed dial jobs interrupted by a restart', { count: interrupted.length });
+    }
+  }
+
+  async startWorker() {
+    if (this.timer) {
+      return;
+    }
+
+    await this.recover();
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+    // Don't keep the process alive just for the worker
+    this.timer.unref();
+    callLogger.info('Dial queue worker started', { ...this.limits, tickIntervalMs: this.tickIntervalMs });
+  }
+
+  stopWorker() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Close finished calls, then dial as many queued jobs as the limits allow.
+   * Overlapping ticks are skipped.
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      const jobs = await this.listJobs();
+
+      for (const job of jobs.filter(item => item.status === 'in_progress')) {
+        await this.refreshJob(job, now);
+      }
+
+      let active = jobs.filter(job => ['dialing', 'in_progress'].includes(job.status)).length;
+      const due = jobs.filter(job =>
+        job.status === 'queued' && (!job.notBefore || new Date(job.notBefore).getTime() <= now.getTime())
+      );
+
+      this.refillTokens(now);
+      for (const job of due) {
+        if (active >= this.limits.maxConcurrentCalls || this.tokens < 1) {
+          break;
+        }
+
+        this.tokens -= 1;
+        active += 1;
+        await this.dial(job, now);
+        if (job.status !== 'in_progress') {
+          active -= 1;
+        }
+      }
+    } catch (error) {
+      callLogger.error('Dial queue tick failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Token bucket for the calls-per-second limit (burst of one second's worth)
+   */
+  refillTokens(now) {
+    const burst = Math.max(1, this.limits.callsPerSecond);
+
+    if (this.tokens === null) {
+      this.tokens = burst;
+    } else {
+      const elapsedSeconds = (now.getTime() - this.lastRefillAt.getTime()) / 1000;
+      this.tokens = Math.min(burst, this.tokens + Math.max(elapsedSeconds, 0) * this.limits.callsPerSecond);
+    }
+
+    this.lastRefillAt = now;
+  }
+
+  async dial(job, now) {
+    job.status = 'dialing';
+    job.dialedAt = now.toISOString();
+    await this.jobs.set(job.id, job);
+
+    try {
+      const call = await twilioService.initiateCall(job.phone, {
+        ...job.customer,
+        campaign: job.campaign || job.customer.campaign,
+        scriptId: job.scriptId || job.customer.scriptId
+      }, { source: job.source, voicemail: job.voicemail, tenantId: tenantService.tenantIdOf(job) });
+
+      job.status = 'in_progress';
+      job.callSid = call.callSid;
+    } catch (error) {
+      const compliance = error.compliance;
+
+      if (compliance && compliance.reason === 'outside_calling_hours') {
+        // Not callable yet in the customer's timezone: wait for their calling hours
+        callLogger.info('Queued dial deferred to local calling hours', { jobId: job.id, customerId: job.customerId, notBefore: compliance.nextAllowedAt });
+        job.status = 'queued';
+        job.notBefore = compliance.nextAllowedAt;
+        job.dialedAt = null;
+      } else {
+        callLogger.warn('Queued dial failed', { jobId: job.id, customerId: job.customerId, error: error.message });
+        job.status = 'failed';
+        job.outcome = compliance ? 'blocked' : 'failed';
+        job.error = error.message;
+        job.finishedAt = now.toISOString();
+      }
+    }
+
+    await this.jobs.set(job.id, job);
+  }
+
+  /**
+   * Pick up the call's final status from the call history
+   */
+  async refreshJob(job, now) {
+    const call = await callHistoryService.getCall(job.callSid);
+    const status = call && call.status;
+    let outcome = FINISHED_CALL_STATUSES.includes(status) ? status : null;
+    if (outcome === 'completed' && call.outcome === 'voicemail') {
+      outcome = 'voicemail';
+    }
+
+    if (!outcome && now.getTime() - new Date(job.dialedAt).getTime() > STALE_CALL_MS) {
+      callLogger.warn('Queued call never reported a final status', { jobId: job.id, callSid: job.callSid });
+      outcome = 'failed';
+    }
+    if (!outcome) {
+      return;
+    }
+
+    await this.completeJob(job, outcome, now);
+  }
+
+  /**
+   * Close the job for a call as soon as Twilio reports its final status, so the
+   * customer can be queued again straight away. Returns the job, or null for calls
+   * that didn't come through the queue.
+   */
+  async finishCall(callSid, outcome, now = new Date()) {
+    const job = (await this.jobs.list()).find(item => item.callSid === callSid);
+    if (job && job.status === 'in_progress') {
+      await this.completeJob(job, outcome, now);
+    }
+    return job || null;
+  }
+
+  async completeJob(job, outcome, now) {
+    job.status = 'completed';
+    job.outcome = outcome;
+    job.finishedAt = now.toISOString();
+    await this.jobs.set(job.id, job);
+  }
+
+  /**
+   * Customers are identified by id, falling back to their phone number. Other tenants'
+   * keys are prefixed with the tenant id, as their sheets can reuse the same ids.
+   */
+  customerKey(customer, tenantId = null) {
+    const key = String(customer.id || customer.phone || '').trim().toLowerCase();
+    const tenant = tenantId || tenantService.tenantIdOf(customer);
+    return tenant === tenantService.defaultTenantId ? key : `${tenant}:${key}`;
+  }
+}
+
+module.exports = new DialQueueService();
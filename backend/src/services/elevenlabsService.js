@@ -1,8 +1,11 @@
 const axios = require('axios');
 const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
+const ttsCacheService = require('./ttsCacheService');
+
+// What the plain text-to-speech endpoint returns when no output_format is given
+const DEFAULT_OUTPUT_FORMAT = 'mp3_44100_128';
 
 class ElevenLabsService {
   constructor() {
@@ -11,6 +14,14 @@ class ElevenLabsService {
     this.voiceId = process.env.ELEVENLABS_VOICE_ID || 'EXAVITQu4vr4xnSDxMaL'; // Default: Bella
     this.modelId = process.env.ELEVENLABS_MODEL_ID || 'eleven_turbo_v2';
     this.baseUrl = 'https://api.elevenlabs.io/v1';
+    // Media stream replies use the streaming endpoint unless ELEVENLABS_STREAMING=false
+    this.streaming = process.env.ELEVENLABS_STREAMING !== 'false';
+    // 0 (no latency optimisation) to 4 (max, may mispronounce numbers and dates)
+    this.streamingLatency = parseInt(process.env.ELEVENLABS_STREAMING_LATENCY) || 3;
+    // Recent time-to-first-byte measurements for /health/metrics
+    this.ttfbSamples = [];
+    // Settles once the API connection has been checked (see prewarm)
+    this.ready = Promise.resolve(false);
 
     // Only enable if explicitly configured and enabled
     if (!this.apiKey) {
@@ -24,7 +35,7 @@ class ElevenLabsService {
     }
 
     // Create audio directory if it doesn't exist
-    this.audioDir = path.join(__dirname, '../../temp/audio');
+    this.audioDir = ttsCacheService.audioDir;
     try {
       if (!fs.existsSync(this.audioDir)) {
         fs.mkdirSync(this.audioDir, { recursive: true });
@@ -37,16 +48,18 @@ class ElevenLabsService {
     }
 
     // Test API connection and enable service
-    this.testConnection().then(isWorking => {
+    this.ready = this.testConnection().then(isWorking => {
       this.enabled = isWorking;
       logger.info('ElevenLabs service initialization complete', {
         voiceId: this.voiceId,
         modelId: this.modelId,
         enabled: this.enabled
       });
+      return this.enabled;
     }).catch(error => {
       logger.error('ElevenLabs service initialization failed', { error: error.message });
       this.enabled = false;
+      return false;
     });
   }
 
@@ -69,7 +82,8 @@ class ElevenLabsService {
   }
 
   /**
-   * Generate speech from text
+   * Generate speech from text as an MP3 file in the audio directory. Identical
+   * renderings come from the TTS cache (result.cached is true).
    */
   async generateSpeech(text, options = {}) {
     if (!this.enabled) {
@@ -79,6 +93,14 @@ class ElevenLabsService {
     try {
       const voiceId = options.voiceId || this.voiceId;
       const modelId = options.modelId || this.modelId;
+      const request = this.buildSpeechRequest(text, modelId, options);
+      const cacheKey = this.buildCacheKey(request, voiceId, DEFAULT_OUTPUT_FORMAT);
+
+      const cached = ttsCacheService.get(cacheKey, DEFAULT_OUTPUT_FORMAT);
+      if (cached) {
+        logger.info('Speech served from cache', { filename: cached.filename, textLength: text.length });
+        return this.describeAudioFile(cached.audio, cached, true);
+      }
 
       logger.info('Generating speech', {
         textLength: text.length,
@@ -88,16 +110,7 @@ class ElevenLabsService {
 
       const response = await axios.post(
         `${this.baseUrl}/text-to-speech/${voiceId}`,
-        {
-          text: text,
-          model_id: modelId,
-          voice_settings: {
-            stability: options.stability || 0.5,
-            similarity_boost: options.similarity_boost || 0.75,
-            style: options.style || 0.0,
-            use_speaker_boost: options.use_speaker_boost || true
-          }
-        },
+        request,
         {
           headers: {
             'Accept': 'audio/mpeg',
@@ -109,25 +122,15 @@ class ElevenLabsService {
       );
 
       const audioBuffer = Buffer.from(response.data);
-      const filename = `speech_${Date.now()}_${Math.random().toString(36).substring(2, 11)}.mp3`;
-      const filepath = path.join(this.audioDir, filename);
-
-      // Save audio file
-      fs.writeFileSync(filepath, audioBuffer);
+      const file = ttsCacheService.put(cacheKey, DEFAULT_OUTPUT_FORMAT, audioBuffer);
 
       logger.info('Speech generated successfully', {
-        filename,
+        filename: file.filename,
         audioSize: audioBuffer.length,
         textLength: text.length
       });
 
-      return {
-        audioBuffer,
-        filepath,
-        filename,
-        mimeType: 'audio/mpeg',
-        size: audioBuffer.length
-      };
+      return this.describeAudioFile(audioBuffer, file, false);
     } catch (error) {
       logger.error('Speech generation failed', {
         error: error.message,
@@ -139,6 +142,187 @@ class ElevenLabsService {
     }
   }
 
+  describeAudioFile(audioBuffer, { filename, filepath }, cached) {
+    return {
+      audioBuffer,
+      filepath,
+      filename,
+      mimeType: 'audio/mpeg',
+      size: audioBuffer.length,
+      cached
+    };
+  }
+
+  /**
+   * Generate raw audio for a call's media stream (8 kHz mu-law by default). Returns
+   * a Buffer, from the TTS cache when this exact line has been rendered before.
+   */
+  async generateSpeechAudio(text, options = {}) {
+    if (!this.enabled) {
+      throw new AppError('ElevenLabs service not available', 503);
+    }
+
+    const voiceId = options.voiceId || this.voiceId;
+    const modelId = options.modelId || this.modelId;
+    const outputFormat = options.outputFormat || 'ulaw_8000';
+    const request = this.buildSpeechRequest(text, modelId, options);
+    const cacheKey = this.buildCacheKey(request, voiceId, outputFormat);
+
+    const cached = ttsCacheService.get(cacheKey, outputFormat);
+    if (cached) {
+      return cached.audio;
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/text-to-speech/${voiceId}`,
+        request,
+        {
+          params: { output_format: outputFormat },
+          headers: {
+            'Content-Type': 'application/json',
+            'xi-api-key': this.apiKey
+          },
+          responseType: 'arraybuffer'
+        }
+      );
+
+      const audio = Buffer.from(response.data);
+      ttsCacheService.put(cacheKey, outputFormat, audio);
+      return audio;
+    } catch (error) {
+      logger.error('Speech audio generation failed', {
+        error: error.message,
+        textLength: text.length,
+        outputFormat,
+        status: error.response?.status
+      });
+      throw new AppError(`Speech generation failed: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Stream speech from the ElevenLabs streaming endpoint, calling onChunk with each
+   * chunk of audio (8 kHz mu-law by default) as it arrives. options.signal aborts the
+   * request, e.g. when the caller barges in. Resolves with { ttfbMs, totalMs, bytes, aborted, cached }.
+   * A line already in the TTS cache is passed to onChunk in one go without a request,
+   * and a line streamed to the end is added to the cache.
+   */
+  async streamSpeech(text, onChunk, options = {}) {
+    if (!this.enabled) {
+      throw new AppError('ElevenLabs service not available', 503);
+    }
+
+    const voiceId = options.voiceId || this.voiceId;
+    const modelId = options.modelId || this.modelId;
+    const outputFormat = options.outputFormat || 'ulaw_8000';
+    const startedAt = Date.now();
+    const request = this.buildSpeechRequest(text, modelId, options);
+    const cacheKey = this.buildCacheKey(request, voiceId, outputFormat);
+    let ttfbMs = null;
+    let bytes = 0;
+
+    const cached = ttsCacheService.get(cacheKey, outputFormat);
+    if (cached) {
+      onChunk(cached.audio);
+      return { ttfbMs: 0, totalMs: Date.now() - startedAt, bytes: cached.audio.length, aborted: false, cached: true };
+    }
+
+    const chunks = [];
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/text-to-speech/${voiceId}/stream`,
+        request,
+        {
+          params: { output_format: outputFormat, optimize_streaming_latency: this.streamingLatency },
+          headers: {
+            'Content-Type': 'application/json',
+            'xi-api-key': this.apiKey
+          },
+          responseType: 'stream',
+          signal: options.signal
+        }
+      );
+
+      for await (const chunk of response.data) {
+        if (ttfbMs === null) {
+          ttfbMs = Date.now() - startedAt;
+          this.recordTtfb(ttfbMs);
+        }
+        bytes += chunk.length;
+        chunks.push(chunk);
+        onChunk(chunk);
+      }
+
+      ttsCacheService.put(cacheKey, outputFormat, Buffer.concat(chunks));
+
+      logger.info('Speech streamed', { textLength: text.length, ttfbMs, totalMs: Date.now() - startedAt, bytes });
+      return { ttfbMs, totalMs: Date.now() - startedAt, bytes, aborted: false, cached: false };
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        return { ttfbMs, totalMs: Date.now() - startedAt, bytes, aborted: true, cached: false };
+      }
+
+      logger.error('Speech streaming failed', {
+        error: error.message,
+        textLength: text.length,
+        outputFormat,
+        status: error.response?.status
+      });
+      throw new AppError(`Speech streaming failed: ${error.message}`, 500);
+    }
+  }
+
+  recordTtfb(ttfbMs) {
+    this.ttfbSamples.push(ttfbMs);
+    if (this.ttfbSamples.length > 100) {
+      this.ttfbSamples.shift();
+    }
+  }
+
+  /**
+   * Time to first audio byte over the last 100 streamed replies
+   */
+  getStreamingStats() {
+    const samples = [...this.ttfbSamples].sort((a, b) => a - b);
+    if (samples.length === 0) {
+      return { streaming: this.streaming, samples: 0, avgTtfbMs: null, p95TtfbMs: null, lastTtfbMs: null };
+    }
+
+    return {
+      streaming: this.streaming,
+      samples: samples.length,
+      avgTtfbMs: Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length),
+      p95TtfbMs: samples[Math.min(samples.length - 1, Math.ceil(samples.length * 0.95) - 1)],
+      lastTtfbMs: this.ttfbSamples[this.ttfbSamples.length - 1]
+    };
+  }
+
+  /**
+   * TTS cache key: the exact request (text, model and voice settings), voice and output format
+   */
+  buildCacheKey(request, voiceId, outputFormat) {
+    return ttsCacheService.buildKey(request.text, {
+      voiceId,
+      modelId: request.model_id,
+      voiceSettings: request.voice_settings,
+      outputFormat
+    });
+  }
+
+  buildSpeechRequest(text, modelId, options) {
+    return {
+      text: text,
+      model_id: modelId,
+      voice_settings: {
+        stability: options.stability || 0.5,
+        similarity_boost: options.similarity_boost || 0.75,
+        style: options.style || 0.0,
+        use_speaker_boost: options.use_speaker_boost || true
+      }
+    };
+  }
+
   /**
    * Generate speech and return as stream URL for Twilio
    */
@@ -172,6 +356,46 @@ class ElevenLabsService {
     }
   }
 
+  /**
+   * Render lines into the TTS cache ahead of the calls that need them, one at a time,
+   * as MP3 for <Play> and, with options.mediaStreams, as mu-law for media stream calls.
+   * options.voiceId renders in a tenant's voice instead of the default one.
+   * Waits for the connection check. Resolves with { rendered, cached, failed }.
+   */
+  async prewarm(texts, options = {}) {
+    const summary = { rendered: 0, cached: 0, failed: 0 };
+    if (!(await this.ready) || !ttsCacheService.enabled) {
+      return summary;
+    }
+
+    const outputFormats = options.mediaStreams ? [DEFAULT_OUTPUT_FORMAT, 'ulaw_8000'] : [DEFAULT_OUTPUT_FORMAT];
+    const voiceId = options.voiceId || this.voiceId;
+
+    for (const text of new Set(texts.filter(Boolean))) {
+      for (const outputFormat of outputFormats) {
+        const request = this.buildSpeechRequest(text, this.modelId, {});
+        if (ttsCacheService.has(this.buildCacheKey(request, voiceId, outputFormat), outputFormat)) {
+          summary.cached += 1;
+          continue;
+        }
+
+        try {
+          if (outputFormat === DEFAULT_OUTPUT_FORMAT) {
+            await this.generateSpeech(text, { voiceId });
+          } else {
+            await this.generateSpeechAudio(text, { outputFormat, voiceId });
+          }
+          summary.rendered += 1;
+        } catch (error) {
+          summary.failed += 1;
+        }
+      }
+    }
+
+    logger.info('TTS cache prewarmed', { lines: new Set(texts.filter(Boolean)).size, voiceId, ...summary });
+    return summary;
+  }
+
   /**
    * Get available voices
    */
@@ -234,39 +458,6 @@ class ElevenLabsService {
     }
   }
 
-  /**
-   * Clean up old audio files
-   */
-  cleanupAudioFiles(maxAgeHours = 24) {
-    try {
-      const files = fs.readdirSync(this.audioDir);
-      const maxAge = maxAgeHours * 60 * 60 * 1000; // Convert to milliseconds
-      const now = Date.now();
-      let deletedCount = 0;
-
-      files.forEach(file => {
-        const filepath = path.join(this.audioDir, file);
-        const stats = fs.statSync(filepath);
-        
-        if (now - stats.mtime.getTime() > maxAge) {
-          fs.unlinkSync(filepath);
-          deletedCount++;
-        }
-      });
-
-      if (deletedCount > 0) {
-        logger.info('Cleaned up old audio files', {
-          deletedCount,
-          maxAgeHours
-        });
-      }
-    } catch (error) {
-      logger.error('Failed to cleanup audio files', {
-        error: error.message
-      });
-    }
-  }
-
   /**
    * Get usage statistics
    */
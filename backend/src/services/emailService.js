@@ -1,51 +1,71 @@
 const nodemailer = require('nodemailer');
 const { sheetsLogger } = require('../utils/logger');
-const { AppError } = require('../utils/errorHandler');
+const tenantService = require('./tenantService');
 
 class EmailService {
   constructor() {
     this.transporter = null;
     this.isEnabled = false;
+    // Gmail user -> transporter, so tenants sharing a mailbox share a connection
+    this.transporters = new Map();
     this.initializeTransporter();
   }
 
   /**
-   * Initialize email transporter
+   * Initialize email transporter for the default tenant's mailbox
    */
   initializeTransporter() {
-    try {
-      // Check if email credentials are provided
-      if (!process.env.GMAIL_USER || !process.env.GMAIL_APP_PASSWORD) {
-        sheetsLogger.warn('Email service disabled: Gmail credentials not provided');
-        this.isEnabled = false;
-        return;
-      }
+    this.transporter = this.getTransporter(tenantService.getDefault());
+    this.isEnabled = !!this.transporter;
+    if (!this.isEnabled) {
+      sheetsLogger.warn('Email service disabled: Gmail credentials not provided');
+    }
+  }
+
+  /**
+   * Transporter for a tenant's mailbox, or null when it has no Gmail credentials
+   */
+  getTransporter(tenant) {
+    const { user, appPassword } = tenant.email;
+    if (!user || !appPassword) {
+      return null;
+    }
+    if (this.transporters.has(user)) {
+      return this.transporters.get(user);
+    }
 
-      this.transporter = nodemailer.createTransporter({
+    try {
+      const transporter = nodemailer.createTransporter({
         service: 'gmail',
         auth: {
-          user: process.env.GMAIL_USER,
-          pass: process.env.GMAIL_APP_PASSWORD
+          user,
+          pass: appPassword
         }
       });
-
-      this.isEnabled = true;
-      sheetsLogger.info('Email transporter initialized');
+      this.transporters.set(user, transporter);
+      sheetsLogger.info('Email transporter initialized', { tenantId: tenant.id });
+      return transporter;
     } catch (error) {
-      sheetsLogger.error('Failed to initialize email transporter', { error: error.message });
-      this.isEnabled = false;
-      sheetsLogger.warn('Email service disabled due to initialization error');
+      sheetsLogger.error('Failed to initialize email transporter', { error: error.message, tenantId: tenant.id });
+      return null;
     }
   }
 
+  fromAddress(tenant) {
+    return `"${tenant.email.fromName}" <${tenant.email.user}>`;
+  }
+
   /**
-   * Send similar cars email to customer
+   * Send similar cars email to customer. options.tenantId picks the dealership it comes from.
    */
-  async sendSimilarCarsEmail(customerEmail, customerName, originalCarModel) {
-    if (!this.isEnabled) {
+  async sendSimilarCarsEmail(customerEmail, customerName, originalCarModel, options = {}) {
+    const tenant = tenantService.resolve({ tenantId: options.tenantId });
+    const transporter = this.getTransporter(tenant);
+    if (!transporter) {
       sheetsLogger.warn('Email service disabled, skipping email send', {
         customerEmail,
-        customerName
+        customerName,
+        tenantId: tenant.id
       });
       return {
         success: false,
@@ -54,12 +74,12 @@ class EmailService {
     }
 
     try {
-      const subject = `Similar Car Options to ${originalCarModel} - Premier Auto`;
-      const htmlContent = this.generateSimilarCarsEmailHTML(customerName, originalCarModel);
-      const textContent = this.generateSimilarCarsEmailText(customerName, originalCarModel);
+      const subject = `Similar Car Options to ${originalCarModel} - ${tenant.name}`;
+      const htmlContent = this.generateSimilarCarsEmailHTML(customerName, originalCarModel, tenant);
+      const textContent = this.generateSimilarCarsEmailText(customerName, originalCarModel, tenant);
 
       const mailOptions = {
-        from: `"Premier Auto Sales" <${process.env.GMAIL_USER}>`,
+        from: this.fromAddress(tenant),
         to: customerEmail,
         subject: subject,
         text: textContent,
@@ -73,11 +93,12 @@ class EmailService {
         ]
       };
 
-      const result = await this.transporter.sendMail(mailOptions);
+      const result = await transporter.sendMail(mailOptions);
 
       sheetsLogger.info('Similar cars email sent', {
         customerEmail,
         customerName,
+        tenantId: tenant.id,
         messageId: result.messageId
       });
 
@@ -99,13 +120,16 @@ class EmailService {
   }
 
   /**
-   * Send appointment confirmation email
+   * Send appointment confirmation email. options.tenantId picks the dealership it comes from.
    */
-  async sendAppointmentConfirmationEmail(customerEmail, customerName, appointmentDetails) {
-    if (!this.isEnabled) {
+  async sendAppointmentConfirmationEmail(customerEmail, customerName, appointmentDetails, options = {}) {
+    const tenant = tenantService.resolve({ tenantId: options.tenantId });
+    const transporter = this.getTransporter(tenant);
+    if (!transporter) {
       sheetsLogger.warn('Email service disabled, skipping appointment confirmation email', {
         customerEmail,
-        customerName
+        customerName,
+        tenantId: tenant.id
       });
       return {
         success: false,
@@ -114,23 +138,35 @@ class EmailService {
     }
 
     try {
-      const subject = `Appointment Confirmation - ${appointmentDetails.carModel}`;
-      const htmlContent = this.generateAppointmentEmailHTML(customerName, appointmentDetails);
-      const textContent = this.generateAppointmentEmailText(customerName, appointmentDetails);
+      const subject = `Appointment Confirmation - ${appointmentDetails.carModel} - ${tenant.name}`;
+      const htmlContent = this.generateAppointmentEmailHTML(customerName, appointmentDetails, tenant);
+      const textContent = this.generateAppointmentEmailText(customerName, appointmentDetails, tenant);
 
       const mailOptions = {
-        from: `"Premier Auto Sales" <${process.env.GMAIL_USER}>`,
+        from: this.fromAddress(tenant),
         to: customerEmail,
         subject: subject,
         text: textContent,
         html: htmlContent
       };
 
-      const result = await this.transporter.sendMail(mailOptions);
+      // Calendar invite so the appointment lands in the customer's calendar
+      if (appointmentDetails.ics) {
+        mailOptions.attachments = [
+          {
+            filename: 'appointment.ics',
+            content: appointmentDetails.ics,
+            contentType: 'text/calendar; charset=utf-8; method=REQUEST'
+          }
+        ];
+      }
+
+      const result = await transporter.sendMail(mailOptions);
 
       sheetsLogger.info('Appointment confirmation email sent', {
         customerEmail,
         customerName,
+        tenantId: tenant.id,
         messageId: result.messageId
       });
 
@@ -154,7 +190,8 @@ class EmailService {
   /**
    * Generate HTML content for similar cars email
    */
-  generateSimilarCarsEmailHTML(customerName, originalCarModel) {
+  generateSimilarCarsEmailHTML(customerName, originalCarModel, tenant = tenantService.getDefault()) {
+    const contactPhone = tenant.contactPhone || '';
     return `
     <!DOCTYPE html>
     <html>
@@ -175,7 +212,7 @@ class EmailService {
     <body>
         <div class="container">
             <div class="header">
-                <h1>Premier Auto Sales</h1>
+                <h1>${tenant.email.fromName}</h1>
                 <p>Similar Car Options for You</p>
             </div>
             
@@ -214,21 +251,20 @@ class EmailService {
                 </ul>
                 
                 <div style="text-align: center; margin: 30px 0;">
-                    <a href="tel:+1234567890" class="cta-button">Call Us: (123) 456-7890</a>
-                    <a href="https://premierauto.com/schedule" class="cta-button">Schedule Test Drive</a>
+                    ${contactPhone ? `<a href="tel:${contactPhone.replace(/[^\d+]/g, '')}" class="cta-button">Call Us: ${contactPhone}</a>` : ''}
                 </div>
                 
                 <p>We'd love to help you find the perfect car! Feel free to call or visit our showroom anytime.</p>
                 
                 <p>Best regards,<br>
-                <strong>Sarah Johnson</strong><br>
-                Premier Auto Sales<br>
-                📞 (123) 456-7890<br>
-                📧 sarah@premierauto.com</p>
+                <strong>${tenant.salesRep}</strong><br>
+                ${tenant.email.fromName}<br>
+                ${contactPhone ? `📞 ${contactPhone}<br>` : ''}
+                📧 ${tenant.email.user}</p>
             </div>
             
             <div class="footer">
-                <p>Premier Auto Sales | 123 Main Street, Your City, ST 12345</p>
+                <p>${[tenant.email.fromName, tenant.address].filter(Boolean).join(' | ')}</p>
                 <p>If you no longer wish to receive emails, <a href="#">unsubscribe here</a></p>
             </div>
         </div>
@@ -240,7 +276,7 @@ class EmailService {
   /**
    * Generate text content for similar cars email
    */
-  generateSimilarCarsEmailText(customerName, originalCarModel) {
+  generateSimilarCarsEmailText(customerName, originalCarModel, tenant = tenantService.getDefault()) {
     return `
 Hi ${customerName},
 
@@ -267,22 +303,22 @@ All vehicles come with:
 ✅ 30-day return guarantee
 ✅ Financing options available
 
-We'd love to help you find the perfect car! Feel free to call us at (123) 456-7890 or visit our showroom anytime.
+We'd love to help you find the perfect car! Feel free to ${tenant.contactPhone ? `call us at ${tenant.contactPhone} or ` : ''}visit our showroom anytime.
 
 Best regards,
-Sarah Johnson
-Premier Auto Sales
-📞 (123) 456-7890
-📧 sarah@premierauto.com
+${tenant.salesRep}
+${tenant.email.fromName}${tenant.contactPhone ? `
+📞 ${tenant.contactPhone}` : ''}
+📧 ${tenant.email.user}
 
-Premier Auto Sales | 123 Main Street, Your City, ST 12345
+${[tenant.email.fromName, tenant.address].filter(Boolean).join(' | ')}
     `;
   }
 
   /**
    * Generate HTML content for appointment confirmation email
    */
-  generateAppointmentEmailHTML(customerName, appointmentDetails) {
+  generateAppointmentEmailHTML(customerName, appointmentDetails, tenant = tenantService.getDefault()) {
     return `
     <!DOCTYPE html>
     <html>
@@ -315,8 +351,8 @@ Premier Auto Sales | 123 Main Street, Your City, ST 12345
                     <p><strong>Date:</strong> ${appointmentDetails.date}</p>
                     <p><strong>Time:</strong> ${appointmentDetails.time}</p>
                     <p><strong>Vehicle:</strong> ${appointmentDetails.carModel}</p>
-                    <p><strong>Location:</strong> Premier Auto Sales<br>123 Main Street, Your City, ST 12345</p>
-                    <p><strong>Sales Representative:</strong> Sarah Johnson</p>
+                    <p><strong>Location:</strong> ${appointmentDetails.location || [tenant.email.fromName, tenant.address].filter(Boolean).join('<br>')}</p>
+                    <p><strong>Sales Representative:</strong> ${tenant.salesRep}</p>
                 </div>
                 
                 <p><strong>What to bring:</strong></p>
@@ -326,17 +362,17 @@ Premier Auto Sales | 123 Main Street, Your City, ST 12345
                     <li>Any trade-in vehicle information</li>
                 </ul>
                 
-                <p>If you need to reschedule or have any questions, please call us at (123) 456-7890.</p>
+                <p>If you need to reschedule or have any questions, please ${tenant.contactPhone ? `call us at ${tenant.contactPhone}` : 'reply to this email'}${appointmentDetails.rescheduleUrl ? ` or <a href="${appointmentDetails.rescheduleUrl}">pick a new time online</a>` : ''}.</p>
                 
                 <p>Looking forward to seeing you!</p>
                 
                 <p>Best regards,<br>
-                <strong>Sarah Johnson</strong><br>
-                Premier Auto Sales</p>
+                <strong>${tenant.salesRep}</strong><br>
+                ${tenant.email.fromName}</p>
             </div>
             
             <div class="footer">
-                <p>Premier Auto Sales | 123 Main Street, Your City, ST 12345 | (123) 456-7890</p>
+                <p>${[tenant.email.fromName, tenant.address, tenant.contactPhone].filter(Boolean).join(' | ')}</p>
             </div>
         </div>
     </body>
@@ -347,7 +383,7 @@ Premier Auto Sales | 123 Main Street, Your City, ST 12345
   /**
    * Generate text content for appointment confirmation email
    */
-  generateAppointmentEmailText(customerName, appointmentDetails) {
+  generateAppointmentEmailText(customerName, appointmentDetails, tenant = tenantService.getDefault()) {
     return `
 ✅ APPOINTMENT CONFIRMED!
 
@@ -359,23 +395,23 @@ Great news! Your appointment has been confirmed. We're excited to show you the $
 Date: ${appointmentDetails.date}
 Time: ${appointmentDetails.time}
 Vehicle: ${appointmentDetails.carModel}
-Location: Premier Auto Sales
-         123 Main Street, Your City, ST 12345
-Sales Representative: Sarah Johnson
+Location: ${appointmentDetails.location || [tenant.email.fromName, tenant.address].filter(Boolean).join(`
+         `)}
+Sales Representative: ${tenant.salesRep}
 
 WHAT TO BRING:
 - Valid driver's license
 - Proof of insurance (for test drive)
 - Any trade-in vehicle information
 
-If you need to reschedule or have any questions, please call us at (123) 456-7890.
+If you need to reschedule or have any questions, please ${tenant.contactPhone ? `call us at ${tenant.contactPhone}` : 'reply to this email'}${appointmentDetails.rescheduleUrl ? ` or pick a new time at ${appointmentDetails.rescheduleUrl}` : ''}.
 
 Looking forward to seeing you!
 
 Best regards,
-Sarah Johnson
-Premier Auto Sales
-(123) 456-7890
+${tenant.salesRep}
+${tenant.email.fromName}${tenant.contactPhone ? `
+${tenant.contactPhone}` : ''}
     `;
   }
 
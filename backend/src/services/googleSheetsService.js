@@ -1,12 +1,40 @@
 const { google } = require('googleapis');
 const { sheetsLogger } = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
-
+const phoneUtil = require('../utils/phone');
+const sheetSchema = require('../config/sheetSchema');
+const complianceService = require('./complianceService');
+const tenantService = require('./tenantService');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Lead sheets. Every tenant has its own spreadsheet (read with the one service account);
+ * options.tenantId picks it and defaults to the default tenant's GOOGLE_SHEETS_ID.
+ * Columns are found by header through the schema in config/sheetSchema.
+ *
+ * To stay inside the Sheets quota, tabs are cached in process with their rows indexed
+ * by id and phone number, and row updates are queued and sent together as one
+ * batchUpdate per spreadsheet (write-behind, so webhook handlers don't wait on Sheets).
+ * Requests that hit the rate limit are retried with exponential backoff.
+ */
 class GoogleSheetsService {
   constructor() {
-    this.sheetsId = process.env.GOOGLE_SHEETS_ID;
     this.auth = null;
     this.sheets = null;
+
+    // spreadsheetId:tab -> { loadedAt, promise } (see readTab)
+    this.cache = new Map();
+    this.cacheTtlMs = parseInt(process.env.SHEETS_CACHE_TTL_MS ?? 60000);
+    // Row updates waiting to be sent (see queueWrite)
+    this.writeQueue = [];
+    this.writeWindowMs = parseInt(process.env.SHEETS_WRITE_WINDOW_MS) || 500;
+    this.flushTimer = null;
+    this.flushing = null;
+    this.maxRetries = parseInt(process.env.SHEETS_MAX_RETRIES ?? 5);
+    this.backoffBaseMs = parseInt(process.env.SHEETS_BACKOFF_BASE_MS) || 1000;
+    this.stats = { reads: 0, cacheHits: 0, batches: 0, cellsWritten: 0, rateLimited: 0, failedWrites: 0 };
+
     this.initializeAuth();
   }
 
@@ -42,33 +70,398 @@ class GoogleSheetsService {
   }
 
   /**
-   * Get all customer data from the sheet
+   * The tenant's spreadsheet
+   */
+  getSpreadsheetId(tenantId) {
+    const tenant = tenantService.get(tenantId) || tenantService.getDefault();
+    if (!tenant.spreadsheetId) {
+      throw new AppError(`No Google Sheet configured for tenant "${tenant.id}"`, 500);
+    }
+    return tenant.spreadsheetId;
+  }
+
+  /**
+   * The tenant's lead tab and column headers
+   */
+  getSchema(tenantId) {
+    const tenant = tenantService.get(tenantId) || tenantService.getDefault();
+    return sheetSchema.resolveSchema(tenant.sheet);
+  }
+
+  /**
+   * Read a whole tab: { layout, rows, byId, byPhone } with the header row mapped to
+   * fields and left out of rows, and row positions indexed by id and E.164 number.
+   * Tabs are cached for SHEETS_CACHE_TTL_MS and reads of the same tab share one
+   * request; options.fresh skips the cache.
+   */
+  async readTab(tenantId, tab, options = {}) {
+    const spreadsheetId = this.getSpreadsheetId(tenantId);
+    const key = `${spreadsheetId}:${tab}`;
+    const cached = this.cache.get(key);
+
+    if (cached && !options.fresh && Date.now() - cached.loadedAt < this.cacheTtlMs) {
+      this.stats.cacheHits++;
+      return cached.promise;
+    }
+
+    const entry = { loadedAt: Date.now(), promise: this.loadTab(tenantId, spreadsheetId, tab) };
+    this.cache.set(key, entry);
+    entry.promise.catch(() => {
+      if (this.cache.get(key) === entry) {
+        this.cache.delete(key);
+      }
+    });
+    return entry.promise;
+  }
+
+  async loadTab(tenantId, spreadsheetId, tab) {
+    const schema = this.getSchema(tenantId);
+    const country = tenantService.countryFor(tenantId);
+
+    this.stats.reads++;
+    const response = await this.withBackoff(() => this.sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `'${tab}'`
+    }));
+
+    const [headers = [], ...rows] = response.data.values || [];
+    const layout = sheetSchema.mapHeaders(headers, schema);
+    const byId = new Map();
+    const byPhone = new Map();
+
+    rows.forEach((row, index) => {
+      const id = layout.columns.id !== undefined ? row[layout.columns.id] : null;
+      const phone = layout.columns.phone !== undefined ? phoneUtil.toE164(row[layout.columns.phone], country) : null;
+      if (id && !byId.has(id)) {
+        byId.set(id, index);
+      }
+      if (phone && !byPhone.has(phone)) {
+        byPhone.set(phone, index);
+      }
+    });
+
+    return { layout, rows, byId, byPhone };
+  }
+
+  /**
+   * Drop cached tabs: one tab, a tenant's spreadsheet, or everything
+   */
+  invalidate(tenantId = null, tab = null) {
+    if (!tenantId) {
+      this.cache.clear();
+      return;
+    }
+
+    const prefix = `${this.getSpreadsheetId(tenantId)}:`;
+    for (const key of this.cache.keys()) {
+      if (tab ? key === `${prefix}${tab}` : key.startsWith(prefix)) {
+        this.cache.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Read just the header row of a tab
+   */
+  async readLayout(spreadsheetId, tab, schema) {
+    const response = await this.withBackoff(() => this.sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `'${tab}'!1:1`
+    }));
+
+    return sheetSchema.mapHeaders(response.data.values?.[0] || [], schema);
+  }
+
+  /**
+   * Run a Sheets request, retrying rate-limited attempts after 1s, 2s, 4s, ... (with
+   * jitter) up to SHEETS_MAX_RETRIES times
+   */
+  async withBackoff(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (!this.isRateLimited(error) || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delayMs = Math.round(this.backoffBaseMs * 2 ** attempt * (0.75 + Math.random() / 2));
+        this.stats.rateLimited++;
+        sheetsLogger.warn('Google Sheets rate limited, backing off', { attempt: attempt + 1, delayMs });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  isRateLimited(error) {
+    const status = Number(error.code || error.status || (error.response && error.response.status));
+    return status === 429 || /rate limit|quota exceeded/i.test(error.message || '');
+  }
+
+  /**
+   * A row as a customer keyed by field name; columns outside the schema are kept
+   * under their normalised header
+   */
+  rowToCustomer(row, layout) {
+    const customer = {};
+    for (const [key, index] of Object.entries(layout.extra)) {
+      customer[key] = row[index] || '';
+    }
+    for (const [field, index] of Object.entries(layout.columns)) {
+      customer[field] = row[index] || '';
+    }
+    return customer;
+  }
+
+  /**
+   * A row as a customer tagged with its row number and tenant, with the phone number
+   * in E.164 and its lineType
+   */
+  toCustomer(row, index, layout, tenantId) {
+    const customer = this.rowToCustomer(row, layout);
+    customer.rowIndex = index + 2; // +2 because of 0-based index and header row
+    customer.tenantId = tenantId;
+
+    const phone = phoneUtil.parsePhone(customer.phone, tenantService.countryFor(tenantId));
+    if (phone) {
+      customer.phone = phone.e164;
+      customer.lineType = phone.type;
+    }
+    return customer;
+  }
+
+  /**
+   * Position of the lead matching { id } or { phone } in a tab read by readTab, or -1
+   */
+  findRow(tab, match, country) {
+    if (match.id) {
+      return tab.byId.has(match.id) ? tab.byId.get(match.id) : -1;
+    }
+    const phone = phoneUtil.toE164(match.phone, country);
+    return phone && tab.byPhone.has(phone) ? tab.byPhone.get(phone) : -1;
+  }
+
+  /**
+   * A lead from the tenant's lead tab by { id } or { phone }, or null. Uses the cached
+   * row index rather than scanning the sheet.
+   */
+  async findCustomer(match, options = {}) {
+    const tenantId = options.tenantId || tenantService.defaultTenantId;
+    const tab = await this.readTab(tenantId, this.getSchema(tenantId).tab);
+    const index = this.findRow(tab, match, tenantService.countryFor(tenantId));
+
+    return index === -1 ? null : this.toCustomer(tab.rows[index], index, tab.layout, tenantId);
+  }
+
+  /**
+   * The cells to write for one row. Keys are field names (or the old Leads column
+   * letters); fields the sheet has no column for are skipped. Returns { cells, fields }.
+   */
+  rowCells(tab, layout, rowIndex, updates) {
+    const cells = [];
+    const fields = [];
+    const skipped = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      const field = sheetSchema.fieldFor(key);
+      const column = field ? layout.columns[field] : undefined;
+      if (column === undefined) {
+        skipped.push(key);
+        continue;
+      }
+      cells.push({
+        column,
+        range: `'${tab}'!${sheetSchema.columnLetter(column)}${rowIndex}`,
+        values: [[value]]
+      });
+      fields.push(field);
+    }
+
+    if (skipped.length > 0) {
+      sheetsLogger.warn('Sheet has no column for fields', { tab, fields: skipped });
+    }
+    return { cells, fields };
+  }
+
+  /**
+   * Queue an update to the lead matching { id } or { phone }. Updates queued within
+   * SHEETS_WRITE_WINDOW_MS go out together as one batchUpdate per spreadsheet.
+   * Returns a promise for { success, updatedFields, rowIndex } once it is written.
    */
-  async getCustomerData() {
+  queueWrite(tenantId, match, updates) {
+    return new Promise((resolve, reject) => {
+      this.writeQueue.push({ tenantId: tenantId || tenantService.defaultTenantId, match, updates, resolve, reject });
+
+      if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => this.flush(), this.writeWindowMs);
+        // Don't keep the process alive just for the timer; shutdown flushes the queue
+        this.flushTimer.unref();
+      }
+    });
+  }
+
+  /**
+   * Send every queued update now, including any queued while this runs. Used by the
+   * timer and on shutdown; never rejects (failed writes reject their own promise).
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    while (this.flushing || this.writeQueue.length > 0) {
+      if (!this.flushing) {
+        const writes = this.writeQueue.splice(0);
+        this.flushing = this.sendWrites(writes).finally(() => {
+          this.flushing = null;
+        });
+      }
+      await this.flushing;
+    }
+  }
+
+  async sendWrites(writes) {
+    const byTenant = new Map();
+    for (const write of writes) {
+      byTenant.set(write.tenantId, [...(byTenant.get(write.tenantId) || []), write]);
+    }
+
+    for (const [tenantId, tenantWrites] of byTenant) {
+      await this.sendTenantWrites(tenantId, tenantWrites);
+    }
+  }
+
+  /**
+   * Whether the rows a cached tab gives for these writes still hold the same leads on
+   * the sheet. Only the id and phone columns are read, so rows inserted, deleted or
+   * sorted in the Sheets UI since the tab was cached are caught before a write lands
+   * on someone else's row.
+   */
+  async rowsStillMatch(tenantId, tabName, tab, writes) {
+    const country = tenantService.countryFor(tenantId);
+    const keys = ['id', 'phone'].filter(field => tab.layout.columns[field] !== undefined);
+    if (keys.length === 0) {
+      return true;
+    }
+
+    this.stats.reads++;
+    const response = await this.withBackoff(() => this.sheets.spreadsheets.values.batchGet({
+      spreadsheetId: this.getSpreadsheetId(tenantId),
+      ranges: keys.map(field => {
+        const letter = sheetSchema.columnLetter(tab.layout.columns[field]);
+        return `'${tabName}'!${letter}2:${letter}`;
+      }),
+      majorDimension: 'COLUMNS'
+    }));
+
+    const live = {};
+    keys.forEach((field, i) => {
+      const { values } = response.data.valueRanges[i];
+      live[field] = (values && values[0]) || [];
+    });
+
+    return writes.every(write => {
+      const index = this.findRow(tab, write.match, country);
+      if (write.match.id) {
+        return live.id[index] === write.match.id;
+      }
+      return phoneUtil.toE164(live.phone[index], country) === phoneUtil.toE164(write.match.phone, country);
+    });
+  }
+
+  /**
+   * One batchUpdate for a tenant's queued updates. The cached rows are updated too;
+   * if two updates write the same cell the later one wins.
+   */
+  async sendTenantWrites(tenantId, writes) {
     try {
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.sheetsId,
-        range: 'Customers!A:J', // Adjust range based on your sheet structure
+      const spreadsheetId = this.getSpreadsheetId(tenantId);
+      const country = tenantService.countryFor(tenantId);
+      const { tab: tabName } = this.getSchema(tenantId);
+
+      let tab = await this.readTab(tenantId, tabName);
+      // A lead added since the tab was cached, or rows moved on the sheet: read it again once
+      if (writes.some(write => this.findRow(tab, write.match, country) === -1) ||
+        !(await this.rowsStillMatch(tenantId, tabName, tab, writes))) {
+        tab = await this.readTab(tenantId, tabName, { fresh: true });
+      }
+
+      const cells = new Map();
+      const written = [];
+      for (const write of writes) {
+        const index = this.findRow(tab, write.match, country);
+        if (index === -1) {
+          write.reject(new AppError(write.match.id
+            ? 'Customer not found'
+            : `Customer with phone number ${write.match.phone} not found`, 404));
+          continue;
+        }
+
+        const row = tab.rows[index] || (tab.rows[index] = []);
+        const { cells: rowCells, fields } = this.rowCells(tabName, tab.layout, index + 2, write.updates);
+        for (const cell of rowCells) {
+          row[cell.column] = cell.values[0][0];
+          cells.set(cell.range, { range: cell.range, values: cell.values });
+        }
+        written.push({ write, result: { success: true, updatedFields: fields, rowIndex: index + 2 } });
+      }
+
+      if (cells.size > 0) {
+        await this.withBackoff(() => this.sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId,
+          resource: {
+            valueInputOption: 'RAW',
+            data: [...cells.values()]
+          }
+        }));
+        this.stats.batches++;
+        this.stats.cellsWritten += cells.size;
+      }
+
+      sheetsLogger.info('Sheet updates written', { tenantId, updates: written.length, cells: cells.size });
+      written.forEach(({ write, result }) => write.resolve(result));
+    } catch (error) {
+      this.stats.failedWrites += writes.length;
+      sheetsLogger.error('Failed to write sheet updates', {
+        tenantId,
+        error: error.message,
+        updates: writes.map(({ match, updates }) => ({ match, updates }))
       });
+      // The cached rows may hold values that never reached the sheet
+      this.invalidate(tenantId);
+      writes.forEach(write => write.reject(error));
+    }
+  }
+
+  /**
+   * Cache and write queue counters for /health/metrics
+   */
+  getStats() {
+    return {
+      cachedTabs: this.cache.size,
+      queuedWrites: this.writeQueue.length,
+      ...this.stats
+    };
+  }
 
-      const rows = response.data.values;
-      if (!rows || rows.length === 0) {
+  /**
+   * Get all customer data from a sheet tab: the tenant's lead tab unless another is
+   * named (campaigns can use their own tab). Each customer is keyed by field name and
+   * tagged with the tenantId of the sheet it came from, and phone numbers are read in
+   * the tenant's country and returned in E.164 with their lineType.
+   */
+  async getCustomerData(sheetName = null, options = {}) {
+    const tenantId = options.tenantId || tenantService.defaultTenantId;
+
+    try {
+      const { layout, rows } = await this.readTab(tenantId, sheetName || this.getSchema(tenantId).tab);
+      if (layout.headers.length === 0) {
         sheetsLogger.warn('No customer data found in sheet');
         return [];
       }
 
-      // Assuming first row is headers
-      const headers = rows[0];
-      const customers = rows.slice(1).map((row, index) => {
-        const customer = {};
-        headers.forEach((header, i) => {
-          customer[this.normalizeHeader(header)] = row[i] || '';
-        });
-        customer.rowIndex = index + 2; // +2 because of 0-based index and header row
-        return customer;
-      });
+      const customers = rows.map((row, index) => this.toCustomer(row, index, layout, tenantId));
 
-      sheetsLogger.info('Customer data retrieved', { count: customers.length });
+      sheetsLogger.info('Customer data retrieved', { count: customers.length, tenantId });
       return customers;
     } catch (error) {
       sheetsLogger.error('Failed to get customer data', { error: error.message });
@@ -79,26 +472,34 @@ class GoogleSheetsService {
   /**
    * Get customers ready for calling (not called today, interested, etc.)
    */
-  async getCustomersForCalling() {
+  async getCustomersForCalling(options = {}) {
     try {
-      const allCustomers = await this.getCustomerData();
+      const allCustomers = await this.getCustomerData(null, options);
+      const country = tenantService.countryFor(options.tenantId);
       const today = new Date().toISOString().split('T')[0];
 
-      const customersForCalling = allCustomers.filter(customer => {
-        // Filter logic: not called today, has phone number, status is not 'completed' or 'not_interested'
+      const eligible = allCustomers.filter(customer => {
+        // Filter logic: not called today, has a valid phone number, not closed, opted out or waiting for a retry
         const lastCallDate = customer.lastCallDate;
         const status = customer.status?.toLowerCase();
-        const phone = customer.phone;
 
-        return phone && 
-               phone.trim() !== '' &&
+        return phoneUtil.isValidPhone(customer.phone, country) &&
                lastCallDate !== today &&
-               !['completed', 'not_interested', 'do_not_call'].includes(status);
+               !['completed', 'not_interested', 'do_not_call', 'retry_scheduled', process.env.RETRY_GIVE_UP_STATUS || 'unreachable'].includes(status);
       });
 
+      // Numbers on the do-not-call list are never offered for calling
+      const customersForCalling = [];
+      for (const customer of eligible) {
+        if (!(await complianceService.isOnDnc(customer.phone, { country }))) {
+          customersForCalling.push(customer);
+        }
+      }
+
       sheetsLogger.info('Customers filtered for calling', { 
         total: allCustomers.length,
-        forCalling: customersForCalling.length 
+        forCalling: customersForCalling.length,
+        doNotCall: eligible.length - customersForCalling.length
       });
 
       return customersForCalling;
@@ -109,180 +510,123 @@ class GoogleSheetsService {
   }
 
   /**
-   * Update customer data by phone number and column (for conversation flow)
+   * Update a lead found by phone number (for conversation flow). Updates are keyed by
+   * field name, e.g. { interested: 'Yes' }; the old Leads column letters (D interested,
+   * E appointment, F similar cars, G email) are still accepted. Numbers are matched on
+   * their E.164 form, so "(512) 555-0101" finds "+15125550101".
+   *
+   * The update is queued (see queueWrite) and this returns straight away; with
+   * options.wait it resolves once the update is in the sheet.
    */
-  async updateCustomerData(phoneNumber, updates) {
-    try {
-      // Get all data to find the row
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.sheetsId,
-        range: 'Leads!A:G'
-      });
-
-      const rows = response.data.values;
-      if (!rows || rows.length === 0) {
-        throw new Error('No data found in sheet');
-      }
-
-      // Find the customer row by phone number (Column A)
-      let customerRowIndex = -1;
-      for (let i = 1; i < rows.length; i++) { // Skip header row
-        if (rows[i][0] === phoneNumber) {
-          customerRowIndex = i + 1; // Google Sheets is 1-indexed
-          break;
-        }
-      }
-
-      if (customerRowIndex === -1) {
-        throw new Error(`Customer with phone number ${phoneNumber} not found`);
-      }
+  async updateCustomerData(phoneNumber, updates, options = {}) {
+    const written = this.queueWrite(options.tenantId, { phone: phoneNumber }, updates);
 
-      // Column mapping for the exact structure
-      const columnMapping = {
-        'A': 0, // Customer Phone Number
-        'B': 1, // Customer Name
-        'C': 2, // Car Model Enquired About
-        'D': 3, // Interested? (Yes/No)
-        'E': 4, // Appointment Date & Time
-        'F': 5, // Interested in Similar Cars? (Yes/No)
-        'G': 6  // Customer Email
-      };
-
-      // Update each column
-      for (const [column, value] of Object.entries(updates)) {
-        if (columnMapping[column] !== undefined) {
-          const range = `Leads!${column}${customerRowIndex}`;
-
-          await this.sheets.spreadsheets.values.update({
-            spreadsheetId: this.sheetsId,
-            range: range,
-            valueInputOption: 'RAW',
-            resource: {
-              values: [[value]]
-            }
-          });
-        }
-      }
-
-      sheetsLogger.info('Customer data updated', {
-        phoneNumber,
-        updates,
-        rowIndex: customerRowIndex
-      });
-
-      return true;
-    } catch (error) {
+    const failed = error => {
       sheetsLogger.error('Failed to update customer data', {
         error: error.message,
         phoneNumber,
         updates
       });
       throw error;
+    };
+
+    if (options.wait) {
+      await written.catch(failed);
+    } else {
+      written.catch(failed).catch(() => {});
     }
+    return true;
   }
 
   /**
-   * Update customer record after call
+   * Update customer record after call. Keys are field names (status, lastCallDate,
+   * callResult, callAttempts, ...).
+   *
+   * The update is queued (see queueWrite) and this returns { success, queued }
+   * straight away; with options.wait it resolves to { success, updatedFields } once
+   * the update is in the sheet.
    */
-  async updateCustomerRecord(customerId, updateData) {
-    try {
-      // Find customer row
-      const customers = await this.getCustomerData();
-      const customer = customers.find(c => c.id === customerId || c.customerId === customerId);
-      
-      if (!customer) {
-        throw new AppError('Customer not found', 404);
-      }
-
-      const rowIndex = customer.rowIndex;
-      const updates = [];
-
-      // Map update data to column letters (adjust based on your sheet structure)
-      const columnMap = {
-        status: 'F',           // Column F for status
-        lastCallDate: 'G',     // Column G for last call date
-        callResult: 'H',       // Column H for call result
-        appointmentDate: 'I',  // Column I for appointment date
-        email: 'J',            // Column J for email
-        notes: 'K',            // Column K for notes
-        callDuration: 'L',     // Column L for call duration
-        sentiment: 'M'         // Column M for sentiment
-      };
-
-      // Prepare batch update
-      Object.keys(updateData).forEach(key => {
-        if (columnMap[key]) {
-          updates.push({
-            range: `Customers!${columnMap[key]}${rowIndex}`,
-            values: [[updateData[key]]]
+  async updateCustomerRecord(customerId, updateData, options = {}) {
+    const written = this.queueWrite(options.tenantId, { id: customerId }, updateData)
+      .then(result => {
+        if (result.updatedFields.length === 0) {
+          sheetsLogger.warn('No valid updates provided', { customerId, updateData });
+        } else {
+          sheetsLogger.info('Customer record updated', { 
+            customerId, 
+            rowIndex: result.rowIndex, 
+            updatedFields: result.updatedFields
           });
         }
+        return { success: true, updatedFields: result.updatedFields };
+      })
+      .catch(error => {
+        sheetsLogger.error('Failed to update customer record', { 
+          error: error.message, 
+          customerId 
+        });
+        throw error instanceof AppError ? error : new AppError('Failed to update customer record', 500);
       });
 
-      if (updates.length === 0) {
-        sheetsLogger.warn('No valid updates provided', { customerId, updateData });
-        return;
-      }
-
-      // Perform batch update
-      await this.sheets.spreadsheets.values.batchUpdate({
-        spreadsheetId: this.sheetsId,
-        resource: {
-          valueInputOption: 'RAW',
-          data: updates
-        }
-      });
-
-      sheetsLogger.info('Customer record updated', { 
-        customerId, 
-        rowIndex, 
-        updatedFields: Object.keys(updateData) 
-      });
-
-      return { success: true, updatedFields: Object.keys(updateData) };
-    } catch (error) {
-      sheetsLogger.error('Failed to update customer record', { 
-        error: error.message, 
-        customerId 
-      });
-      throw new AppError('Failed to update customer record', 500);
+    if (options.wait) {
+      return written;
     }
+    written.catch(() => {});
+    return { success: true, queued: true };
   }
 
   /**
-   * Add new customer to the sheet
+   * Add new customer to the sheet. The phone number must be valid and is stored in E.164.
+   * Values go under their headers; a tab with no header row gets the default headers.
    */
-  async addCustomer(customerData) {
+  async addCustomer(customerData, options = {}) {
+    const phone = phoneUtil.parsePhone(customerData.phone, tenantService.countryFor(options.tenantId));
+    if (!phone || !phone.valid) {
+      throw new AppError(`Invalid phone number: ${customerData.phone || '(none)'}`, 400);
+    }
+
+    const customer = {
+      ...Object.fromEntries(sheetSchema.FIELD_NAMES
+        .filter(field => customerData[field] !== undefined)
+        .map(field => [field, customerData[field]])),
+      id: customerData.id || this.generateCustomerId(),
+      phone: phone.e164,
+      status: customerData.status || 'new',
+      enquiryDate: customerData.enquiryDate || new Date().toISOString().split('T')[0]
+    };
+
     try {
-      const values = [
-        [
-          customerData.id || this.generateCustomerId(),
-          customerData.name || '',
-          customerData.phone || '',
-          customerData.email || '',
-          customerData.carModel || '',
-          customerData.status || 'new',
-          customerData.enquiryDate || new Date().toISOString().split('T')[0],
-          '', // lastCallDate
-          '', // callResult
-          '', // appointmentDate
-          customerData.notes || ''
-        ]
-      ];
-
-      await this.sheets.spreadsheets.values.append({
-        spreadsheetId: this.sheetsId,
-        range: 'Customers!A:K',
+      const spreadsheetId = this.getSpreadsheetId(options.tenantId);
+      const schema = this.getSchema(options.tenantId);
+      const values = [];
+
+      let layout = await this.readLayout(spreadsheetId, schema.tab, schema);
+      if (layout.headers.length === 0) {
+        const headers = schema.fields.map(definition => definition.header);
+        layout = sheetSchema.mapHeaders(headers, schema);
+        values.push(headers);
+      }
+
+      const row = layout.headers.map(() => '');
+      for (const [field, index] of Object.entries(layout.columns)) {
+        row[index] = customer[field] !== undefined ? customer[field] : '';
+      }
+      values.push(row);
+
+      await this.withBackoff(() => this.sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `'${schema.tab}'!A1`,
         valueInputOption: 'RAW',
         resource: { values }
-      });
+      }));
+      this.invalidate(options.tenantId, schema.tab);
 
       sheetsLogger.info('New customer added', { 
-        customerId: customerData.id,
-        name: customerData.name 
+        customerId: customer.id,
+        name: customer.name 
       });
 
-      return { success: true, customerId: customerData.id };
+      return { success: true, customerId: customer.id };
     } catch (error) {
       sheetsLogger.error('Failed to add customer', { error: error.message });
       throw new AppError('Failed to add customer to Google Sheets', 500);
@@ -292,9 +636,9 @@ class GoogleSheetsService {
   /**
    * Get call statistics
    */
-  async getCallStatistics() {
+  async getCallStatistics(options = {}) {
     try {
-      const customers = await this.getCustomerData();
+      const customers = await this.getCustomerData(null, options);
       const today = new Date().toISOString().split('T')[0];
 
       const stats = {
@@ -318,10 +662,7 @@ class GoogleSheetsService {
    * Normalize header names for consistent property access
    */
   normalizeHeader(header) {
-    return header
-      .toLowerCase()
-      .replace(/\s+/g, '')
-      .replace(/[^a-z0-9]/g, '');
+    return sheetSchema.normalizeHeader(header);
   }
 
   /**
@@ -332,38 +673,195 @@ class GoogleSheetsService {
   }
 
   /**
-   * Validate sheet structure
+   * Validate sheet structure: which schema headers the lead tab is missing, and which
+   * columns still have an old header. Both are fixed by the migration.
    */
-  async validateSheetStructure() {
+  async validateSheetStructure(options = {}) {
     try {
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.sheetsId,
-        range: 'Customers!A1:M1',
-      });
-
-      const headers = response.data.values?.[0] || [];
-      const expectedHeaders = [
-        'ID', 'Name', 'Phone', 'Email', 'Car Model', 
-        'Status', 'Enquiry Date', 'Last Call Date', 
-        'Call Result', 'Appointment Date', 'Notes'
-      ];
-
-      const missingHeaders = expectedHeaders.filter(header => 
-        !headers.some(h => h.toLowerCase().includes(header.toLowerCase()))
-      );
-
-      if (missingHeaders.length > 0) {
-        sheetsLogger.warn('Missing headers in sheet', { missingHeaders });
-        return { valid: false, missingHeaders };
+      const schema = this.getSchema(options.tenantId);
+      const layout = await this.readLayout(this.getSpreadsheetId(options.tenantId), schema.tab, schema);
+
+      const missingHeaders = schema.fields
+        .filter(({ field }) => layout.columns[field] === undefined)
+        .map(({ header }) => header);
+      const missingRequired = sheetSchema.REQUIRED_FIELDS.filter(field => layout.columns[field] === undefined);
+      const renamedHeaders = schema.fields
+        .filter(({ field, header }) => layout.columns[field] !== undefined && layout.headers[layout.columns[field]] !== header)
+        .map(({ field, header }) => ({ from: layout.headers[layout.columns[field]], to: header }));
+
+      if (missingHeaders.length > 0 || renamedHeaders.length > 0) {
+        sheetsLogger.warn('Sheet layout is out of date; run npm run sheets:migrate', {
+          tab: schema.tab,
+          missingHeaders,
+          renamedHeaders
+        });
+        return { valid: false, tab: schema.tab, missingHeaders, missingRequired, renamedHeaders };
       }
 
       sheetsLogger.info('Sheet structure validated successfully');
-      return { valid: true };
+      return { valid: true, tab: schema.tab };
     } catch (error) {
       sheetsLogger.error('Failed to validate sheet structure', { error: error.message });
       throw error;
     }
   }
+
+  /**
+   * Upgrade a tenant's sheet to the current schema: create the lead tab if needed,
+   * rename old headers, add missing columns and merge the old Leads tab into the lead
+   * tab (matched by phone number; values already in the lead tab are kept). With
+   * dryRun nothing is written. Returns what was (or would be) changed.
+   */
+  async migrateSheet(options = {}) {
+    const tenantId = options.tenantId || tenantService.defaultTenantId;
+    const spreadsheetId = this.getSpreadsheetId(tenantId);
+    const schema = this.getSchema(tenantId);
+    const dryRun = Boolean(options.dryRun);
+
+    // Queued updates are written against the current layout first
+    await this.flush();
+
+    const { data } = await this.withBackoff(() => this.sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' }));
+    const tabs = (data.sheets || []).map(sheet => sheet.properties.title);
+
+    const report = {
+      tenantId,
+      tab: schema.tab,
+      dryRun,
+      createdTab: !tabs.includes(schema.tab),
+      renamedHeaders: [],
+      addedHeaders: [],
+      leads: null
+    };
+
+    if (report.createdTab && !dryRun) {
+      await this.withBackoff(() => this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: { requests: [{ addSheet: { properties: { title: schema.tab } } }] }
+      }));
+    }
+
+    const { layout, rows } = report.createdTab
+      ? { layout: sheetSchema.mapHeaders([], schema), rows: [] }
+      : await this.readTab(tenantId, schema.tab, { fresh: true });
+
+    const headers = [...layout.headers];
+    for (const { field, header } of schema.fields) {
+      const column = layout.columns[field];
+      if (column === undefined) {
+        headers.push(header);
+        report.addedHeaders.push(header);
+      } else if (headers[column] !== header) {
+        report.renamedHeaders.push({ from: headers[column], to: header });
+        headers[column] = header;
+      }
+    }
+
+    if (!dryRun && (report.addedHeaders.length > 0 || report.renamedHeaders.length > 0)) {
+      await this.withBackoff(() => this.sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${schema.tab}'!A1`,
+        valueInputOption: 'RAW',
+        resource: { values: [headers] }
+      }));
+    }
+
+    if (tabs.includes(sheetSchema.LEGACY_LEADS_TAB) && sheetSchema.LEGACY_LEADS_TAB !== schema.tab) {
+      report.leads = await this.mergeLegacyLeads(tenantId, schema, sheetSchema.mapHeaders(headers, schema), [...rows], dryRun);
+    }
+
+    // Headers and rows have moved under the cache
+    this.invalidate(tenantId);
+
+    sheetsLogger.info('Sheet migrated', report);
+    return report;
+  }
+
+  /**
+   * Merge the old Leads tab (phone, name, car model, interested, appointment, similar
+   * cars, email) into the lead tab: known numbers have their blank fields filled in,
+   * new numbers are added as new leads. The Leads tab itself is left as it is.
+   */
+  async mergeLegacyLeads(tenantId, schema, layout, rows, dryRun) {
+    const spreadsheetId = this.getSpreadsheetId(tenantId);
+    const country = tenantService.countryFor(tenantId);
+    const legacy = await this.readTab(tenantId, sheetSchema.LEGACY_LEADS_TAB, { fresh: true });
+    // The old headers are recognised as aliases; without them use the old fixed letters
+    const columns = legacy.layout.columns.phone !== undefined
+      ? legacy.layout.columns
+      : Object.fromEntries(Object.entries(sheetSchema.LEGACY_LEADS_COLUMNS).map(([letter, field]) => [field, letter.charCodeAt(0) - 65]));
+
+    const result = { merged: 0, added: 0, unchanged: 0, skipped: 0 };
+    const updates = [];
+    const added = [];
+
+    for (const legacyRow of legacy.rows) {
+      const lead = {};
+      for (const [field, index] of Object.entries(columns)) {
+        const value = String(legacyRow[index] || '').trim();
+        if (value) {
+          lead[field] = value;
+        }
+      }
+
+      const phone = phoneUtil.toE164(lead.phone, country);
+      if (!phone) {
+        result.skipped++;
+        continue;
+      }
+      lead.phone = phone;
+
+      let row = rows.find(existing => phoneUtil.samePhone(existing[layout.columns.phone], phone, country));
+      const created = !row;
+      if (created) {
+        row = layout.headers.map(() => '');
+        Object.assign(lead, { id: this.generateCustomerId(), status: 'new' });
+        rows.push(row);
+        added.push(row);
+      }
+
+      // Rows still to be appended are filled in place; rows already in the sheet get cell updates
+      const pending = added.includes(row);
+      let changed = false;
+      for (const [field, value] of Object.entries(lead)) {
+        const column = layout.columns[field];
+        if (column === undefined || row[column]) {
+          continue;
+        }
+        row[column] = value;
+        changed = true;
+        if (!pending) {
+          updates.push({
+            range: `'${schema.tab}'!${sheetSchema.columnLetter(column)}${rows.indexOf(row) + 2}`,
+            values: [[value]]
+          });
+        }
+      }
+
+      if (created) {
+        result.added++;
+      } else {
+        result[changed ? 'merged' : 'unchanged']++;
+      }
+    }
+
+    if (!dryRun && updates.length > 0) {
+      await this.withBackoff(() => this.sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: { valueInputOption: 'RAW', data: updates }
+      }));
+    }
+    if (!dryRun && added.length > 0) {
+      await this.withBackoff(() => this.sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `'${schema.tab}'!A1`,
+        valueInputOption: 'RAW',
+        resource: { values: added }
+      }));
+    }
+
+    return result;
+  }
 }
 
 module.exports = new GoogleSheetsService();
@@ -0,0 +1,152 @@
+const { DateTime } = require('luxon');
+const { callLogger } = require('../utils/logger');
+const googleSheetsService = require('./googleSheetsService');
+const callHistoryService = require('./callHistoryService');
+const schedulingService = require('./schedulingService');
+const { toE164 } = require('../utils/phone');
+
+// Call statuses that mean our last call never reached the customer
+const MISSED_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+
+/**
+ * Calls into one of our numbers. The caller is matched to a lead by their E.164
+ * number (the tenant's sheet, then our own call history), and the situation they are
+ * calling back about picks the entry node of the inbound script:
+ *
+ * - appointment: they have an upcoming booked appointment
+ * - voicemail: our last call left them a voicemail
+ * - missed_call: our last call went unanswered
+ * - returning: a known lead with none of the above
+ * - unknown: a number we have no record of
+ */
+class InboundService {
+  constructor() {
+    this.scriptId = process.env.INBOUND_SCRIPT_ID || 'inbound-callback';
+    this.lookbackDays = parseInt(process.env.INBOUND_LOOKBACK_DAYS) || 30;
+  }
+
+  /**
+   * Work out who is calling a tenant and why. Returns
+   * { phone, customer, lastCall, appointment, situation, context } where customer is
+   * null for unknown callers and context holds the script variables.
+   */
+  async identifyCaller(phoneNumber, tenant, options = {}) {
+    const now = options.now || new Date();
+    const phone = toE164(phoneNumber, tenant.country);
+
+    const lastCall = phone ? await this.findLastCall(phone, tenant, options.callSid, now) : null;
+    const customer = phone ? await this.findCustomer(phone, tenant, lastCall) : null;
+    const appointment = phone ? await this.findAppointment(phone, customer, tenant, now) : null;
+    const situation = this.classify({ customer, lastCall, appointment });
+    const calendar = schedulingService.getCalendar(tenant.id);
+
+    const context = {
+      lastCallDay: lastCall ? this.describeDay(lastCall.startTime, tenant.timezone, now) : null,
+      appointmentDisplay: appointment ? calendar.formatForSpeech(appointment.start) : null,
+      existingAppointmentId: appointment ? appointment.id : null,
+      previousOutcome: lastCall ? lastCall.outcome || lastCall.status : null
+    };
+
+    callLogger.info('Inbound caller identified', {
+      tenantId: tenant.id,
+      customerId: customer ? customer.id : null,
+      situation,
+      lastCallSid: lastCall ? lastCall.callSid : null,
+      appointmentId: appointment ? appointment.id : null
+    });
+
+    return { phone, customer, lastCall, appointment, situation, context };
+  }
+
+  classify({ customer, lastCall, appointment }) {
+    if (appointment) {
+      return 'appointment';
+    }
+    if (lastCall && lastCall.outcome === 'voicemail') {
+      return 'voicemail';
+    }
+    if (lastCall && (MISSED_STATUSES.includes(lastCall.status) || MISSED_STATUSES.includes(lastCall.outcome))) {
+      return 'missed_call';
+    }
+    return customer ? 'returning' : 'unknown';
+  }
+
+  /**
+   * Our most recent outbound call to this number within the lookback window
+   */
+  async findLastCall(phone, tenant, callSid, now) {
+    const since = DateTime.fromJSDate(now).minus({ days: this.lookbackDays }).toJSDate();
+    const { calls } = await callHistoryService.listCalls({
+      tenantId: tenant.id,
+      phone,
+      direction: 'outbound',
+      from: since,
+      limit: 2
+    });
+
+    return calls.find(call => call.callSid !== callSid) || null;
+  }
+
+  /**
+   * The lead's sheet row; leads dialled from elsewhere (e.g. a one-off API call) are
+   * rebuilt from the call record
+   */
+  async findCustomer(phone, tenant, lastCall) {
+    try {
+      const customers = await googleSheetsService.getCustomerData(null, { tenantId: tenant.id });
+      const customer = customers.find(c => toE164(c.phone, tenant.country) === phone);
+      if (customer) {
+        return { ...customer, tenantId: tenant.id };
+      }
+    } catch (error) {
+      callLogger.warn('Could not look up inbound caller in sheet', { tenantId: tenant.id, error: error.message });
+    }
+
+    if (lastCall && lastCall.customerId && !String(lastCall.customerId).startsWith('TEMP_')) {
+      return {
+        id: lastCall.customerId,
+        name: lastCall.customerName,
+        phone: lastCall.phone,
+        tenantId: tenant.id
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * The caller's next booked appointment, by customer id or phone number
+   */
+  async findAppointment(phone, customer, tenant, now) {
+    const appointments = await schedulingService.listAppointments({
+      tenantId: tenant.id,
+      status: 'booked',
+      from: now
+    });
+
+    return appointments.find(appointment =>
+      (customer && customer.id && appointment.customerId === customer.id) ||
+      toE164(appointment.phone, tenant.country) === phone
+    ) || null;
+  }
+
+  /**
+   * How the bot refers to the day of our last call: "earlier today", "yesterday",
+   * "on Monday" within the past week, otherwise "on October 3"
+   */
+  describeDay(isoTime, timezone, now) {
+    const day = DateTime.fromISO(isoTime, { zone: timezone }).startOf('day');
+    const today = DateTime.fromJSDate(now).setZone(timezone).startOf('day');
+    const daysAgo = Math.round(today.diff(day, 'days').days);
+
+    if (daysAgo <= 0) {
+      return 'earlier today';
+    }
+    if (daysAgo === 1) {
+      return 'yesterday';
+    }
+    return daysAgo < 7 ? `on ${day.toFormat('cccc')}` : `on ${day.toFormat('LLLL d')}`;
+  }
+}
+
+module.exports = new InboundService();
@@ -0,0 +1,183 @@
+const logger = require('../utils/logger');
+const openaiService = require('./openaiService');
+
+const INTENTS = [
+  'affirm',
+  'deny',
+  'busy',
+  'callback_request',
+  'question',
+  'objection',
+  'wrong_person',
+  'do_not_call',
+  'unclear'
+];
+
+/**
+ * Phrase rules checked before plain yes/no scoring, most specific first.
+ * Every pattern is anchored on word boundaries so "know" never reads as "no".
+ * Rules marked answerable give way to a reply that opens with an explicit yes or no
+ * ("yes please, I already have a trade in").
+ */
+const PHRASE_RULES = [
+  {
+    intent: 'do_not_call',
+    confidence: 0.95,
+    pattern: /\b(stop (calling|ringing|phoning|contacting)|quit calling|(don't|do not|never) (call|ring|phone|contact) (me|us|this number|here|again)|take (me|us|my number|my name) off|remove (me|us|my number|my details)|(lose|delete) my (number|details)|opt( me)? out|unsubscribe|no more calls|do not call list|dnc)\b/
+  },
+  {
+    intent: 'wrong_person',
+    confidence: 0.9,
+    pattern: /\b(wrong (number|person)|you have the wrong|(no one|nobody|no-one) (here )?(by|named|called) that|(there's|there is) no .+ here|(he|she|they) (doesn't|does not|don't|do not) live here|this (isn't|is not) (him|her|them))\b/
+  },
+  {
+    intent: 'callback_request',
+    confidence: 0.85,
+    pattern: /\b(call (me )?(back|again|later|tomorrow|another time|next week)|try (me )?(again|later|tomorrow)|ring (me )?(back|later)|(some )?other time|another time|get back to me)\b/
+  },
+  {
+    intent: 'busy',
+    answerable: true,
+    confidence: 0.85,
+    pattern: /\b(busy|bad time|not (a )?good time|not (right )?now|(can't|cannot|can not) (really )?(talk|speak)|in a meeting|(i'm|i am) (driving|at work))\b/
+  },
+  {
+    intent: 'objection',
+    answerable: true,
+    confidence: 0.8,
+    pattern: /\b(too (expensive|much|pricey)|(can't|cannot) afford|out of (my|our) budget|already (bought|got|purchased|have|found)|bought (one|a car|another|something)|found (one|another|a car|something)|went with|not in the market|happy with (my|the) (current )?car|(don't|do not|no longer) need)\b/
+  },
+  {
+    intent: 'unclear',
+    answerable: true,
+    confidence: 0.6,
+    pattern: /\b(not sure|unsure|not certain|(i )?(don't|do not) know|dunno|maybe|perhaps|possibly|let me think)\b/
+  }
+];
+
+// Negated phrases that flip the meaning of the words inside them
+const AFFIRM_PHRASES = /\b((i'm |i am )?not (too |that |really |at all )?busy|not a bad time|not bad|no problem|not a problem|no worries|why not|(i )?(don't|do not) mind|of course|sounds good|go ahead|let's do (it|that)|that works|works for me)\b/g;
+const DENY_PHRASES = /\b(not interested|not really|no thanks|no thank you|(i )?(don't|do not) think so|not anymore|not any more|(i'd|i would) rather not|pass)\b/g;
+
+const AFFIRM_WORDS = ['yes', 'yeah', 'yep', 'yup', 'ya', 'sure', 'okay', 'ok', 'alright', 'definitely', 'absolutely', 'certainly', 'interested', 'perfect', 'great', 'fine', 'correct', 'right', 'please', 'love'];
+const DENY_WORDS = ['no', 'nope', 'nah', 'never', 'negative'];
+
+// Opening words that answer the question outright
+const EXPLICIT_AFFIRM = ['yes', 'yeah', 'yep', 'yup', 'sure', 'okay', 'ok', 'alright', 'absolutely', 'definitely', 'certainly'];
+const EXPLICIT_DENY = ['no', 'nope', 'nah'];
+
+const QUESTION_START = /^(who|what|when|where|why|how|which|is|are|does|do|can|could|will|would|have|has)\b/;
+
+/**
+ * Turns a customer reply into a structured intent.
+ * Uses OpenAI when it is available and confident, otherwise a rule-based classifier.
+ */
+class IntentService {
+  constructor() {
+    this.intents = INTENTS;
+    this.useLlm = process.env.INTENT_CLASSIFIER !== 'rules' && Boolean(process.env.OPENAI_API_KEY);
+    this.confidenceThreshold = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.6;
+    this.timeoutMs = parseInt(process.env.INTENT_TIMEOUT_MS) || 2000;
+  }
+
+  /**
+   * Classify a reply. context: { step, botPrompt, callSid }
+   * Returns { intent, confidence, source: 'llm' | 'rules' }
+   */
+  async classify(input, context = {}) {
+    const text = String(input || '');
+
+    if (this.useLlm && text.trim()) {
+      try {
+        const result = await this.withTimeout(openaiService.classifyIntent(text, INTENTS, context));
+
+        if (result && result.confidence >= this.confidenceThreshold) {
+          return { ...result, source: 'llm' };
+        }
+      } catch (error) {
+        logger.warn('LLM intent classification failed, using rules', {
+          error: error.message,
+          callSid: context.callSid
+        });
+      }
+    }
+
+    return { ...this.classifyWithRules(text), source: 'rules' };
+  }
+
+  /**
+   * Keyword classifier with word boundaries and negation handling
+   */
+  classifyWithRules(input) {
+    const text = this.normalize(input);
+
+    if (!text) {
+      return { intent: 'unclear', confidence: 0 };
+    }
+
+    // Negated phrases ("not busy", "not a bad time") must not trigger the rules they contain
+    const ruleText = text.replace(AFFIRM_PHRASES, ' ');
+    const firstWord = text.split(' ')[0];
+    const answered = EXPLICIT_AFFIRM.includes(firstWord) || EXPLICIT_DENY.includes(firstWord);
+
+    for (const rule of PHRASE_RULES) {
+      if (rule.answerable && answered) {
+        continue;
+      }
+      if (rule.pattern.test(ruleText)) {
+        return { intent: rule.intent, confidence: rule.confidence };
+      }
+    }
+
+    let affirmScore = 0;
+    let denyScore = 0;
+
+    // Score and strip multi-word phrases first so "not bad" doesn't also count as "no"
+    const remaining = text
+      .replace(AFFIRM_PHRASES, () => { affirmScore += 2; return ' '; })
+      .replace(DENY_PHRASES, () => { denyScore += 2; return ' '; });
+
+    const words = remaining.split(/\s+/).filter(Boolean);
+    for (const word of words) {
+      if (AFFIRM_WORDS.includes(word)) affirmScore += 1;
+      if (DENY_WORDS.includes(word)) denyScore += 1;
+    }
+
+    // The opening word is the strongest signal in a spoken reply ("no, yes I mean..." aside)
+    if (AFFIRM_WORDS.includes(words[0])) affirmScore += 1;
+    if (DENY_WORDS.includes(words[0])) denyScore += 1;
+
+    if (affirmScore > denyScore) {
+      return { intent: 'affirm', confidence: affirmScore > 1 && denyScore === 0 ? 0.9 : 0.7 };
+    }
+    if (denyScore > affirmScore) {
+      return { intent: 'deny', confidence: denyScore > 1 && affirmScore === 0 ? 0.9 : 0.7 };
+    }
+
+    if (input.trim().endsWith('?') || QUESTION_START.test(text)) {
+      return { intent: 'question', confidence: 0.7 };
+    }
+
+    return { intent: 'unclear', confidence: 0.3 };
+  }
+
+  normalize(input) {
+    return String(input || '')
+      .toLowerCase()
+      .replace(/[‘’]/g, '\'')
+      .replace(/[^a-z0-9'\s-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = new IntentService();
@@ -0,0 +1,465 @@
+const WebSocket = require('ws');
+const twilio = require('twilio');
+const { callLogger } = require('../utils/logger');
+const { FALLBACK_PROMPTS } = require('../config/speechPrompts');
+const deepgramService = require('./deepgramService');
+const elevenlabsService = require('./elevenlabsService');
+const conversationService = require('./conversationService');
+const twilioService = require('./twilioService');
+const recordingService = require('./recordingService');
+const callHistoryService = require('./callHistoryService');
+const tenantService = require('./tenantService');
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
+// 20 ms of 8 kHz mu-law audio, the frame size Twilio streams in
+const FRAME_BYTES = 160;
+const BYTES_PER_MS = 8;
+// Typical speaking rate, to estimate a reply's length before all of its audio has arrived
+const MS_PER_CHAR = 60;
+
+/**
+ * Roughly what the caller heard of a reply stopped `fraction` of the way through,
+ * cut back to a word boundary
+ */
+function spokenPart(text, fraction) {
+  const cut = Math.round(text.length * Math.min(Math.max(fraction, 0), 1));
+  if (cut >= text.length) {
+    return text;
+  }
+  const end = text.lastIndexOf(' ', cut);
+  return text.slice(0, end > 0 ? end : cut).trim();
+}
+
+/**
+ * One call's media stream: caller audio goes to Deepgram live, each finished utterance
+ * (speech_final, or UtteranceEnd as a backstop) is a turn for the conversation engine,
+ * and the reply is synthesised as mu-law and streamed back on the same socket.
+ * If the caller starts talking over a reply, its playback is cleared (barge-in) and
+ * the bot turn is marked as interrupted.
+ */
+class MediaStreamSession {
+  constructor(ws, service) {
+    this.ws = ws;
+    this.service = service;
+    this.callSid = null;
+    this.streamSid = null;
+    this.transcription = null;
+    this.finals = [];
+    this.confidences = [];
+    this.turns = Promise.resolve();
+    this.turnCount = 0;
+    this.hangupMark = null;
+    // The reply being played: { mark, text, startedAt, durationMs, complete, interruptible, controller }
+    this.playback = null;
+    this.turnUpdates = Promise.resolve();
+    // ElevenLabs voice of the call's tenant, looked up on the first reply
+    this.voiceId = undefined;
+    // Set while the call is being hung up or handed back, before the socket closes
+    this.ending = false;
+    this.closed = false;
+
+    ws.on('message', data => this.handleMessage(data));
+    ws.on('close', () => this.close());
+    ws.on('error', error => {
+      callLogger.error('Media stream socket error', { callSid: this.callSid, error: error.message });
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      callLogger.warn('Ignoring malformed media stream message', { callSid: this.callSid });
+      return;
+    }
+
+    switch (message.event) {
+      case 'start':
+        this.start(message.start);
+        break;
+
+      case 'media':
+        if (this.transcription && message.media.track !== 'outbound') {
+          this.transcription.send(Buffer.from(message.media.payload, 'base64'));
+        }
+        break;
+
+      case 'mark':
+        this.handleMark(message.mark.name);
+        break;
+
+      case 'stop':
+        this.close();
+        break;
+    }
+  }
+
+  start({ callSid, streamSid, customParameters = {} }) {
+    this.callSid = callSid;
+    this.streamSid = streamSid;
+    this.service.sessions.set(callSid, this);
+
+    callLogger.info('Media stream started', { callSid, streamSid });
+
+    try {
+      this.transcription = deepgramService.setupRealTimeTranscription({
+        onTranscript: result => this.handleTranscript(result),
+        onUtteranceEnd: () => this.endUtterance(),
+        onError: () => this.fallBackToGather('transcription_error')
+      }, {
+        encoding: 'mulaw',
+        sample_rate: 8000,
+        channels: 1,
+        endpointing: this.service.endpointingMs,
+        utterance_end_ms: this.service.utteranceEndMs
+      });
+    } catch (error) {
+      this.fallBackToGather('transcription_unavailable');
+      return;
+    }
+
+    if (customParameters.greeting) {
+      this.turns = this.turns.then(() => this.greet(customParameters.greeting));
+    }
+  }
+
+  /**
+   * Play the opening line the voice webhook passed in, like any other reply
+   */
+  async greet(text) {
+    if (this.closed || this.ending) {
+      return;
+    }
+
+    try {
+      await this.speak(text);
+    } catch (error) {
+      return this.handOff(this.service.buildGatherTwiml(text), 'speech_error');
+    }
+  }
+
+  handleTranscript({ transcript, confidence, is_final: isFinal, speech_final: speechFinal }) {
+    // Interim results arrive within a few hundred ms of the caller starting to speak
+    if (this.playback && this.playback.interruptible && this.service.bargeIn.enabled &&
+        this.countWords(transcript) >= this.service.bargeIn.minWords) {
+      this.interruptPlayback();
+    }
+
+    if (isFinal && transcript && transcript.trim()) {
+      this.finals.push(transcript.trim());
+      this.confidences.push(confidence);
+    }
+    if (speechFinal) {
+      this.endUtterance();
+    }
+  }
+
+  /**
+   * The caller stopped talking: hand what they said to the conversation engine.
+   * Turns are answered one at a time, in order.
+   */
+  endUtterance() {
+    if (this.finals.length === 0) {
+      return this.turns;
+    }
+
+    const text = this.finals.join(' ');
+    const confidence = Math.min(...this.confidences);
+    this.finals = [];
+    this.confidences = [];
+
+    this.turns = this.turns.then(() => this.respond(text, confidence));
+    return this.turns;
+  }
+
+  async respond(text, confidence) {
+    if (this.closed || this.ending) {
+      return;
+    }
+
+    let result;
+    try {
+      result = await conversationService.processCustomerInput(this.callSid, text, { confidence });
+    } catch (error) {
+      callLogger.error('Error processing streamed customer input', { callSid: this.callSid, error: error.message });
+      return this.handOff(this.sayAndHangup(FALLBACK_PROMPTS.processingError), 'conversation_error');
+    }
+
+    // The customer declined to be recorded
+    if (result.stopRecording) {
+      try {
+        await twilioService.stopRecording(this.callSid);
+        await recordingService.updateRecording(this.callSid, { stoppedAt: new Date().toISOString() });
+      } catch (error) {
+        callLogger.error('Could not stop recording after consent was declined', { callSid: this.callSid, error: error.message });
+      }
+    }
+
+    try {
+      const mark = await this.speak(result.response, { interruptible: result.shouldContinue });
+      if (!result.shouldContinue) {
+        // Hang up once the goodbye has finished playing
+        this.hangupMark = mark;
+      }
+    } catch (error) {
+      // No audio for the reply: say it with Twilio's voice and carry on over Gather
+      const twiml = result.shouldContinue
+        ? this.service.buildGatherTwiml(result.response)
+        : this.sayAndHangup(result.response);
+      return this.handOff(twiml, 'speech_error');
+    }
+  }
+
+  /**
+   * Stream a reply to the caller, followed by a mark Twilio echoes back once it has
+   * played. Audio is forwarded as it arrives from ElevenLabs (or in one go when
+   * ELEVENLABS_STREAMING=false) and the time to its first byte is stored on the bot turn.
+   * Closing replies are played out even if the caller talks over them.
+   * Returns the mark name.
+   */
+  async speak(text, { interruptible = true } = {}) {
+    const mark = `turn-${++this.turnCount}`;
+    const requestedAt = Date.now();
+    const playback = { mark, text, startedAt: null, durationMs: 0, complete: false, interruptible, controller: new AbortController() };
+    let pending = Buffer.alloc(0);
+    const voiceId = await this.getVoiceId();
+
+    const play = audio => {
+      if (playback.controller.signal.aborted) {
+        return;
+      }
+      if (!playback.startedAt) {
+        playback.startedAt = Date.now();
+        this.playback = playback;
+        this.updateTurn({ ttfbMs: playback.startedAt - requestedAt });
+      }
+
+      // Whole frames only; the remainder waits for the next chunk
+      pending = Buffer.concat([pending, audio]);
+      const whole = pending.length - (pending.length % FRAME_BYTES);
+      this.sendAudio(pending.subarray(0, whole));
+      playback.durationMs += whole / BYTES_PER_MS;
+      pending = pending.subarray(whole);
+    };
+
+    if (elevenlabsService.streaming) {
+      const result = await elevenlabsService.streamSpeech(text, play, {
+        outputFormat: 'ulaw_8000',
+        voiceId,
+        signal: playback.controller.signal
+      });
+      if (result.aborted) {
+        return mark;
+      }
+    } else {
+      play(await elevenlabsService.generateSpeechAudio(text, { outputFormat: 'ulaw_8000', voiceId }));
+    }
+
+    this.sendAudio(pending);
+    playback.durationMs += pending.length / BYTES_PER_MS;
+    playback.complete = true;
+    this.send({ event: 'mark', streamSid: this.streamSid, mark: { name: mark } });
+
+    return mark;
+  }
+
+  async getVoiceId() {
+    if (this.voiceId === undefined) {
+      const call = await callHistoryService.getCall(this.callSid);
+      this.voiceId = tenantService.get(tenantService.tenantIdOf(call))?.voiceId || null;
+    }
+    return this.voiceId;
+  }
+
+  sendAudio(audio) {
+    for (let offset = 0; offset < audio.length; offset += FRAME_BYTES) {
+      this.send({
+        event: 'media',
+        streamSid: this.streamSid,
+        media: { payload: audio.subarray(offset, offset + FRAME_BYTES).toString('base64') }
+      });
+    }
+  }
+
+  /**
+   * The caller is talking over the reply: stop it and note how much of it they heard
+   */
+  async interruptPlayback() {
+    const playback = this.playback;
+    this.playback = null;
+    playback.controller.abort();
+    this.send({ event: 'clear', streamSid: this.streamSid });
+
+    const atMs = Math.min(Date.now() - playback.startedAt, playback.durationMs);
+    // Part of the reply may not have arrived yet
+    const expectedMs = playback.complete ? playback.durationMs : Math.max(playback.durationMs, playback.text.length * MS_PER_CHAR);
+    const interruption = {
+      atMs,
+      durationMs: playback.durationMs,
+      heardText: spokenPart(playback.text, atMs / expectedMs)
+    };
+
+    callLogger.info('Caller interrupted the bot', { callSid: this.callSid, mark: playback.mark, atMs });
+    await this.updateTurn({ interrupted: interruption });
+  }
+
+  /**
+   * Playback details for the bot's latest turn, written one at a time
+   */
+  updateTurn(changes) {
+    this.turnUpdates = this.turnUpdates.then(() => callHistoryService.updateBotTurn(this.callSid, changes));
+    return this.turnUpdates;
+  }
+
+  countWords(text) {
+    return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+  }
+
+  async handleMark(name) {
+    if (this.playback && name === this.playback.mark) {
+      this.playback = null;
+    }
+    if (name !== this.hangupMark || this.closed || this.ending) {
+      return;
+    }
+
+    // Hang up before closing the socket: once it closes Twilio moves on to the
+    // <Redirect> after <Connect> and would ask the caller to repeat themselves
+    this.ending = true;
+    try {
+      await twilioService.endCall(this.callSid);
+    } catch (error) {
+      callLogger.warn('Could not hang up after the last streamed reply', { callSid: this.callSid, error: error.message });
+    } finally {
+      this.close();
+    }
+  }
+
+  send(message) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  async fallBackToGather(reason) {
+    return this.handOff(this.service.buildGatherTwiml("Sorry, I didn't catch that. Could you say it again?"), reason);
+  }
+
+  /**
+   * Leave the stream and continue the call with this TwiML
+   */
+  async handOff(twiml, reason) {
+    if (this.closed || this.ending) {
+      return;
+    }
+
+    callLogger.warn('Media stream handing the call back to TwiML', { callSid: this.callSid, reason });
+    // The new TwiML has to be in place before the socket closes (see handleMark)
+    this.ending = true;
+    try {
+      await twilioService.updateCallTwiml(this.callSid, twiml);
+    } catch (error) {
+      callLogger.error('Could not hand the call back from the media stream', { callSid: this.callSid, error: error.message });
+    } finally {
+      this.close();
+    }
+  }
+
+  sayAndHangup(text) {
+    const twiml = new VoiceResponse();
+    twiml.say({ voice: 'alice', language: 'en-US' }, text);
+    twiml.hangup();
+    return twiml;
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    if (this.transcription) {
+      try {
+        this.transcription.requestClose();
+      } catch (error) {
+        callLogger.warn('Could not close live transcription', { callSid: this.callSid, error: error.message });
+      }
+    }
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.close();
+    }
+    if (this.callSid && this.service.sessions.get(this.callSid) === this) {
+      this.service.sessions.delete(this.callSid);
+    }
+
+    callLogger.info('Media stream closed', { callSid: this.callSid, turns: this.turnCount });
+  }
+}
+
+/**
+ * Real-time calls over Twilio Media Streams. The voice webhook connects the call to
+ * the stream when it is available; otherwise (or when the stream fails) the call runs
+ * on the <Gather> webhooks.
+ */
+class MediaStreamService {
+  constructor() {
+    this.enabled = process.env.MEDIA_STREAMS_ENABLED === 'true';
+    this.path = '/webhook/twilio/stream';
+    this.endpointingMs = parseInt(process.env.STREAM_ENDPOINTING_MS) || 300;
+    this.utteranceEndMs = parseInt(process.env.STREAM_UTTERANCE_END_MS) || 1000;
+    this.bargeIn = {
+      enabled: process.env.BARGE_IN_ENABLED !== 'false',
+      // Words the caller must say before the reply is cut off (filters out coughs and noise)
+      minWords: parseInt(process.env.BARGE_IN_MIN_WORDS) || 1
+    };
+    this.sessions = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Streaming needs Deepgram for the caller's speech and ElevenLabs for the replies
+   */
+  isAvailable() {
+    return this.enabled && deepgramService.enabled && elevenlabsService.enabled;
+  }
+
+  getStreamUrl(baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '').replace(/^http/, 'ws')}${this.path}`;
+  }
+
+  /**
+   * Accept Twilio's stream connections on the HTTP server. verifyClient checks the
+   * upgrade request (see twilioSignature.verifyUpgrade).
+   */
+  attach(httpServer, verifyClient) {
+    this.server = new WebSocket.Server({ server: httpServer, path: this.path, verifyClient });
+    this.server.on('connection', ws => this.handleConnection(ws));
+
+    callLogger.info('Media stream endpoint ready', { path: this.path, available: this.isAvailable() });
+    return this.server;
+  }
+
+  handleConnection(ws) {
+    return new MediaStreamSession(ws, this);
+  }
+
+  /**
+   * Gather TwiML for a call leaving the stream; the reply is handled by the gather webhook
+   */
+  buildGatherTwiml(prompt) {
+    return twilioService.generateGatherResponse(prompt, `${twilioService.webhookUrl}/webhook/twilio/gather`);
+  }
+
+  closeAll() {
+    for (const session of this.sessions.values()) {
+      session.close();
+    }
+    if (this.server) {
+      this.server.close();
+    }
+  }
+}
+
+module.exports = new MediaStreamService();
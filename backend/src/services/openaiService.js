@@ -198,6 +198,53 @@ Customer Details:
     }
   }
 
+  /**
+   * Classify the customer's reply into one of the given intents.
+   * Returns { intent, confidence } or null when the model gives an unusable answer.
+   */
+  async classifyIntent(customerInput, intents, context = {}) {
+    const prompt = `You classify what a customer said on a sales phone call from a car dealership.
+The agent just said: "${context.botPrompt || 'unknown'}"
+Current conversation step: ${context.step || 'unknown'}
+
+Choose exactly one intent:
+${intents.map(intent => `- ${intent}`).join('\n')}
+
+Definitions: affirm = yes / agreement; deny = no / decline; busy = cannot talk right now;
+callback_request = asks to be called another time; question = asks something;
+objection = a reason for not buying (price, already bought, etc.); wrong_person = not the person we asked for or wrong number;
+do_not_call = asks to stop calling or be removed from the list; unclear = none of these.
+
+Respond with JSON only: {"intent": "<intent>", "confidence": <0..1>}`;
+
+    const completion = await this.client.chat.completions.create({
+      model: process.env.OPENAI_INTENT_MODEL || 'gpt-3.5-turbo',
+      messages: [
+        { role: 'system', content: prompt },
+        { role: 'user', content: customerInput }
+      ],
+      max_tokens: 30,
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    });
+
+    try {
+      const parsed = JSON.parse(completion.choices[0].message.content);
+      const intent = String(parsed.intent || '').toLowerCase();
+      const confidence = Number(parsed.confidence);
+
+      if (!intents.includes(intent) || Number.isNaN(confidence)) {
+        openaiLogger.warn('Intent classification returned an unknown intent', { parsed });
+        return null;
+      }
+
+      return { intent, confidence: Math.max(0, Math.min(1, confidence)) };
+    } catch (error) {
+      openaiLogger.warn('Intent classification returned invalid JSON', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Extract key information from customer response
    */
@@ -0,0 +1,119 @@
+const { callLogger } = require('../utils/logger');
+const { MODES, AREA_CODE_REGIONS, COUNTRY_CALLING_CODES, DEFAULT_POLICIES } = require('../config/recordingPolicy');
+const complianceService = require('./complianceService');
+const callHistoryService = require('./callHistoryService');
+
+/**
+ * Parse RECORDING_POLICY, e.g. "US-TX:announce,DE:none" -> { 'US-TX': 'announce', DE: 'none' }
+ */
+function parsePolicies(spec) {
+  const policies = {};
+
+  for (const entry of String(spec || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [region, mode] = entry.split(':').map(part => part.trim());
+    if (!region || !MODES.includes(mode)) {
+      callLogger.warn('Ignoring invalid RECORDING_POLICY entry', { entry });
+      continue;
+    }
+    policies[region.toUpperCase()] = mode;
+  }
+
+  return policies;
+}
+
+/**
+ * Decides whether and how a call is recorded from the region of the number being
+ * called, and keeps the customer's consent on the call record.
+ *
+ * The call record's `recording` holds { region, mode, consent } where consent is
+ * not_required, pending, granted or declined.
+ */
+class RecordingService {
+  constructor() {
+    this.enabled = process.env.RECORDING_ENABLED !== 'false';
+    this.defaultMode = MODES.includes(process.env.RECORDING_DEFAULT_MODE) ? process.env.RECORDING_DEFAULT_MODE : 'announce';
+    this.policies = { ...DEFAULT_POLICIES, ...parsePolicies(process.env.RECORDING_POLICY) };
+
+    this.messages = {
+      announcement: process.env.RECORDING_ANNOUNCEMENT || 'Just so you know, this call is recorded for quality and training purposes.',
+      consentPrompt: process.env.RECORDING_CONSENT_PROMPT || 'Before we start, this call is recorded for quality and training purposes. Is that okay with you?',
+      consentReprompt: 'Sorry, I just need a yes or no - are you happy for this call to be recorded?',
+      declined: "No problem, I've turned the recording off."
+    };
+    // Unclear answers to the consent question before we stop recording anyway
+    this.maxConsentPrompts = 2;
+  }
+
+  /**
+   * Region for a number: US-<state> for all-party-consent states, otherwise an ISO country code
+   */
+  getRegion(phoneNumber) {
+    const phone = complianceService.normalizePhone(phoneNumber);
+    if (!phone) {
+      return null;
+    }
+
+    const digits = phone.slice(1);
+    if (digits.startsWith('1') && digits.length === 11) {
+      return AREA_CODE_REGIONS[digits.slice(1, 4)] || 'US';
+    }
+
+    for (const length of [3, 2, 1]) {
+      const country = COUNTRY_CALLING_CODES[digits.slice(0, length)];
+      if (country) {
+        return country;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Recording policy for a call to this number: { region, mode, record }
+   */
+  getPolicy(phoneNumber) {
+    const region = this.getRegion(phoneNumber);
+    if (!this.enabled) {
+      return { region, mode: 'none', record: false };
+    }
+
+    const country = region ? region.split('-')[0] : null;
+    const mode = this.policies[region] || this.policies[country] || this.defaultMode;
+    return { region, mode, record: mode !== 'none' };
+  }
+
+  /**
+   * Initial `recording` details for a call record
+   */
+  describePolicy(policy) {
+    return {
+      region: policy.region,
+      mode: policy.mode,
+      consent: policy.mode === 'consent' ? 'pending' : 'not_required',
+      consentAt: null,
+      stoppedAt: null
+    };
+  }
+
+  /**
+   * Merge changes into the call record's recording details
+   */
+  async updateRecording(callSid, changes) {
+    const call = await callHistoryService.getCall(callSid);
+    const recording = { ...(call && call.recording), ...changes };
+    await callHistoryService.updateCall(callSid, { recording });
+    return recording;
+  }
+
+  /**
+   * Store the customer's answer to the consent question
+   */
+  async recordConsent(callSid, consent) {
+    callLogger.info('Recording consent answered', { callSid, consent });
+    return this.updateRecording(callSid, {
+      consent,
+      consentAt: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new RecordingService();
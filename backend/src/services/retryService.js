@@ -0,0 +1,258 @@
+const { DateTime } = require('luxon');
+const { callLogger } = require('../utils/logger');
+const { createStore, durableDriver } = require('../stores');
+const googleSheetsService = require('./googleSheetsService');
+const callHistoryService = require('./callHistoryService');
+const dialQueueService = require('./dialQueueService');
+const dateTimeService = require('./dateTimeService');
+const tenantService = require('./tenantService');
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Keep the per-customer attempt log bounded
+const MAX_HISTORY = 20;
+
+/**
+ * Parse RETRY_TIME_WINDOWS, e.g. "09:00-12:00,12:00-16:00" -> [{ start: 540, end: 720 }, ...]
+ */
+function parseTimeWindows(spec) {
+  const windows = [];
+
+  for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+    if (!match) {
+      callLogger.warn('Ignoring invalid RETRY_TIME_WINDOWS entry', { entry });
+      continue;
+    }
+    windows.push({
+      start: parseInt(match[1]) * 60 + parseInt(match[2]),
+      end: parseInt(match[3]) * 60 + parseInt(match[4])
+    });
+  }
+
+  return windows;
+}
+
+/**
+ * Retries for calls nobody answered (or that reached voicemail). Each unanswered attempt
+ * is counted per customer; the next attempt is pushed back with exponential backoff and
+ * moved to a different part of the day, and once maxAttempts is reached the lead is
+ * marked with giveUpStatus.
+ */
+class RetryService {
+  constructor() {
+    this.attempts = createStore('call_attempts', { driver: durableDriver('Call attempts', 'RETRY_STORE') });
+    this.enabled = process.env.RETRY_ENABLED !== 'false';
+
+    this.policy = {
+      maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+      baseDelayMinutes: parseInt(process.env.RETRY_BASE_DELAY_MINUTES) || 120,
+      backoffMultiplier: parseFloat(process.env.RETRY_BACKOFF_MULTIPLIER) || 2,
+      maxDelayMinutes: parseInt(process.env.RETRY_MAX_DELAY_MINUTES) || 2880,
+      rotateTimeOfDay: process.env.RETRY_ROTATE_TIME_OF_DAY !== 'false',
+      timeWindows: parseTimeWindows(process.env.RETRY_TIME_WINDOWS || '09:00-12:00,12:00-16:00,16:00-20:00'),
+      days: (process.env.RETRY_DAYS || 'mon,tue,wed,thu,fri,sat').split(',').map(day => day.trim().toLowerCase()),
+      retryOn: (process.env.RETRY_ON || 'busy,no-answer,failed,voicemail').split(',').map(status => status.trim()),
+      giveUpStatus: process.env.RETRY_GIVE_UP_STATUS || 'unreachable'
+    };
+  }
+
+  /**
+   * When to make the next attempt after `attempt` unanswered attempts, the last at
+   * lastAttemptAt. Overrides (e.g. a campaign's retry policy) replace policy fields;
+   * overrides.timezone is the tenant's, whose time of day the windows are in.
+   */
+  getNextAttemptAt(attempt, lastAttemptAt, overrides = {}) {
+    const policy = { ...this.policy, ...overrides };
+    const delayMinutes = Math.min(
+      policy.baseDelayMinutes * Math.pow(policy.backoffMultiplier, Math.max(attempt - 1, 0)),
+      policy.maxDelayMinutes
+    );
+
+    const last = DateTime.fromJSDate(new Date(lastAttemptAt)).setZone(policy.timezone || dateTimeService.timezone);
+    const earliest = last.plus({ minutes: delayMinutes });
+    if (!policy.rotateTimeOfDay || policy.timeWindows.length === 0) {
+      return earliest.toJSDate();
+    }
+
+    // Try the next part of the day from the one the last attempt was made in
+    const lastMinutes = last.hour * 60 + last.minute;
+    const lastIndex = policy.timeWindows.findIndex(window => lastMinutes >= window.start && lastMinutes < window.end);
+    const target = policy.timeWindows[(lastIndex + 1) % policy.timeWindows.length];
+
+    for (let offset = 0; offset < 14; offset++) {
+      const day = earliest.startOf('day').plus({ days: offset });
+      if (!policy.days.includes(WEEKDAYS[day.weekday - 1])) {
+        continue;
+      }
+
+      const windowStart = day.plus({ minutes: target.start });
+      const windowEnd = day.plus({ minutes: target.end });
+      const candidate = windowStart < earliest ? earliest : windowStart;
+      if (candidate < windowEnd) {
+        return candidate.toJSDate();
+      }
+    }
+
+    return earliest.toJSDate();
+  }
+
+  /**
+   * Record the final status of a call and, if nobody answered, schedule the next
+   * attempt or give up. Calls placed by a campaign are counted here but retried by
+   * the campaign's own policy. Returns the customer's attempt record, or null.
+   */
+  async handleCallOutcome(callSid, outcome, options = {}) {
+    const now = options.now || new Date();
+    const call = await callHistoryService.getCall(callSid);
+    // An answering machine picks up, so Twilio reports the call completed
+    if (outcome === 'completed' && call && call.outcome === 'voicemail') {
+      outcome = 'voicemail';
+    }
+    const job = await dialQueueService.finishCall(callSid, outcome, now);
+    const customer = await this.findCustomer(call, job, options.customer);
+
+    if (!customer) {
+      callLogger.warn('No customer for call outcome, not scheduling a retry', { callSid, outcome });
+      return null;
+    }
+
+    const tenantId = (job && job.tenantId) || (call && call.tenantId) || tenantService.tenantIdOf(customer);
+    const customerKey = dialQueueService.customerKey(customer, tenantId);
+    const record = await this.attempts.get(customerKey) || {
+      customerKey,
+      tenantId,
+      customerId: customer.id || null,
+      phone: customer.phone || null,
+      attempts: 0,
+      totalAttempts: 0,
+      status: null,
+      lastAttemptAt: null,
+      lastOutcome: null,
+      nextRetryAt: null,
+      retryJobId: null,
+      history: []
+    };
+
+    const pendingRetryJobId = record.retryJobId;
+    record.totalAttempts += 1;
+    record.lastAttemptAt = now.toISOString();
+    record.lastOutcome = outcome;
+    record.nextRetryAt = null;
+    record.retryJobId = null;
+    record.history = [...record.history, { callSid, outcome, at: now.toISOString() }].slice(-MAX_HISTORY);
+
+    if (outcome === 'completed') {
+      // Answered: the next unanswered streak starts from zero
+      record.attempts = 0;
+      record.status = 'reached';
+      // They called us back, so the retry we had queued is no longer needed
+      if (pendingRetryJobId) {
+        await dialQueueService.cancelJob(pendingRetryJobId);
+      }
+      await this.attempts.set(customerKey, record);
+      return record;
+    }
+
+    record.attempts += 1;
+
+    if (job && job.source === 'campaign') {
+      record.status = 'campaign';
+      await this.attempts.set(customerKey, record);
+      return record;
+    }
+
+    const retryable = this.enabled && this.policy.retryOn.includes(outcome);
+    if (retryable && record.attempts < this.policy.maxAttempts) {
+      const { timezone } = tenantService.get(tenantId) || tenantService.getDefault();
+      const nextAttemptAt = this.getNextAttemptAt(record.attempts, now, { timezone });
+      const { job: retryJob } = await dialQueueService.enqueue({
+        tenantId,
+        customer,
+        campaign: (job && job.campaign) || (call && call.campaign) || null,
+        scriptId: job ? job.scriptId : null,
+        voicemail: job ? job.voicemail : null,
+        source: 'retry',
+        notBefore: nextAttemptAt.toISOString()
+      });
+
+      record.status = 'retry_scheduled';
+      record.nextRetryAt = nextAttemptAt.toISOString();
+      record.retryJobId = retryJob.id;
+      callLogger.info('Retry scheduled', { callSid, customerId: customer.id, outcome, attempts: record.attempts, nextAttemptAt: record.nextRetryAt });
+    } else {
+      // Out of attempts, or an outcome the policy doesn't retry
+      record.status = retryable ? 'gave_up' : 'call_failed';
+      callLogger.info('Not retrying call', { callSid, customerId: customer.id, outcome, attempts: record.attempts, status: record.status });
+    }
+
+    await this.attempts.set(customerKey, record);
+    await this.updateSheet(customer, record, tenantId);
+    return record;
+  }
+
+  async updateSheet(customer, record, tenantId = null) {
+    // Numbers dialled ad hoc have no sheet row
+    if (!customer.id || String(customer.id).startsWith('TEMP_')) {
+      return;
+    }
+
+    const statuses = { retry_scheduled: 'retry_scheduled', gave_up: this.policy.giveUpStatus, call_failed: 'call_failed' };
+    const tenant = tenantService.get(tenantId) || tenantService.getDefault();
+    try {
+      await googleSheetsService.updateCustomerRecord(customer.id, {
+        lastCallDate: record.lastAttemptAt.split('T')[0],
+        callResult: record.lastOutcome,
+        status: statuses[record.status],
+        callAttempts: record.attempts,
+        nextCallDate: record.nextRetryAt
+          ? DateTime.fromISO(record.nextRetryAt).setZone(tenant.timezone).toFormat('yyyy-LL-dd HH:mm')
+          : ''
+      }, { tenantId: tenant.id });
+    } catch (error) {
+      callLogger.error('Failed to update sheet with retry status', { error: error.message, customerId: customer.id });
+    }
+  }
+
+  /**
+   * The dial job carries the full customer; otherwise look them up in the sheet
+   */
+  async findCustomer(call, job, fallback) {
+    if (job && job.customer) {
+      return job.customer;
+    }
+
+    const customerId = call && call.customerId;
+    if (customerId && !String(customerId).startsWith('TEMP_')) {
+      try {
+        const customers = await googleSheetsService.getCustomerData(null, { tenantId: tenantService.tenantIdOf(call) });
+        const customer = customers.find(c => c.id === customerId || c.customerId === customerId);
+        if (customer) {
+          return customer;
+        }
+      } catch (error) {
+        callLogger.warn('Could not look up customer for retry', { error: error.message, customerId });
+      }
+    }
+
+    if (fallback) {
+      return fallback;
+    }
+    if (call && call.phone) {
+      return { id: call.customerId, name: call.customerName, phone: call.phone };
+    }
+    return null;
+  }
+
+  async getAttempts(customerKey) {
+    return this.attempts.get(String(customerKey).trim().toLowerCase());
+  }
+
+  async listAttempts(filters = {}) {
+    return (await this.attempts.list())
+      .filter(record => !filters.status || record.status === filters.status)
+      .filter(record => tenantService.canAccess(filters.tenantId, record));
+  }
+}
+
+module.exports = new RetryService();
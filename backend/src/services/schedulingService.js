@@ -0,0 +1,364 @@
+const { v4: uuidv4 } = require('uuid');
+const { DateTime } = require('luxon');
+const logger = require('../utils/logger');
+const dateTimeService = require('./dateTimeService');
+const tenantService = require('./tenantService');
+const { createStore, durableDriver } = require('../stores');
+const { buildCalendar } = require('../utils/ics');
+
+const ACTIVE_STATUSES = ['booked'];
+
+/**
+ * Parse TEST_DRIVE_VEHICLES, e.g. "Model Y:2,Camry:1" -> { 'model y': 2, camry: 1 }
+ */
+function parseVehicles(spec) {
+  const vehicles = {};
+
+  for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [model, count] = entry.split(':');
+    vehicles[model.trim().toLowerCase()] = parseInt(count) || 1;
+  }
+
+  return vehicles;
+}
+
+/**
+ * Appointment book: checks slots against opening hours, sales-staff capacity and
+ * test-drive vehicle availability, and reserves them without double-booking.
+ * Each tenant (dealership) has its own book in its own timezone; options.tenantId
+ * picks it, defaulting to the default tenant.
+ */
+class SchedulingService {
+  constructor() {
+    this.store = createStore('appointments', { driver: durableDriver('Appointments', 'APPOINTMENT_STORE') });
+
+    this.availability = {
+      staffCount: parseInt(process.env.SALES_STAFF_COUNT) || 2,
+      durationMinutes: parseInt(process.env.APPOINTMENT_DURATION_MINUTES) || 60,
+      slotIntervalMinutes: parseInt(process.env.APPOINTMENT_SLOT_INTERVAL_MINUTES) || 30,
+      // Vehicles not listed have no test-drive limit (e.g. viewings of stock on the lot)
+      vehicles: parseVehicles(process.env.TEST_DRIVE_VEHICLES || '')
+    };
+
+    this.rescheduleUrlTemplate = process.env.APPOINTMENT_RESCHEDULE_URL ||
+      'https://premierauto.com/schedule?appointment={appointmentId}';
+
+    // Reservations are serialised so two calls can't take the last slot at once
+    this.reservationQueue = Promise.resolve();
+  }
+
+  /**
+   * Check whether a slot can be booked. Returns { available, reason, message }.
+   * options: { tenantId, vehicle, excludeId, now, appointments (preloaded active appointments) }
+   */
+  async checkAvailability(start, options = {}) {
+    const calendar = this.getCalendar(options.tenantId);
+    const slot = this.toDateTime(start, calendar);
+    const now = options.now || new Date();
+
+    const hoursCheck = calendar.checkSlot(slot, now);
+    if (!hoursCheck.valid) {
+      return { available: false, reason: hoursCheck.reason, message: hoursCheck.message };
+    }
+
+    const end = slot.plus({ minutes: this.availability.durationMinutes });
+    const hours = calendar.getOpeningHours(slot);
+    if (end.hour * 60 + end.minute > hours.close || end.day !== slot.day) {
+      return {
+        available: false,
+        reason: 'outside_hours',
+        message: `Appointments need to finish by ${calendar.formatMinutes(hours.close)}. Would an earlier time work?`
+      };
+    }
+
+    const appointments = options.appointments || await this.getActiveAppointments(options.tenantId);
+    const overlapping = appointments
+      .filter(appointment => appointment.id !== options.excludeId)
+      .filter(appointment => this.overlaps(appointment, slot, end));
+
+    if (overlapping.length >= this.availability.staffCount) {
+      return { available: false, reason: 'staff_unavailable', message: 'I\'m sorry, that time is already taken.' };
+    }
+
+    const vehicleKey = this.vehicleKey(options.vehicle);
+    const vehicleCount = this.availability.vehicles[vehicleKey];
+    if (vehicleCount !== undefined) {
+      const vehicleBookings = overlapping.filter(appointment => this.vehicleKey(appointment.vehicle) === vehicleKey);
+      if (vehicleBookings.length >= vehicleCount) {
+        return {
+          available: false,
+          reason: 'vehicle_unavailable',
+          message: `I'm sorry, the ${options.vehicle} is already booked for a test drive at that time.`
+        };
+      }
+    }
+
+    return { available: true };
+  }
+
+  /**
+   * Find the nearest bookable slots to the requested one, earlier or later
+   */
+  async findAlternatives(start, options = {}) {
+    const requested = this.toDateTime(start, this.getCalendar(options.tenantId));
+    const count = options.count || 3;
+    const now = options.now || new Date();
+    const interval = this.availability.slotIntervalMinutes;
+    const maxSteps = Math.ceil((parseInt(process.env.APPOINTMENT_SEARCH_DAYS) || 7) * 24 * 60 / interval);
+    const appointments = await this.getActiveAppointments(options.tenantId);
+    const alternatives = [];
+
+    for (let step = 1; step <= maxSteps && alternatives.length < count; step++) {
+      for (const direction of [1, -1]) {
+        const candidate = requested.plus({ minutes: direction * step * interval });
+        if (candidate.toMillis() <= now.getTime()) {
+          continue;
+        }
+
+        const check = await this.checkAvailability(candidate, { ...options, now, appointments });
+        if (check.available && alternatives.length < count) {
+          alternatives.push(candidate);
+        }
+      }
+    }
+
+    return alternatives
+      .sort((a, b) => a.toMillis() - b.toMillis())
+      .map(slot => slot.toISO({ suppressMilliseconds: true }));
+  }
+
+  /**
+   * Free slots on a given day (YYYY-MM-DD, dealership timezone)
+   */
+  async getFreeSlots(date, options = {}) {
+    const calendar = this.getCalendar(options.tenantId);
+    const day = DateTime.fromISO(date, { zone: calendar.timezone });
+    const hours = day.isValid ? calendar.getOpeningHours(day) : null;
+    if (!hours) {
+      return [];
+    }
+
+    const appointments = await this.getActiveAppointments(options.tenantId);
+    const slots = [];
+    for (let minutes = hours.open; minutes < hours.close; minutes += this.availability.slotIntervalMinutes) {
+      const slot = day.set({ hour: Math.floor(minutes / 60), minute: minutes % 60 });
+      if ((await this.checkAvailability(slot, { ...options, appointments })).available) {
+        slots.push(slot.toISO({ suppressMilliseconds: true }));
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Reserve a slot. Returns { booked: true, appointment } or
+   * { booked: false, reason, message, alternatives } when the slot can't be had.
+   */
+  async reserve(request) {
+    const reservation = this.reservationQueue.then(() => this.reserveNow(request));
+    this.reservationQueue = reservation.catch(() => {});
+    return reservation;
+  }
+
+  async reserveNow({ start, customer = {}, vehicle = null, callSid = null, source = 'api', notes = null, tenantId = null }) {
+    const dealership = this.getDealership(tenantId);
+    const calendar = this.getCalendar(dealership.id);
+    const slot = this.toDateTime(start, calendar);
+    const check = await this.checkAvailability(slot, { vehicle, tenantId: dealership.id });
+
+    if (!check.available) {
+      const alternatives = await this.findAlternatives(slot, { vehicle, tenantId: dealership.id });
+      logger.info('Appointment slot unavailable', {
+        start: slot.toISO(),
+        reason: check.reason,
+        vehicle,
+        alternatives: alternatives.length
+      });
+      return { booked: false, reason: check.reason, message: check.message, alternatives };
+    }
+
+    const appointment = {
+      id: uuidv4(),
+      tenantId: dealership.id,
+      dealershipId: dealership.id,
+      start: slot.toISO({ suppressMilliseconds: true }),
+      end: slot.plus({ minutes: this.availability.durationMinutes }).toISO({ suppressMilliseconds: true }),
+      timezone: calendar.timezone,
+      status: 'booked',
+      customerId: customer.id || null,
+      customerName: customer.name || null,
+      phone: customer.phone || null,
+      email: customer.email || null,
+      vehicle,
+      callSid,
+      source,
+      notes,
+      createdAt: new Date().toISOString(),
+      cancelledAt: null,
+      cancellationReason: null,
+      // Bumped on every change so calendar clients replace their copy (RFC 5545 SEQUENCE)
+      sequence: 0
+    };
+
+    await this.store.set(appointment.id, appointment);
+
+    logger.info('Appointment booked', {
+      appointmentId: appointment.id,
+      start: appointment.start,
+      customerId: appointment.customerId,
+      tenantId: dealership.id,
+      vehicle,
+      source
+    });
+
+    return { booked: true, appointment };
+  }
+
+  async cancel(appointmentId, reason = null) {
+    const appointment = await this.store.get(appointmentId);
+    if (!appointment) {
+      return null;
+    }
+
+    if (appointment.status !== 'cancelled') {
+      appointment.status = 'cancelled';
+      appointment.cancelledAt = new Date().toISOString();
+      appointment.cancellationReason = reason;
+      appointment.sequence = (appointment.sequence || 0) + 1;
+      await this.store.set(appointmentId, appointment);
+
+      logger.info('Appointment cancelled', { appointmentId, reason });
+    }
+
+    return appointment;
+  }
+
+  async getAppointment(appointmentId) {
+    return this.store.get(appointmentId);
+  }
+
+  /**
+   * List appointments in start order with optional filters (tenantId limits them to one tenant)
+   */
+  async listAppointments(filters = {}) {
+    const { tenantId, status, customerId, phone, vehicle, from, to } = filters;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const appointments = (await this.store.list()).filter(appointment =>
+      tenantService.canAccess(tenantId, appointment) &&
+      (!status || appointment.status === status) &&
+      (!customerId || appointment.customerId === customerId) &&
+      (!phone || appointment.phone === phone) &&
+      (!vehicle || this.vehicleKey(appointment.vehicle) === this.vehicleKey(vehicle)) &&
+      (fromTime === null || new Date(appointment.start).getTime() >= fromTime) &&
+      (toTime === null || new Date(appointment.start).getTime() <= toTime)
+    );
+
+    return appointments.sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  getRescheduleUrl(appointment) {
+    return this.rescheduleUrlTemplate.replace('{appointmentId}', encodeURIComponent(appointment.id));
+  }
+
+  /**
+   * Calendar event for an appointment (see utils/ics)
+   */
+  toCalendarEvent(appointment) {
+    const dealership = this.getDealership(appointment.dealershipId);
+    const rescheduleUrl = this.getRescheduleUrl(appointment);
+    const what = appointment.vehicle ? `Test drive: ${appointment.vehicle}` : 'Showroom appointment';
+    const description = [
+      appointment.vehicle ? `Vehicle: ${appointment.vehicle}` : null,
+      appointment.customerName ? `Customer: ${appointment.customerName}` : null,
+      appointment.phone ? `Phone: ${appointment.phone}` : null,
+      appointment.notes ? `Notes: ${appointment.notes}` : null,
+      `Need to change the time? ${rescheduleUrl}`
+    ].filter(Boolean).join('\n');
+
+    return {
+      uid: `${appointment.id}@${dealership.id}.appointments`,
+      start: appointment.start,
+      end: appointment.end,
+      created: appointment.createdAt,
+      summary: `${what} at ${dealership.name}`,
+      description,
+      location: dealership.address ? `${dealership.name}, ${dealership.address}` : dealership.name,
+      url: rescheduleUrl,
+      status: appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      sequence: appointment.sequence || 0,
+      organizer: dealership.email.user ? { name: dealership.name, email: dealership.email.user } : null,
+      attendee: appointment.email ? { name: appointment.customerName, email: appointment.email } : null
+    };
+  }
+
+  /**
+   * Single-event .ics invite for the customer
+   */
+  buildInvite(appointment) {
+    return buildCalendar([this.toCalendarEvent(appointment)], {
+      method: appointment.status === 'cancelled' ? 'CANCEL' : 'REQUEST'
+    });
+  }
+
+  /**
+   * Subscribable .ics feed of a dealership's appointments (from 30 days ago onward)
+   */
+  async buildFeed(dealershipId) {
+    const since = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    const dealership = this.getDealership(dealershipId);
+    const appointments = (await this.listAppointments())
+      .filter(appointment => tenantService.tenantIdOf(appointment) === dealershipId)
+      .filter(appointment => new Date(appointment.end).getTime() >= since);
+
+    return buildCalendar(appointments.map(appointment => this.toCalendarEvent(appointment)), {
+      name: `${dealership.name} appointments`
+    });
+  }
+
+  /**
+   * Booked appointments of one tenant (the default tenant when none is given)
+   */
+  async getActiveAppointments(tenantId = null) {
+    const scope = tenantId || tenantService.defaultTenantId;
+    return (await this.store.list()).filter(appointment =>
+      ACTIVE_STATUSES.includes(appointment.status) && tenantService.tenantIdOf(appointment) === scope
+    );
+  }
+
+  /**
+   * The tenant whose showroom an appointment is at, falling back to the default tenant
+   */
+  getDealership(tenantId) {
+    return tenantService.get(tenantId) || tenantService.getDefault();
+  }
+
+  /**
+   * Opening hours in the tenant's timezone
+   */
+  getCalendar(tenantId) {
+    return dateTimeService.forTimezone(this.getDealership(tenantId).timezone);
+  }
+
+  overlaps(appointment, start, end) {
+    return new Date(appointment.start).getTime() < end.toMillis() &&
+      new Date(appointment.end).getTime() > start.toMillis();
+  }
+
+  vehicleKey(vehicle) {
+    return vehicle ? String(vehicle).trim().toLowerCase() : null;
+  }
+
+  toDateTime(value, calendar = dateTimeService) {
+    if (DateTime.isDateTime(value)) {
+      return value.setZone(calendar.timezone);
+    }
+    if (value instanceof Date) {
+      return DateTime.fromJSDate(value).setZone(calendar.timezone);
+    }
+    return DateTime.fromISO(String(value), { zone: calendar.timezone });
+  }
+}
+
+module.exports = new SchedulingService();
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const intentService = require('./intentService');
+const sheetSchema = require('../config/sheetSchema');
+
+const BUILT_IN_SCRIPTS_DIR = path.join(__dirname, '../scripts');
+const SCRIPT_EXTENSIONS = ['.json', '.yaml', '.yml'];
+// Earlier versions of a script (<id>@<version>.json) are kept here when it changes, so
+// conversations that started on them can finish after a deploy
+const VERSIONS_DIR = 'versions';
+
+/**
+ * Compare two dotted version strings numerically ("1.10.0" > "1.9.2")
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return 0;
+}
+
+class ScriptService {
+  constructor() {
+    // scriptId -> Map(version -> script)
+    this.scripts = new Map();
+    this.defaultScriptId = process.env.DEFAULT_SCRIPT_ID || 'car-enquiry';
+    this.scriptDirs = [BUILT_IN_SCRIPTS_DIR];
+
+    if (process.env.SCRIPTS_DIR) {
+      this.scriptDirs.push(path.resolve(process.env.SCRIPTS_DIR));
+    }
+
+    this.loadScripts();
+  }
+
+  /**
+   * Load every script file from the configured directories and their versions/ folders
+   */
+  loadScripts() {
+    this.scripts.clear();
+
+    for (const dir of this.scriptDirs) {
+      if (!fs.existsSync(dir)) {
+        logger.warn('Script directory not found', { dir });
+        continue;
+      }
+
+      const versionsDir = path.join(dir, VERSIONS_DIR);
+      const filepaths = [dir, versionsDir]
+        .filter(folder => fs.existsSync(folder))
+        .flatMap(folder => fs.readdirSync(folder)
+          .filter(file => SCRIPT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+          .map(file => path.join(folder, file)));
+
+      for (const filepath of filepaths) {
+        try {
+          this.registerScript(this.parseScriptFile(filepath));
+        } catch (error) {
+          logger.error('Failed to load conversation script', {
+            filepath,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    logger.info('Conversation scripts loaded', {
+      scripts: this.listScripts().map(script => `${script.id}@${script.version}`)
+    });
+  }
+
+  /**
+   * Parse a JSON or YAML script file
+   */
+  parseScriptFile(filepath) {
+    const raw = fs.readFileSync(filepath, 'utf8');
+    const ext = path.extname(filepath).toLowerCase();
+    return ext === '.json' ? JSON.parse(raw) : yaml.load(raw);
+  }
+
+  /**
+   * Validate and register a script definition
+   */
+  registerScript(script) {
+    const errors = this.validateScript(script);
+    if (errors.length > 0) {
+      throw new AppError(`Invalid script: ${errors.join('; ')}`, 400);
+    }
+
+    if (!this.scripts.has(script.id)) {
+      this.scripts.set(script.id, new Map());
+    }
+
+    const frozen = Object.freeze({ ...script, version: String(script.version) });
+    this.scripts.get(script.id).set(frozen.version, frozen);
+    return frozen;
+  }
+
+  /**
+   * Validate script structure and node references
+   */
+  validateScript(script) {
+    const errors = [];
+
+    if (!script || typeof script !== 'object') {
+      return ['script must be an object'];
+    }
+
+    if (!script.id) errors.push('id is required');
+    if (!script.version) errors.push('version is required');
+    if (!script.nodes || typeof script.nodes !== 'object') {
+      errors.push('nodes are required');
+      return errors;
+    }
+    if (!script.nodes[script.start]) {
+      errors.push(`start node "${script.start}" does not exist`);
+    }
+    if (script.optOut && !(script.nodes[script.optOut] && script.nodes[script.optOut].end)) {
+      errors.push(`optOut node "${script.optOut}" must be an existing end node`);
+    }
+    if (script.voicemail !== undefined && typeof script.voicemail !== 'string') {
+      errors.push('voicemail must be a template string');
+    }
+    for (const [entry, nodeId] of Object.entries(script.entries || {})) {
+      if (!script.nodes[nodeId]) {
+        errors.push(`entry "${entry}" points to unknown node "${nodeId}"`);
+      }
+    }
+
+    for (const [nodeId, node] of Object.entries(script.nodes)) {
+      if (!node.prompt) {
+        errors.push(`node "${nodeId}" has no prompt`);
+      }
+
+      if (node.end) {
+        continue;
+      }
+
+      if (!Array.isArray(node.transitions) || node.transitions.length === 0) {
+        errors.push(`node "${nodeId}" must define transitions or be an end node`);
+        continue;
+      }
+
+      node.transitions.forEach((transition, index) => {
+        if (!script.nodes[transition.next]) {
+          errors.push(`node "${nodeId}" transition ${index} points to unknown node "${transition.next}"`);
+        }
+        if (transition.retry && !script.nodes[transition.retry]) {
+          errors.push(`node "${nodeId}" transition ${index} retries at unknown node "${transition.retry}"`);
+        }
+        const intents = [].concat(transition.intent || []);
+        intents.filter(intent => !intentService.intents.includes(intent)).forEach(intent => {
+          errors.push(`node "${nodeId}" transition ${index} uses unknown intent "${intent}"`);
+        });
+        if (transition.capture && (!transition.capture.field || !transition.capture.type)) {
+          errors.push(`node "${nodeId}" transition ${index} capture needs a field and type`);
+        }
+        Object.keys(transition.sheet || {}).filter(key => !sheetSchema.fieldFor(key)).forEach(key => {
+          errors.push(`node "${nodeId}" transition ${index} writes unknown sheet field "${key}"`);
+        });
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get a script by id. Without a version the latest registered version is returned.
+   */
+  getScript(scriptId, version = null) {
+    const versions = this.scripts.get(scriptId);
+    if (!versions || versions.size === 0) {
+      return null;
+    }
+
+    if (version) {
+      return versions.get(String(version)) || null;
+    }
+
+    const latest = [...versions.keys()].sort(compareVersions).pop();
+    return versions.get(latest);
+  }
+
+  /**
+   * Resolve the script a campaign should run, falling back to the default script
+   */
+  getScriptForCampaign(campaign) {
+    if (campaign) {
+      const direct = this.getScript(campaign);
+      if (direct) {
+        return direct;
+      }
+
+      for (const scriptId of this.scripts.keys()) {
+        const script = this.getScript(scriptId);
+        if (Array.isArray(script.campaigns) && script.campaigns.includes(campaign)) {
+          return script;
+        }
+      }
+
+      logger.warn('No script registered for campaign, using default', {
+        campaign,
+        defaultScriptId: this.defaultScriptId
+      });
+    }
+
+    const script = this.getScript(this.defaultScriptId);
+    if (!script) {
+      throw new AppError(`Default script "${this.defaultScriptId}" is not loaded`, 500);
+    }
+    return script;
+  }
+
+  /**
+   * The node a conversation starts at. Scripts can start somewhere else depending on
+   * why we're talking (e.g. an inbound caller we left a voicemail), via `entries`.
+   */
+  getStartNode(script, entry = null) {
+    return (entry && script.entries && script.entries[entry]) || script.start;
+  }
+
+  /**
+   * Summaries of all registered scripts and versions
+   */
+  listScripts() {
+    const summaries = [];
+
+    for (const [scriptId, versions] of this.scripts) {
+      const sorted = [...versions.keys()].sort(compareVersions);
+      const latest = versions.get(sorted[sorted.length - 1]);
+      summaries.push({
+        id: scriptId,
+        name: latest.name,
+        version: latest.version,
+        versions: sorted,
+        campaigns: latest.campaigns || [],
+        nodeCount: Object.keys(latest.nodes).length
+      });
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Prompts and reprompts that read the same on every call: every placeholder is
+   * filled by the script's defaults (e.g. {botName}), none by the customer.
+   * `overrides` replaces defaults, e.g. a tenant's dealership name and persona.
+   */
+  getStaticPrompts(script, overrides = {}) {
+    const defaults = { ...script.defaults };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined && value !== null) {
+        defaults[key] = value;
+      }
+    }
+    const prompts = new Set();
+
+    for (const node of Object.values(script.nodes)) {
+      for (const template of [node.prompt, node.reprompt]) {
+        const placeholders = (String(template || '').match(/\{(\w+)\}/g) || []).map(match => match.slice(1, -1));
+        if (template && placeholders.every(key => defaults[key] !== undefined && defaults[key] !== null)) {
+          prompts.add(this.renderTemplate(template, defaults));
+        }
+      }
+    }
+
+    return [...prompts];
+  }
+
+  /**
+   * Replace {placeholders} in a prompt with conversation variables
+   */
+  renderTemplate(template, variables = {}) {
+    return String(template).replace(/\{(\w+)\}/g, (match, key) => {
+      const value = variables[key];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+}
+
+module.exports = new ScriptService();
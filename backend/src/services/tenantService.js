@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DateTime } = require('luxon');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const phoneUtil = require('../utils/phone');
+const sheetSchema = require('../config/sheetSchema');
+const dateTimeService = require('./dateTimeService');
+
+/**
+ * Replace ${ENV_VAR} references so secrets can stay out of the tenants file
+ */
+function expandEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(expandEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item)]));
+  }
+  return value;
+}
+
+/**
+ * Dealerships served by this deployment. Each tenant has its own branding (name, bot
+ * persona, sales rep), ElevenLabs voice, Twilio numbers, Google Sheet, email sender,
+ * timezone and country (for reading numbers written in national format). The default
+ * tenant comes from the single-dealership environment variables; more are loaded from
+ * TENANTS_FILE (JSON or YAML).
+ *
+ * Records created for a tenant carry its tenantId; records without one belong to the
+ * default tenant. Users and API keys with a tenantId only ever see that tenant's data.
+ */
+class TenantService {
+  constructor() {
+    this.tenants = new Map();
+    this.load();
+  }
+
+  load() {
+    this.tenants.clear();
+
+    const fallback = this.buildDefaultTenant();
+    this.defaultTenantId = fallback.id;
+    this.tenants.set(fallback.id, fallback);
+
+    if (process.env.TENANTS_FILE) {
+      let definitions = [];
+      try {
+        definitions = this.parseTenantsFile(path.resolve(process.env.TENANTS_FILE));
+      } catch (error) {
+        logger.error('Failed to read tenants file', { file: process.env.TENANTS_FILE, error: error.message });
+      }
+
+      for (const definition of definitions) {
+        try {
+          this.registerTenant(definition);
+        } catch (error) {
+          logger.error('Failed to load tenant', { tenantId: definition && definition.id, error: error.message });
+        }
+      }
+    }
+
+    logger.info('Tenants loaded', { tenants: [...this.tenants.keys()], defaultTenantId: this.defaultTenantId });
+  }
+
+  buildDefaultTenant() {
+    const name = process.env.DEALERSHIP_NAME || 'Premier Auto';
+
+    return {
+      id: process.env.DEALERSHIP_ID || 'default',
+      name,
+      botName: process.env.BOT_NAME || null,
+      salesRep: process.env.SALES_REP_NAME || 'Sarah Johnson',
+      address: process.env.DEALERSHIP_ADDRESS || '123 Main Street, Your City, ST 12345',
+      contactPhone: process.env.DEALERSHIP_PHONE || '(123) 456-7890',
+      timezone: dateTimeService.timezone,
+      country: phoneUtil.DEFAULT_COUNTRY,
+      voiceId: process.env.ELEVENLABS_VOICE_ID || null,
+      phoneNumbers: [process.env.TWILIO_PHONE_NUMBER].filter(Boolean),
+      spreadsheetId: process.env.GOOGLE_SHEETS_ID || null,
+      sheet: null,
+      email: {
+        user: process.env.GMAIL_USER || null,
+        appPassword: process.env.GMAIL_APP_PASSWORD || null,
+        fromName: `${name} Sales`
+      },
+      campaigns: []
+    };
+  }
+
+  parseTenantsFile(filepath) {
+    const raw = fs.readFileSync(filepath, 'utf8');
+    const parsed = path.extname(filepath).toLowerCase() === '.json' ? JSON.parse(raw) : yaml.load(raw);
+    return Array.isArray(parsed) ? parsed : (parsed && parsed.tenants) || [];
+  }
+
+  /**
+   * Validate and add a tenant. Voice, persona and the email mailbox fall back to the
+   * default tenant's; the name, numbers and sheet never do.
+   */
+  registerTenant(definition) {
+    const input = expandEnv(definition || {});
+    const fallback = this.getDefault();
+    const country = String(input.country || fallback.country).toUpperCase();
+
+    const tenant = {
+      id: input.id,
+      name: input.name,
+      botName: input.botName || fallback.botName,
+      salesRep: input.salesRep || fallback.salesRep,
+      address: input.address || null,
+      contactPhone: input.contactPhone || null,
+      timezone: input.timezone || fallback.timezone,
+      country,
+      voiceId: input.voiceId || fallback.voiceId,
+      phoneNumbers: (input.phoneNumbers || []).map(number => phoneUtil.toE164(number, country) || number),
+      spreadsheetId: input.spreadsheetId || null,
+      sheet: input.sheet || null,
+      email: {
+        user: fallback.email.user,
+        appPassword: fallback.email.appPassword,
+        ...input.email,
+        fromName: (input.email && input.email.fromName) || `${input.name} Sales`
+      },
+      campaigns: input.campaigns || []
+    };
+
+    const errors = this.validateTenant(tenant);
+    if (errors.length > 0) {
+      throw new AppError(`Invalid tenant "${tenant.id || '?'}": ${errors.join('; ')}`, 400);
+    }
+
+    this.tenants.set(tenant.id, tenant);
+    return tenant;
+  }
+
+  validateTenant(tenant) {
+    const errors = [];
+
+    if (!tenant.id || !/^[a-z0-9][a-z0-9_-]*$/i.test(tenant.id)) {
+      errors.push('id is required (letters, numbers, - and _)');
+    } else if (this.tenants.has(tenant.id)) {
+      errors.push('id is already taken');
+    }
+    if (!tenant.name) {
+      errors.push('name is required');
+    }
+    if (!DateTime.local().setZone(tenant.timezone).isValid) {
+      errors.push(`unknown timezone "${tenant.timezone}"`);
+    }
+    if (!phoneUtil.isCountry(tenant.country)) {
+      errors.push(`unknown country "${tenant.country}" (use an ISO code such as US or GB)`);
+    }
+    errors.push(...sheetSchema.validateOverrides(tenant.sheet));
+    if (tenant.phoneNumbers.length === 0) {
+      errors.push('at least one Twilio number is required in phoneNumbers');
+    }
+    for (const number of tenant.phoneNumbers) {
+      const owner = this.findByNumber(number);
+      if (owner) {
+        errors.push(`${number} already belongs to tenant "${owner.id}"`);
+      }
+    }
+    if (!tenant.spreadsheetId) {
+      errors.push('spreadsheetId is required');
+    }
+
+    return errors;
+  }
+
+  get(tenantId) {
+    return this.tenants.get(tenantId) || null;
+  }
+
+  getDefault() {
+    return this.tenants.get(this.defaultTenantId);
+  }
+
+  list() {
+    return [...this.tenants.values()];
+  }
+
+  /**
+   * The tenant that owns one of our Twilio numbers
+   */
+  findByNumber(phoneNumber) {
+    const phone = phoneUtil.toE164(phoneNumber);
+    if (!phone) {
+      return null;
+    }
+    return this.list().find(tenant => tenant.phoneNumbers.includes(phone)) || null;
+  }
+
+  /**
+   * Work out the tenant for a call or a piece of work: an explicit tenantId, then the
+   * tenant that lists the campaign, then the owner of one of our numbers, then the default
+   */
+  resolve({ tenantId, campaign, phoneNumbers = [] } = {}) {
+    if (tenantId && this.tenants.has(tenantId)) {
+      return this.tenants.get(tenantId);
+    }
+    if (tenantId) {
+      logger.warn('Unknown tenant, resolving from the call instead', { tenantId });
+    }
+
+    const byCampaign = campaign && this.list().find(tenant => tenant.campaigns.includes(campaign));
+    if (byCampaign) {
+      return byCampaign;
+    }
+
+    for (const number of phoneNumbers) {
+      const owner = this.findByNumber(number);
+      if (owner) {
+        return owner;
+      }
+    }
+
+    return this.getDefault();
+  }
+
+  /**
+   * Which tenant's data a request may see: the principal's own tenant, or for platform
+   * users (no tenant) the one picked with ?tenant= (or body.tenantId), else null for all
+   */
+  scopeFor(req) {
+    if (req.user && req.user.tenantId) {
+      return req.user.tenantId;
+    }
+
+    const requested = (req.query && req.query.tenant) || (req.body && req.body.tenantId);
+    if (requested && !this.tenants.has(requested)) {
+      throw new AppError(`Unknown tenant "${requested}"`, 400);
+    }
+    return requested || null;
+  }
+
+  /**
+   * The tenant a request acts for when it needs exactly one (e.g. reading a sheet)
+   */
+  forRequest(req) {
+    return this.get(this.scopeFor(req)) || this.getDefault();
+  }
+
+  /**
+   * Country that a tenant's leads' numbers are read in when written without a country code
+   */
+  countryFor(tenantId) {
+    return (this.get(tenantId) || this.getDefault()).country;
+  }
+
+  tenantIdOf(record) {
+    return (record && record.tenantId) || this.defaultTenantId;
+  }
+
+  /**
+   * Can a request scoped to `scope` (see scopeFor) see this record?
+   */
+  canAccess(scope, record) {
+    return !scope || this.tenantIdOf(record) === scope;
+  }
+
+  filterRecords(scope, records) {
+    return scope ? records.filter(record => this.tenantIdOf(record) === scope) : records;
+  }
+
+  /**
+   * Tenant details safe for API responses (no credentials)
+   */
+  toPublic(tenant) {
+    const { appPassword, ...email } = tenant.email;
+    return { ...tenant, email, isDefault: tenant.id === this.defaultTenantId };
+  }
+}
+
+module.exports = new TenantService();
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// File extension for each ElevenLabs output format family
+const EXTENSIONS = { mp3: 'mp3', ulaw: 'ulaw', pcm: 'pcm' };
+
+/**
+ * Content-addressed cache of generated speech on disk. Entries are keyed on a hash of
+ * the text, voice, model, voice settings and output format, so identical lines are
+ * only ever rendered once. The audio directory is bounded by size and the least
+ * recently used files are evicted first; use time is kept in the file's mtime so the
+ * order survives a restart.
+ */
+class TtsCacheService {
+  constructor() {
+    this.enabled = process.env.TTS_CACHE_ENABLED !== 'false';
+    this.audioDir = process.env.TTS_CACHE_DIR || path.join(__dirname, '../../temp/audio');
+    this.maxBytes = (parseInt(process.env.TTS_CACHE_MAX_MB) || 200) * 1024 * 1024;
+    // filename -> { size, lastUsedAt }
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+
+    this.load();
+  }
+
+  /**
+   * Index what is already in the audio directory (including files from before the cache)
+   */
+  load() {
+    if (!fs.existsSync(this.audioDir)) {
+      return;
+    }
+
+    try {
+      for (const filename of fs.readdirSync(this.audioDir)) {
+        const stats = fs.statSync(path.join(this.audioDir, filename));
+        if (stats.isFile()) {
+          this.track(filename, stats.size, stats.mtime.getTime());
+        }
+      }
+      logger.info('TTS cache loaded', { entries: this.entries.size, bytes: this.bytes });
+    } catch (error) {
+      logger.error('Failed to load TTS cache', { error: error.message });
+    }
+  }
+
+  /**
+   * Cache key for a rendering: { voiceId, modelId, voiceSettings, outputFormat }
+   */
+  buildKey(text, { voiceId, modelId, voiceSettings, outputFormat }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([text, voiceId, modelId, voiceSettings || null, outputFormat]))
+      .digest('hex');
+  }
+
+  filenameFor(key, outputFormat) {
+    const extension = EXTENSIONS[String(outputFormat).split('_')[0]] || 'bin';
+    return `tts_${key.slice(0, 40)}.${extension}`;
+  }
+
+  /**
+   * Cached audio for a key, or null. Returns { filename, filepath, audio } and marks
+   * the entry as recently used.
+   */
+  get(key, outputFormat) {
+    const filename = this.filenameFor(key, outputFormat);
+    const filepath = path.join(this.audioDir, filename);
+
+    if (!this.enabled || !this.entries.has(filename)) {
+      this.stats.misses += 1;
+      return null;
+    }
+
+    try {
+      const audio = fs.readFileSync(filepath);
+      this.touch(filename, filepath);
+      this.stats.hits += 1;
+      return { filename, filepath, audio };
+    } catch (error) {
+      // Deleted behind our back
+      this.untrack(filename);
+      this.stats.misses += 1;
+      return null;
+    }
+  }
+
+  /**
+   * Is this rendering cached? Doesn't count towards the hit rate.
+   */
+  has(key, outputFormat) {
+    return this.enabled && this.entries.has(this.filenameFor(key, outputFormat));
+  }
+
+  /**
+   * Write audio for a key and evict old entries to stay under the size limit.
+   * Returns { filename, filepath }.
+   */
+  put(key, outputFormat, audio) {
+    const filename = this.filenameFor(key, outputFormat);
+    const filepath = path.join(this.audioDir, filename);
+
+    fs.mkdirSync(this.audioDir, { recursive: true });
+    fs.writeFileSync(filepath, audio);
+
+    if (this.enabled) {
+      this.track(filename, audio.length, Date.now());
+      this.stats.writes += 1;
+      this.evict(filename);
+    }
+
+    return { filename, filepath };
+  }
+
+  /**
+   * Delete least recently used files until the cache fits in maxBytes. `keep` is
+   * never evicted (the file just written). Returns { deleted, deletedBytes }.
+   */
+  evict(keep = null, maxBytes = this.maxBytes) {
+    let deleted = 0;
+    let deletedBytes = 0;
+
+    if (this.bytes <= maxBytes) {
+      return { deleted, deletedBytes };
+    }
+
+    const oldestFirst = [...this.entries.entries()]
+      .filter(([filename]) => filename !== keep)
+      .sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+
+    for (const [filename, entry] of oldestFirst) {
+      if (this.bytes <= maxBytes) {
+        break;
+      }
+      try {
+        fs.unlinkSync(path.join(this.audioDir, filename));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn('Failed to evict cached audio', { filename, error: error.message });
+          continue;
+        }
+      }
+      this.untrack(filename);
+      deleted += 1;
+      deletedBytes += entry.size;
+    }
+
+    this.stats.evictions += deleted;
+    if (deleted > 0) {
+      logger.info('Evicted cached audio', { deleted, deletedBytes, bytes: this.bytes, maxBytes });
+    }
+    return { deleted, deletedBytes };
+  }
+
+  /**
+   * Hit rate and size for /health/metrics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null
+    };
+  }
+
+  track(filename, size, lastUsedAt) {
+    this.untrack(filename);
+    this.entries.set(filename, { size, lastUsedAt });
+    this.bytes += size;
+  }
+
+  untrack(filename) {
+    const entry = this.entries.get(filename);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(filename);
+    }
+  }
+
+  touch(filename, filepath) {
+    const now = Date.now();
+    this.entries.get(filename).lastUsedAt = now;
+    try {
+      fs.utimesSync(filepath, new Date(now), new Date(now));
+    } catch (error) {
+      // Only affects eviction order after a restart
+    }
+  }
+}
+
+module.exports = new TtsCacheService();
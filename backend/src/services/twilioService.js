@@ -3,6 +3,11 @@ const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
 const elevenlabsService = require('./elevenlabsService');
 const deepgramService = require('./deepgramService');
+const callHistoryService = require('./callHistoryService');
+const complianceService = require('./complianceService');
+const recordingService = require('./recordingService');
+const voicemailService = require('./voicemailService');
+const tenantService = require('./tenantService');
 
 class TwilioService {
   constructor() {
@@ -22,28 +27,58 @@ class TwilioService {
   }
 
   /**
-   * Initiate an outbound call
+   * Initiate an outbound call. Throws a 403 AppError (with error.compliance set)
+   * if the compliance checks block the dial; options.source is recorded in the audit log.
+   * options.voicemail ({ enabled, template }) controls the message left on answering machines.
+   * The call is placed from the tenant's number (options.tenantId, else the lead's or campaign's tenant)
+   * to the E.164 form of toNumber; numbers that aren't valid are blocked like any other failed check.
    */
-  async initiateCall(toNumber, customerData) {
+  async initiateCall(toNumber, customerData, options = {}) {
+    const tenant = tenantService.resolve({
+      tenantId: options.tenantId || customerData.tenantId,
+      campaign: customerData.campaign
+    });
+
+    const { phone, lineType } = await complianceService.assertCanDial(toNumber, {
+      customer: customerData,
+      campaign: customerData.campaign,
+      source: options.source,
+      tenantId: tenant.id,
+      country: tenant.country
+    });
+
+    // Whether to record, and whether the customer must be told or asked first
+    const recording = recordingService.getPolicy(phone);
+
     try {
-      logger.info('Initiating call', { toNumber, customerName: customerData.name });
+      // Rendered up front so it can play the moment the beep is detected
+      const voicemail = await voicemailService.prepare(customerData, { ...options.voicemail, tenantId: tenant.id });
+
+      logger.info('Initiating call', { toNumber: phone, lineType, customerName: customerData.name, tenantId: tenant.id, recording: recording.mode });
 
       // Construct webhook URL with customer data
-      const webhookUrl = `${this.webhookUrl}/webhook/twilio/voice?customerId=${customerData.id}&customerName=${encodeURIComponent(customerData.name)}&carModel=${encodeURIComponent(customerData.carModel)}`;
+      let webhookUrl = `${this.webhookUrl}/webhook/twilio/voice?customerId=${customerData.id}&customerName=${encodeURIComponent(customerData.name)}&carModel=${encodeURIComponent(customerData.carModel)}&tenant=${encodeURIComponent(tenant.id)}`;
+      if (customerData.campaign) {
+        webhookUrl += `&campaign=${encodeURIComponent(customerData.campaign)}`;
+      }
+      if (customerData.scriptId) {
+        webhookUrl += `&script=${encodeURIComponent(customerData.scriptId)}`;
+      }
 
       const call = await this.client.calls.create({
-        to: toNumber,
-        from: this.fromNumber,
+        to: phone,
+        from: tenant.phoneNumbers[0] || this.fromNumber,
         url: webhookUrl,
         method: 'POST',
         statusCallback: `${this.webhookUrl}/webhook/twilio/status`,
         statusCallbackMethod: 'POST',
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-        record: true,
+        record: recording.record,
         recordingStatusCallback: `${this.webhookUrl}/webhook/twilio/recording`,
         timeout: parseInt(process.env.CALL_TIMEOUT) || 30,
-        machineDetection: 'Enable',
-        machineDetectionTimeout: 10
+        // Wait for the end of a machine greeting so a voicemail starts after the beep
+        machineDetection: 'DetectMessageEnd',
+        machineDetectionTimeout: parseInt(process.env.MACHINE_DETECTION_TIMEOUT) || 30
       });
 
       logger.info('Call initiated successfully', {
@@ -52,6 +87,17 @@ class TwilioService {
         status: call.status
       });
 
+      await callHistoryService.startCall(call.sid, {
+        tenantId: tenant.id,
+        customer: customerData,
+        campaign: customerData.campaign,
+        direction: 'outbound',
+        lineType,
+        status: call.status,
+        recording: recordingService.describePolicy(recording),
+        voicemail
+      });
+
       return {
         callSid: call.sid,
         status: call.status,
@@ -232,6 +278,32 @@ class TwilioService {
     }
   }
 
+  /**
+   * Replace the TwiML a call in progress is running (e.g. to leave a media stream)
+   */
+  async updateCallTwiml(callSid, twiml) {
+    try {
+      await this.client.calls(callSid).update({ twiml: twiml.toString() });
+      logger.info('Call TwiML updated', { callSid });
+    } catch (error) {
+      logger.error('Failed to update call TwiML', { error: error.message, callSid });
+      throw new AppError(`Failed to update call TwiML: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Stop the recording of a call in progress (e.g. the customer declined consent)
+   */
+  async stopRecording(callSid) {
+    try {
+      await this.client.calls(callSid).recordings('Twilio.CURRENT').update({ status: 'stopped' });
+      logger.info('Call recording stopped', { callSid });
+    } catch (error) {
+      logger.error('Failed to stop call recording', { error: error.message, callSid });
+      throw new AppError(`Failed to stop call recording: ${error.message}`, 500);
+    }
+  }
+
   /**
    * Enhanced transcription using Deepgram for call recordings
    */
@@ -0,0 +1,114 @@
+const twilio = require('twilio');
+const { callLogger } = require('../utils/logger');
+const elevenlabsService = require('./elevenlabsService');
+const scriptService = require('./scriptService');
+const tenantService = require('./tenantService');
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
+const DEFAULT_TEMPLATE = "Hi {customerName}, this is {botName} from {dealershipName}. I'm calling about the {carModel} you enquired about. Give us a call back whenever suits you, or we'll try you again soon. Thanks!";
+
+// AnsweredBy values from Twilio answering machine detection that mean no person picked up
+const MACHINE_ANSWERS = ['machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax'];
+
+/**
+ * Voicemail drops. The message is rendered from a template (campaign, then script,
+ * then VOICEMAIL_TEMPLATE) and turned into ElevenLabs audio before the call is placed,
+ * so it can play as soon as Twilio reports the end of the greeting (the beep).
+ */
+class VoicemailService {
+  constructor() {
+    this.enabled = process.env.VOICEMAIL_ENABLED !== 'false';
+    this.defaultTemplate = process.env.VOICEMAIL_TEMPLATE || DEFAULT_TEMPLATE;
+  }
+
+  /**
+   * Is this AnsweredBy value an answering machine (or fax)?
+   */
+  isMachine(answeredBy) {
+    return MACHINE_ANSWERS.includes(answeredBy);
+  }
+
+  /**
+   * Message text for a customer. options: { template, scriptId, enabled, tenantId }
+   */
+  render(customerData, options = {}) {
+    const script = this.findScript(customerData, options);
+    const defaults = (script && script.defaults) || {};
+    const template = options.template || (script && script.voicemail) || this.defaultTemplate;
+    const tenant = this.findTenant(customerData, options);
+
+    return scriptService.renderTemplate(template, {
+      customerName: customerData.name,
+      carModel: customerData.carModel,
+      dealershipName: customerData.dealershipName || tenant.name || defaults.dealershipName,
+      botName: tenant.botName || defaults.botName
+    }).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Render the message and its audio ahead of dialling. Returns { text, audioUrl }
+   * (audioUrl is null when ElevenLabs is off or fails - Twilio TTS reads the text),
+   * or null when voicemail drops are disabled for this call.
+   */
+  async prepare(customerData, options = {}) {
+    if (!this.enabled || options.enabled === false) {
+      return null;
+    }
+
+    const text = this.render(customerData, options);
+    let audioUrl = null;
+
+    if (elevenlabsService.enabled && process.env.BASE_URL) {
+      const { voiceId } = this.findTenant(customerData, options);
+      const audio = await elevenlabsService.generateSpeechForTwilio(text, process.env.BASE_URL, { voiceId });
+      audioUrl = audio ? audio.audioUrl : null;
+    }
+
+    callLogger.info('Voicemail prepared', {
+      customerId: customerData.id,
+      prerendered: Boolean(audioUrl),
+      length: text.length
+    });
+
+    return { text, audioUrl };
+  }
+
+  /**
+   * TwiML that leaves the prepared message (or just hangs up without one)
+   */
+  buildTwiml(voicemail) {
+    const twiml = new VoiceResponse();
+
+    if (voicemail && voicemail.audioUrl) {
+      twiml.play(voicemail.audioUrl);
+    } else if (voicemail && voicemail.text) {
+      twiml.say({ voice: 'alice', language: 'en-US' }, voicemail.text);
+    }
+    twiml.hangup();
+
+    return twiml;
+  }
+
+  findTenant(customerData, options) {
+    return tenantService.resolve({
+      tenantId: options.tenantId || customerData.tenantId,
+      campaign: customerData.campaign
+    });
+  }
+
+  findScript(customerData, options) {
+    const scriptId = options.scriptId || customerData.scriptId;
+    if (scriptId) {
+      return scriptService.getScript(scriptId);
+    }
+
+    try {
+      return scriptService.getScriptForCampaign(customerData.campaign);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new VoicemailService();
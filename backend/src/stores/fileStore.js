@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File-backed key/value store for local development. One JSON file per key,
+ * so state survives `nodemon` restarts without running Redis or Postgres.
+ */
+class FileStore {
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.defaultTtlSeconds = options.ttlSeconds || null;
+    this.dir = path.join(
+      options.dir || process.env.STORE_FILE_DIR || path.join(__dirname, '../../data'),
+      namespace
+    );
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  filepath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  readEntry(filepath) {
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const filepath = this.filepath(key);
+    const entry = this.readEntry(filepath);
+    if (!entry) {
+      return null;
+    }
+    if (this.isExpired(entry)) {
+      await this.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, options = {}) {
+    const ttlSeconds = options.ttlSeconds !== undefined ? options.ttlSeconds : this.defaultTtlSeconds;
+    const filepath = this.filepath(key);
+    const tmpPath = `${filepath}.tmp`;
+
+    // Write then rename so a crash never leaves a half-written entry
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      key,
+      value,
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    }));
+    fs.renameSync(tmpPath, filepath);
+    return value;
+  }
+
+  async delete(key) {
+    try {
+      fs.unlinkSync(this.filepath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list(options = {}) {
+    const values = [];
+    const files = fs.readdirSync(this.dir).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const key = decodeURIComponent(file.slice(0, -'.json'.length));
+      if (options.prefix && !key.startsWith(options.prefix)) {
+        continue;
+      }
+
+      const entry = this.readEntry(path.join(this.dir, file));
+      if (!entry) {
+        continue;
+      }
+      if (this.isExpired(entry)) {
+        await this.delete(key);
+        continue;
+      }
+      values.push(entry.value);
+    }
+
+    return values;
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  async close() {}
+}
+
+module.exports = FileStore;
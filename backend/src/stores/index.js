@@ -0,0 +1,56 @@
+const logger = require('../utils/logger');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const RedisStore = require('./redisStore');
+const PostgresStore = require('./postgresStore');
+
+/**
+ * Key/value stores with optional TTL. Every driver implements the same async interface:
+ *   get(key), set(key, value, { ttlSeconds }), delete(key), list({ prefix }), count(), close()
+ * Values must be JSON-serialisable; Dates come back as ISO strings.
+ */
+const DRIVERS = {
+  memory: MemoryStore,
+  file: FileStore,
+  redis: RedisStore,
+  postgres: PostgresStore
+};
+
+/**
+ * Create a store for a namespace (e.g. 'conversations').
+ * The driver defaults to STORE_DRIVER, then 'memory'.
+ */
+function createStore(namespace, options = {}) {
+  const driver = (options.driver || process.env.STORE_DRIVER || 'memory').toLowerCase();
+  const Store = DRIVERS[driver];
+
+  if (!Store) {
+    throw new Error(`Unknown store driver "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  logger.info('Store created', { namespace, driver, ttlSeconds: options.ttlSeconds || null });
+  const store = new Store(namespace, options);
+  store.driver = driver;
+  return store;
+}
+
+/**
+ * Driver for records that must survive a restart (call history, users, the DNC list...):
+ * the store's own setting, then STORE_DRIVER, then 'file' ('memory' under NODE_ENV=test).
+ * Throws if that is 'memory' in production, naming the setting to change.
+ */
+function durableDriver(label, setting) {
+  const driver = (process.env[setting] || process.env.STORE_DRIVER ||
+    (process.env.NODE_ENV === 'test' ? 'memory' : 'file')).toLowerCase();
+
+  if (driver === 'memory' && process.env.NODE_ENV === 'production') {
+    throw new Error(`${label} cannot use the memory store in production; set ${setting} or STORE_DRIVER to file, redis or postgres`);
+  }
+  return driver;
+}
+
+module.exports = {
+  createStore,
+  durableDriver,
+  DRIVERS: Object.keys(DRIVERS)
+};
@@ -0,0 +1,78 @@
+/**
+ * In-process key/value store. Values are cloned on the way in and out so that
+ * callers have to save explicitly, exactly as with the external stores.
+ */
+class MemoryStore {
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.defaultTtlSeconds = options.ttlSeconds || null;
+    this.entries = new Map();
+
+    // Sweep expired entries periodically; never keep the process alive for it
+    this.sweepInterval = setInterval(() => this.sweep(), 60000);
+    this.sweepInterval.unref();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.value);
+  }
+
+  async set(key, value, options = {}) {
+    const ttlSeconds = options.ttlSeconds !== undefined ? options.ttlSeconds : this.defaultTtlSeconds;
+    this.entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    });
+    return value;
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async list(options = {}) {
+    const values = [];
+    for (const [key, entry] of this.entries) {
+      if (options.prefix && !key.startsWith(options.prefix)) {
+        continue;
+      }
+      if (this.isExpired(entry)) {
+        this.entries.delete(key);
+        continue;
+      }
+      values.push(JSON.parse(entry.value));
+    }
+    return values;
+  }
+
+  async count() {
+    this.sweep();
+    return this.entries.size;
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  sweep() {
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweepInterval);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,137 @@
+const config = require('../config/database');
+const logger = require('../utils/logger');
+
+let sharedPool = null;
+let schemaReady = null;
+
+/**
+ * One connection pool per process, shared by every namespace
+ */
+function getPool() {
+  if (!sharedPool) {
+    // Required lazily so the dependency is only needed when the Postgres driver is selected
+    const { Pool } = require('pg');
+    const dbConfig = process.env.NODE_ENV === 'production' ? config.production : config.development;
+
+    sharedPool = new Pool({
+      connectionString: dbConfig.database,
+      max: dbConfig.pool.max,
+      idleTimeoutMillis: dbConfig.pool.idle,
+      connectionTimeoutMillis: dbConfig.pool.acquire,
+      ssl: dbConfig.dialectOptions?.ssl
+    });
+    sharedPool.on('error', (error) => {
+      logger.error('Postgres pool error', { error: error.message });
+    });
+  }
+  return sharedPool;
+}
+
+function ensureSchema(pool) {
+  if (!schemaReady) {
+    schemaReady = pool.query(`
+      CREATE TABLE IF NOT EXISTS kv_store (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value JSONB NOT NULL,
+        expires_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (namespace, key)
+      );
+      CREATE INDEX IF NOT EXISTS kv_store_expires_at_idx ON kv_store (expires_at);
+    `).catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+/**
+ * Postgres-backed key/value store. Expired rows are filtered on read and purged periodically.
+ */
+class PostgresStore {
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.defaultTtlSeconds = options.ttlSeconds || null;
+    this.pool = options.pool || getPool();
+
+    this.purgeInterval = setInterval(() => {
+      this.purgeExpired().catch(error => {
+        logger.warn('Failed to purge expired rows', { namespace, error: error.message });
+      });
+    }, 60000);
+    this.purgeInterval.unref();
+  }
+
+  async query(sql, params) {
+    await ensureSchema(this.pool);
+    return this.pool.query(sql, params);
+  }
+
+  async get(key) {
+    const { rows } = await this.query(
+      `SELECT value FROM kv_store
+       WHERE namespace = $1 AND key = $2 AND (expires_at IS NULL OR expires_at > NOW())`,
+      [this.namespace, key]
+    );
+    return rows.length > 0 ? rows[0].value : null;
+  }
+
+  async set(key, value, options = {}) {
+    const ttlSeconds = options.ttlSeconds !== undefined ? options.ttlSeconds : this.defaultTtlSeconds;
+    await this.query(
+      `INSERT INTO kv_store (namespace, key, value, expires_at, updated_at)
+       VALUES ($1, $2, $3, CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() + make_interval(secs => $4::int) END, NOW())
+       ON CONFLICT (namespace, key)
+       DO UPDATE SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at, updated_at = NOW()`,
+      [this.namespace, key, JSON.stringify(value), ttlSeconds ? Math.ceil(ttlSeconds) : null]
+    );
+    return value;
+  }
+
+  async delete(key) {
+    const { rowCount } = await this.query(
+      'DELETE FROM kv_store WHERE namespace = $1 AND key = $2',
+      [this.namespace, key]
+    );
+    return rowCount > 0;
+  }
+
+  async list(options = {}) {
+    const { rows } = await this.query(
+      `SELECT value FROM kv_store
+       WHERE namespace = $1 AND key LIKE $2 AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY updated_at`,
+      [this.namespace, `${(options.prefix || '').replace(/[\\%_]/g, '\\$&')}%`]
+    );
+    return rows.map(row => row.value);
+  }
+
+  async count() {
+    const { rows } = await this.query(
+      `SELECT COUNT(*)::int AS count FROM kv_store
+       WHERE namespace = $1 AND (expires_at IS NULL OR expires_at > NOW())`,
+      [this.namespace]
+    );
+    return rows[0].count;
+  }
+
+  async purgeExpired() {
+    await this.query(
+      'DELETE FROM kv_store WHERE namespace = $1 AND expires_at IS NOT NULL AND expires_at <= NOW()',
+      [this.namespace]
+    );
+  }
+
+  async close() {
+    clearInterval(this.purgeInterval);
+    if (sharedPool && this.pool === sharedPool) {
+      await sharedPool.end();
+      sharedPool = null;
+      schemaReady = null;
+    }
+  }
+}
+
+module.exports = PostgresStore;
@@ -0,0 +1,97 @@
+const config = require('../config/database');
+const logger = require('../utils/logger');
+
+let sharedClient = null;
+
+/**
+ * One Redis connection per process, shared by every namespace
+ */
+function getClient() {
+  if (!sharedClient) {
+    // Required lazily so the dependency is only needed when the Redis driver is selected
+    const Redis = require('ioredis');
+    sharedClient = new Redis(config.redis.url, config.redis.options);
+    sharedClient.on('error', (error) => {
+      logger.error('Redis connection error', { error: error.message });
+    });
+    sharedClient.on('ready', () => {
+      logger.info('Redis connection ready');
+    });
+  }
+  return sharedClient;
+}
+
+function escapeGlob(value) {
+  return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Redis-backed key/value store. TTL is enforced by Redis itself (SET ... EX).
+ */
+class RedisStore {
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.defaultTtlSeconds = options.ttlSeconds || null;
+    this.keyPrefix = `${process.env.REDIS_KEY_PREFIX || 'ai-calling:'}${namespace}:`;
+    this.client = options.client || getClient();
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.keyPrefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, options = {}) {
+    const ttlSeconds = options.ttlSeconds !== undefined ? options.ttlSeconds : this.defaultTtlSeconds;
+    const payload = JSON.stringify(value);
+
+    if (ttlSeconds) {
+      await this.client.set(this.keyPrefix + key, payload, 'EX', Math.ceil(ttlSeconds));
+    } else {
+      await this.client.set(this.keyPrefix + key, payload);
+    }
+    return value;
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.keyPrefix + key)) > 0;
+  }
+
+  async scanKeys(prefix = '') {
+    const keys = [];
+    const match = `${escapeGlob(this.keyPrefix + prefix)}*`;
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', match, 'COUNT', 200);
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  async list(options = {}) {
+    const keys = await this.scanKeys(options.prefix);
+    if (keys.length === 0) {
+      return [];
+    }
+
+    const values = await this.client.mget(keys);
+    // Keys can expire between SCAN and MGET
+    return values.filter(Boolean).map(raw => JSON.parse(raw));
+  }
+
+  async count() {
+    return (await this.scanKeys()).length;
+  }
+
+  async close() {
+    if (sharedClient && this.client === sharedClient) {
+      await sharedClient.quit();
+      sharedClient = null;
+    }
+  }
+}
+
+module.exports = RedisStore;
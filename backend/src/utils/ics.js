@@ -0,0 +1,116 @@
+/**
+ * Minimal RFC 5545 (iCalendar) writer for appointment invites and feeds.
+ * Times are written in UTC so no VTIMEZONE block is needed.
+ */
+
+const PRODUCT_ID = '-//AI Cold-Calling System//Appointments//EN';
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 3.1)
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts toward their 75 octets
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * 2026-10-27T18:00:00.000Z -> 20261027T180000Z
+ */
+function formatDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build a VEVENT. event: { uid, start, end, summary, description, location, url,
+ * status, sequence, organizer: { name, email }, attendee: { name, email }, created }
+ */
+function buildEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDate(event.stamp || new Date())}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.created) lines.push(`CREATED:${formatDate(event.created)}`);
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+
+  if (event.organizer && event.organizer.email) {
+    lines.push(`ORGANIZER;CN=${escapeText(event.organizer.name || event.organizer.email)}:mailto:${event.organizer.email}`);
+  }
+  if (event.attendee && event.attendee.email) {
+    lines.push(`ATTENDEE;CN=${escapeText(event.attendee.name || event.attendee.email)};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${event.attendee.email}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Wrap events in a VCALENDAR. options: { method: 'REQUEST' | 'CANCEL', name }
+ */
+function buildCalendar(events, options = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (options.method) lines.push(`METHOD:${options.method}`);
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+
+  for (const event of events) {
+    lines.push(...buildEvent(event));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  buildEvent,
+  escapeText,
+  foldLine,
+  formatDate
+};
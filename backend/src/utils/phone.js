@@ -0,0 +1,97 @@
+/**
+ * Phone numbers in E.164 (+<country code><number>), parsed with libphonenumber.
+ * National formats ("(512) 555-0101", "020 7946 0018") are read in a default
+ * country: the tenant's, else DEFAULT_PHONE_COUNTRY (US).
+ *
+ * toE164 is lenient and is what lookups compare on, so numbers that are the right
+ * length but not in service still match their own sheet row. Use parsePhone(...).valid
+ * (or isValidPhone) before dialling.
+ */
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max');
+
+const DEFAULT_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'US').toUpperCase();
+
+// libphonenumber number types -> our line types
+const LINE_TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'landline',
+  FIXED_LINE_OR_MOBILE: 'landline_or_mobile',
+  VOIP: 'voip',
+  TOLL_FREE: 'toll_free',
+  PREMIUM_RATE: 'premium_rate',
+  SHARED_COST: 'other',
+  PERSONAL_NUMBER: 'other',
+  PAGER: 'other',
+  UAN: 'other',
+  VOICEMAIL: 'other'
+};
+
+/**
+ * Parse a number written any common way. Returns null if it can't be a phone number,
+ * else { e164, country, valid, type } where type is mobile, landline,
+ * landline_or_mobile (North America doesn't say), voip, toll_free, premium_rate,
+ * other or unknown (for numbers that aren't valid).
+ */
+function parsePhone(input, country = DEFAULT_COUNTRY) {
+  let text = String(input === undefined || input === null ? '' : input).trim();
+  if (!text) {
+    return null;
+  }
+  // 00 is the international prefix nearly everywhere outside North America
+  if (text.startsWith('00')) {
+    text = `+${text.slice(2)}`;
+  }
+
+  const parsed = parsePhoneNumberFromString(text, isSupportedCountry(country) ? country : DEFAULT_COUNTRY);
+  if (!parsed || !parsed.isPossible()) {
+    return null;
+  }
+
+  const valid = parsed.isValid();
+  return {
+    e164: parsed.number,
+    country: parsed.country || null,
+    valid,
+    type: valid ? LINE_TYPES[parsed.getType()] || 'unknown' : 'unknown'
+  };
+}
+
+/**
+ * E.164 form of a number, or null if it can't be a phone number
+ */
+function toE164(input, country = DEFAULT_COUNTRY) {
+  const parsed = parsePhone(input, country);
+  return parsed ? parsed.e164 : null;
+}
+
+/**
+ * Is this a number that can actually be dialled?
+ */
+function isValidPhone(input, country = DEFAULT_COUNTRY) {
+  const parsed = parsePhone(input, country);
+  return Boolean(parsed && parsed.valid);
+}
+
+/**
+ * Do two numbers, however they are written, point at the same line?
+ */
+function samePhone(a, b, country = DEFAULT_COUNTRY) {
+  const phone = toE164(a, country);
+  return phone !== null && phone === toE164(b, country);
+}
+
+/**
+ * Is this an ISO 3166 country code libphonenumber knows (e.g. "US", "GB")?
+ */
+function isCountry(country) {
+  return typeof country === 'string' && isSupportedCountry(country.toUpperCase());
+}
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  isCountry,
+  isValidPhone,
+  parsePhone,
+  samePhone,
+  toE164
+};
@@ -0,0 +1,188 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const auth = require('../src/middleware/auth');
+const authRoutes = require('../src/controllers/authController');
+const audioRoutes = require('../src/controllers/audioController');
+const { errorHandler } = require('../src/utils/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api', auth.authenticate({ except: ['/auth/login', /^\/public\//] }));
+app.use('/api/auth', authRoutes);
+app.get('/api/public/ping', (req, res) => res.json({ ok: true }));
+app.get('/api/things', (req, res) => res.json({ user: req.user }));
+app.post('/api/things', auth.authorize('campaign_manager'), (req, res) => res.status(201).json({ ok: true }));
+app.use('/audio', audioRoutes);
+app.use('/api/audio', audioRoutes);
+app.use(errorHandler);
+
+describe('API authentication', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-jwt-secret';
+    process.env.API_KEY = 'legacy-admin-key';
+    process.env.N8N_API_KEY = 'n8n-key';
+    process.env.ADMIN_EMAIL = 'Admin@PremierAuto.com';
+    process.env.ADMIN_PASSWORD = 'bootstrap-password';
+    delete process.env.N8N_API_KEY_ROLE;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const login = async (email, password) => {
+    const response = await request(app).post('/api/auth/login').send({ email, password }).expect(200);
+    return response.body.data.token;
+  };
+
+  describe('API keys', () => {
+    it('rejects requests without credentials', async () => {
+      const response = await request(app).get('/api/things').expect(401);
+      expect(response.body.message).toBe('Authentication required');
+    });
+
+    it('rejects unknown keys', async () => {
+      await request(app).get('/api/things').set('Authorization', 'Bearer nope').expect(401);
+    });
+
+    it('lets public paths through', async () => {
+      await request(app).get('/api/public/ping').expect(200);
+    });
+
+    it('treats API_KEY as an admin key', async () => {
+      const response = await request(app)
+        .get('/api/things')
+        .set('Authorization', 'Bearer legacy-admin-key')
+        .expect(200);
+
+      expect(response.body.user).toMatchObject({ id: 'env:API_KEY', role: 'admin', type: 'api_key' });
+    });
+
+    it('only lets admins clear the speech cache', async () => {
+      await request(app).delete('/audio/cleanup?maxMb=0').expect(401);
+      await request(app).delete('/api/audio/cleanup?maxMb=0').set('Authorization', 'Bearer n8n-key').expect(403);
+      await request(app).delete('/api/audio/cleanup').set('Authorization', 'Bearer legacy-admin-key').expect(200);
+    });
+
+    it('gives the n8n key the campaign_manager role by default', async () => {
+      await request(app).post('/api/things').set('X-API-Key', 'n8n-key').expect(201);
+
+      process.env.N8N_API_KEY_ROLE = 'agent';
+      await request(app).post('/api/things').set('X-API-Key', 'n8n-key').expect(403);
+    });
+
+    it('creates, uses and revokes stored keys', async () => {
+      const created = await request(app)
+        .post('/api/auth/api-keys')
+        .set('Authorization', 'Bearer legacy-admin-key')
+        .send({ name: 'dashboard', role: 'agent' })
+        .expect(201);
+
+      const { key, apiKey } = created.body.data;
+      expect(key).toMatch(/^ak_[0-9a-f]{48}$/);
+      expect(apiKey.keyHash).toBeUndefined();
+
+      await request(app).get('/api/things').set('X-API-Key', key).expect(200);
+      const forbidden = await request(app).post('/api/things').set('X-API-Key', key).expect(403);
+      expect(forbidden.body.message).toBe('This action requires the campaign_manager role');
+
+      await request(app)
+        .delete(`/api/auth/api-keys/${apiKey.id}`)
+        .set('Authorization', 'Bearer legacy-admin-key')
+        .expect(200);
+      await request(app).get('/api/things').set('X-API-Key', key).expect(401);
+    });
+  });
+
+  describe('JWT login', () => {
+    it('logs in the bootstrap admin and accepts the token', async () => {
+      const token = await login('admin@premierauto.com', 'bootstrap-password');
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.user).toMatchObject({ id: 'env:ADMIN', role: 'admin', type: 'user' });
+    });
+
+    it('rejects a wrong password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'admin@premierauto.com', password: 'wrong' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Incorrect email or password');
+    });
+
+    it('creates users with roles and enforces them', async () => {
+      const adminToken = await login('admin@premierauto.com', 'bootstrap-password');
+
+      const created = await request(app)
+        .post('/api/auth/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'Sam@PremierAuto.com', password: 'correct-horse', name: 'Sam', role: 'agent' })
+        .expect(201);
+      expect(created.body.data.user.passwordHash).toBeUndefined();
+
+      await request(app)
+        .post('/api/auth/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'sam@premierauto.com', password: 'correct-horse', role: 'agent' })
+        .expect(409);
+
+      const agentToken = await login('sam@premierauto.com', 'correct-horse');
+      await request(app).get('/api/things').set('Authorization', `Bearer ${agentToken}`).expect(200);
+      await request(app).post('/api/things').set('Authorization', `Bearer ${agentToken}`).expect(403);
+      await request(app).get('/api/auth/users').set('Authorization', `Bearer ${agentToken}`).expect(403);
+    });
+
+    it('rejects expired and tampered tokens', async () => {
+      const expired = jwt.sign({ sub: 'u1', role: 'admin' }, 'test-jwt-secret', { expiresIn: -10 });
+      const expiredResponse = await request(app)
+        .get('/api/things')
+        .set('Authorization', `Bearer ${expired}`)
+        .expect(401);
+      expect(expiredResponse.body.message).toMatch(/expired/);
+
+      const forged = jwt.sign({ sub: 'u1', role: 'admin' }, 'another-secret');
+      await request(app).get('/api/things').set('Authorization', `Bearer ${forged}`).expect(401);
+    });
+  });
+
+  describe('store driver', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    const load = () => {
+      let service;
+      jest.isolateModules(() => {
+        service = require('../src/services/authService');
+      });
+      return service;
+    };
+
+    it('keeps users and API keys on disk unless a driver is configured', () => {
+      delete process.env.AUTH_STORE;
+      delete process.env.STORE_DRIVER;
+      process.env.NODE_ENV = 'development';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load().apiKeys.driver).toBe('file');
+    });
+
+    it('refuses the memory store in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.AUTH_STORE = 'memory';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load).toThrow('Users and API keys cannot use the memory store in production');
+    });
+  });
+});
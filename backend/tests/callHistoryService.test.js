@@ -0,0 +1,63 @@
+const callHistoryService = require('../src/services/callHistoryService');
+
+describe('Call history', () => {
+  it('numbers turns recorded at the same time in order', async () => {
+    await callHistoryService.startCall('CA_concurrent', { customer: { id: 'CUST_1', name: 'Jane' } });
+
+    await Promise.all([
+      callHistoryService.recordTurn('CA_concurrent', { speaker: 'bot', text: 'Hi Jane' }),
+      callHistoryService.updateCall('CA_concurrent', { status: 'in-progress' }),
+      callHistoryService.recordTurn('CA_concurrent', { speaker: 'customer', text: 'Hello' }),
+      callHistoryService.recordTurn('CA_concurrent', { speaker: 'bot', text: 'Is now a good time?' })
+    ]);
+
+    const turns = await callHistoryService.getTranscript('CA_concurrent');
+    expect(turns.map(turn => [turn.seq, turn.text])).toEqual([[1, 'Hi Jane'], [2, 'Hello'], [3, 'Is now a good time?']]);
+    expect(await callHistoryService.getCall('CA_concurrent')).toMatchObject({ status: 'in-progress', turnCount: 3 });
+  });
+
+  it('keeps an outcome written while the final status is being recorded', async () => {
+    await callHistoryService.startCall('CA_booked', { customer: { id: 'CUST_2', name: 'Omar' } });
+
+    await Promise.all([
+      callHistoryService.recordStatus('CA_booked', 'completed', { duration: '95' }),
+      callHistoryService.updateCall('CA_booked', { outcome: 'appointment_booked' })
+    ]);
+
+    expect(await callHistoryService.getCall('CA_booked'))
+      .toMatchObject({ status: 'completed', duration: 95, outcome: 'appointment_booked' });
+  });
+
+  describe('store driver', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    const load = () => {
+      let service;
+      jest.isolateModules(() => {
+        service = require('../src/services/callHistoryService');
+      });
+      return service;
+    };
+
+    it('keeps call history on disk unless a driver is configured', () => {
+      delete process.env.CALL_HISTORY_STORE;
+      delete process.env.STORE_DRIVER;
+      process.env.NODE_ENV = 'development';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load().calls.driver).toBe('file');
+    });
+
+    it('refuses the memory store in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.STORE_DRIVER = 'memory';
+      delete process.env.CALL_HISTORY_STORE;
+
+      expect(load).toThrow('Call history cannot use the memory store in production');
+    });
+  });
+});
@@ -0,0 +1,313 @@
+jest.mock('../src/services/googleSheetsService', () => ({
+  getCustomerData: jest.fn()
+}));
+jest.mock('../src/services/twilioService', () => ({
+  initiateCall: jest.fn()
+}));
+jest.mock('../src/services/openaiService', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const googleSheetsService = require('../src/services/googleSheetsService');
+const twilioService = require('../src/services/twilioService');
+const callHistoryService = require('../src/services/callHistoryService');
+const campaignService = require('../src/services/campaignService');
+const dialQueueService = require('../src/services/dialQueueService');
+const elevenlabsService = require('../src/services/elevenlabsService');
+const recordingService = require('../src/services/recordingService');
+const { FALLBACK_PROMPTS } = require('../src/config/speechPrompts');
+const campaignRoutes = require('../src/controllers/campaignController');
+const { errorHandler } = require('../src/utils/errorHandler');
+
+// Monday 19 October 2026, 10am America/New_York
+const NOW = new Date('2026-10-19T14:00:00Z');
+const minutesLater = minutes => new Date(NOW.getTime() + minutes * 60000);
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'test', role: req.get('X-Test-Role') || 'campaign_manager', type: 'api_key' };
+  next();
+});
+app.use('/api/campaigns', campaignRoutes);
+app.use(errorHandler);
+
+const sheetRows = [
+  { id: 'C1', name: 'Jane', phone: '+12125550101', carModel: 'Model Y', status: 'new' },
+  { id: 'C2', name: 'Raj', phone: '+12125550102', carModel: 'Camry', status: 'new' },
+  { id: 'C3', name: 'Ana', phone: '+12125550103', carModel: 'Model Y', status: 'do_not_call' },
+  { id: 'C4', name: 'Lee', phone: '', carModel: 'Model Y', status: 'new' },
+  { id: 'C5', name: 'Jane again', phone: '+12125550101', carModel: 'Model Y', status: 'new' }
+];
+
+let callCount = 0;
+
+const callSidOf = async lead => (await dialQueueService.getJob(lead.lastJobId)).callSid;
+
+// Finish calls, let the campaign queue its dials, then let the queue place them
+const tick = async now => {
+  await dialQueueService.tick(now);
+  await campaignService.tick(now);
+  await dialQueueService.tick(now);
+};
+
+describe('Campaign manager', () => {
+  beforeAll(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    googleSheetsService.getCustomerData.mockResolvedValue(sheetRows);
+    twilioService.initiateCall.mockImplementation(async (phone, customer) => {
+      const callSid = `CA_campaign_${++callCount}`;
+      await callHistoryService.startCall(callSid, { customer, campaign: customer.campaign, status: 'queued' });
+      return { callSid, status: 'queued' };
+    });
+
+    // Campaigns and dial jobs from earlier tests shouldn't interfere with this test's ticks
+    for (const campaign of await campaignService.listCampaigns()) {
+      if (['running', 'scheduled', 'paused'].includes(campaign.status)) {
+        await campaignService.cancelCampaign(campaign.id);
+      }
+    }
+    for (const job of await dialQueueService.listJobs()) {
+      await dialQueueService.jobs.delete(job.id);
+    }
+    dialQueueService.limits = { maxConcurrentCalls: 10, callsPerSecond: 10 };
+    dialQueueService.tokens = null;
+  });
+
+  const createCampaign = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/campaigns')
+      .send({ name: 'Model Y follow-up', scriptId: 'car-enquiry', ...overrides })
+      .expect(201);
+    return response.body.data.campaign;
+  };
+
+  it('creates a draft campaign with defaults', async () => {
+    const campaign = await createCampaign();
+
+    expect(campaign.status).toBe('draft');
+    expect(campaign.createdBy).toBe('test');
+    expect(campaign.pacing).toEqual({ callsPerMinute: 2, maxConcurrent: 1 });
+    expect(campaign.callingWindow).toMatchObject({ timezone: 'America/New_York', start: '09:00', end: '20:00' });
+    expect(twilioService.initiateCall).not.toHaveBeenCalled();
+  });
+
+  it('rejects invalid campaigns', async () => {
+    const response = await request(app)
+      .post('/api/campaigns')
+      .send({ name: 'Bad', scriptId: 'nope', callingWindow: { start: '18:00', end: '09:00' } })
+      .expect(400);
+
+    expect(response.body.message).toMatch(/unknown script "nope"/);
+    expect(response.body.message).toMatch(/start before end/);
+  });
+
+  it('needs the campaign_manager role to create campaigns', async () => {
+    await request(app).post('/api/campaigns').set('X-Test-Role', 'agent').send({ name: 'x' }).expect(403);
+  });
+
+  it('loads callable leads from the sheet tab and filter', async () => {
+    const campaign = await createCampaign({ leadSource: { sheet: 'October leads', filter: { carModel: 'model y' } } });
+    const started = await request(app).post(`/api/campaigns/${campaign.id}/start`).expect(200);
+
+    expect(googleSheetsService.getCustomerData).toHaveBeenCalledWith('October leads', { tenantId: 'default' });
+    expect(started.body.data.campaign.status).toBe('running');
+    // C3 is do_not_call, C4 has no phone, C5 duplicates C1's number
+    expect(started.body.data.progress).toMatchObject({ total: 1, pending: 1 });
+  });
+
+  it('dials at the configured pace and completes when every lead is done', async () => {
+    const campaign = await createCampaign({ pacing: { callsPerMinute: 1, maxConcurrent: 2 } });
+    await campaignService.startCampaign(campaign.id);
+
+    await tick(NOW);
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(2);
+    expect(twilioService.initiateCall).toHaveBeenCalledWith('+12125550101', expect.objectContaining({
+      id: 'C1',
+      campaign: campaign.id,
+      scriptId: 'car-enquiry'
+    }), { source: 'campaign', voicemail: { enabled: true, template: null }, tenantId: 'default' });
+
+    const progress = await campaignService.getProgress(campaign.id);
+    expect(progress).toMatchObject({ total: 2, dialing: 2, attempts: 2 });
+
+    for (const lead of await campaignService.listLeads(campaign.id)) {
+      await callHistoryService.recordStatus(await callSidOf(lead), 'completed');
+    }
+
+    await tick(minutesLater(1));
+    const done = await request(app).get(`/api/campaigns/${campaign.id}`).expect(200);
+    expect(done.body.data.campaign.status).toBe('completed');
+    expect(done.body.data.progress).toMatchObject({ completed: 2, dialing: 0, pending: 0 });
+  });
+
+  it('respects callsPerMinute between ticks', async () => {
+    const campaign = await createCampaign({ pacing: { callsPerMinute: 2, maxConcurrent: 1 } });
+    await campaignService.startCampaign(campaign.id);
+
+    await tick(NOW);
+    const [lead] = (await campaignService.listLeads(campaign.id, { status: 'dialing' }));
+    await callHistoryService.recordStatus(await callSidOf(lead), 'completed');
+
+    // 10 seconds later the line is free but the 30s gap hasn't passed
+    await tick(new Date(NOW.getTime() + 10000));
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(1);
+
+    await tick(new Date(NOW.getTime() + 30000));
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries busy leads after the delay and gives up after maxAttempts', async () => {
+    const campaign = await createCampaign({
+      leadSource: { filter: { name: 'Raj' } },
+      retryPolicy: { maxAttempts: 2, baseDelayMinutes: 60, rotateTimeOfDay: false }
+    });
+    await campaignService.startCampaign(campaign.id);
+
+    await tick(NOW);
+    let [lead] = await campaignService.listLeads(campaign.id);
+    await callHistoryService.recordStatus(await callSidOf(lead), 'busy');
+
+    await tick(minutesLater(1));
+    [lead] = await campaignService.listLeads(campaign.id);
+    expect(lead).toMatchObject({ status: 'pending', attempts: 1, lastOutcome: 'busy' });
+    expect(lead.nextAttemptAt).toBe(minutesLater(61).toISOString());
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(1);
+
+    await tick(minutesLater(61));
+    [lead] = await campaignService.listLeads(campaign.id);
+    expect(lead.attempts).toBe(2);
+    await callHistoryService.recordStatus(await callSidOf(lead), 'no-answer');
+
+    await tick(minutesLater(62));
+    [lead] = await campaignService.listLeads(campaign.id);
+    expect(lead).toMatchObject({ status: 'failed', attempts: 2, lastOutcome: 'no-answer' });
+    expect(lead.calls.map(call => call.outcome)).toEqual(['busy', 'no-answer']);
+    expect((await campaignService.getCampaign(campaign.id)).status).toBe('completed');
+  });
+
+  it('does not dial outside the calling window', async () => {
+    const campaign = await createCampaign({ callingWindow: { start: '12:00', end: '17:00' } });
+    await campaignService.startCampaign(campaign.id);
+
+    await tick(NOW);
+    expect(twilioService.initiateCall).not.toHaveBeenCalled();
+
+    await tick(minutesLater(120));
+    expect(twilioService.initiateCall).toHaveBeenCalled();
+  });
+
+  it('waits for startAt when scheduled', async () => {
+    const campaign = await createCampaign({ startAt: minutesLater(30).toISOString() });
+    const started = await campaignService.startCampaign(campaign.id);
+    expect(started.status).toBe('scheduled');
+
+    await tick(NOW);
+    expect(twilioService.initiateCall).not.toHaveBeenCalled();
+
+    await tick(minutesLater(30));
+    expect((await campaignService.getCampaign(campaign.id)).status).toBe('running');
+    expect(twilioService.initiateCall).toHaveBeenCalled();
+  });
+
+  it('pauses, resumes and cancels', async () => {
+    const campaign = await createCampaign();
+    await request(app).post(`/api/campaigns/${campaign.id}/pause`).expect(409);
+    await request(app).post(`/api/campaigns/${campaign.id}/start`).expect(200);
+
+    const paused = await request(app).post(`/api/campaigns/${campaign.id}/pause`).expect(200);
+    expect(paused.body.data.campaign.status).toBe('paused');
+    await tick(NOW);
+    expect(twilioService.initiateCall).not.toHaveBeenCalled();
+
+    await request(app).post(`/api/campaigns/${campaign.id}/resume`).expect(200);
+    await tick(NOW);
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(1);
+
+    const cancelled = await request(app).post(`/api/campaigns/${campaign.id}/cancel`).expect(200);
+    expect(cancelled.body.data.campaign.status).toBe('cancelled');
+    await request(app).post(`/api/campaigns/${campaign.id}/resume`).expect(409);
+    await request(app).post('/api/campaigns/missing/start').expect(404);
+  });
+
+  it('takes back queued dials when paused and queues them again on resume', async () => {
+    const campaign = await createCampaign();
+    await campaignService.startCampaign(campaign.id);
+    // Queued by the campaign but not yet placed by the dial queue
+    await campaignService.tick(NOW);
+    const [queued] = await campaignService.listLeads(campaign.id, { status: 'dialing' });
+
+    await campaignService.pauseCampaign(campaign.id);
+    expect((await dialQueueService.getJob(queued.lastJobId)).status).toBe('cancelled');
+    expect(await campaignService.listLeads(campaign.id, { status: 'dialing' })).toEqual([]);
+    await tick(minutesLater(1));
+    expect(twilioService.initiateCall).not.toHaveBeenCalled();
+
+    await campaignService.resumeCampaign(campaign.id);
+    await tick(minutesLater(2));
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(1);
+    const [lead] = await campaignService.listLeads(campaign.id, { status: 'dialing' });
+    expect(lead).toMatchObject({ customerId: queued.customerId, attempts: 1 });
+    expect(lead.calls).toHaveLength(1);
+  });
+
+  it('prewarms the lines every call speaks, but not ones with customer details', async () => {
+    await createCampaign();
+    const prewarm = jest.spyOn(elevenlabsService, 'prewarm').mockResolvedValue({ rendered: 0, cached: 0, failed: 0 });
+
+    await campaignService.prewarmSpeech({ mediaStreams: true });
+
+    const [texts, options] = prewarm.mock.calls[0];
+    expect(options).toEqual({ mediaStreams: true, voiceId: null });
+    expect(texts).toEqual(expect.arrayContaining([
+      'What date and time works best for you?',
+      "I'm sorry about that, I must have the wrong number. Thank you for your time, and have a good day!",
+      recordingService.messages.consentPrompt,
+      FALLBACK_PROMPTS.noReply
+    ]));
+    expect(texts.some(text => text.includes('{') || text.includes('Sarah from Premier Auto'))).toBe(false);
+
+    prewarm.mockRestore();
+  });
+
+  describe('store driver', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    const load = () => {
+      let service;
+      jest.isolateModules(() => {
+        service = require('../src/services/campaignService');
+      });
+      return service;
+    };
+
+    it('keeps campaigns and their leads on disk unless a driver is configured', () => {
+      delete process.env.CAMPAIGN_STORE;
+      delete process.env.STORE_DRIVER;
+      process.env.NODE_ENV = 'development';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load().leads.driver).toBe('file');
+    });
+
+    it('refuses the memory store in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.CAMPAIGN_STORE = 'memory';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load).toThrow('Campaigns cannot use the memory store in production');
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const express = require('express');
+const request = require('supertest');
+const complianceService = require('../src/services/complianceService');
+const tenantService = require('../src/services/tenantService');
+const complianceRoutes = require('../src/controllers/complianceController');
+const { errorHandler } = require('../src/utils/errorHandler');
+
+// Monday 19 October 2026: 10am in New York, 7am in Los Angeles
+const NOW = new Date('2026-10-19T14:00:00Z');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = {
+    id: 'test',
+    role: req.get('X-Test-Role') || 'campaign_manager',
+    type: 'api_key',
+    tenantId: req.get('X-Test-Tenant')
+  };
+  next();
+});
+app.use('/api/compliance', complianceRoutes);
+app.use(errorHandler);
+
+describe('Compliance guard', () => {
+  beforeEach(async () => {
+    for (const entry of await complianceService.dnc.list()) {
+      await complianceService.dnc.delete(entry.phone);
+    }
+    for (const entry of await complianceService.audit.list()) {
+      await complianceService.audit.delete(entry.id);
+    }
+  });
+
+  describe('local calling hours', () => {
+    it('derives the timezone from the area or country code', () => {
+      expect(complianceService.getTimezone('+12125550100')).toMatchObject({ timezone: 'America/New_York', derivedFrom: 'area_code' });
+      expect(complianceService.getTimezone(complianceService.normalizePhone('(415) 555-0100'))).toMatchObject({ timezone: 'America/Los_Angeles' });
+      expect(complianceService.getTimezone('+442071234567')).toMatchObject({ timezone: 'Europe/London', derivedFrom: 'country_code' });
+      expect(complianceService.getTimezone('+19995550100')).toMatchObject({ derivedFrom: 'default' });
+    });
+
+    it('blocks numbers where it is outside calling hours and says when they open', async () => {
+      expect(await complianceService.checkDial('+12125550100', { now: NOW })).toMatchObject({ allowed: true, localTime: 'Mon 10:00' });
+
+      const losAngeles = await complianceService.checkDial('+14155550100', { now: NOW });
+      expect(losAngeles).toMatchObject({
+        allowed: false,
+        reason: 'outside_calling_hours',
+        localTime: 'Mon 07:00',
+        nextAllowedAt: '2026-10-19T15:00:00.000Z'
+      });
+    });
+
+    it('rolls late-evening calls over to the next morning', async () => {
+      const check = await complianceService.checkDial('+12125550100', { now: new Date('2026-10-20T02:00:00Z') });
+      expect(check).toMatchObject({ allowed: false, localTime: 'Mon 22:00', nextAllowedAt: '2026-10-20T12:00:00.000Z' });
+    });
+
+    it('rejects numbers that cannot be dialled', async () => {
+      expect(await complianceService.checkDial('12345', { now: NOW })).toMatchObject({ allowed: false, reason: 'invalid_number' });
+      expect(await complianceService.checkDial('+15551234567', { now: NOW })).toMatchObject({
+        allowed: false,
+        reason: 'invalid_number',
+        detail: '+15551234567 is not a number in service'
+      });
+    });
+
+    it('reads national numbers in the given country and reports the line type', async () => {
+      const check = await complianceService.checkDial('020 7946 0018', { now: NOW, country: 'GB' });
+      expect(check).toMatchObject({ allowed: true, phone: '+442079460018', lineType: 'landline', timezone: 'Europe/London' });
+    });
+  });
+
+  describe('do-not-call list', () => {
+    it('blocks listed numbers whatever format they are given in', async () => {
+      const { added } = await complianceService.addToDnc('(212) 555-0100', { reason: 'Asked not to be called' });
+      expect(added).toBe(true);
+      expect((await complianceService.addToDnc('+1 212 555 0100')).added).toBe(false);
+
+      expect(await complianceService.checkDial('+12125550100', { now: NOW })).toMatchObject({ allowed: false, reason: 'do_not_call' });
+
+      await complianceService.removeFromDnc('212-555-0100');
+      expect((await complianceService.checkDial('+12125550100', { now: NOW })).allowed).toBe(true);
+    });
+
+    it('reads national numbers in the given country when checking and removing', async () => {
+      await complianceService.addToDnc('020 7946 0018', { country: 'GB' });
+
+      expect(await complianceService.isOnDnc('020 7946 0018', { country: 'GB' })).toBe(true);
+      expect(await complianceService.getDncEntry('020 7946 0018', { country: 'GB' })).toMatchObject({ phone: '+442079460018' });
+
+      expect(await complianceService.removeFromDnc('020 7946 0018', { country: 'GB' })).toBe(true);
+      expect(await complianceService.isOnDnc('+442079460018')).toBe(false);
+    });
+
+    it('blocks customers whose sheet status is do_not_call', async () => {
+      const check = await complianceService.checkDial('+12125550100', { now: NOW, customer: { status: 'Do_Not_Call' } });
+      expect(check).toMatchObject({ allowed: false, reason: 'do_not_call' });
+    });
+
+    it('imports a CSV list using its phone column', async () => {
+      await complianceService.addToDnc('+12125550100');
+      const csv = 'Name,Phone Number\n"Smith, Jane",212-555-0100\nBob,(305) 555-0199\nNobody,n/a\n';
+
+      const summary = await complianceService.importDncCsv(csv, { source: 'national_registry' });
+
+      expect(summary).toEqual({ total: 3, added: 1, alreadyListed: 1, invalid: 1, invalidRows: [{ row: 4, value: 'n/a' }] });
+      expect(await complianceService.getDncEntry('+13055550199')).toMatchObject({ source: 'national_registry' });
+    });
+  });
+
+  describe('assertCanDial', () => {
+    it('throws a 403 and writes the blocked dial to the audit log', async () => {
+      const customer = { id: 'C1', name: 'Jane', phone: '+14155550100' };
+
+      await expect(complianceService.assertCanDial(customer.phone, { customer, source: 'bulk', now: NOW }))
+        .rejects.toMatchObject({ statusCode: 403, compliance: { reason: 'outside_calling_hours' } });
+
+      const [entry] = await complianceService.listAudit({ customerId: 'C1' });
+      expect(entry).toMatchObject({
+        phone: '+14155550100',
+        customerName: 'Jane',
+        source: 'bulk',
+        reason: 'outside_calling_hours',
+        timezone: 'America/Los_Angeles'
+      });
+    });
+
+    it('lets allowed dials through without logging them', async () => {
+      await expect(complianceService.assertCanDial('+12125550100', { now: NOW })).resolves.toMatchObject({ allowed: true });
+      expect(await complianceService.listAudit()).toHaveLength(0);
+    });
+  });
+
+  describe('/api/compliance', () => {
+    it('adds, lists and removes DNC numbers', async () => {
+      const created = await request(app)
+        .post('/api/compliance/dnc')
+        .send({ phoneNumber: '212 555 0100', reason: 'Complaint' })
+        .expect(201);
+      expect(created.body.data.entry).toMatchObject({ phone: '+12125550100', source: 'internal', addedBy: 'test' });
+
+      const list = await request(app).get('/api/compliance/dnc').expect(200);
+      expect(list.body.data.count).toBe(1);
+
+      // Only admins can take numbers off the list
+      await request(app).delete('/api/compliance/dnc/+12125550100').expect(403);
+      await request(app).delete('/api/compliance/dnc/+12125550100').set('X-Test-Role', 'admin').expect(200);
+      await request(app).get('/api/compliance/dnc/+12125550100').expect(404);
+    });
+
+    it('looks up and removes numbers in the tenant\'s country', async () => {
+      if (!tenantService.get('london')) {
+        tenantService.registerTenant({
+          id: 'london',
+          name: 'London Motors',
+          country: 'GB',
+          phoneNumbers: ['020 7946 0999'],
+          spreadsheetId: 'sheet-london'
+        });
+      }
+      await complianceService.addToDnc('020 7946 0018', { country: 'GB', tenantId: 'london' });
+
+      await request(app).get('/api/compliance/dnc/020%207946%200018').set('X-Test-Tenant', 'london').expect(200);
+      await request(app)
+        .delete('/api/compliance/dnc/020%207946%200018')
+        .set('X-Test-Tenant', 'london')
+        .set('X-Test-Role', 'admin')
+        .expect(200);
+      expect(await complianceService.isOnDnc('+442079460018')).toBe(false);
+    });
+
+    it('imports an uploaded CSV file', async () => {
+      const response = await request(app)
+        .post('/api/compliance/dnc/import')
+        .field('source', 'state_registry')
+        .attach('file', Buffer.from('phone\n+13055550199\n+13055550198\n'), 'dnc.csv')
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ total: 2, added: 2 });
+    });
+
+    it('rejects imports without a CSV file', async () => {
+      await request(app).post('/api/compliance/dnc/import').expect(400);
+      await request(app)
+        .post('/api/compliance/dnc/import')
+        .attach('file', Buffer.from('%PDF'), 'list.pdf')
+        .expect(400);
+    });
+
+    it('lists blocked dials', async () => {
+      await complianceService.addToDnc('+12125550100');
+      await complianceService.assertCanDial('+12125550100', { now: NOW }).catch(() => {});
+
+      const response = await request(app).get('/api/compliance/audit?reason=do_not_call').expect(200);
+      expect(response.body.data.entries).toEqual([expect.objectContaining({ phone: '+12125550100', reason: 'do_not_call' })]);
+    });
+  });
+
+  describe('store driver', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    const load = () => {
+      let service;
+      jest.isolateModules(() => {
+        service = require('../src/services/complianceService');
+      });
+      return service;
+    };
+
+    it('keeps the do-not-call list on disk unless a driver is configured', () => {
+      delete process.env.COMPLIANCE_STORE;
+      delete process.env.STORE_DRIVER;
+      process.env.NODE_ENV = 'development';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load().dnc.driver).toBe('file');
+    });
+
+    it('refuses the memory store in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.COMPLIANCE_STORE = 'memory';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load).toThrow('The do-not-call list cannot use the memory store in production');
+    });
+  });
+});
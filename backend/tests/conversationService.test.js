@@ -0,0 +1,386 @@
+jest.mock('../src/services/googleSheetsService', () => ({
+  updateCustomerData: jest.fn().mockResolvedValue(true),
+  updateCustomerRecord: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../src/services/emailService', () => ({
+  sendSimilarCarsEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendAppointmentConfirmationEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../src/services/openaiService', () => ({
+  generateResponse: jest.fn().mockRejectedValue(new Error('offline'))
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const googleSheetsService = require('../src/services/googleSheetsService');
+const emailService = require('../src/services/emailService');
+const openaiService = require('../src/services/openaiService');
+const conversationService = require('../src/services/conversationService');
+const scriptService = require('../src/services/scriptService');
+const callHistoryService = require('../src/services/callHistoryService');
+const schedulingService = require('../src/services/schedulingService');
+const complianceService = require('../src/services/complianceService');
+
+// Monday 19 October 2026, 10am in the dealership's default timezone (America/New_York)
+const NOW = new Date('2026-10-19T14:00:00Z');
+
+const customer = {
+  id: 'CUST_1',
+  name: 'Jane',
+  phone: '+15551234567',
+  carModel: 'Model Y'
+};
+
+describe('ConversationService script engine', () => {
+  beforeAll(() => {
+    // Only the clock is faked; timers keep running normally
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('starts on the default script and records its version', async () => {
+    const result = await conversationService.generateInitialGreeting('CA_start', customer);
+    const conversation = await conversationService.getConversation('CA_start');
+
+    expect(result.response).toBe('Hi Jane, this is Sarah from Premier Auto. You recently enquired about the Model Y. Is now a good time to talk?');
+    expect(result.shouldContinue).toBe(true);
+    expect(conversation.script).toEqual({ id: 'car-enquiry', version: '1.6.0' });
+    expect(conversation.currentStep).toBe('greeting');
+  });
+
+  it('walks the similar-cars branch and applies sheet side effects', async () => {
+    await conversationService.generateInitialGreeting('CA_similar', customer);
+
+    await conversationService.processCustomerInput('CA_similar', 'yes go ahead');
+    const declined = await conversationService.processCustomerInput('CA_similar', 'nope, bought one already');
+    expect(declined.nextStep).toBe('offer_similar');
+    expect(googleSheetsService.updateCustomerData).toHaveBeenCalledWith(customer.phone, { interested: 'No' }, { tenantId: 'default' });
+
+    await conversationService.processCustomerInput('CA_similar', 'yes please');
+    const done = await conversationService.processCustomerInput('CA_similar', 'it is jane@example.com');
+
+    expect(done.nextStep).toBe('email_sent');
+    expect(done.shouldContinue).toBe(false);
+    expect(googleSheetsService.updateCustomerData).toHaveBeenCalledWith(customer.phone, { email: 'jane@example.com' }, { tenantId: 'default' });
+    expect(emailService.sendSimilarCarsEmail).toHaveBeenCalled();
+  });
+
+  it('asks for a time when the customer agrees without giving one', async () => {
+    await conversationService.generateInitialGreeting('CA_appt', { ...customer, email: 'jane@example.com' });
+    await conversationService.processCustomerInput('CA_appt', 'yes');
+    await conversationService.processCustomerInput('CA_appt', 'yes I am');
+
+    const ask = await conversationService.processCustomerInput('CA_appt', 'sure');
+    expect(ask.nextStep).toBe('ask_appointment_time');
+
+    const confirm = await conversationService.processCustomerInput('CA_appt', 'next Tuesday afternoon');
+    expect(confirm.nextStep).toBe('confirm_appointment');
+    expect(confirm.response).toContain('Tuesday, October 27 at 2pm');
+    expect(googleSheetsService.updateCustomerData).not.toHaveBeenCalledWith(customer.phone, expect.objectContaining({ E: expect.anything() }));
+
+    const booked = await conversationService.processCustomerInput('CA_appt', 'yes');
+    expect(booked.nextStep).toBe('appointment_booked');
+    expect(googleSheetsService.updateCustomerData).toHaveBeenCalledWith(customer.phone, { appointmentDate: '2026-10-27T14:00:00-04:00' }, { tenantId: 'default' });
+
+    const conversation = await conversationService.getConversation('CA_appt');
+    const appointment = await schedulingService.getAppointment(conversation.data.appointmentId);
+    expect(appointment).toMatchObject({ start: '2026-10-27T14:00:00-04:00', vehicle: 'Model Y', callSid: 'CA_appt', status: 'booked' });
+
+    expect(emailService.sendAppointmentConfirmationEmail).toHaveBeenCalledWith('jane@example.com', 'Jane', expect.objectContaining({
+      date: 'Tuesday, October 27',
+      time: '2pm',
+      carModel: 'Model Y',
+      ics: expect.stringContaining('DTSTART:20261027T180000Z')
+    }), { tenantId: 'default' });
+  });
+
+  it('asks for an email address after booking when there is none on file', async () => {
+    await conversationService.generateInitialGreeting('CA_appt_no_email', customer);
+    await conversationService.processCustomerInput('CA_appt_no_email', 'yes');
+    await conversationService.processCustomerInput('CA_appt_no_email', 'yes I am');
+    await conversationService.processCustomerInput('CA_appt_no_email', 'yes, Thursday the 29th at 10am');
+
+    const booked = await conversationService.processCustomerInput('CA_appt_no_email', 'yes');
+    expect(booked.nextStep).toBe('ask_confirmation_email');
+    expect(booked.response).not.toContain('send you a confirmation');
+    expect(emailService.sendAppointmentConfirmationEmail).not.toHaveBeenCalled();
+
+    const sent = await conversationService.processCustomerInput('CA_appt_no_email', "it's jane.doe@example.com");
+    expect(sent).toMatchObject({ nextStep: 'confirmation_sent', shouldContinue: false });
+    expect(googleSheetsService.updateCustomerData).toHaveBeenCalledWith(customer.phone, { email: 'jane.doe@example.com' }, { tenantId: 'default' });
+    expect(emailService.sendAppointmentConfirmationEmail).toHaveBeenCalledWith('jane.doe@example.com', 'Jane', expect.objectContaining({
+      date: 'Thursday, October 29',
+      time: '10am'
+    }), { tenantId: 'default' });
+  });
+
+  it('keeps the booking when the confirmation email fails', async () => {
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+    jest.spyOn(schedulingService, 'buildInvite').mockImplementationOnce(() => { throw new Error('bad invite'); });
+
+    await conversationService.generateInitialGreeting('CA_appt_email_fails', { ...customer, email: 'jane@example.com' });
+    await conversationService.processCustomerInput('CA_appt_email_fails', 'yes');
+    await conversationService.processCustomerInput('CA_appt_email_fails', 'yes I am');
+    await conversationService.processCustomerInput('CA_appt_email_fails', 'yes, Thursday the 29th at 3pm');
+    const booked = await conversationService.processCustomerInput('CA_appt_email_fails', 'yes');
+    await new Promise(resolve => setImmediate(resolve));
+    process.off('unhandledRejection', unhandled);
+
+    expect(booked.nextStep).toBe('appointment_booked');
+    expect(emailService.sendAppointmentConfirmationEmail).not.toHaveBeenCalled();
+    expect(unhandled).not.toHaveBeenCalled();
+  });
+
+  it('offers the nearest free slots when the requested one is taken', async () => {
+    const taken = '2026-10-28T11:00:00-04:00';
+    await schedulingService.reserve({ start: taken, customer: { id: 'OTHER_1' } });
+    await schedulingService.reserve({ start: taken, customer: { id: 'OTHER_2' } });
+
+    await conversationService.generateInitialGreeting('CA_taken', customer);
+    await conversationService.processCustomerInput('CA_taken', 'yes');
+    await conversationService.processCustomerInput('CA_taken', 'yes I am');
+
+    const offer = await conversationService.processCustomerInput('CA_taken', 'yes, Wednesday the 28th at 11am');
+    expect(offer.nextStep).toBe('ask_appointment_time');
+    expect(offer.response).toContain('that time is already taken');
+    expect(offer.response).toContain('Wednesday, October 28 at 10am');
+
+    const chosen = await conversationService.processCustomerInput('CA_taken', 'the first one');
+    expect(chosen.nextStep).toBe('confirm_appointment');
+    expect(chosen.response).toContain('Wednesday, October 28 at 10am');
+  });
+
+  it('explains when the requested slot is outside opening hours', async () => {
+    await conversationService.generateInitialGreeting('CA_closed', customer);
+    await conversationService.processCustomerInput('CA_closed', 'yes');
+    await conversationService.processCustomerInput('CA_closed', 'yes I am');
+
+    const closed = await conversationService.processCustomerInput('CA_closed', 'sure, Sunday at 11am');
+    expect(closed.nextStep).toBe('ask_appointment_time');
+    expect(closed.response).toContain('closed on Sundays');
+
+    const retry = await conversationService.processCustomerInput('CA_closed', 'saturday at 11 then');
+    expect(retry.nextStep).toBe('confirm_appointment');
+    expect(retry.response).toContain('Saturday, October 24 at 11am');
+  });
+
+  it('logs every turn and the outcome to call history', async () => {
+    await conversationService.generateInitialGreeting('CA_history', customer, { campaign: 'car-enquiry' });
+    await conversationService.processCustomerInput('CA_history', 'no, bad time', { confidence: '0.91' });
+    await callHistoryService.recordStatus('CA_history', 'completed', { duration: '42', finalStep: 'call_back_later' });
+
+    const call = await callHistoryService.getCall('CA_history');
+    const turns = await callHistoryService.getTranscript('CA_history');
+
+    expect(call).toMatchObject({
+      customerId: 'CUST_1',
+      campaign: 'car-enquiry',
+      script: { id: 'car-enquiry', version: '1.6.0' },
+      status: 'completed',
+      duration: 42,
+      outcome: 'callback_requested',
+      turnCount: 3
+    });
+    expect(turns.map(turn => turn.speaker)).toEqual(['bot', 'customer', 'bot']);
+    expect(turns[1].confidence).toBe(0.91);
+    expect(typeof turns[2].latencyMs).toBe('number');
+  });
+
+  it('carries on with a lead who says they are not busy', async () => {
+    await conversationService.generateInitialGreeting('CA_not_busy', customer);
+    const result = await conversationService.processCustomerInput('CA_not_busy', "I'm not busy, go ahead");
+
+    expect(result.nextStep).toBe('confirm_interest');
+    expect(result.shouldContinue).toBe(true);
+  });
+
+  it('reprompts when no transition matches', async () => {
+    await conversationService.generateInitialGreeting('CA_unclear', customer);
+    const result = await conversationService.processCustomerInput('CA_unclear', 'hmm');
+
+    expect(result.nextStep).toBe('greeting');
+    expect(result.response).toContain('is this a good time');
+  });
+
+  it('hands unmatched questions to the AI instead of reprompting', async () => {
+    await conversationService.generateInitialGreeting('CA_question', customer);
+    const result = await conversationService.processCustomerInput('CA_question', 'who is this?');
+
+    expect(openaiService.generateResponse).toHaveBeenCalled();
+    expect(result.nextStep).toBe('greeting');
+    expect(result.response).toContain('could you repeat that');
+  });
+
+  it('ends politely when the customer is the wrong person', async () => {
+    await conversationService.generateInitialGreeting('CA_wrong', customer);
+    const result = await conversationService.processCustomerInput('CA_wrong', 'sorry, you have the wrong number');
+    const turns = await callHistoryService.getTranscript('CA_wrong');
+
+    expect(result.nextStep).toBe('wrong_person_close');
+    expect(result.shouldContinue).toBe(false);
+    expect(turns[1].intent).toMatchObject({ intent: 'wrong_person', source: 'rules' });
+  });
+
+  it('opts the customer out from any step and adds them to the do-not-call list', async () => {
+    await conversationService.generateInitialGreeting('CA_optout', customer);
+    await conversationService.processCustomerInput('CA_optout', 'yes go ahead');
+
+    // Mid-flow, where a plain "no" would move on to offering similar cars
+    const result = await conversationService.processCustomerInput('CA_optout', 'no, take me off your list');
+    const call = await callHistoryService.getCall('CA_optout');
+
+    expect(result.nextStep).toBe('opt_out_close');
+    expect(result.shouldContinue).toBe(false);
+    expect(result.response).toContain('taken your number off our call list');
+    expect(call.outcome).toBe('do_not_call');
+    expect(googleSheetsService.updateCustomerRecord).toHaveBeenCalledWith('CUST_1', {
+      status: 'do_not_call',
+      callResult: 'do_not_call'
+    }, { tenantId: 'default' });
+    expect(await complianceService.getDncEntry(customer.phone)).toMatchObject({
+      source: 'opt_out',
+      customerId: 'CUST_1',
+      callSid: 'CA_optout'
+    });
+
+    await complianceService.removeFromDnc(customer.phone);
+  });
+
+  it('keeps an opt-out from an ad-hoc call after a restart', async () => {
+    const env = { ...process.env };
+    process.env.COMPLIANCE_STORE = 'file';
+    process.env.STORE_FILE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dnc-'));
+    const load = name => {
+      let service;
+      jest.isolateModules(() => {
+        service = require(`../src/services/${name}`);
+      });
+      return service;
+    };
+
+    try {
+      // No sheet row to mark do_not_call, so the list is all that stops the next dial
+      const conversations = load('conversationService');
+      await conversations.generateInitialGreeting('CA_adhoc_optout', { ...customer, id: 'TEMP_1760882400000', phone: '+12125550188' });
+      await conversations.processCustomerInput('CA_adhoc_optout', 'stop calling me');
+
+      const restarted = load('complianceService');
+      expect(await restarted.isOnDnc('+12125550188')).toBe(true);
+      expect(await restarted.checkDial('+12125550188', { now: NOW })).toMatchObject({ allowed: false, reason: 'do_not_call' });
+    } finally {
+      fs.rmSync(process.env.STORE_FILE_DIR, { recursive: true, force: true });
+      process.env = env;
+    }
+  });
+});
+
+describe('ScriptService', () => {
+  it('rejects scripts with dangling transitions', () => {
+    const errors = scriptService.validateScript({
+      id: 'broken',
+      version: '1',
+      start: 'a',
+      nodes: {
+        a: { prompt: 'Hi', transitions: [{ intent: 'affirm', next: 'missing' }] }
+      }
+    });
+
+    expect(errors).toEqual(['node "a" transition 0 points to unknown node "missing"']);
+  });
+
+  it('rejects transitions on unknown intents', () => {
+    const errors = scriptService.validateScript({
+      id: 'typo',
+      version: '1',
+      start: 'a',
+      nodes: {
+        a: { prompt: 'Hi', transitions: [{ intent: ['affirm', 'yes'], next: 'b' }] },
+        b: { prompt: 'Bye', end: true }
+      }
+    });
+
+    expect(errors).toEqual(['node "a" transition 0 uses unknown intent "yes"']);
+  });
+
+  it('accepts sheet fields by name or old Leads column letter, and rejects others', () => {
+    const errors = scriptService.validateScript({
+      id: 'sheet-fields',
+      version: '1',
+      start: 'a',
+      nodes: {
+        a: { prompt: 'Hi', transitions: [{ intent: 'affirm', sheet: { interested: 'Yes', G: '{email}', colour: 'red' }, next: 'b' }] },
+        b: { prompt: 'Bye', end: true }
+      }
+    });
+
+    expect(errors).toEqual(['node "a" transition 0 writes unknown sheet field "colour"']);
+  });
+
+  it('requires the optOut node to end the call', () => {
+    const errors = scriptService.validateScript({
+      id: 'opt-out',
+      version: '1',
+      start: 'a',
+      optOut: 'a',
+      nodes: {
+        a: { prompt: 'Hi', transitions: [{ intent: 'affirm', next: 'b' }] },
+        b: { prompt: 'Bye', end: true }
+      }
+    });
+
+    expect(errors).toEqual(['optOut node "a" must be an existing end node']);
+  });
+
+  it('serves the latest version unless one is pinned', () => {
+    scriptService.registerScript({
+      id: 'versioned',
+      version: '1.9.0',
+      start: 'a',
+      nodes: { a: { prompt: 'old', end: true } }
+    });
+    scriptService.registerScript({
+      id: 'versioned',
+      version: '1.10.0',
+      start: 'a',
+      nodes: { a: { prompt: 'new', end: true } }
+    });
+
+    expect(scriptService.getScript('versioned').version).toBe('1.10.0');
+    expect(scriptService.getScript('versioned', '1.9.0').nodes.a.prompt).toBe('old');
+  });
+
+  it('keeps earlier versions of a script for conversations that started on them', async () => {
+    expect(scriptService.getScript('car-enquiry').version).toBe('1.6.0');
+    expect(scriptService.listScripts().find(script => script.id === 'car-enquiry').versions)
+      .toEqual(['1.0.0', '1.1.0', '1.2.0', '1.3.0', '1.4.0', '1.5.0', '1.6.0']);
+
+    await conversationService.generateInitialGreeting('CA_pinned', customer, { scriptId: 'car-enquiry', scriptVersion: '1.0.0' });
+    expect((await conversationService.processCustomerInput('CA_pinned', 'yes go ahead')).nextStep).toBe('confirm_interest');
+    expect((await conversationService.getConversation('CA_pinned')).script.version).toBe('1.0.0');
+  });
+
+  it('moves a conversation whose script version is gone to the latest version', async () => {
+    await conversationService.generateInitialGreeting('CA_removed', customer);
+    const conversation = await conversationService.getConversation('CA_removed');
+    conversation.script = { id: 'car-enquiry', version: '0.9.0' };
+    await conversationService.saveConversation(conversation);
+
+    const result = await conversationService.processCustomerInput('CA_removed', 'yes go ahead');
+
+    expect(result.nextStep).toBe('confirm_interest');
+    expect((await conversationService.getConversation('CA_removed')).script).toEqual({ id: 'car-enquiry', version: '1.6.0' });
+  });
+
+  it('renders placeholders and blanks unknown ones', () => {
+    expect(scriptService.renderTemplate('Hi {customerName}{missing}!', { customerName: 'Jane' })).toBe('Hi Jane!');
+  });
+});
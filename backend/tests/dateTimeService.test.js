@@ -0,0 +1,59 @@
+const dateTimeService = require('../src/services/dateTimeService');
+
+// Monday 19 October 2026, 10am in America/New_York
+const NOW = new Date('2026-10-19T14:00:00Z');
+
+describe('DateTimeService.resolveAppointment', () => {
+  it.each([
+    ['next Tuesday afternoon', '2026-10-27T14:00:00-04:00'],
+    ['the 14th around 10', '2026-11-14T10:00:00-05:00'],
+    ['tomorrow at 3', '2026-10-20T15:00:00-04:00'],
+    ['friday morning', '2026-10-23T10:00:00-04:00'],
+    ['on the 3rd at half past two', '2026-11-03T14:30:00-05:00'],
+    ["thursday at two o'clock", '2026-10-22T14:00:00-04:00']
+  ])('resolves "%s" in the dealership timezone', (text, iso) => {
+    expect(dateTimeService.resolveAppointment(text, NOW).value).toBe(iso);
+  });
+
+  it('reads the slot back in a speakable form', () => {
+    expect(dateTimeService.resolveAppointment('wednesday at 9:30', NOW).display).toBe('Wednesday, October 21 at 9:30am');
+  });
+
+  it('returns null when no date is mentioned', () => {
+    expect(dateTimeService.resolveAppointment('I am not sure', NOW)).toBeNull();
+  });
+
+  it('asks for a time when only a day is given', () => {
+    expect(dateTimeService.resolveAppointment('wednesday', NOW).error).toBe('What time on Wednesday, October 21 works best for you?');
+  });
+
+  it.each([
+    ['yesterday at 3pm', 'already passed'],
+    ['sunday at 11am', 'closed on Sundays'],
+    ['tomorrow at 7pm', 'open from 9am to 6pm']
+  ])('rejects "%s"', (text, message) => {
+    expect(dateTimeService.resolveAppointment(text, NOW).error).toContain(message);
+  });
+});
+
+describe('DateTimeService.checkSlot', () => {
+  const originalHolidays = dateTimeService.holidays;
+
+  afterEach(() => {
+    dateTimeService.holidays = originalHolidays;
+  });
+
+  it('rejects configured holidays', () => {
+    dateTimeService.holidays = ['2026-10-21'];
+
+    expect(dateTimeService.checkSlot('2026-10-21T11:00:00-04:00', NOW)).toMatchObject({ valid: false, reason: 'holiday' });
+  });
+
+  it('accepts a slot inside opening hours', () => {
+    expect(dateTimeService.checkSlot('2026-10-24T15:30:00-04:00', NOW)).toEqual({ valid: true });
+  });
+
+  it('summarises opening hours', () => {
+    expect(dateTimeService.describeHours()).toBe('Monday to Friday 9am to 6pm, Saturday 10am to 4pm');
+  });
+});
@@ -0,0 +1,218 @@
+jest.mock('../src/services/googleSheetsService', () => ({
+  getCustomerData: jest.fn()
+}));
+jest.mock('../src/services/twilioService', () => ({
+  initiateCall: jest.fn()
+}));
+jest.mock('../src/services/openaiService', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const googleSheetsService = require('../src/services/googleSheetsService');
+const twilioService = require('../src/services/twilioService');
+const callHistoryService = require('../src/services/callHistoryService');
+const dialQueueService = require('../src/services/dialQueueService');
+const callRoutes = require('../src/controllers/callController');
+const { errorHandler } = require('../src/utils/errorHandler');
+
+const NOW = new Date('2026-10-19T14:00:00Z');
+const secondsLater = seconds => new Date(NOW.getTime() + seconds * 1000);
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'test', role: 'campaign_manager', type: 'api_key' };
+  next();
+});
+app.use('/api/calls', callRoutes);
+app.use(errorHandler);
+
+const customer = (id) => ({ id, name: `Customer ${id}`, phone: `+1212555${id.slice(-4)}`, carModel: 'Camry' });
+
+let callCount = 0;
+
+describe('Dial queue', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    twilioService.initiateCall.mockImplementation(async (phone, data) => {
+      const callSid = `CA_queue_${++callCount}`;
+      await callHistoryService.startCall(callSid, { customer: data, status: 'queued' });
+      return { callSid, status: 'queued' };
+    });
+
+    for (const job of await dialQueueService.listJobs()) {
+      await dialQueueService.jobs.delete(job.id);
+    }
+    dialQueueService.limits = { maxConcurrentCalls: 2, callsPerSecond: 1 };
+    dialQueueService.tokens = null;
+  });
+
+  it('returns the open job when a customer is queued twice', async () => {
+    const first = await dialQueueService.enqueue({ customer: customer('C0001') });
+    const second = await dialQueueService.enqueue({ customer: { ...customer('C0001'), name: 'Again' } });
+
+    expect(first.duplicate).toBe(false);
+    expect(second).toEqual({ job: first.job, duplicate: true });
+    expect(await dialQueueService.listJobs()).toHaveLength(1);
+  });
+
+  it('dials within the calls-per-second and concurrency limits', async () => {
+    await dialQueueService.enqueueBatch(['C0001', 'C0002', 'C0003', 'C0004'].map(customer));
+
+    await dialQueueService.tick(NOW);
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(1);
+
+    await dialQueueService.tick(secondsLater(1));
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(2);
+
+    // Two calls in progress: the third waits for a free line however long it takes
+    await dialQueueService.tick(secondsLater(30));
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(2);
+
+    const [firstJob] = await dialQueueService.listJobs({ status: 'in_progress' });
+    await callHistoryService.recordStatus(firstJob.callSid, 'no-answer');
+
+    await dialQueueService.tick(secondsLater(31));
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(3);
+    expect(await dialQueueService.getJob(firstJob.id)).toMatchObject({ status: 'completed', outcome: 'no-answer' });
+  });
+
+  it('honours notBefore', async () => {
+    await dialQueueService.enqueue({ customer: customer('C0001'), notBefore: secondsLater(60).toISOString() });
+
+    await dialQueueService.tick(NOW);
+    expect(twilioService.initiateCall).not.toHaveBeenCalled();
+
+    await dialQueueService.tick(secondsLater(60));
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks jobs failed when the call cannot be placed', async () => {
+    twilioService.initiateCall.mockRejectedValueOnce(new Error('Failed to initiate call: invalid number'));
+    const { job } = await dialQueueService.enqueue({ customer: customer('C0001') });
+
+    await dialQueueService.tick(NOW);
+    expect(await dialQueueService.getJob(job.id)).toMatchObject({
+      status: 'failed',
+      outcome: 'failed',
+      error: 'Failed to initiate call: invalid number'
+    });
+  });
+
+  it('waits for local calling hours when the compliance check defers the dial', async () => {
+    const blocked = new Error('Call blocked: It is Mon 07:00 for the customer (America/Los_Angeles)');
+    blocked.compliance = { allowed: false, reason: 'outside_calling_hours', nextAllowedAt: '2026-10-19T15:00:00.000Z' };
+    twilioService.initiateCall.mockRejectedValueOnce(blocked);
+    const { job } = await dialQueueService.enqueue({ customer: customer('C0001') });
+
+    await dialQueueService.tick(NOW);
+    expect(await dialQueueService.getJob(job.id)).toMatchObject({ status: 'queued', notBefore: '2026-10-19T15:00:00.000Z' });
+
+    await dialQueueService.tick(secondsLater(60));
+    expect(twilioService.initiateCall).toHaveBeenCalledTimes(1);
+  });
+
+  it('closes jobs for numbers on the do-not-call list as blocked', async () => {
+    const blocked = new Error('Call blocked: Number is on the internal do-not-call list');
+    blocked.compliance = { allowed: false, reason: 'do_not_call' };
+    twilioService.initiateCall.mockRejectedValueOnce(blocked);
+    const { job } = await dialQueueService.enqueue({ customer: customer('C0001') });
+
+    await dialQueueService.tick(NOW);
+    expect(await dialQueueService.getJob(job.id)).toMatchObject({ status: 'failed', outcome: 'blocked' });
+  });
+
+  it('fails jobs interrupted mid-dial instead of dialling them again', async () => {
+    const { job } = await dialQueueService.enqueue({ customer: customer('C0001') });
+    await dialQueueService.jobs.set(job.id, { ...job, status: 'dialing' });
+
+    await dialQueueService.recover();
+    await dialQueueService.tick(NOW);
+
+    expect(twilioService.initiateCall).not.toHaveBeenCalled();
+    expect((await dialQueueService.getJob(job.id)).status).toBe('failed');
+  });
+
+  describe('POST /api/calls/bulk-initiate', () => {
+    beforeEach(() => {
+      googleSheetsService.getCustomerData.mockResolvedValue(['C0001', 'C0002'].map(customer));
+    });
+
+    it('queues the batch and returns 202 without dialling inline', async () => {
+      const response = await request(app)
+        .post('/api/calls/bulk-initiate')
+        .send({ customerIds: ['C0001', 'C0002', 'C0009'], delay: 5000 })
+        .expect(202);
+
+      expect(twilioService.initiateCall).not.toHaveBeenCalled();
+      expect(response.body.data.summary).toEqual({ total: 3, queued: 2, duplicates: 0, failed: 1 });
+      expect(response.body.data.results).toContainEqual({ customerId: 'C0009', success: false, error: 'Customer not found' });
+
+      const { batchId } = response.body.data;
+      await dialQueueService.tick(NOW);
+
+      const batch = await request(app).get(`/api/calls/batches/${batchId}`).expect(200);
+      expect(batch.body.data.summary).toMatchObject({ total: 2, in_progress: 1, queued: 1 });
+
+      const cancelled = await request(app).post(`/api/calls/batches/${batchId}/cancel`).expect(200);
+      expect(cancelled.body.data.summary).toMatchObject({ in_progress: 1, cancelled: 1, queued: 0 });
+
+      const jobId = batch.body.data.jobs[0].id;
+      const job = await request(app).get(`/api/calls/jobs/${jobId}`).expect(200);
+      expect(job.body.data.job.batchId).toBe(batchId);
+    });
+
+    it('reports customers already in the queue as duplicates', async () => {
+      await request(app).post('/api/calls/bulk-initiate').send({ customerIds: ['C0001'] }).expect(202);
+      const response = await request(app).post('/api/calls/bulk-initiate').send({ customerIds: ['C0001', 'C0002'] }).expect(202);
+
+      expect(response.body.data.summary).toMatchObject({ queued: 1, duplicates: 1 });
+    });
+
+    it('leaves out customers whose numbers cannot be dialled', async () => {
+      googleSheetsService.getCustomerData.mockResolvedValue([customer('C0001'), { ...customer('C0003'), phone: '+15550000003' }]);
+
+      const response = await request(app).post('/api/calls/bulk-initiate').send({ customerIds: ['C0001', 'C0003'] }).expect(202);
+
+      expect(response.body.data.summary).toMatchObject({ queued: 1, failed: 1 });
+      expect(response.body.data.results).toContainEqual({ customerId: 'C0003', success: false, error: 'Invalid phone number: +15550000003' });
+    });
+
+    it('returns 404 for unknown batches', async () => {
+      await request(app).get('/api/calls/batches/nope').expect(404);
+    });
+  });
+
+  describe('store driver', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    const load = () => {
+      let service;
+      jest.isolateModules(() => {
+        service = require('../src/services/dialQueueService');
+      });
+      return service;
+    };
+
+    it('keeps queued dials on disk unless a driver is configured', () => {
+      delete process.env.DIAL_QUEUE_STORE;
+      delete process.env.STORE_DRIVER;
+      process.env.NODE_ENV = 'development';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load().jobs.driver).toBe('file');
+    });
+
+    it('refuses the memory store in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.DIAL_QUEUE_STORE = 'memory';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load).toThrow('The dial queue cannot use the memory store in production');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+process.env.TTS_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+
+jest.mock('axios', () => ({
+  post: jest.fn(),
+  get: jest.fn()
+}));
+
+const axios = require('axios');
+const elevenlabsService = require('../src/services/elevenlabsService');
+const ttsCacheService = require('../src/services/ttsCacheService');
+
+describe('ElevenLabs streaming speech', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    elevenlabsService.enabled = true;
+    elevenlabsService.apiKey = 'test-key';
+    elevenlabsService.ttfbSamples = [];
+  });
+
+  afterAll(() => {
+    elevenlabsService.enabled = false;
+    fs.rmSync(ttsCacheService.audioDir, { recursive: true, force: true });
+  });
+
+  it('requests mu-law from the streaming endpoint and passes chunks through as they arrive', async () => {
+    axios.post.mockResolvedValue({ data: Readable.from([Buffer.alloc(160), Buffer.alloc(320)]) });
+    const chunks = [];
+
+    const result = await elevenlabsService.streamSpeech('Hello Jane', chunk => chunks.push(chunk.length));
+
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringMatching(/\/text-to-speech\/[^/]+\/stream$/),
+      expect.objectContaining({ text: 'Hello Jane' }),
+      expect.objectContaining({
+        params: { output_format: 'ulaw_8000', optimize_streaming_latency: 3 },
+        responseType: 'stream'
+      })
+    );
+    expect(chunks).toEqual([160, 320]);
+    expect(result).toMatchObject({ ttfbMs: expect.any(Number), bytes: 480, aborted: false });
+    expect(elevenlabsService.getStreamingStats()).toMatchObject({ samples: 1, lastTtfbMs: result.ttfbMs });
+  });
+
+  it('reports an aborted stream instead of failing', async () => {
+    const controller = new AbortController();
+    axios.post.mockImplementation(async () => {
+      controller.abort();
+      throw new Error('canceled');
+    });
+
+    const result = await elevenlabsService.streamSpeech('Hello', () => {}, { signal: controller.signal });
+    expect(result).toMatchObject({ aborted: true, bytes: 0 });
+  });
+
+  it('raises other errors', async () => {
+    axios.post.mockRejectedValue(new Error('quota exceeded'));
+    await expect(elevenlabsService.streamSpeech('Hello', () => {})).rejects.toThrow('Speech streaming failed: quota exceeded');
+  });
+
+  it('summarises recent time-to-first-byte measurements', () => {
+    expect(elevenlabsService.getStreamingStats()).toMatchObject({ samples: 0, avgTtfbMs: null });
+
+    [200, 100, 300, 400].forEach(ttfb => elevenlabsService.recordTtfb(ttfb));
+    expect(elevenlabsService.getStreamingStats()).toMatchObject({ samples: 4, avgTtfbMs: 250, p95TtfbMs: 400, lastTtfbMs: 400 });
+  });
+});
+
+describe('ElevenLabs TTS cache', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    elevenlabsService.enabled = true;
+    elevenlabsService.apiKey = 'test-key';
+    elevenlabsService.ready = Promise.resolve(true);
+  });
+
+  afterAll(() => {
+    elevenlabsService.enabled = false;
+  });
+
+  it('renders a line once and serves repeats from the cache', async () => {
+    axios.post.mockResolvedValue({ data: Buffer.from('mp3 audio') });
+
+    const first = await elevenlabsService.generateSpeech('Thanks for your time. Goodbye!');
+    const second = await elevenlabsService.generateSpeech('Thanks for your time. Goodbye!');
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(first).toMatchObject({ cached: false, filename: expect.stringMatching(/^tts_[0-9a-f]+\.mp3$/) });
+    expect(second).toMatchObject({ cached: true, filename: first.filename });
+    expect(second.audioBuffer.toString()).toBe('mp3 audio');
+  });
+
+  it('keys the cache on the voice and settings as well as the text', async () => {
+    axios.post.mockResolvedValue({ data: Buffer.from('audio') });
+
+    const base = await elevenlabsService.generateSpeech('Is now a good time?');
+    const otherVoice = await elevenlabsService.generateSpeech('Is now a good time?', { voiceId: 'other-voice' });
+    const otherSettings = await elevenlabsService.generateSpeech('Is now a good time?', { stability: 0.9 });
+
+    expect(axios.post).toHaveBeenCalledTimes(3);
+    expect(new Set([base.filename, otherVoice.filename, otherSettings.filename]).size).toBe(3);
+  });
+
+  it('plays a streamed line from the cache the next time without a request', async () => {
+    axios.post.mockResolvedValue({ data: Readable.from([Buffer.alloc(160, 1), Buffer.alloc(160, 2)]) });
+    await elevenlabsService.streamSpeech('Are you still interested?', () => {});
+
+    const chunks = [];
+    const result = await elevenlabsService.streamSpeech('Are you still interested?', chunk => chunks.push(chunk));
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ cached: true, bytes: 320, aborted: false });
+    expect(Buffer.concat(chunks)).toEqual(Buffer.concat([Buffer.alloc(160, 1), Buffer.alloc(160, 2)]));
+  });
+
+  it('does not cache a stream cut short by a barge-in', async () => {
+    const controller = new AbortController();
+    axios.post.mockResolvedValue({
+      data: Readable.from((async function* () {
+        yield Buffer.alloc(160);
+        controller.abort();
+        throw new Error('canceled');
+      })())
+    });
+
+    await elevenlabsService.streamSpeech('Let me tell you about the car', () => {}, { signal: controller.signal });
+
+    axios.post.mockResolvedValue({ data: Readable.from([Buffer.alloc(160)]) });
+    const result = await elevenlabsService.streamSpeech('Let me tell you about the car', () => {});
+    expect(result.cached).toBe(false);
+  });
+
+  it('prewarms each line once per format and skips lines already cached', async () => {
+    axios.post.mockResolvedValue({ data: Buffer.from('audio') });
+
+    const first = await elevenlabsService.prewarm(['Hello there', 'Goodbye now', 'Hello there'], { mediaStreams: true });
+    expect(first).toEqual({ rendered: 4, cached: 0, failed: 0 });
+    expect(axios.post.mock.calls.map(call => call[2].params && call[2].params.output_format))
+      .toEqual([undefined, 'ulaw_8000', undefined, 'ulaw_8000']);
+
+    const again = await elevenlabsService.prewarm(['Hello there', 'Goodbye now']);
+    expect(again).toEqual({ rendered: 0, cached: 2, failed: 0 });
+    expect(axios.post).toHaveBeenCalledTimes(4);
+  });
+
+  it('does nothing when ElevenLabs is not available', async () => {
+    elevenlabsService.ready = Promise.resolve(false);
+
+    expect(await elevenlabsService.prewarm(['Hello there'])).toEqual({ rendered: 0, cached: 0, failed: 0 });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,319 @@
+jest.mock('googleapis', () => ({
+  google: {
+    auth: { GoogleAuth: jest.fn() },
+    sheets: jest.fn(() => mockSheets)
+  }
+}));
+
+process.env.GOOGLE_PRIVATE_KEY = 'test-key';
+process.env.GOOGLE_SHEETS_ID = 'sheet-default';
+
+// Spreadsheet tabs as arrays of rows, behind the parts of the Sheets API we use
+const mockTabs = {};
+
+const parseRange = range => {
+  const [, tab, cell] = range.match(/^'(.+?)'(?:!(.+))?$/);
+  return { tab, cell };
+};
+
+const columnIndex = letters => [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+const setCells = (range, values) => {
+  const { tab, cell } = parseRange(range);
+  const [, letters, row] = cell.match(/^([A-Z]+)(\d+)$/);
+  values.forEach((rowValues, i) => rowValues.forEach((value, j) => {
+    const target = mockTabs[tab][Number(row) - 1 + i] || (mockTabs[tab][Number(row) - 1 + i] = []);
+    target[columnIndex(letters) + j] = value;
+  }));
+};
+
+const mockSheets = {
+  spreadsheets: {
+    get: jest.fn(async () => ({
+      data: { sheets: Object.keys(mockTabs).map(title => ({ properties: { title } })) }
+    })),
+    batchUpdate: jest.fn(async ({ resource }) => {
+      resource.requests.forEach(request => { mockTabs[request.addSheet.properties.title] = []; });
+    }),
+    values: {
+      get: jest.fn(async ({ range }) => {
+        const { tab, cell } = parseRange(range);
+        if (!mockTabs[tab]) {
+          throw new Error(`Unable to parse range: ${range}`);
+        }
+        const rows = cell === '1:1' ? mockTabs[tab].slice(0, 1) : mockTabs[tab];
+        return { data: { values: rows.length > 0 ? rows.map(row => [...row]) : undefined } };
+      }),
+      // Whole columns from a row down, e.g. 'Customers'!A2:A
+      batchGet: jest.fn(async ({ ranges }) => ({
+        data: {
+          valueRanges: ranges.map(range => {
+            const { tab, cell } = parseRange(range);
+            const [, letters, row] = cell.match(/^([A-Z]+)(\d+):/);
+            const column = mockTabs[tab].slice(Number(row) - 1).map(values => values[columnIndex(letters)] ?? '');
+            return { range, values: column.length > 0 ? [column] : undefined };
+          })
+        }
+      })),
+      update: jest.fn(async ({ range, resource }) => setCells(range, resource.values)),
+      batchUpdate: jest.fn(async ({ resource }) => resource.data.forEach(({ range, values }) => setCells(range, values))),
+      append: jest.fn(async ({ range, resource }) => {
+        mockTabs[parseRange(range).tab].push(...resource.values.map(row => [...row]));
+      })
+    }
+  }
+};
+
+const googleSheetsService = require('../src/services/googleSheetsService');
+const tenantService = require('../src/services/tenantService');
+const sheetSchema = require('../src/config/sheetSchema');
+
+const CURRENT_HEADERS = sheetSchema.FIELDS.map(definition => definition.header);
+
+describe('Lead sheet', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    for (const tab of Object.keys(mockTabs)) {
+      delete mockTabs[tab];
+    }
+    googleSheetsService.invalidate();
+    googleSheetsService.writeWindowMs = 10;
+    googleSheetsService.backoffBaseMs = 1;
+  });
+
+  // Full reads of a tab, as opposed to header-only reads
+  const tabReads = tab => mockSheets.spreadsheets.values.get.mock.calls.filter(([{ range }]) => range === `'${tab}'`);
+
+  describe('reading', () => {
+    it('finds columns by header in any order, including old headers', async () => {
+      mockTabs.Customers = [
+        ['Customer Phone Number', 'Name', 'ID', 'Car Model Enquired About', 'Last Call Date', 'Region'],
+        ['(212) 555-0101', 'Jane', 'C1', 'Model Y', '2026-10-18', 'North']
+      ];
+
+      const [customer] = await googleSheetsService.getCustomerData(null, { tenantId: 'default' });
+
+      expect(customer).toMatchObject({
+        id: 'C1',
+        name: 'Jane',
+        phone: '+12125550101',
+        carModel: 'Model Y',
+        lastCallDate: '2026-10-18',
+        region: 'North',
+        rowIndex: 2,
+        tenantId: 'default'
+      });
+    });
+
+    it('uses a tenant\'s own tab and header names', async () => {
+      tenantService.registerTenant({
+        id: 'uptown',
+        name: 'Uptown Cars',
+        phoneNumbers: ['+12125550199'],
+        spreadsheetId: 'sheet-uptown',
+        sheet: { tab: 'Leads 2026', columns: { carModel: 'Vehicle' } }
+      });
+      mockTabs['Leads 2026'] = [['ID', 'Name', 'Phone', 'Vehicle'], ['U1', 'Omar', '212-555-0102', 'Camry']];
+
+      const [customer] = await googleSheetsService.getCustomerData(null, { tenantId: 'uptown' });
+      expect(customer).toMatchObject({ id: 'U1', carModel: 'Camry', phone: '+12125550102' });
+
+      expect(() => tenantService.registerTenant({
+        id: 'typo',
+        name: 'Typo Motors',
+        phoneNumbers: ['+12125550198'],
+        spreadsheetId: 'sheet-typo',
+        sheet: { columns: { vehicle: 'Vehicle' } }
+      })).toThrow('sheet.columns has unknown field "vehicle"');
+    });
+  });
+
+  describe('writing', () => {
+    beforeEach(() => {
+      mockTabs.Customers = [
+        ['ID', 'Name', 'Phone', 'Status', 'Interested', 'Email', 'Call Attempts'],
+        ['C1', 'Jane', '+12125550101', 'new'],
+        ['C2', 'Omar', '+12125550102', 'new']
+      ];
+    });
+
+    it('updates a record by field name in one batch and skips fields without a column', async () => {
+      const result = await googleSheetsService.updateCustomerRecord('C2', {
+        status: 'retry_scheduled',
+        callAttempts: 1,
+        nextCallDate: '2026-10-19 12:00'
+      }, { tenantId: 'default', wait: true });
+
+      expect(result).toEqual({ success: true, updatedFields: ['status', 'callAttempts'] });
+      expect(mockSheets.spreadsheets.values.batchUpdate).toHaveBeenCalledTimes(1);
+      expect(mockTabs.Customers[2]).toEqual(['C2', 'Omar', '+12125550102', 'retry_scheduled', undefined, undefined, 1]);
+    });
+
+    it('updates conversation fields by phone number, by name or old column letter', async () => {
+      await googleSheetsService.updateCustomerData('(212) 555-0101', { interested: 'Yes', G: 'jane@example.com' }, { tenantId: 'default', wait: true });
+
+      expect(mockTabs.Customers[1]).toEqual(['C1', 'Jane', '+12125550101', 'new', 'Yes', 'jane@example.com']);
+      await expect(googleSheetsService.updateCustomerData('+12125550199', { interested: 'No' }, { tenantId: 'default', wait: true }))
+        .rejects.toThrow('Customer with phone number +12125550199 not found');
+    });
+
+    it('queues updates and sends them together in one batch', async () => {
+      expect(await googleSheetsService.updateCustomerRecord('C1', { status: 'calling' }, { tenantId: 'default' }))
+        .toEqual({ success: true, queued: true });
+      await googleSheetsService.updateCustomerData('+12125550102', { interested: 'Yes' }, { tenantId: 'default' });
+      await googleSheetsService.updateCustomerRecord('C1', { status: 'completed', callAttempts: 1 }, { tenantId: 'default' });
+      expect(mockSheets.spreadsheets.values.batchUpdate).not.toHaveBeenCalled();
+      expect(googleSheetsService.getStats().queuedWrites).toBe(3);
+
+      await googleSheetsService.flush();
+
+      expect(mockSheets.spreadsheets.values.batchUpdate).toHaveBeenCalledTimes(1);
+      // The later update to the same cell wins
+      expect(mockSheets.spreadsheets.values.batchUpdate.mock.calls[0][0].resource.data).toHaveLength(3);
+      expect(mockTabs.Customers[1]).toEqual(['C1', 'Jane', '+12125550101', 'completed', undefined, undefined, 1]);
+      expect(mockTabs.Customers[2][4]).toBe('Yes');
+      expect(googleSheetsService.getStats().queuedWrites).toBe(0);
+    });
+
+    it('serves reads from the cache until the sheet is changed', async () => {
+      await googleSheetsService.getCustomerData(null, { tenantId: 'default' });
+      await googleSheetsService.updateCustomerRecord('C1', { status: 'calling' }, { tenantId: 'default', wait: true });
+      const [jane] = await googleSheetsService.getCustomerData(null, { tenantId: 'default' });
+
+      // Written updates are applied to the cached rows
+      expect(jane.status).toBe('calling');
+      expect(tabReads('Customers')).toHaveLength(1);
+      expect(await googleSheetsService.findCustomer({ phone: '212-555-0102' }, { tenantId: 'default' })).toMatchObject({ id: 'C2', rowIndex: 3 });
+      expect(await googleSheetsService.findCustomer({ id: 'C9' }, { tenantId: 'default' })).toBeNull();
+
+      await googleSheetsService.addCustomer({ name: 'Priya', phone: '212.555.0103' }, { tenantId: 'default' });
+      expect(await googleSheetsService.getCustomerData(null, { tenantId: 'default' })).toHaveLength(3);
+      expect(tabReads('Customers')).toHaveLength(2);
+    });
+
+    it('reads the tab again when rows have moved on the sheet since it was cached', async () => {
+      await googleSheetsService.getCustomerData(null, { tenantId: 'default' });
+      // Sorted in the Sheets UI and a lead inserted above Jane
+      mockTabs.Customers = [
+        mockTabs.Customers[0],
+        ['C3', 'Priya', '+12125550103', 'new'],
+        ['C2', 'Omar', '+12125550102', 'new'],
+        ['C1', 'Jane', '+12125550101', 'new']
+      ];
+
+      await googleSheetsService.updateCustomerRecord('C1', { status: 'calling' }, { tenantId: 'default' });
+      await googleSheetsService.updateCustomerData('212-555-0102', { interested: 'Yes' }, { tenantId: 'default' });
+      await googleSheetsService.flush();
+
+      expect(mockTabs.Customers.slice(1)).toEqual([
+        ['C3', 'Priya', '+12125550103', 'new'],
+        ['C2', 'Omar', '+12125550102', 'new', 'Yes'],
+        ['C1', 'Jane', '+12125550101', 'calling']
+      ]);
+      expect(tabReads('Customers')).toHaveLength(2);
+    });
+
+    it('backs off and retries when Sheets is rate limited', async () => {
+      const rateLimited = googleSheetsService.getStats().rateLimited;
+      mockSheets.spreadsheets.values.batchUpdate.mockRejectedValueOnce(Object.assign(new Error('Quota exceeded for quota metric'), { code: 429 }));
+
+      const result = await googleSheetsService.updateCustomerRecord('C2', { status: 'completed' }, { tenantId: 'default', wait: true });
+
+      expect(result).toEqual({ success: true, updatedFields: ['status'] });
+      expect(mockSheets.spreadsheets.values.batchUpdate).toHaveBeenCalledTimes(2);
+      expect(googleSheetsService.getStats().rateLimited).toBe(rateLimited + 1);
+      expect(mockTabs.Customers[2][3]).toBe('completed');
+
+      // Other errors fail the write straight away and drop the cached tab
+      mockSheets.spreadsheets.values.batchUpdate.mockRejectedValueOnce(new Error('Internal error'));
+      await expect(googleSheetsService.updateCustomerRecord('C2', { status: 'lost' }, { tenantId: 'default', wait: true }))
+        .rejects.toThrow('Failed to update customer record');
+      expect(googleSheetsService.getStats().cachedTabs).toBe(0);
+      expect(mockTabs.Customers[2][3]).toBe('completed');
+    });
+
+    it('adds customers under the tab\'s own headers', async () => {
+      const { customerId } = await googleSheetsService.addCustomer({ name: 'Priya', phone: '212.555.0103', email: 'priya@example.com' }, { tenantId: 'default' });
+
+      expect(mockTabs.Customers[3]).toEqual([customerId, 'Priya', '+12125550103', 'new', '', 'priya@example.com', '']);
+    });
+
+    it('lays out an empty tab with the current headers', async () => {
+      mockTabs.Customers = [];
+      await googleSheetsService.addCustomer({ id: 'C9', name: 'Lee', phone: '+12125550109' }, { tenantId: 'default' });
+
+      expect(mockTabs.Customers[0]).toEqual(CURRENT_HEADERS);
+      expect(mockTabs.Customers[1].slice(0, 3)).toEqual(['C9', 'Lee', '+12125550109']);
+    });
+  });
+
+  describe('validation and migration', () => {
+    beforeEach(() => {
+      mockTabs.Customers = [
+        ['ID', 'Name', 'Phone Number', 'Email', 'Car Model', 'Status'],
+        ['C1', 'Jane', '+12125550101', '', 'Model Y', 'new'],
+        ['C2', 'Omar', '+12125550102', 'omar@example.com', 'Camry', 'interested']
+      ];
+      mockTabs.Leads = [
+        ['Customer Phone Number', 'Customer Name', 'Car Model Enquired About', 'Interested? (Yes/No)', 'Appointment Date & Time', 'Interested in Similar Cars? (Yes/No)', 'Customer Email'],
+        ['(212) 555-0101', 'Jane', 'Model Y', 'Yes', '', '', 'jane@example.com'],
+        ['+12125550102', 'Omar', 'Camry', 'No', '', 'Yes', 'other@example.com'],
+        ['+12125550104', 'Ana', 'Civic', 'Yes', '2026-10-21T15:00:00-04:00', '', ''],
+        ['n/a', 'Nobody', '', '', '', '', '']
+      ];
+    });
+
+    it('reports missing and old headers', async () => {
+      const validation = await googleSheetsService.validateSheetStructure({ tenantId: 'default' });
+
+      expect(validation).toMatchObject({
+        valid: false,
+        tab: 'Customers',
+        missingRequired: [],
+        renamedHeaders: [{ from: 'Phone Number', to: 'Phone' }]
+      });
+      expect(validation.missingHeaders).toContain('Call Attempts');
+    });
+
+    it('writes nothing on a dry run', async () => {
+      const report = await googleSheetsService.migrateSheet({ tenantId: 'default', dryRun: true });
+
+      expect(report.leads).toEqual({ merged: 2, added: 1, unchanged: 0, skipped: 1 });
+      expect(mockSheets.spreadsheets.values.update).not.toHaveBeenCalled();
+      expect(mockSheets.spreadsheets.values.batchUpdate).not.toHaveBeenCalled();
+      expect(mockSheets.spreadsheets.values.append).not.toHaveBeenCalled();
+    });
+
+    it('upgrades the headers and merges the old Leads tab', async () => {
+      const report = await googleSheetsService.migrateSheet({ tenantId: 'default' });
+
+      expect(report).toMatchObject({ createdTab: false, renamedHeaders: [{ from: 'Phone Number', to: 'Phone' }] });
+      expect(report.addedHeaders).toContain('Interested');
+      expect((await googleSheetsService.validateSheetStructure({ tenantId: 'default' })).valid).toBe(true);
+
+      const customers = await googleSheetsService.getCustomerData(null, { tenantId: 'default' });
+      expect(customers).toHaveLength(3);
+      // Blank fields are filled in; values already in the lead tab are kept
+      expect(customers[0]).toMatchObject({ id: 'C1', interested: 'Yes', email: 'jane@example.com' });
+      expect(customers[1]).toMatchObject({ id: 'C2', interested: 'No', interestedInSimilar: 'Yes', email: 'omar@example.com' });
+      expect(customers[2]).toMatchObject({ name: 'Ana', phone: '+12125550104', status: 'new', appointmentDate: '2026-10-21T15:00:00-04:00' });
+      expect(customers[2].id).toMatch(/^CUST_/);
+
+      // Running it again changes nothing
+      jest.clearAllMocks();
+      const again = await googleSheetsService.migrateSheet({ tenantId: 'default' });
+      expect(again).toMatchObject({ renamedHeaders: [], addedHeaders: [], leads: { merged: 0, added: 0, unchanged: 3 } });
+      expect(mockSheets.spreadsheets.values.append).not.toHaveBeenCalled();
+    });
+
+    it('creates the lead tab when the sheet only has the old Leads tab', async () => {
+      delete mockTabs.Customers;
+
+      const report = await googleSheetsService.migrateSheet({ tenantId: 'default' });
+
+      expect(report).toMatchObject({ createdTab: true, leads: { added: 3, skipped: 1 } });
+      expect(mockTabs.Customers[0]).toEqual(CURRENT_HEADERS);
+      expect(mockTabs.Customers).toHaveLength(4);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { buildCalendar, escapeText, foldLine } = require('../src/utils/ics');
+
+describe('ics', () => {
+  const event = {
+    uid: 'apt-1@default.appointments',
+    stamp: '2026-10-19T14:00:00Z',
+    start: '2026-10-27T14:00:00-04:00',
+    end: '2026-10-27T15:00:00-04:00',
+    summary: 'Test drive: Model Y at Premier Auto',
+    description: 'Vehicle: Model Y\nNeed to change the time? https://example.com/r?a=1',
+    location: 'Premier Auto, 123 Main Street, Your City; ST',
+    organizer: { name: 'Premier Auto', email: 'sales@example.com' },
+    attendee: { name: 'Jane', email: 'jane@example.com' }
+  };
+
+  it('writes a REQUEST calendar with UTC times and CRLF line endings', () => {
+    const calendar = buildCalendar([event], { method: 'REQUEST' });
+    const lines = calendar.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('METHOD:REQUEST');
+    expect(lines).toContain('DTSTART:20261027T180000Z');
+    expect(lines).toContain('DTEND:20261027T190000Z');
+    expect(lines).toContain('DTSTAMP:20261019T140000Z');
+    expect(lines).toContain('LOCATION:Premier Auto\\, 123 Main Street\\, Your City\\; ST');
+    expect(lines).toContain('STATUS:CONFIRMED');
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toContain('\n');
+  });
+
+  it('escapes text values', () => {
+    expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+
+  it('folds long lines at 75 octets', () => {
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+    const parts = folded.split('\r\n');
+
+    expect(parts.length).toBe(3);
+    parts.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+    expect(parts.slice(1).every(part => part.startsWith(' '))).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+  });
+});
@@ -0,0 +1,173 @@
+jest.mock('../src/services/openaiService', () => ({
+  generateResponse: jest.fn().mockRejectedValue(new Error('offline')),
+  analyzeIntent: jest.fn().mockRejectedValue(new Error('offline'))
+}));
+jest.mock('../src/services/googleSheetsService', () => ({
+  getCustomerData: jest.fn(),
+  updateCustomerData: jest.fn().mockResolvedValue(true),
+  updateCustomerRecord: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../src/services/emailService', () => ({
+  sendSimilarCarsEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendAppointmentConfirmationEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const googleSheetsService = require('../src/services/googleSheetsService');
+const emailService = require('../src/services/emailService');
+const callHistoryService = require('../src/services/callHistoryService');
+const schedulingService = require('../src/services/schedulingService');
+const conversationService = require('../src/services/conversationService');
+const scriptService = require('../src/services/scriptService');
+const tenantService = require('../src/services/tenantService');
+const inboundService = require('../src/services/inboundService');
+
+// Monday 19 October 2026, 10am in New York
+const NOW = new Date('2026-10-19T14:00:00Z');
+
+const sheet = [
+  { id: 'CUST_1', name: 'Jane', phone: '(512) 555-0101', carModel: 'Model Y' },
+  { id: 'CUST_2', name: 'Omar', phone: '512-555-0102', carModel: 'Camry' },
+  { id: 'CUST_3', name: 'Priya', phone: '+1 512 555 0103', carModel: 'Civic' }
+];
+
+async function previousCall(callSid, customer, status, outcome, startTime) {
+  await callHistoryService.startCall(callSid, { customer });
+  await callHistoryService.updateCall(callSid, { status, outcome, startTime });
+}
+
+describe('Inbound calls', () => {
+  const tenant = tenantService.getDefault();
+
+  beforeAll(async () => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] });
+
+    await previousCall('CA_missed', sheet[0], 'no-answer', 'no-answer', '2026-10-18T15:00:00Z');
+    await previousCall('CA_voicemail', sheet[1], 'completed', 'voicemail', '2026-10-14T15:00:00Z');
+    await previousCall('CA_old', { id: 'API_9', name: 'Lee', phone: '+15125550109' }, 'busy', 'busy', '2026-10-01T15:00:00Z');
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    googleSheetsService.getCustomerData.mockResolvedValue(sheet);
+  });
+
+  describe('identifyCaller', () => {
+    it('matches the lead by normalised number and knows we missed them yesterday', async () => {
+      const caller = await inboundService.identifyCaller('+15125550101', tenant, { callSid: 'CA_in_1' });
+
+      expect(caller.customer).toMatchObject({ id: 'CUST_1', name: 'Jane' });
+      expect(caller.situation).toBe('missed_call');
+      expect(caller.lastCall.callSid).toBe('CA_missed');
+      expect(caller.context).toMatchObject({ lastCallDay: 'yesterday', previousOutcome: 'no-answer' });
+    });
+
+    it('knows we left a voicemail and names the day', async () => {
+      const caller = await inboundService.identifyCaller('512.555.0102', tenant);
+
+      expect(caller.situation).toBe('voicemail');
+      expect(caller.context.lastCallDay).toBe('on Wednesday');
+    });
+
+    it('rebuilds leads that are not in the sheet from our call history', async () => {
+      const caller = await inboundService.identifyCaller('+15125550109', tenant);
+
+      expect(caller.customer).toMatchObject({ id: 'API_9', name: 'Lee' });
+      expect(caller.context.lastCallDay).toBe('on October 1');
+    });
+
+    it('puts a booked appointment ahead of the last call', async () => {
+      const { appointment } = await schedulingService.reserve({
+        start: '2026-10-21T15:00:00-04:00',
+        customer: { id: 'CUST_2', name: 'Omar', phone: '512-555-0102' }
+      });
+
+      const caller = await inboundService.identifyCaller('+15125550102', tenant);
+
+      expect(caller.situation).toBe('appointment');
+      expect(caller.context).toMatchObject({
+        appointmentDisplay: 'Wednesday, October 21 at 3pm',
+        existingAppointmentId: appointment.id
+      });
+      await schedulingService.cancel(appointment.id);
+    });
+
+    it('treats a known lead we have not called as returning, and anyone else as unknown', async () => {
+      expect((await inboundService.identifyCaller('+15125550103', tenant)).situation).toBe('returning');
+
+      const stranger = await inboundService.identifyCaller('+15125550199', tenant);
+      expect(stranger.customer).toBeNull();
+      expect(stranger.situation).toBe('unknown');
+    });
+  });
+
+  describe('call history lookup', () => {
+    it('finds the last call however many calls were made since', async () => {
+      await previousCall('CA_before_rush', { id: 'CUST_7', name: 'Sam', phone: '(512) 555-0107' }, 'busy', 'busy', '2026-10-12T15:00:00Z');
+      for (let i = 0; i < 510; i++) {
+        await previousCall(`CA_rush_${i}`, { id: `RUSH_${i}`, phone: `+1512555${String(2000 + i)}` }, 'completed', 'not_interested', '2026-10-16T15:00:00Z');
+      }
+
+      const caller = await inboundService.identifyCaller('+15125550107', tenant);
+
+      expect(caller.lastCall.callSid).toBe('CA_before_rush');
+      expect(caller.situation).toBe('missed_call');
+    });
+  });
+
+  describe('inbound script', () => {
+    async function greet(callSid, phone) {
+      const caller = await inboundService.identifyCaller(phone, tenant, { callSid });
+      return conversationService.generateInitialGreeting(callSid, caller.customer || { id: 'TEMP_1', phone }, {
+        scriptId: inboundService.scriptId,
+        entry: caller.situation,
+        context: caller.context,
+        direction: 'inbound'
+      });
+    }
+
+    it('starts at the entry node for the caller\'s situation', async () => {
+      const greeting = await greet('CA_in_missed', '+15125550101');
+
+      expect(greeting.nextStep).toBe('missed_call_greeting');
+      expect(greeting.response).toBe('Hi Jane, this is Sarah from Premier Auto. Thanks for calling back - we tried to reach you yesterday about the Model Y. Are you still interested in it?');
+      expect(await callHistoryService.getCall('CA_in_missed')).toMatchObject({ direction: 'inbound', customerId: 'CUST_1' });
+    });
+
+    it('greets unknown callers without guessing who they are', async () => {
+      const greeting = await greet('CA_in_unknown', '+15125550199');
+
+      expect(greeting.nextStep).toBe('unknown_greeting');
+      expect(greeting.response).toBe('Thanks for calling Premier Auto, this is Sarah. Are you calling about one of our vehicles?');
+    });
+
+    it('moves a booked appointment to a new time', async () => {
+      const { appointment } = await schedulingService.reserve({
+        start: '2026-10-21T15:00:00-04:00',
+        customer: { id: 'CUST_3', name: 'Priya', phone: '+1 512 555 0103' }
+      });
+
+      const greeting = await greet('CA_in_appointment', '+15125550103');
+      expect(greeting.response).toContain("I can see you're booked in for Wednesday, October 21 at 3pm");
+
+      expect((await conversationService.processCustomerInput('CA_in_appointment', 'No, I can\'t make it')).nextStep).toBe('ask_new_time');
+      expect((await conversationService.processCustomerInput('CA_in_appointment', 'Thursday at 2pm')).nextStep).toBe('confirm_reschedule');
+      const confirmed = await conversationService.processCustomerInput('CA_in_appointment', 'Yes please');
+      expect(confirmed.nextStep).toBe('ask_reschedule_email');
+      const done = await conversationService.processCustomerInput('CA_in_appointment', 'priya@example.com');
+
+      expect(done).toMatchObject({ nextStep: 'reschedule_confirmation_sent', shouldContinue: false });
+      expect(emailService.sendAppointmentConfirmationEmail).toHaveBeenCalledWith('priya@example.com', 'Priya', expect.any(Object), { tenantId: 'default' });
+      expect((await schedulingService.getAppointment(appointment.id)).status).toBe('cancelled');
+      const [moved] = await schedulingService.listAppointments({ customerId: 'CUST_3', status: 'booked' });
+      expect(moved.start).toBe('2026-10-22T14:00:00-04:00');
+    });
+
+    it('rejects scripts whose entries point at missing nodes', () => {
+      const script = { ...scriptService.getScript(inboundService.scriptId), entries: { voicemail: 'nowhere' } };
+      expect(scriptService.validateScript(script)).toContain('entry "voicemail" points to unknown node "nowhere"');
+    });
+  });
+});
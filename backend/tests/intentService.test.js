@@ -0,0 +1,88 @@
+jest.mock('../src/services/openaiService', () => ({
+  classifyIntent: jest.fn()
+}));
+
+const openaiService = require('../src/services/openaiService');
+const intentService = require('../src/services/intentService');
+
+describe('IntentService rule classifier', () => {
+  it.each([
+    ['yeah sure', 'affirm'],
+    ['not bad, yes', 'affirm'],
+    ['no problem, go ahead', 'affirm'],
+    ['no thanks', 'deny'],
+    ['nope', 'deny'],
+    ["I'm not sure", 'unclear'],
+    ['I know', 'unclear'],
+    ["I'm busy right now", 'busy'],
+    ['not a good time', 'busy'],
+    ['can you call me back tomorrow', 'callback_request'],
+    ['what colours does it come in?', 'question'],
+    ['who is this', 'question'],
+    ['it is too expensive for me', 'objection'],
+    ['already bought one', 'objection'],
+    ['you have the wrong number', 'wrong_person'],
+    ['please take me off your list', 'do_not_call'],
+    ["don't call me again", 'do_not_call'],
+    ['no thanks, and stop ringing this number', 'do_not_call'],
+    ['just lose my number', 'do_not_call'],
+    ["I'm not busy, go ahead", 'affirm'],
+    ['yes I am not busy', 'affirm'],
+    ["it's not a bad time", 'affirm'],
+    ['Yes please, I already have a trade in', 'affirm'],
+    ['yeah, not sure which trim yet', 'affirm'],
+    ['no, I already bought one', 'deny'],
+    ["yes, but don't call me again after this", 'do_not_call']
+  ])('classifies "%s" as %s', (input, intent) => {
+    expect(intentService.classifyWithRules(input).intent).toBe(intent);
+  });
+
+  it('returns unclear with zero confidence for empty input', () => {
+    expect(intentService.classifyWithRules('  ')).toEqual({ intent: 'unclear', confidence: 0 });
+  });
+});
+
+describe('IntentService.classify', () => {
+  const originalUseLlm = intentService.useLlm;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    intentService.useLlm = true;
+  });
+
+  afterAll(() => {
+    intentService.useLlm = originalUseLlm;
+  });
+
+  it('uses the LLM result when it is confident', async () => {
+    openaiService.classifyIntent.mockResolvedValue({ intent: 'objection', confidence: 0.92 });
+
+    const result = await intentService.classify('honestly the payments scare me', { step: 'confirm_interest' });
+
+    expect(result).toEqual({ intent: 'objection', confidence: 0.92, source: 'llm' });
+    expect(openaiService.classifyIntent).toHaveBeenCalledWith(
+      'honestly the payments scare me',
+      intentService.intents,
+      { step: 'confirm_interest' }
+    );
+  });
+
+  it('falls back to rules when the LLM is unsure', async () => {
+    openaiService.classifyIntent.mockResolvedValue({ intent: 'affirm', confidence: 0.2 });
+
+    expect(await intentService.classify('no thanks')).toMatchObject({ intent: 'deny', source: 'rules' });
+  });
+
+  it('falls back to rules when OpenAI is unavailable', async () => {
+    openaiService.classifyIntent.mockRejectedValue(new Error('network down'));
+
+    expect(await intentService.classify('yes please')).toMatchObject({ intent: 'affirm', source: 'rules' });
+  });
+
+  it('skips the LLM when disabled', async () => {
+    intentService.useLlm = false;
+
+    expect(await intentService.classify('yes')).toMatchObject({ intent: 'affirm', source: 'rules' });
+    expect(openaiService.classifyIntent).not.toHaveBeenCalled();
+  });
+});
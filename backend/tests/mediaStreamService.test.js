@@ -0,0 +1,333 @@
+const EventEmitter = require('events');
+
+jest.mock('../src/services/deepgramService', () => ({
+  enabled: true,
+  setupRealTimeTranscription: jest.fn()
+}));
+jest.mock('../src/services/elevenlabsService', () => ({
+  enabled: true,
+  generateSpeechAudio: jest.fn()
+}));
+jest.mock('../src/services/conversationService', () => ({
+  processCustomerInput: jest.fn()
+}));
+jest.mock('../src/services/twilioService', () => ({
+  webhookUrl: 'https://dealer.example.com',
+  generateGatherResponse: jest.fn((prompt, action) => `<Gather action="${action}">${prompt}</Gather>`),
+  updateCallTwiml: jest.fn().mockResolvedValue(),
+  endCall: jest.fn().mockResolvedValue(),
+  stopRecording: jest.fn().mockResolvedValue()
+}));
+
+const deepgramService = require('../src/services/deepgramService');
+const elevenlabsService = require('../src/services/elevenlabsService');
+const conversationService = require('../src/services/conversationService');
+const twilioService = require('../src/services/twilioService');
+const mediaStreamService = require('../src/services/mediaStreamService');
+const callHistoryService = require('../src/services/callHistoryService');
+
+// Stands in for the ws socket Twilio connects with
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 1;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  receive(message) {
+    this.emit('message', Buffer.from(JSON.stringify(message)));
+  }
+}
+
+describe('Media stream sessions', () => {
+  let ws;
+  let session;
+  let handlers;
+  let transcription;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transcription = { send: jest.fn(), requestClose: jest.fn() };
+    deepgramService.setupRealTimeTranscription.mockImplementation(callbacks => {
+      handlers = callbacks;
+      return transcription;
+    });
+    elevenlabsService.generateSpeechAudio.mockResolvedValue(Buffer.alloc(400, 0xff));
+    conversationService.processCustomerInput.mockResolvedValue({
+      response: 'Great, when would suit you?',
+      nextStep: 'schedule',
+      shouldContinue: true,
+      stopRecording: false
+    });
+
+    ws = new FakeSocket();
+    session = mediaStreamService.handleConnection(ws);
+    ws.receive({ event: 'start', start: { callSid: 'CA_stream', streamSid: 'MZ_1' } });
+  });
+
+  const say = (transcript, flags = {}) => handlers.onTranscript({ transcript, confidence: 0.9, is_final: true, speech_final: false, ...flags });
+
+  it('sends caller audio to Deepgram as 8 kHz mu-law', () => {
+    expect(deepgramService.setupRealTimeTranscription).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+      encoding: 'mulaw',
+      sample_rate: 8000,
+      endpointing: 300
+    }));
+    expect(mediaStreamService.sessions.get('CA_stream')).toBe(session);
+
+    ws.receive({ event: 'media', media: { track: 'inbound', payload: Buffer.from('abc').toString('base64') } });
+    expect(transcription.send).toHaveBeenCalledWith(Buffer.from('abc'));
+  });
+
+  it('answers each finished utterance and streams the reply back in frames', async () => {
+    say('yes I am');
+    handlers.onTranscript({ transcript: 'still interested', confidence: 0.7, is_final: true, speech_final: true });
+    await session.turns;
+
+    expect(conversationService.processCustomerInput).toHaveBeenCalledWith('CA_stream', 'yes I am still interested', { confidence: 0.7 });
+    expect(elevenlabsService.generateSpeechAudio).toHaveBeenCalledWith('Great, when would suit you?', { outputFormat: 'ulaw_8000', voiceId: null });
+
+    const media = ws.sent.filter(message => message.event === 'media');
+    expect(media).toHaveLength(3);
+    expect(media[0]).toMatchObject({ streamSid: 'MZ_1' });
+    expect(Buffer.from(media[2].media.payload, 'base64')).toHaveLength(80);
+    expect(ws.sent[ws.sent.length - 1]).toEqual({ event: 'mark', streamSid: 'MZ_1', mark: { name: 'turn-1' } });
+  });
+
+  it('uses UtteranceEnd when Deepgram never reports speech_final', async () => {
+    say('call me tomorrow');
+    await handlers.onUtteranceEnd();
+    expect(conversationService.processCustomerInput).toHaveBeenCalledWith('CA_stream', 'call me tomorrow', { confidence: 0.9 });
+
+    // Nothing new was said
+    await handlers.onUtteranceEnd();
+    expect(conversationService.processCustomerInput).toHaveBeenCalledTimes(1);
+  });
+
+  it('hangs up once the closing reply has played', async () => {
+    conversationService.processCustomerInput.mockResolvedValueOnce({ response: 'Goodbye!', nextStep: 'end', shouldContinue: false });
+    say('no thanks', { speech_final: true });
+    await session.turns;
+    expect(twilioService.endCall).not.toHaveBeenCalled();
+
+    ws.receive({ event: 'mark', mark: { name: 'turn-1' } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(twilioService.endCall).toHaveBeenCalledWith('CA_stream');
+    expect(transcription.requestClose).toHaveBeenCalled();
+    expect(mediaStreamService.sessions.has('CA_stream')).toBe(false);
+  });
+
+  it('keeps the socket open until the call is hung up or handed back', async () => {
+    let socketStateAtRequest;
+    twilioService.updateCallTwiml.mockImplementationOnce(async () => { socketStateAtRequest = ws.readyState; });
+    await handlers.onError(new Error('socket hang up'));
+    expect(socketStateAtRequest).toBe(1);
+    expect(ws.readyState).toBe(3);
+  });
+
+  it('hangs up before closing the socket', async () => {
+    let socketStateAtRequest;
+    twilioService.endCall.mockImplementationOnce(async () => { socketStateAtRequest = ws.readyState; });
+    conversationService.processCustomerInput.mockResolvedValueOnce({ response: 'Goodbye!', nextStep: 'end', shouldContinue: false });
+    say('no thanks', { speech_final: true });
+    await session.turns;
+
+    ws.receive({ event: 'mark', mark: { name: 'turn-1' } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(socketStateAtRequest).toBe(1);
+    expect(twilioService.endCall).toHaveBeenCalledTimes(1);
+    expect(mediaStreamService.sessions.has('CA_stream')).toBe(false);
+  });
+
+  it('falls back to Gather when live transcription fails', async () => {
+    await handlers.onError(new Error('socket hang up'));
+
+    expect(twilioService.updateCallTwiml).toHaveBeenCalledWith('CA_stream', expect.stringContaining('action="https://dealer.example.com/webhook/twilio/gather"'));
+    expect(ws.readyState).toBe(3);
+  });
+
+  it('says the reply with Twilio TTS when the audio cannot be generated', async () => {
+    elevenlabsService.generateSpeechAudio.mockRejectedValueOnce(new Error('quota exceeded'));
+    say('sure', { speech_final: true });
+    await session.turns;
+
+    expect(twilioService.updateCallTwiml).toHaveBeenCalledWith('CA_stream', expect.stringContaining('Great, when would suit you?'));
+    expect(ws.sent.filter(message => message.event === 'media')).toHaveLength(0);
+  });
+});
+
+describe('Barge-in', () => {
+  let ws;
+  let session;
+  let handlers;
+  const reply = 'You recently enquired about the Model Y. Is now a good time to talk?';
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    deepgramService.setupRealTimeTranscription.mockImplementation(callbacks => {
+      handlers = callbacks;
+      return { send: jest.fn(), requestClose: jest.fn() };
+    });
+    // 4 seconds of audio
+    elevenlabsService.generateSpeechAudio.mockResolvedValue(Buffer.alloc(32000, 0xff));
+
+    await callHistoryService.startCall('CA_barge', { customer: { id: 'C1', name: 'Jane' } });
+    await callHistoryService.recordTurn('CA_barge', { speaker: 'bot', text: reply, step: 'greeting' });
+
+    ws = new FakeSocket();
+    session = mediaStreamService.handleConnection(ws);
+    ws.receive({ event: 'start', start: { callSid: 'CA_barge', streamSid: 'MZ_2' } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stops the reply when the caller talks over it and logs where it was cut off', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    await session.speak(reply);
+    now.mockReturnValue(3000);
+
+    handlers.onTranscript({ transcript: 'actually', confidence: 0.8, is_final: false, speech_final: false });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(ws.sent[ws.sent.length - 1]).toEqual({ event: 'clear', streamSid: 'MZ_2' });
+    expect(session.playback).toBeNull();
+
+    const [turn] = await callHistoryService.getTranscript('CA_barge');
+    expect(turn.interrupted).toEqual({ atMs: 2000, durationMs: 4000, heardText: 'You recently enquired about the' });
+  });
+
+  it('streams the greeting so the caller can talk over it too', async () => {
+    const greeted = new FakeSocket();
+    const greeting = mediaStreamService.handleConnection(greeted);
+    greeted.receive({ event: 'start', start: { callSid: 'CA_barge', streamSid: 'MZ_4', customParameters: { greeting: reply } } });
+    await greeting.turns;
+
+    expect(elevenlabsService.generateSpeechAudio).toHaveBeenCalledWith(reply, expect.objectContaining({ outputFormat: 'ulaw_8000' }));
+    expect(greeted.sent[greeted.sent.length - 1]).toEqual({ event: 'mark', streamSid: 'MZ_4', mark: { name: 'turn-1' } });
+
+    handlers.onTranscript({ transcript: 'sorry who is this', confidence: 0.8, is_final: false, speech_final: false });
+    expect(greeted.sent[greeted.sent.length - 1]).toEqual({ event: 'clear', streamSid: 'MZ_4' });
+    greeting.close();
+  });
+
+  it('ignores speech shorter than BARGE_IN_MIN_WORDS', async () => {
+    mediaStreamService.bargeIn.minWords = 2;
+    try {
+      await session.speak(reply);
+      handlers.onTranscript({ transcript: 'um', confidence: 0.4, is_final: false, speech_final: false });
+      expect(ws.sent.some(message => message.event === 'clear')).toBe(false);
+    } finally {
+      mediaStreamService.bargeIn.minWords = 1;
+    }
+  });
+
+  it('plays closing replies out and stops tracking once a reply has finished', async () => {
+    await session.speak('Goodbye!', { interruptible: false });
+    handlers.onTranscript({ transcript: 'wait', confidence: 0.9, is_final: false, speech_final: false });
+    expect(ws.sent.some(message => message.event === 'clear')).toBe(false);
+
+    await session.speak(reply);
+    ws.receive({ event: 'mark', mark: { name: 'turn-2' } });
+    expect(session.playback).toBeNull();
+  });
+});
+
+describe('Streaming speech', () => {
+  let ws;
+  let session;
+  let handlers;
+  let callSid;
+  let calls = 0;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    elevenlabsService.streaming = true;
+    deepgramService.setupRealTimeTranscription.mockImplementation(callbacks => {
+      handlers = callbacks;
+      return { send: jest.fn(), requestClose: jest.fn() };
+    });
+
+    callSid = `CA_tts_${++calls}`;
+    await callHistoryService.startCall(callSid, { customer: { id: 'C1', name: 'Jane' } });
+    await callHistoryService.recordTurn(callSid, { speaker: 'bot', text: 'Is now a good time?', step: 'greeting' });
+
+    ws = new FakeSocket();
+    session = mediaStreamService.handleConnection(ws);
+    ws.receive({ event: 'start', start: { callSid, streamSid: 'MZ_3' } });
+  });
+
+  afterEach(() => {
+    elevenlabsService.streaming = undefined;
+  });
+
+  it('forwards audio in whole frames as it arrives and stores the time to first byte', async () => {
+    elevenlabsService.streamSpeech = jest.fn(async (text, onChunk) => {
+      onChunk(Buffer.alloc(100));
+      expect(ws.sent).toHaveLength(0);
+      onChunk(Buffer.alloc(250));
+      expect(ws.sent.filter(message => message.event === 'media')).toHaveLength(2);
+      onChunk(Buffer.alloc(50));
+      return { ttfbMs: 180, totalMs: 600, bytes: 400, aborted: false };
+    });
+
+    await session.speak('Is now a good time?');
+    await session.turnUpdates;
+
+    expect(elevenlabsService.streamSpeech).toHaveBeenCalledWith('Is now a good time?', expect.any(Function), expect.objectContaining({ outputFormat: 'ulaw_8000' }));
+    expect(ws.sent.map(message => message.event)).toEqual(['media', 'media', 'media', 'mark']);
+    expect(Buffer.from(ws.sent[2].media.payload, 'base64')).toHaveLength(80);
+
+    const [turn] = await callHistoryService.getTranscript(callSid);
+    expect(turn.ttfbMs).toEqual(expect.any(Number));
+  });
+
+  it('aborts the stream when the caller barges in before the reply has arrived', async () => {
+    let signal;
+    elevenlabsService.streamSpeech = jest.fn(async (text, onChunk, options) => {
+      signal = options.signal;
+      onChunk(Buffer.alloc(1600));
+      handlers.onTranscript({ transcript: 'hang on', confidence: 0.9, is_final: false, speech_final: false });
+      onChunk(Buffer.alloc(1600));
+      return { ttfbMs: 150, totalMs: 300, bytes: 3200, aborted: signal.aborted };
+    });
+
+    await session.speak('Is now a good time?');
+    await session.turnUpdates;
+
+    expect(signal.aborted).toBe(true);
+    expect(ws.sent.map(message => message.event)).toEqual([...Array(10).fill('media'), 'clear']);
+
+    const [turn] = await callHistoryService.getTranscript(callSid);
+    expect(turn.interrupted).toMatchObject({ durationMs: 200 });
+  });
+});
+
+describe('Media stream availability', () => {
+  it('needs MEDIA_STREAMS_ENABLED plus Deepgram and ElevenLabs', () => {
+    mediaStreamService.enabled = true;
+    expect(mediaStreamService.isAvailable()).toBe(true);
+
+    deepgramService.enabled = false;
+    expect(mediaStreamService.isAvailable()).toBe(false);
+
+    deepgramService.enabled = true;
+    mediaStreamService.enabled = false;
+    expect(mediaStreamService.isAvailable()).toBe(false);
+  });
+
+  it('serves the stream on the webhook host over wss', () => {
+    expect(mediaStreamService.getStreamUrl('https://dealer.example.com/')).toBe('wss://dealer.example.com/webhook/twilio/stream');
+  });
+});
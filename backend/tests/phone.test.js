@@ -0,0 +1,52 @@
+const phoneUtil = require('../src/utils/phone');
+
+describe('Phone numbers', () => {
+  describe('parsePhone', () => {
+    it('reads national numbers in the default country', () => {
+      expect(phoneUtil.parsePhone('(212) 555-0100')).toEqual({
+        e164: '+12125550100',
+        country: 'US',
+        valid: true,
+        type: 'landline_or_mobile'
+      });
+      expect(phoneUtil.parsePhone('020 7946 0018', 'GB')).toMatchObject({ e164: '+442079460018', type: 'landline' });
+      expect(phoneUtil.parsePhone('0412 345 678', 'AU')).toMatchObject({ e164: '+61412345678', type: 'mobile' });
+    });
+
+    it('reads international numbers whatever the default country', () => {
+      expect(phoneUtil.parsePhone('+61 2 9374 4000')).toMatchObject({ e164: '+61293744000', country: 'AU', type: 'landline' });
+      expect(phoneUtil.parsePhone('0044 20 7946 0018')).toMatchObject({ e164: '+442079460018', country: 'GB' });
+      expect(phoneUtil.parsePhone('+44 7400 123456', 'US')).toMatchObject({ e164: '+447400123456', type: 'mobile' });
+    });
+
+    it('tells toll-free numbers apart', () => {
+      expect(phoneUtil.parsePhone('1-800-555-0199').type).toBe('toll_free');
+    });
+
+    it('keeps numbers that are the right length but not in service, marked invalid', () => {
+      expect(phoneUtil.parsePhone('+15551234567')).toEqual({ e164: '+15551234567', country: null, valid: false, type: 'unknown' });
+      expect(phoneUtil.isValidPhone('+15551234567')).toBe(false);
+      expect(phoneUtil.toE164('+15551234567')).toBe('+15551234567');
+    });
+
+    it('returns null for things that cannot be phone numbers', () => {
+      expect(phoneUtil.parsePhone('12345')).toBeNull();
+      expect(phoneUtil.parsePhone('call me')).toBeNull();
+      expect(phoneUtil.parsePhone('')).toBeNull();
+      expect(phoneUtil.parsePhone(undefined)).toBeNull();
+    });
+  });
+
+  it('compares numbers on their E.164 form', () => {
+    expect(phoneUtil.samePhone('(212) 555-0100', '+1 212 555 0100')).toBe(true);
+    expect(phoneUtil.samePhone('020 7946 0018', '+442079460018', 'GB')).toBe(true);
+    expect(phoneUtil.samePhone('020 7946 0018', '+442079460018')).toBe(false);
+    expect(phoneUtil.samePhone('', '')).toBe(false);
+  });
+
+  it('accepts ISO country codes in any case', () => {
+    expect(phoneUtil.isCountry('gb')).toBe(true);
+    expect(phoneUtil.isCountry('XX')).toBe(false);
+    expect(phoneUtil.isCountry(null)).toBe(false);
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../src/services/googleSheetsService', () => ({
+  updateCustomerData: jest.fn().mockResolvedValue(true),
+  updateCustomerRecord: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../src/services/openaiService', () => ({
+  generateResponse: jest.fn().mockRejectedValue(new Error('offline'))
+}));
+
+const recordingService = require('../src/services/recordingService');
+const conversationService = require('../src/services/conversationService');
+const callHistoryService = require('../src/services/callHistoryService');
+
+const customer = { id: 'CUST_1', name: 'Jane', phone: '+14155550100', carModel: 'Model Y' };
+
+// Place a call the way twilioService.initiateCall records it
+const startCall = async (callSid, phone) => {
+  const policy = recordingService.getPolicy(phone);
+  await callHistoryService.startCall(callSid, {
+    customer: { ...customer, phone },
+    recording: recordingService.describePolicy(policy)
+  });
+  return (await callHistoryService.getCall(callSid)).recording;
+};
+
+describe('Recording policy', () => {
+  it.each([
+    ['+14155550100', 'US-CA', 'consent'],
+    ['+12155550100', 'US-PA', 'consent'],
+    ['+15125550100', 'US', 'silent'],
+    ['+14165550100', 'CA', 'silent'],
+    ['+442071234567', 'GB', 'announce'],
+    ['+4930123456', 'DE', 'consent'],
+    ['+81312345678', null, 'announce']
+  ])('%s is in %s and uses %s', (phone, region, mode) => {
+    expect(recordingService.getPolicy(phone)).toEqual({ region, mode, record: true });
+  });
+
+  it('reads per-region overrides from RECORDING_POLICY', () => {
+    jest.isolateModules(() => {
+      process.env.RECORDING_POLICY = 'US:announce, de:none, GB:bogus';
+      const service = require('../src/services/recordingService');
+      delete process.env.RECORDING_POLICY;
+
+      expect(service.getPolicy('+15125550100').mode).toBe('announce');
+      expect(service.getPolicy('+4930123456')).toMatchObject({ mode: 'none', record: false });
+      expect(service.getPolicy('+442071234567').mode).toBe('announce');
+      // A state rule still wins over its country
+      expect(service.getPolicy('+14155550100').mode).toBe('consent');
+    });
+  });
+
+  it('never records when RECORDING_ENABLED is false', () => {
+    jest.isolateModules(() => {
+      process.env.RECORDING_ENABLED = 'false';
+      const service = require('../src/services/recordingService');
+      delete process.env.RECORDING_ENABLED;
+
+      expect(service.getPolicy('+15125550100')).toEqual({ region: 'US', mode: 'none', record: false });
+    });
+  });
+});
+
+describe('Recording consent in the conversation', () => {
+  it('asks for consent before the script and starts it once granted', async () => {
+    const recording = await startCall('CA_consent_yes', '+14155550100');
+    expect(recording).toMatchObject({ region: 'US-CA', mode: 'consent', consent: 'pending' });
+
+    const greeting = await conversationService.generateInitialGreeting('CA_consent_yes', customer, { recording });
+    expect(greeting.response).toBe(recordingService.messages.consentPrompt);
+
+    const result = await conversationService.processCustomerInput('CA_consent_yes', 'yeah that is fine');
+    expect(result).toMatchObject({ nextStep: 'greeting', shouldContinue: true, stopRecording: false });
+    expect(result.response).toContain('Is now a good time to talk?');
+
+    const call = await callHistoryService.getCall('CA_consent_yes');
+    expect(call.recording).toMatchObject({ consent: 'granted', consentAt: expect.any(String) });
+  });
+
+  it('stops the recording when the customer declines and carries on with the script', async () => {
+    const recording = await startCall('CA_consent_no', '+14155550100');
+    await conversationService.generateInitialGreeting('CA_consent_no', customer, { recording });
+
+    const result = await conversationService.processCustomerInput('CA_consent_no', 'no, I would rather not');
+
+    expect(result.stopRecording).toBe(true);
+    expect(result.response).toBe(`${recordingService.messages.declined} Hi Jane, this is Sarah from Premier Auto. You recently enquired about the Model Y. Is now a good time to talk?`);
+    expect((await callHistoryService.getCall('CA_consent_no')).recording.consent).toBe('declined');
+
+    // The next reply goes to the script
+    const next = await conversationService.processCustomerInput('CA_consent_no', 'yes go ahead');
+    expect(next.nextStep).toBe('confirm_interest');
+  });
+
+  it('reprompts once, then treats an unclear answer as a decline', async () => {
+    const recording = await startCall('CA_consent_unclear', '+14155550100');
+    await conversationService.generateInitialGreeting('CA_consent_unclear', customer, { recording });
+
+    const reprompt = await conversationService.processCustomerInput('CA_consent_unclear', 'hmm');
+    expect(reprompt.response).toBe(recordingService.messages.consentReprompt);
+
+    const result = await conversationService.processCustomerInput('CA_consent_unclear', 'what');
+    expect(result.stopRecording).toBe(true);
+  });
+
+  it('announces the recording where no consent is needed', async () => {
+    const recording = await startCall('CA_announce', '+442071234567');
+    const greeting = await conversationService.generateInitialGreeting('CA_announce', customer, { recording });
+
+    expect(recording.consent).toBe('not_required');
+    expect(greeting.response).toMatch(/^Just so you know, this call is recorded .+ Hi Jane/);
+  });
+});
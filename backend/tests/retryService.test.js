@@ -0,0 +1,202 @@
+jest.mock('../src/services/googleSheetsService', () => ({
+  getCustomerData: jest.fn().mockResolvedValue([]),
+  updateCustomerRecord: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../src/services/twilioService', () => ({
+  initiateCall: jest.fn()
+}));
+
+const googleSheetsService = require('../src/services/googleSheetsService');
+const twilioService = require('../src/services/twilioService');
+const callHistoryService = require('../src/services/callHistoryService');
+const dialQueueService = require('../src/services/dialQueueService');
+const retryService = require('../src/services/retryService');
+
+// Monday 19 October 2026, 10am America/New_York
+const NOW = new Date('2026-10-19T14:00:00Z');
+const at = iso => new Date(iso);
+
+let callCount = 0;
+
+describe('Retry scheduling', () => {
+  describe('getNextAttemptAt', () => {
+    it('backs off and moves each retry to the next part of the day', () => {
+      // 10am (morning) + 2h -> afternoon window, which is already open
+      const first = retryService.getNextAttemptAt(1, NOW);
+      expect(first.toISOString()).toBe('2026-10-19T16:00:00.000Z');
+
+      // noon (afternoon) + 4h -> evening window opens at 4pm
+      const second = retryService.getNextAttemptAt(2, first);
+      expect(second.toISOString()).toBe('2026-10-19T20:00:00.000Z');
+
+      // 4pm (evening) + 8h -> midnight, so the next morning window
+      const third = retryService.getNextAttemptAt(3, second);
+      expect(third.toISOString()).toBe('2026-10-20T13:00:00.000Z');
+    });
+
+    it('skips days outside RETRY_DAYS', () => {
+      // Saturday 5pm + 2h: Saturday morning is gone and Sunday is off, so Monday morning
+      const next = retryService.getNextAttemptAt(1, at('2026-10-24T21:00:00Z'));
+      expect(next.toISOString()).toBe('2026-10-26T13:00:00.000Z');
+    });
+
+    it('caps the delay and can skip the time-of-day rotation', () => {
+      const next = retryService.getNextAttemptAt(10, NOW, { rotateTimeOfDay: false, maxDelayMinutes: 60 });
+      expect(next.toISOString()).toBe('2026-10-19T15:00:00.000Z');
+    });
+  });
+
+  describe('handleCallOutcome', () => {
+    const customer = { id: 'C1', name: 'Jane', phone: '+15551230001', carModel: 'Model Y' };
+
+    beforeEach(async () => {
+      jest.clearAllMocks();
+      twilioService.initiateCall.mockImplementation(async (phone, data) => {
+        const callSid = `CA_retry_${++callCount}`;
+        await callHistoryService.startCall(callSid, { customer: data, status: 'queued' });
+        return { callSid, status: 'queued' };
+      });
+
+      for (const job of await dialQueueService.listJobs()) {
+        await dialQueueService.jobs.delete(job.id);
+      }
+      for (const record of await retryService.listAttempts()) {
+        await retryService.attempts.delete(record.customerKey);
+      }
+      dialQueueService.limits = { maxConcurrentCalls: 10, callsPerSecond: 10 };
+      dialQueueService.tokens = null;
+    });
+
+    // Dial every due job and return the SID of the latest call
+    const dialDue = async now => {
+      await dialQueueService.tick(now);
+      const jobs = await dialQueueService.listJobs({ status: 'in_progress' });
+      return jobs[jobs.length - 1].callSid;
+    };
+
+    it('reschedules unanswered calls and gives up after maxAttempts', async () => {
+      await dialQueueService.enqueue({ customer, source: 'bulk' });
+      let callSid = await dialDue(NOW);
+
+      const first = await retryService.handleCallOutcome(callSid, 'busy', { now: NOW });
+      expect(first).toMatchObject({ attempts: 1, status: 'retry_scheduled', nextRetryAt: '2026-10-19T16:00:00.000Z' });
+      expect(googleSheetsService.updateCustomerRecord).toHaveBeenCalledWith('C1', {
+        lastCallDate: '2026-10-19',
+        callResult: 'busy',
+        status: 'retry_scheduled',
+        callAttempts: 1,
+        nextCallDate: '2026-10-19 12:00'
+      }, { tenantId: 'default' });
+
+      const retryJob = await dialQueueService.getJob(first.retryJobId);
+      expect(retryJob).toMatchObject({ status: 'queued', source: 'retry', notBefore: first.nextRetryAt });
+
+      // Not due yet
+      await dialQueueService.tick(at('2026-10-19T15:59:00Z'));
+      expect(twilioService.initiateCall).toHaveBeenCalledTimes(1);
+
+      callSid = await dialDue(at('2026-10-19T16:00:00Z'));
+      const second = await retryService.handleCallOutcome(callSid, 'no-answer', { now: at('2026-10-19T16:00:00Z') });
+      expect(second).toMatchObject({ attempts: 2, status: 'retry_scheduled' });
+
+      callSid = await dialDue(new Date(second.nextRetryAt));
+      const third = await retryService.handleCallOutcome(callSid, 'no-answer', { now: new Date(second.nextRetryAt) });
+      expect(third).toMatchObject({ attempts: 3, totalAttempts: 3, status: 'gave_up', nextRetryAt: null });
+      expect(googleSheetsService.updateCustomerRecord).toHaveBeenLastCalledWith('C1', expect.objectContaining({
+        status: 'unreachable',
+        callAttempts: 3,
+        nextCallDate: ''
+      }), { tenantId: 'default' });
+      expect(await dialQueueService.listJobs({ status: 'queued' })).toHaveLength(0);
+    });
+
+    it('resets the unanswered count once the customer answers', async () => {
+      await dialQueueService.enqueue({ customer });
+      let callSid = await dialDue(NOW);
+      const missed = await retryService.handleCallOutcome(callSid, 'no-answer', { now: NOW });
+
+      callSid = await dialDue(new Date(missed.nextRetryAt));
+      const reached = await retryService.handleCallOutcome(callSid, 'completed', { now: new Date(missed.nextRetryAt) });
+
+      expect(reached).toMatchObject({ attempts: 0, totalAttempts: 2, status: 'reached' });
+      expect(reached.history.map(entry => entry.outcome)).toEqual(['no-answer', 'completed']);
+    });
+
+    it('cancels the queued retry when the customer calls back', async () => {
+      await dialQueueService.enqueue({ customer });
+      const callSid = await dialDue(NOW);
+      const missed = await retryService.handleCallOutcome(callSid, 'no-answer', { now: NOW });
+
+      await callHistoryService.startCall('CA_callback', { customer, direction: 'inbound', status: 'in-progress' });
+      const reached = await retryService.handleCallOutcome('CA_callback', 'completed', { now: at('2026-10-19T15:00:00Z'), customer });
+
+      expect(reached).toMatchObject({ attempts: 0, status: 'reached', retryJobId: null });
+      expect(await dialQueueService.getJob(missed.retryJobId)).toMatchObject({ status: 'cancelled' });
+    });
+
+    it('retries calls that went to voicemail and keeps the job\'s voicemail settings', async () => {
+      const voicemail = { enabled: true, template: 'Hi {customerName}' };
+      await dialQueueService.enqueue({ customer, voicemail });
+      const callSid = await dialDue(NOW);
+      // Set by the voice webhook when a machine answers; Twilio then reports the call completed
+      await callHistoryService.updateCall(callSid, { outcome: 'voicemail', answeredBy: 'machine_end_beep' });
+
+      const record = await retryService.handleCallOutcome(callSid, 'completed', { now: NOW });
+      expect(record).toMatchObject({ attempts: 1, status: 'retry_scheduled', lastOutcome: 'voicemail' });
+      expect(await dialQueueService.getJob(record.retryJobId)).toMatchObject({ source: 'retry', voicemail });
+      expect(twilioService.initiateCall).toHaveBeenCalledWith(customer.phone, expect.any(Object), { source: 'api', voicemail, tenantId: 'default' });
+    });
+
+    it('leaves campaign calls to the campaign retry policy', async () => {
+      await dialQueueService.enqueue({ customer, campaign: 'camp-1', source: 'campaign' });
+      const callSid = await dialDue(NOW);
+
+      const record = await retryService.handleCallOutcome(callSid, 'busy', { now: NOW });
+      expect(record).toMatchObject({ attempts: 1, status: 'campaign' });
+      expect(await dialQueueService.listJobs({ status: 'queued' })).toHaveLength(0);
+      expect(googleSheetsService.updateCustomerRecord).not.toHaveBeenCalled();
+    });
+
+    it('looks up calls placed outside the queue in the sheet', async () => {
+      googleSheetsService.getCustomerData.mockResolvedValueOnce([customer]);
+      await callHistoryService.startCall('CA_direct', { customer, status: 'queued' });
+
+      const record = await retryService.handleCallOutcome('CA_direct', 'busy', { now: NOW });
+      expect(record.status).toBe('retry_scheduled');
+      expect((await dialQueueService.getJob(record.retryJobId)).customer).toEqual(customer);
+    });
+  });
+
+  describe('store driver', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    const load = () => {
+      let service;
+      jest.isolateModules(() => {
+        service = require('../src/services/retryService');
+      });
+      return service;
+    };
+
+    it('keeps call attempts on disk unless a driver is configured', () => {
+      delete process.env.RETRY_STORE;
+      delete process.env.STORE_DRIVER;
+      process.env.NODE_ENV = 'development';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load().attempts.driver).toBe('file');
+    });
+
+    it('refuses the memory store in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.RETRY_STORE = 'memory';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load).toThrow('Call attempts cannot use the memory store in production');
+    });
+  });
+});
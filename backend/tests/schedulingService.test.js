@@ -0,0 +1,187 @@
+const express = require('express');
+const request = require('supertest');
+const schedulingService = require('../src/services/schedulingService');
+const appointmentRoutes = require('../src/controllers/appointmentController');
+const { errorHandler } = require('../src/utils/errorHandler');
+
+// Monday 19 October 2026, 10am in America/New_York
+const NOW = new Date('2026-10-19T14:00:00Z');
+
+const app = express();
+app.use(express.json());
+// Authentication is covered in auth.test.js; these requests act as a campaign manager
+app.use((req, res, next) => {
+  req.user = { id: 'test', role: 'campaign_manager', type: 'api_key' };
+  next();
+});
+app.use('/api/appointments', appointmentRoutes);
+app.use(errorHandler);
+
+describe('SchedulingService', () => {
+  const originalAvailability = schedulingService.availability;
+
+  beforeAll(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    schedulingService.availability = {
+      ...originalAvailability,
+      staffCount: 2,
+      durationMinutes: 60,
+      slotIntervalMinutes: 30,
+      vehicles: { 'model y': 1 }
+    };
+    for (const appointment of await schedulingService.store.list()) {
+      await schedulingService.store.delete(appointment.id);
+    }
+  });
+
+  afterEach(() => {
+    schedulingService.availability = originalAvailability;
+  });
+
+  it('books until sales staff are fully allocated', async () => {
+    const start = '2026-10-21T11:00:00-04:00';
+
+    expect((await schedulingService.reserve({ start, vehicle: 'Camry' })).booked).toBe(true);
+    expect((await schedulingService.reserve({ start, vehicle: 'Camry' })).booked).toBe(true);
+
+    const third = await schedulingService.reserve({ start: '2026-10-21T11:30:00-04:00', vehicle: 'Camry' });
+    expect(third).toMatchObject({ booked: false, reason: 'staff_unavailable' });
+    expect(third.alternatives).toEqual([
+      '2026-10-21T12:00:00-04:00',
+      '2026-10-21T12:30:00-04:00',
+      '2026-10-21T13:00:00-04:00'
+    ]);
+  });
+
+  it('limits test drives to the vehicles available', async () => {
+    const start = '2026-10-21T11:00:00-04:00';
+    await schedulingService.reserve({ start, vehicle: 'Model Y' });
+
+    expect(await schedulingService.checkAvailability(start, { vehicle: 'model y' }))
+      .toMatchObject({ available: false, reason: 'vehicle_unavailable' });
+    expect((await schedulingService.checkAvailability(start, { vehicle: 'Camry' })).available).toBe(true);
+  });
+
+  it('never double-books when reservations race', async () => {
+    schedulingService.availability.staffCount = 1;
+    const start = '2026-10-22T15:00:00-04:00';
+
+    const results = await Promise.all([
+      schedulingService.reserve({ start }),
+      schedulingService.reserve({ start })
+    ]);
+
+    expect(results.filter(result => result.booked)).toHaveLength(1);
+  });
+
+  it('frees a slot when an appointment is cancelled', async () => {
+    schedulingService.availability.staffCount = 1;
+    const start = '2026-10-22T15:00:00-04:00';
+    const { appointment } = await schedulingService.reserve({ start });
+
+    await schedulingService.cancel(appointment.id, 'customer rang to cancel');
+
+    expect((await schedulingService.getAppointment(appointment.id)).status).toBe('cancelled');
+    expect((await schedulingService.checkAvailability(start)).available).toBe(true);
+  });
+
+  it('rejects appointments that would run past closing time', async () => {
+    expect(await schedulingService.checkAvailability('2026-10-24T15:30:00-04:00'))
+      .toMatchObject({ available: false, reason: 'outside_hours' });
+  });
+
+  describe('/api/appointments', () => {
+    it('books a slot and returns 409 with alternatives when it is full', async () => {
+      schedulingService.availability.staffCount = 1;
+      const body = { start: '2026-10-23T10:00:00-04:00', customer: { id: 'CUST_1', name: 'Jane' } };
+
+      const created = await request(app).post('/api/appointments').send(body).expect(201);
+      expect(created.body.data.appointment).toMatchObject({ customerId: 'CUST_1', status: 'booked' });
+
+      const conflict = await request(app).post('/api/appointments').send(body).expect(409);
+      expect(conflict.body.success).toBe(false);
+      expect(conflict.body.data.alternatives[0]).toBe('2026-10-23T09:00:00-04:00');
+    });
+
+    it('lists free slots for a day and cancels bookings', async () => {
+      const { appointment } = await schedulingService.reserve({ start: '2026-10-24T10:00:00-04:00' });
+
+      const availability = await request(app).get('/api/appointments/availability?date=2026-10-24').expect(200);
+      expect(availability.body.data.slots[0]).toBe('2026-10-24T10:00:00-04:00');
+      expect(availability.body.data.slots).toHaveLength(11);
+
+      await request(app).post(`/api/appointments/${appointment.id}/cancel`).send({ reason: 'test' }).expect(200);
+      const listed = await request(app).get('/api/appointments?status=cancelled').expect(200);
+      expect(listed.body.data.appointments.map(item => item.id)).toEqual([appointment.id]);
+    });
+
+    it('serves a token-protected calendar feed', async () => {
+      process.env.CALENDAR_FEED_TOKEN = 'feed-secret';
+      const { appointment } = await schedulingService.reserve({
+        start: '2026-10-23T15:00:00-04:00',
+        vehicle: 'Camry',
+        customer: { name: 'Jane' }
+      });
+
+      try {
+        await request(app).get('/api/appointments/feed/default.ics?token=wrong').expect(403);
+
+        const feed = await request(app).get('/api/appointments/feed/default.ics?token=feed-secret').expect(200);
+        expect(feed.headers['content-type']).toContain('text/calendar');
+        expect(feed.text).toContain(`UID:${appointment.id}@default.appointments`);
+        expect(feed.text).toContain('SUMMARY:Test drive: Camry at Premier Auto');
+
+        const invite = await request(app).get(`/api/appointments/${appointment.id}.ics`).expect(200);
+        expect(invite.text).toContain('METHOD:REQUEST');
+      } finally {
+        delete process.env.CALENDAR_FEED_TOKEN;
+      }
+    });
+
+    it('validates input', async () => {
+      await request(app).post('/api/appointments').send({ start: 'soon' }).expect(400);
+      await request(app).get('/api/appointments/availability').expect(400);
+      await request(app).get('/api/appointments/missing').expect(404);
+    });
+  });
+
+  describe('store driver', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    const load = () => {
+      let service;
+      jest.isolateModules(() => {
+        service = require('../src/services/schedulingService');
+      });
+      return service;
+    };
+
+    it('keeps appointments on disk unless a driver is configured', () => {
+      delete process.env.APPOINTMENT_STORE;
+      delete process.env.STORE_DRIVER;
+      process.env.NODE_ENV = 'development';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load().store.driver).toBe('file');
+    });
+
+    it('refuses the memory store in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.APPOINTMENT_STORE = 'memory';
+      process.env.STORE_FILE_DIR = require('os').tmpdir();
+
+      expect(load).toThrow('Appointments cannot use the memory store in production');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../src/stores');
+
+describe.each([
+  ['memory', () => ({})],
+  ['file', () => ({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-')) })]
+])('%s store', (driver, makeOptions) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore('conversations', { driver, ...makeOptions() });
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('round-trips JSON values', async () => {
+    await store.set('CA1', { callSid: 'CA1', startTime: new Date('2024-01-20T10:00:00Z') });
+
+    expect(await store.get('CA1')).toEqual({ callSid: 'CA1', startTime: '2024-01-20T10:00:00.000Z' });
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  it('does not share object references with callers', async () => {
+    const value = { step: 'greeting' };
+    await store.set('CA2', value);
+    value.step = 'mutated';
+
+    expect((await store.get('CA2')).step).toBe('greeting');
+  });
+
+  it('expires entries after their TTL', async () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await store.set('short', { a: 1 }, { ttlSeconds: 1 });
+    await store.set('forever', { b: 2 }, { ttlSeconds: 0 });
+
+    spy.mockReturnValue(now + 1500);
+    expect(await store.get('short')).toBeNull();
+    expect(await store.get('forever')).toEqual({ b: 2 });
+    expect(await store.count()).toBe(1);
+
+    spy.mockRestore();
+  });
+
+  it('lists values by key prefix and deletes', async () => {
+    await store.set('CA3:1', { seq: 1 });
+    await store.set('CA3:2', { seq: 2 });
+    await store.set('CA4:1', { seq: 3 });
+
+    const listed = await store.list({ prefix: 'CA3:' });
+    expect(listed.map(v => v.seq).sort()).toEqual([1, 2]);
+
+    expect(await store.delete('CA3:1')).toBe(true);
+    expect(await store.delete('CA3:1')).toBe(false);
+    expect(await store.count()).toBe(2);
+  });
+});
+
+describe('createStore', () => {
+  it('rejects unknown drivers', () => {
+    expect(() => createStore('x', { driver: 'mongo' })).toThrow(/Unknown store driver/);
+  });
+});
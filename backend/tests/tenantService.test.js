@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/services/googleSheetsService', () => ({
+  updateCustomerData: jest.fn().mockResolvedValue(true),
+  updateCustomerRecord: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../src/services/emailService', () => ({
+  sendSimilarCarsEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendAppointmentConfirmationEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../src/services/openaiService', () => ({}));
+
+const tenantsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-')), 'tenants.yaml');
+fs.writeFileSync(tenantsFile, `
+tenants:
+  - id: westside
+    name: Westside Motors
+    botName: Alex
+    salesRep: Maria Lopez
+    timezone: America/Los_Angeles
+    voiceId: voice-west
+    phoneNumbers: ['+1 (555) 200-0001']
+    spreadsheetId: \${WESTSIDE_SHEET_ID}
+    email:
+      user: sales@westside.example.com
+    campaigns: [west-fall]
+  - id: copycat
+    name: Copycat Cars
+    phoneNumbers: ['+15552000001']
+    spreadsheetId: sheet-copycat
+  - id: no-sheet
+    name: No Sheet Autos
+    phoneNumbers: ['+15553000001']
+`);
+
+process.env.TENANTS_FILE = tenantsFile;
+process.env.WESTSIDE_SHEET_ID = 'sheet-westside';
+process.env.TWILIO_PHONE_NUMBER = '+15550000000';
+process.env.GOOGLE_SHEETS_ID = 'sheet-default';
+process.env.GMAIL_APP_PASSWORD = 'app-password';
+
+const express = require('express');
+const request = require('supertest');
+const tenantService = require('../src/services/tenantService');
+const callHistoryService = require('../src/services/callHistoryService');
+const schedulingService = require('../src/services/schedulingService');
+const conversationService = require('../src/services/conversationService');
+const appointmentRoutes = require('../src/controllers/appointmentController');
+const tenantRoutes = require('../src/controllers/tenantController');
+const { errorHandler } = require('../src/utils/errorHandler');
+
+// Monday 19 October 2026, 10am in New York (7am in Los Angeles)
+const NOW = new Date('2026-10-19T14:00:00Z');
+
+// X-Test-Tenant makes the request come from a user of that tenant
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'test', role: 'campaign_manager', tenantId: req.get('X-Test-Tenant') || null, type: 'api_key' };
+  next();
+});
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/tenants', tenantRoutes);
+app.use(errorHandler);
+
+describe('Tenants', () => {
+  describe('loading', () => {
+    it('builds the default tenant from the environment and loads the tenants file', () => {
+      expect(tenantService.getDefault()).toMatchObject({
+        id: 'default',
+        name: 'Premier Auto',
+        phoneNumbers: ['+15550000000'],
+        spreadsheetId: 'sheet-default'
+      });
+      expect(tenantService.get('westside')).toMatchObject({
+        name: 'Westside Motors',
+        botName: 'Alex',
+        timezone: 'America/Los_Angeles',
+        phoneNumbers: ['+15552000001'],
+        spreadsheetId: 'sheet-westside',
+        email: { user: 'sales@westside.example.com', fromName: 'Westside Motors Sales' }
+      });
+    });
+
+    it('skips invalid tenants without dropping the others', () => {
+      expect(tenantService.list().map(tenant => tenant.id)).toEqual(['default', 'westside']);
+      expect(() => tenantService.registerTenant({ id: 'copycat', name: 'Copycat', phoneNumbers: ['+15552000001'], spreadsheetId: 'x' }))
+        .toThrow('already belongs to tenant "westside"');
+      expect(() => tenantService.registerTenant({ id: 'no-sheet', name: 'No Sheet', phoneNumbers: ['+15553000001'] }))
+        .toThrow('spreadsheetId is required');
+      expect(() => tenantService.registerTenant({ id: 'nowhere', name: 'Nowhere', country: 'XX', spreadsheetId: 'x' }))
+        .toThrow('unknown country "XX"');
+    });
+
+    it('reads a tenant\'s numbers in its own country', () => {
+      const tenant = tenantService.registerTenant({
+        id: 'london',
+        name: 'London Motors',
+        country: 'gb',
+        phoneNumbers: ['020 7946 0018'],
+        spreadsheetId: 'sheet-london'
+      });
+
+      expect(tenant).toMatchObject({ country: 'GB', phoneNumbers: ['+442079460018'] });
+      expect(tenantService.countryFor('london')).toBe('GB');
+      expect(tenantService.resolve({ phoneNumbers: ['+44 20 7946 0018'] }).id).toBe('london');
+    });
+
+    it('never exposes mailbox passwords', () => {
+      const publicTenant = tenantService.toPublic(tenantService.get('westside'));
+      expect(tenantService.get('westside').email.appPassword).toBe('app-password');
+      expect(publicTenant.email).not.toHaveProperty('appPassword');
+      expect(publicTenant.isDefault).toBe(false);
+    });
+  });
+
+  describe('resolve', () => {
+    it('uses the tenant id, then the campaign, then our number, then the default', () => {
+      expect(tenantService.resolve({ tenantId: 'westside' }).id).toBe('westside');
+      expect(tenantService.resolve({ campaign: 'west-fall' }).id).toBe('westside');
+      expect(tenantService.resolve({ phoneNumbers: ['555-200-0001'] }).id).toBe('westside');
+      expect(tenantService.resolve({ tenantId: 'missing', phoneNumbers: ['+15559999999'] }).id).toBe('default');
+    });
+  });
+
+  describe('request scoping', () => {
+    it("limits tenant users to their own tenant and lets platform users pick one", () => {
+      expect(tenantService.scopeFor({ user: { tenantId: 'westside' }, query: { tenant: 'default' } })).toBe('westside');
+      expect(tenantService.scopeFor({ user: {}, query: { tenant: 'westside' } })).toBe('westside');
+      expect(tenantService.scopeFor({ user: {}, query: {} })).toBeNull();
+      expect(() => tenantService.scopeFor({ user: {}, query: { tenant: 'nope' } })).toThrow('Unknown tenant');
+    });
+
+    it('treats untagged records as the default tenant', () => {
+      expect(tenantService.canAccess('default', {})).toBe(true);
+      expect(tenantService.canAccess('westside', {})).toBe(false);
+      expect(tenantService.canAccess(null, { tenantId: 'westside' })).toBe(true);
+    });
+
+    it('only lists the caller\'s own tenant', async () => {
+      const response = await request(app).get('/api/tenants').set('X-Test-Tenant', 'westside').expect(200);
+      expect(response.body.data.tenants.map(tenant => tenant.id)).toEqual(['westside']);
+      await request(app).get('/api/tenants/default').set('X-Test-Tenant', 'westside').expect(404);
+    });
+  });
+
+  describe('isolation', () => {
+    beforeAll(() => {
+      jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] });
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    it('filters call history by tenant', async () => {
+      await callHistoryService.startCall('CA_default', { customer: { id: 'C1', phone: '+15551230001' } });
+      await callHistoryService.startCall('CA_west', { tenantId: 'westside', customer: { id: 'C1', phone: '+15551230002' } });
+
+      const west = await callHistoryService.listCalls({ tenantId: 'westside' });
+      const fallback = await callHistoryService.listCalls({ tenantId: 'default' });
+      expect(west.calls.map(call => call.callSid)).toEqual(['CA_west']);
+      expect(fallback.calls.map(call => call.callSid)).toEqual(['CA_default']);
+    });
+
+    it('keeps a separate calendar per tenant, in its own timezone', async () => {
+      schedulingService.availability = { ...schedulingService.availability, staffCount: 1 };
+      const start = '2026-10-20T18:00:00Z';
+
+      const ours = await schedulingService.reserve({ start, customer: { id: 'C1' } });
+      const theirs = await schedulingService.reserve({ start, customer: { id: 'C1' }, tenantId: 'westside' });
+
+      expect(ours.booked).toBe(true);
+      expect(theirs.booked).toBe(true);
+      expect(theirs.appointment).toMatchObject({ tenantId: 'westside', timezone: 'America/Los_Angeles', start: '2026-10-20T11:00:00-07:00' });
+
+      const listed = await request(app).get('/api/appointments').set('X-Test-Tenant', 'westside').expect(200);
+      expect(listed.body.data.appointments.map(appointment => appointment.id)).toEqual([theirs.appointment.id]);
+      await request(app).get(`/api/appointments/${ours.appointment.id}`).set('X-Test-Tenant', 'westside').expect(404);
+      await request(app).post(`/api/appointments/${ours.appointment.id}/cancel`).set('X-Test-Tenant', 'westside').expect(404);
+    });
+
+    it('greets in the tenant\'s name and persona', async () => {
+      const greeting = await conversationService.generateInitialGreeting('CA_west_greeting', {
+        id: 'W1',
+        name: 'Sam',
+        phone: '+15551230003',
+        carModel: 'Civic'
+      }, { tenantId: 'westside' });
+
+      expect(greeting.response).toContain('this is Alex from Westside Motors');
+      expect(await conversationService.getConversation('CA_west_greeting')).toMatchObject({ tenantId: 'westside' });
+      expect(await callHistoryService.getCall('CA_west_greeting')).toMatchObject({ tenantId: 'westside' });
+    });
+  });
+});
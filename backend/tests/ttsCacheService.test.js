@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TTS_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+
+const ttsCacheService = require('../src/services/ttsCacheService');
+
+const key = text => ttsCacheService.buildKey(text, { voiceId: 'voice', modelId: 'model', outputFormat: 'ulaw_8000' });
+
+describe('TTS cache', () => {
+  beforeEach(() => {
+    ttsCacheService.evict(null, 0);
+    ttsCacheService.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    ttsCacheService.maxBytes = 1000;
+  });
+
+  afterAll(() => {
+    fs.rmSync(ttsCacheService.audioDir, { recursive: true, force: true });
+  });
+
+  it('stores audio under a name derived from the rendering', () => {
+    const file = ttsCacheService.put(key('Hello'), 'ulaw_8000', Buffer.alloc(100));
+
+    expect(file.filename).toMatch(/^tts_[0-9a-f]{40}\.ulaw$/);
+    expect(ttsCacheService.filenameFor(key('Hello'), 'mp3_44100_128')).toBe(file.filename.replace('.ulaw', '.mp3'));
+    expect(ttsCacheService.get(key('Hello'), 'ulaw_8000').audio).toEqual(Buffer.alloc(100));
+    expect(ttsCacheService.get(key('Goodbye'), 'ulaw_8000')).toBeNull();
+  });
+
+  it('evicts the least recently used audio once over the size limit', () => {
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValue(1000);
+    ttsCacheService.put(key('one'), 'ulaw_8000', Buffer.alloc(400));
+    now.mockReturnValue(2000);
+    ttsCacheService.put(key('two'), 'ulaw_8000', Buffer.alloc(400));
+    now.mockReturnValue(3000);
+    // Using "one" makes "two" the oldest
+    ttsCacheService.get(key('one'), 'ulaw_8000');
+    now.mockReturnValue(4000);
+    ttsCacheService.put(key('three'), 'ulaw_8000', Buffer.alloc(400));
+    now.mockRestore();
+
+    expect(ttsCacheService.has(key('one'), 'ulaw_8000')).toBe(true);
+    expect(ttsCacheService.has(key('two'), 'ulaw_8000')).toBe(false);
+    expect(ttsCacheService.has(key('three'), 'ulaw_8000')).toBe(true);
+    expect(fs.existsSync(path.join(ttsCacheService.audioDir, ttsCacheService.filenameFor(key('two'), 'ulaw_8000')))).toBe(false);
+    expect(ttsCacheService.getStats()).toMatchObject({ entries: 2, bytes: 800, evictions: 1 });
+  });
+
+  it('never evicts the file it has just written', () => {
+    ttsCacheService.put(key('big'), 'ulaw_8000', Buffer.alloc(1500));
+    expect(ttsCacheService.has(key('big'), 'ulaw_8000')).toBe(true);
+  });
+
+  it('reports the hit rate', () => {
+    expect(ttsCacheService.getStats().hitRate).toBeNull();
+
+    ttsCacheService.put(key('Hello'), 'ulaw_8000', Buffer.alloc(10));
+    ttsCacheService.get(key('Hello'), 'ulaw_8000');
+    ttsCacheService.get(key('Hello'), 'ulaw_8000');
+    ttsCacheService.get(key('Goodbye'), 'ulaw_8000');
+    // has() is not a lookup
+    ttsCacheService.has(key('Goodbye'), 'ulaw_8000');
+
+    expect(ttsCacheService.getStats()).toMatchObject({ hits: 2, misses: 1, writes: 1, hitRate: 0.667 });
+  });
+
+  it('picks up files already on disk, oldest first, after a restart', () => {
+    ttsCacheService.put(key('old'), 'ulaw_8000', Buffer.alloc(300));
+    ttsCacheService.put(key('new'), 'ulaw_8000', Buffer.alloc(300));
+    const oldFile = path.join(ttsCacheService.audioDir, ttsCacheService.filenameFor(key('old'), 'ulaw_8000'));
+    fs.utimesSync(oldFile, new Date(2020, 0, 1), new Date(2020, 0, 1));
+    // A file from before the cache existed
+    fs.writeFileSync(path.join(ttsCacheService.audioDir, 'speech_1700000000000_abc.mp3'), Buffer.alloc(300));
+
+    jest.isolateModules(() => {
+      const restarted = require('../src/services/ttsCacheService');
+      restarted.maxBytes = 600;
+
+      expect(restarted.getStats()).toMatchObject({ entries: 3, bytes: 900 });
+      restarted.evict();
+      expect(restarted.has(key('new'), 'ulaw_8000')).toBe(true);
+      expect(restarted.has(key('old'), 'ulaw_8000')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const express = require('express');
+const request = require('supertest');
+const twilio = require('twilio');
+const twilioSignature = require('../src/middleware/twilioSignature');
+const { errorHandler } = require('../src/utils/errorHandler');
+
+const AUTH_TOKEN = 'test-auth-token';
+const BASE_URL = 'https://ai-calling.onrender.com';
+
+const app = express();
+app.set('trust proxy', 1);
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.use(express.urlencoded({ extended: true }));
+app.use('/webhook/twilio', twilioSignature.validate(), (req, res) => res.json({ ok: true }));
+app.use(errorHandler);
+
+const sign = (url, params = {}) => twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, params);
+
+describe('Twilio signature middleware', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    process.env.BASE_URL = `${BASE_URL}/`;
+    delete process.env.TWILIO_SKIP_SIGNATURE_VALIDATION;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const params = { CallSid: 'CA123', SpeechResult: 'yes please', Confidence: '0.9' };
+
+  it('accepts a correctly signed form-encoded webhook', async () => {
+    await request(app)
+      .post('/webhook/twilio/gather?campaign=spring')
+      .type('form')
+      .set('X-Twilio-Signature', sign(`${BASE_URL}/webhook/twilio/gather?campaign=spring`, params))
+      .send(params)
+      .expect(200);
+  });
+
+  it('rejects a forged or tampered body with 403', async () => {
+    const signature = sign(`${BASE_URL}/webhook/twilio/gather`, params);
+
+    const response = await request(app)
+      .post('/webhook/twilio/gather')
+      .type('form')
+      .set('X-Twilio-Signature', signature)
+      .send({ ...params, SpeechResult: 'my email is attacker@example.com' })
+      .expect(403);
+
+    expect(response.body.message).toBe('Invalid Twilio signature');
+  });
+
+  it('rejects requests without a signature', async () => {
+    await request(app).post('/webhook/twilio/status').type('form').send(params).expect(403);
+  });
+
+  it('uses the forwarded protocol and host when BASE_URL is not set', async () => {
+    delete process.env.BASE_URL;
+
+    await request(app)
+      .post('/webhook/twilio/status')
+      .type('form')
+      .set('Host', 'ai-calling.onrender.com')
+      .set('X-Forwarded-Proto', 'https')
+      .set('X-Twilio-Signature', sign(`${BASE_URL}/webhook/twilio/status`, params))
+      .send(params)
+      .expect(200);
+  });
+
+  it('validates JSON webhooks against bodySHA256', async () => {
+    const body = JSON.stringify({ event: 'stream-started' });
+    const hash = twilio.getExpectedBodyHash(body);
+    const path = `/webhook/twilio/stream-status?bodySHA256=${hash}`;
+
+    await request(app)
+      .post(path)
+      .set('Content-Type', 'application/json')
+      .set('X-Twilio-Signature', sign(`${BASE_URL}${path}`))
+      .send(body)
+      .expect(200);
+  });
+
+  it('only honours the bypass flag in test mode', async () => {
+    process.env.TWILIO_SKIP_SIGNATURE_VALIDATION = 'true';
+    await request(app).post('/webhook/twilio/status').type('form').send(params).expect(200);
+
+    process.env.NODE_ENV = 'production';
+    try {
+      await request(app).post('/webhook/twilio/status').type('form').send(params).expect(403);
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+});
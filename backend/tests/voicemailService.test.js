@@ -0,0 +1,88 @@
+jest.mock('../src/services/openaiService', () => ({
+  generateResponse: jest.fn().mockRejectedValue(new Error('offline'))
+}));
+jest.mock('../src/services/elevenlabsService', () => ({
+  enabled: false,
+  generateSpeechForTwilio: jest.fn()
+}));
+
+const elevenlabsService = require('../src/services/elevenlabsService');
+const voicemailService = require('../src/services/voicemailService');
+
+const customer = { id: 'CUST_1', name: 'Jane', phone: '+15125550100', carModel: 'Model Y', scriptId: 'car-enquiry' };
+
+describe('Voicemail drop', () => {
+  const baseUrl = process.env.BASE_URL;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    elevenlabsService.enabled = false;
+    process.env.BASE_URL = 'https://dealer.example.com';
+  });
+
+  afterAll(() => {
+    process.env.BASE_URL = baseUrl;
+  });
+
+  describe('render', () => {
+    it('personalises the default template with the script defaults', () => {
+      expect(voicemailService.render(customer)).toBe(
+        "Hi Jane, this is Sarah from Premier Auto. I'm calling about the Model Y you enquired about. Give us a call back whenever suits you, or we'll try you again soon. Thanks!"
+      );
+    });
+
+    it('prefers the campaign template, then the script template', () => {
+      const scriptService = require('../src/services/scriptService');
+      scriptService.registerScript({
+        ...scriptService.getScript('car-enquiry'),
+        id: 'voicemail-test',
+        voicemail: 'Hello {customerName}, {dealershipName} here.'
+      });
+      const lead = { ...customer, scriptId: 'voicemail-test' };
+
+      expect(voicemailService.render(lead)).toBe('Hello Jane, Premier Auto here.');
+      expect(voicemailService.render(lead, { template: 'Your {carModel} is waiting, {customerName}!' }))
+        .toBe('Your Model Y is waiting, Jane!');
+    });
+  });
+
+  describe('prepare', () => {
+    it('pre-renders the message with ElevenLabs', async () => {
+      elevenlabsService.enabled = true;
+      elevenlabsService.generateSpeechForTwilio.mockResolvedValue({ audioUrl: 'https://dealer.example.com/audio/vm.mp3' });
+
+      const voicemail = await voicemailService.prepare(customer);
+
+      expect(elevenlabsService.generateSpeechForTwilio).toHaveBeenCalledWith(voicemail.text, 'https://dealer.example.com', { voiceId: null });
+      expect(voicemail).toEqual({ text: expect.stringContaining('Hi Jane'), audioUrl: 'https://dealer.example.com/audio/vm.mp3' });
+    });
+
+    it('falls back to the text when ElevenLabs is unavailable', async () => {
+      elevenlabsService.enabled = true;
+      elevenlabsService.generateSpeechForTwilio.mockResolvedValue(null);
+
+      expect(await voicemailService.prepare(customer)).toEqual({ text: expect.any(String), audioUrl: null });
+    });
+
+    it('skips calls with voicemail turned off', async () => {
+      expect(await voicemailService.prepare(customer, { enabled: false })).toBeNull();
+      expect(elevenlabsService.generateSpeechForTwilio).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildTwiml', () => {
+    it('plays the audio, or says the text, then hangs up', () => {
+      expect(voicemailService.buildTwiml({ text: 'Hi', audioUrl: 'https://a/vm.mp3' }).toString())
+        .toContain('<Play>https://a/vm.mp3</Play><Hangup/>');
+      expect(voicemailService.buildTwiml({ text: 'Hi Jane', audioUrl: null }).toString())
+        .toMatch(/<Say[^>]*>Hi Jane<\/Say><Hangup\/>/);
+      expect(voicemailService.buildTwiml(null).toString()).toContain('<Response><Hangup/></Response>');
+    });
+
+    it('recognises answering machines from AnsweredBy', () => {
+      expect(voicemailService.isMachine('machine_end_beep')).toBe(true);
+      expect(voicemailService.isMachine('human')).toBe(false);
+      expect(voicemailService.isMachine(undefined)).toBe(false);
+    });
+  });
+});